@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+const path = require('path');
+const { spawn } = require('child_process');
+const { loadRunConfig } = require('./run-config');
+const { listRuns } = require('./run-results');
+const { reissueRunReports, buildSavedRunFile } = require('./run-reports');
+const { writeRunDiffReports } = require('./run-diff-report');
+const { openResultsStore, recordRun } = require('./results-store');
+const { writeTrendReport } = require('./trend-report');
+
+const USAGE = `Usage: node api-test-cli.js <command> [options]
+
+Commands:
+  run [--profile <name>] [--resume <runId>] [-- <playwright args>]
+      Run the suite. --resume continues a stopped run and skips its finished queries.
+  runs [--profile <name>]
+      List saved runs with how many queries each has completed.
+  report <run file | CSV | run ID> [--profile <name>] [--out <dir>]
+      Render the HTML, Excel and CSV reports of a saved run again with the current report code
+      and options, without calling the API: every check and verdict is recomputed. Takes an
+      API_TEST_RUN_*.json run file, a POSITION_COMPARISON_*.csv export or a run ID from "runs".
+      --out overrides the output directory.
+  diff <baseline run> <current run> [--profile <name>] [--out <dir>]
+      Compare two saved runs (each a run file, CSV or run ID) and write an HTML and Excel diff of
+      changed accuracy and coverage, moved, lost and newly found products and new failures.
+  record <run file | CSV | run ID>... [--profile <name>]
+      Add saved runs to the run history (history.driver), e.g. runs from before it existed.
+      Finished runs are recorded automatically.
+  trends [--profile <name>] [--runs <count>] [--out <dir>]
+      Chart accuracy, first page coverage and failure rate per query over the recorded runs.
+`;
+
+/**
+ * Split argv into --name value options, bare arguments and everything after "--"
+ */
+function parseArgs(argv) {
+    const options = {};
+    const positional = [];
+    const separator = argv.indexOf('--');
+    const own = separator === -1 ? argv : argv.slice(0, separator);
+    const passThrough = separator === -1 ? [] : argv.slice(separator + 1);
+
+    for (let i = 0; i < own.length; i++) {
+        if (own[i].startsWith('--')) {
+            const name = own[i].slice(2);
+            const next = own[i + 1];
+            if (next !== undefined && !next.startsWith('--')) {
+                options[name] = next;
+                i++;
+            } else {
+                options[name] = true;
+            }
+        } else {
+            positional.push(own[i]);
+        }
+    }
+
+    return { options, positional, passThrough };
+}
+
+function runSuite({ options, passThrough }) {
+    const env = { ...process.env };
+    if (options.profile) {
+        env.API_TEST_PROFILE = options.profile;
+    }
+    if (options.resume) {
+        if (options.resume === true) {
+            throw new Error('--resume needs a run ID (see "node api-test-cli.js runs")');
+        }
+        env.API_TEST_RUN_ID = options.resume;
+        env.API_TEST_RESUME = '1';
+    }
+
+    const child = spawn(process.execPath, [require.resolve('@playwright/test/cli'), 'test', ...passThrough], {
+        stdio: 'inherit',
+        env
+    });
+    child.on('exit', code => process.exit(code === null ? 1 : code));
+}
+
+function printRuns({ options }) {
+    const config = loadRunConfig({ profile: options.profile });
+    const runs = listRuns(config);
+
+    if (runs.length === 0) {
+        console.log(`No runs in ${config.paths.runsDir}`);
+        return;
+    }
+
+    console.log(`${'Run ID'.padEnd(22)} | ${'Profile'.padEnd(12)} | ${'Saved'.padEnd(6)} | ${'Failed'.padEnd(6)} | Started`);
+    console.log('-'.repeat(80));
+    runs.forEach(run => {
+        console.log(`${run.runId.padEnd(22)} | ${(run.profile || 'N/A').padEnd(12)} | ${run.savedQueries.toString().padEnd(6)} | ${run.failedQueries.toString().padEnd(6)} | ${run.startedAt}`);
+    });
+}
+
+// Run config of a report command; --out replaces the output directory
+function loadReportConfig(options) {
+    const config = loadRunConfig({ profile: options.profile });
+    if (options.out) {
+        if (options.out === true) {
+            throw new Error('--out needs a directory');
+        }
+        config.paths.outputDir = path.resolve(options.out);
+    }
+    return config;
+}
+
+async function reissueReports({ options, positional }) {
+    if (positional.length !== 1) {
+        throw new Error('report needs one run file, CSV or run ID (see "node api-test-cli.js runs")');
+    }
+    await reissueRunReports(positional[0], loadReportConfig(options));
+}
+
+async function diffRuns({ options, positional }) {
+    if (positional.length !== 2) {
+        throw new Error('diff needs a baseline and a current run (run file, CSV or run ID)');
+    }
+    await writeRunDiffReports(positional[0], positional[1], loadReportConfig(options));
+}
+
+async function recordRuns({ options, positional }) {
+    if (positional.length === 0) {
+        throw new Error('record needs at least one run file, CSV or run ID');
+    }
+    const config = loadRunConfig({ profile: options.profile });
+    const store = await openResultsStore(config);
+    if (!store) {
+        throw new Error('Run history is off (set history.driver to "file" or "mysql")');
+    }
+
+    try {
+        for (const source of positional) {
+            const runKey = await recordRun(store, buildSavedRunFile(source, config));
+            console.log(`🗄️ Recorded ${runKey} from ${source}`);
+        }
+    } finally {
+        await store.close();
+    }
+    console.log(`🗄️ Run history: ${store.describe()}`);
+}
+
+async function printTrends({ options }) {
+    const runs = options.runs !== undefined ? parseInt(options.runs, 10) : undefined;
+    if (runs !== undefined && !(runs > 0)) {
+        throw new Error(`--runs must be a positive number, got "${options.runs}"`);
+    }
+    await writeTrendReport(loadReportConfig(options), { runs });
+}
+
+const COMMANDS = {
+    run: runSuite,
+    runs: printRuns,
+    report: reissueReports,
+    diff: diffRuns,
+    record: recordRuns,
+    trends: printTrends
+};
+
+async function main() {
+    const [command, ...rest] = process.argv.slice(2);
+    const handler = COMMANDS[command];
+
+    if (!handler) {
+        console.log(USAGE);
+        process.exit(command ? 1 : 0);
+    }
+
+    await handler(parseArgs(rest));
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,177 @@
+/**
+ * Saved run results rebuilt from a POSITION_COMPARISON CSV, for runs that predate the run file
+ *
+ * Every CSV row is one position: its returned product (unless "No Product") and the expected
+ * product of that position, if any. Expected and returned products are read back per query, so
+ * comparisons can be computed again with the current code. A returned product found under another
+ * ID (alternate ID or variant parent) gets that ID back from its expected row, as the CSV keeps
+ * only SKUs. Columns an older CSV lacks (outcome, ranking metrics, relevance grades) are left
+ * empty. What a CSV never carried (raw responses, contract violations, rank constraints, term
+ * positions, noise) stays empty too.
+ */
+
+const { parseCSVText, QUERY_OUTCOMES, POSITION_MATCHES } = require('./test-cases');
+const { METRIC_NAMES, metricLabels } = require('./ranking-metrics');
+const { getProductIdentity } = require('./product-identity');
+const { NOT_FOUND_MATCHES } = require('./query-comparison');
+
+const REQUIRED_COLUMNS = ['Input Query', 'Input Expected Name', 'Actual Product Name', 'Input Expected SKU', 'Actual SKU', 'Input Expected Position', 'Actual Position'];
+const NOT_FETCHED_PATTERN = /^Position Not Fetched \((.*)\)$/;
+
+// Metric cut-off from the NDCG@k column, null when the CSV has no metric columns
+function readMetricsK(headers) {
+    const ndcg = headers.find(header => /^NDCG@\d+$/.test(header));
+    return ndcg ? parseInt(ndcg.split('@')[1], 10) : null;
+}
+
+function newResult(query, testNumber) {
+    return {
+        testNumber,
+        query,
+        expectedProducts: [],
+        actualProducts: [],
+        outcome: null,
+        pageSize: null,
+        positionTolerance: null,
+        unfetchedRanges: [],
+        rankingMetrics: null,
+        totalResults: null,
+        expectations: {},
+        skuChanges: [],
+        foundAt: [],
+        contractViolations: [],
+        rankConstraints: [],
+        forbiddenProducts: [],
+        uncheckedForbiddenRules: [],
+        importedFrom: 'csv',
+        testResult: 'Imported from CSV'
+    };
+}
+
+/**
+ * Give each found product the ID it was matched by, when its SKU alone no longer matches
+ * @param {Array} actualProducts - Imported products of the query
+ * @param {Array} foundAt - [{ expectedSku, position, match }] of expected rows with an actual position; a
+ *   possible SKU change also has one, but names a different product
+ * @param {ProductIdentity} identity - Matcher from the run config
+ */
+function restoreMatchedIds(actualProducts, foundAt, identity) {
+    foundAt.forEach(({ expectedSku, position, match }) => {
+        const product = actualProducts.find(candidate => candidate.absolutePosition === position);
+        if (!product || NOT_FOUND_MATCHES.includes(match) || identity.matchProduct(expectedSku, product)) {
+            return;
+        }
+        const fields = match === POSITION_MATCHES.VARIANT_MATCH ? identity.options.parentIdFields : identity.options.alternateIdFields;
+        if (fields.length > 0 && !product[fields[0]]) {
+            product[fields[0]] = expectedSku;
+        }
+    });
+}
+
+/**
+ * Per-query results from POSITION_COMPARISON CSV text
+ * @param {string} csvText - Content of the CSV
+ * @param {Object} config - Resolved run config; its position tolerance applies, as the CSV doesn't record one
+ * @returns {Array} - Results in the CSV's query order, without comparisons
+ */
+function resultsFromCSV(csvText, config) {
+    const [headerRow, ...rows] = parseCSVText(csvText);
+    const headers = (headerRow || []).map(header => header.trim());
+    const missing = REQUIRED_COLUMNS.filter(column => !headers.includes(column));
+    if (missing.length > 0) {
+        throw new Error(`Not a position comparison CSV, missing column(s): ${missing.join(', ')}`);
+    }
+
+    const column = name => headers.indexOf(name);
+    const k = readMetricsK(headers);
+    const metricColumns = k ? Object.fromEntries(METRIC_NAMES.map(name => [name, column(metricLabels(k)[name])])) : null;
+    const results = new Map();
+
+    rows.forEach(row => {
+        // Blank separators and the "Product Presence by Query" block of older CSVs aren't position rows
+        if (row.length < REQUIRED_COLUMNS.length) {
+            return;
+        }
+        const cell = name => (column(name) !== -1 && row[column(name)] !== undefined ? row[column(name)].trim() : '');
+        const query = cell('Input Query');
+        if (!query) {
+            return;
+        }
+        if (!results.has(query)) {
+            results.set(query, newResult(query, results.size + 1));
+        }
+        const result = results.get(query);
+        const position = parseInt(cell('Input Expected Position'), 10);
+        const outcome = cell('Query Outcome');
+
+        if (outcome && !result.outcome) {
+            result.outcome = outcome;
+        }
+        if (cell('Actual Product Name') === 'No Response') {
+            result.outcome = QUERY_OUTCOMES.ERROR;
+            return;
+        }
+        // "3 of 24": the products on page 1, which is the page size whenever there was a second page
+        const firstPageSize = parseInt((cell('First Page Count').split(' of ')[1] || ''), 10);
+        if (!result.pageSize && firstPageSize > 0) {
+            result.pageSize = firstPageSize;
+        }
+        if (metricColumns && !result.rankingMetrics) {
+            const values = METRIC_NAMES.map(name => parseFloat(row[metricColumns[name]]));
+            if (values.every(value => !Number.isNaN(value))) {
+                result.rankingMetrics = { k, ...Object.fromEntries(METRIC_NAMES.map((name, i) => [name, values[i]])) };
+            }
+        }
+        if (Number.isNaN(position)) {
+            return;
+        }
+
+        // A returned product without a name still reads "No Product"; its SKU tells it apart from an empty position
+        const actualName = cell('Actual Product Name') === 'No Product' ? '' : cell('Actual Product Name');
+        const actualSku = cell('Actual SKU') === 'N/A' ? '' : cell('Actual SKU');
+        if (actualName || actualSku) {
+            result.actualProducts.push({ name: actualName, sku: actualSku, absolutePosition: position });
+        }
+        if (cell('Input Expected Name') || cell('Input Expected SKU')) {
+            const grade = parseInt(cell('Relevance Grade'), 10);
+            result.expectedProducts.push({
+                expectedName: cell('Input Expected Name'),
+                expectedSku: cell('Input Expected SKU'),
+                expectedPosition: position,
+                relevance: Number.isNaN(grade) ? null : grade
+            });
+        }
+        const actualPosition = parseInt(cell('Actual Position'), 10);
+        if (!Number.isNaN(actualPosition)) {
+            result.foundAt.push({ expectedSku: cell('Input Expected SKU'), position: actualPosition, match: cell('Position Match') });
+        }
+        const notFetched = cell('Actual Position').match(NOT_FETCHED_PATTERN);
+        if (notFetched) {
+            result.unfetchedRanges.push({ from: position, to: position, reason: notFetched[1] });
+        }
+    });
+
+    const identity = getProductIdentity(config);
+    return Array.from(results.values()).map(({ foundAt, ...result }) => {
+        restoreMatchedIds(result.actualProducts, foundAt, identity);
+        const pageSize = result.pageSize || result.actualProducts.length || 1;
+        result.actualProducts.sort((a, b) => a.absolutePosition - b.absolutePosition);
+        result.actualProducts.forEach(product => {
+            product.pageNumber = Math.ceil(product.absolutePosition / pageSize);
+        });
+        result.positionTolerance = config.matching.positionTolerance;
+        result.productsOnPage = result.actualProducts.length;
+        if (!result.outcome) {
+            result.outcome = result.actualProducts.length > 0 ? QUERY_OUTCOMES.RESULTS : QUERY_OUTCOMES.ZERO_RESULTS;
+        }
+        if (result.outcome === QUERY_OUTCOMES.ERROR) {
+            result.apiStatus = 'ERROR';
+            result.testResult = 'FAILED - No response (imported from CSV)';
+        }
+        return result;
+    });
+}
+
+module.exports = {
+    resultsFromCSV
+};
@@ -0,0 +1,130 @@
+/**
+ * Negative expectations: products that must not appear for a query
+ *
+ * A rule forbids a SKU, a brand or a name pattern, optionally only within the top N
+ * positions (e.g. no replacement parts in the top 10). Rules are checked against every
+ * product the search fetched, and each hit is reported with its position. The search pages
+ * on until the deepest rule is covered; a rule whose depth still holds unfetched positions
+ * is reported as not fully checked rather than as passed.
+ */
+
+const { DEFAULT_IDENTITY } = require('./product-identity');
+
+const FORBIDDEN_RULE_TYPES = {
+    SKU: 'SKU',
+    BRAND: 'Brand',
+    NAME_PATTERN: 'Name Pattern'
+};
+
+function normalize(value) {
+    return (value || '').toString().toLowerCase().trim();
+}
+
+/**
+ * Check a name pattern compiles, so a bad rule fails when the input is loaded
+ */
+function compileNamePattern(pattern) {
+    return new RegExp(pattern, 'i');
+}
+
+function matchesRule(rule, product, identity) {
+    if (rule.type === FORBIDDEN_RULE_TYPES.SKU) {
+        return identity.matchProduct(rule.value, product) !== null;
+    }
+    if (rule.type === FORBIDDEN_RULE_TYPES.BRAND) {
+        return normalize(product.brand) === normalize(rule.value);
+    }
+    return compileNamePattern(rule.value).test(product.name || '');
+}
+
+/**
+ * Short description of a rule, e.g. "SKU 30000212" or "Name Pattern /replacement/ in top 10"
+ */
+function describeRule(rule) {
+    const value = rule.type === FORBIDDEN_RULE_TYPES.NAME_PATTERN ? `/${rule.value}/` : rule.value;
+    return `${rule.type} ${value}${rule.depth !== null ? ` in top ${rule.depth}` : ''}`;
+}
+
+/**
+ * Products that break a query's negative expectations
+ * @param {Array} rules - [{ type, value, depth }] from the query's expectations
+ * @param {Array} actualProducts - Products the API returned, with absolutePosition and pageNumber
+ * @param {ProductIdentity} [identity] - Matcher from the run config, so a forbidden SKU's aliases and variants count too
+ * @returns {Array} - [{ rule, type, position, page, sku, name }] in position order
+ */
+function findForbiddenProducts(rules, actualProducts, identity = DEFAULT_IDENTITY) {
+    const violations = [];
+    (rules || []).forEach(rule => {
+        (actualProducts || []).forEach(product => {
+            if (rule.depth !== null && product.absolutePosition > rule.depth) {
+                return;
+            }
+            if (matchesRule(rule, product, identity)) {
+                violations.push({
+                    rule: describeRule(rule),
+                    type: rule.type,
+                    position: product.absolutePosition,
+                    page: product.pageNumber || 1,
+                    sku: product.sku,
+                    name: product.name
+                });
+            }
+        });
+    });
+    return violations.sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Positions the search must fetch to check every rule; a rule without a depth needs them all
+ * @returns {number} - 0 without rules, Infinity when a rule covers the whole result set
+ */
+function forbiddenCheckDepth(rules) {
+    return (rules || []).reduce((deepest, rule) => Math.max(deepest, rule.depth !== null ? rule.depth : Infinity), 0);
+}
+
+/**
+ * Rules that could not be fully checked because positions within their depth were never fetched
+ * @param {Array} rules - [{ type, value, depth }] from the query's expectations
+ * @param {Array} unfetchedRanges - [{ from, to, reason }] in position order, from the search
+ * @returns {Array} - [{ rule, from, to, reason }] with the first unfetched range inside each rule's depth
+ */
+function findUncheckedForbiddenRules(rules, unfetchedRanges) {
+    const unchecked = [];
+    (rules || []).forEach(rule => {
+        const gap = (unfetchedRanges || []).find(range => rule.depth === null || range.from <= rule.depth);
+        if (gap) {
+            unchecked.push({
+                rule: describeRule(rule),
+                from: gap.from,
+                to: rule.depth !== null ? Math.min(gap.to, rule.depth) : gap.to,
+                reason: gap.reason
+            });
+        }
+    });
+    return unchecked;
+}
+
+/**
+ * One-line description of an unchecked rule for logs and report cells
+ */
+function formatUncheckedRule(unchecked) {
+    return `${unchecked.rule} not fully checked: positions ${unchecked.from}-${unchecked.to} not fetched (${unchecked.reason})`;
+}
+
+/**
+ * One-line description of a violation for logs and report cells
+ */
+function formatForbiddenProduct(violation) {
+    return `${violation.sku} at position ${violation.position} (forbidden ${violation.rule})`;
+}
+
+module.exports = {
+    FORBIDDEN_RULE_TYPES,
+    compileNamePattern,
+    describeRule,
+    findForbiddenProducts,
+    formatForbiddenProduct,
+    forbiddenCheckDepth,
+    findUncheckedForbiddenRules,
+    formatUncheckedRule
+};
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const { loadRunConfig, getSearchUrl } = require('./run-config');
+const { createRunId, getRunDir, loadQueryResults, startRun } = require('./run-results');
+const { getResponseContract } = require('./response-contract');
+
+/**
+ * Assign the run ID shared by every per-query test and create its run directory
+ * Workers inherit API_TEST_RUN_ID from this process
+ * With API_TEST_RESUME set, API_TEST_RUN_ID names an existing run to continue
+ */
+module.exports = async function globalSetup() {
+    const config = loadRunConfig();
+    // Fail before any query runs if the configured schema is missing or invalid
+    getResponseContract(config);
+    const resume = !!process.env.API_TEST_RESUME;
+
+    if (resume && !process.env.API_TEST_RUN_ID) {
+        throw new Error('API_TEST_RESUME needs API_TEST_RUN_ID set to the run to resume');
+    }
+
+    const runId = process.env.API_TEST_RUN_ID || createRunId();
+    process.env.API_TEST_RUN_ID = runId;
+
+    const runDir = getRunDir(config, runId);
+    fs.mkdirSync(runDir, { recursive: true });
+    const manifest = startRun(runDir, runId, config, resume);
+
+    console.log(`\n${'='.repeat(80)}`);
+    console.log('🚀 API TESTING - COMPLETE VALIDATION SUITE');
+    console.log(`${'='.repeat(80)}`);
+    console.log(`📋 Input CSV: ${config.paths.inputCsv}`);
+    console.log(`🌐 API Endpoint: ${getSearchUrl(config)} (profile: ${config.profile || 'none'})`);
+    console.log(`📄 Page Size: ${config.api.resultsPerPage} | Max Pages: ${config.search.maxPages} | Near-Match Tolerance: ±${config.matching.positionTolerance}`);
+    console.log(`🚦 Request Budget: ${config.rateLimit.requestsPerSecond} req/s across ${config.concurrency.workers} worker(s) | Backoff cap: ${config.rateLimit.backoffMaxMs / 1000}s`);
+    console.log(`📐 Response Contract: ${config.contract.schemaVersion}${config.contract.strict ? ' (strict - violations fail the query)' : ''}`);
+    console.log(`🗂️  Run: ${runId} (${runDir})`);
+    if (resume) {
+        const saved = loadQueryResults(runDir);
+        console.log(`⏯️  Resuming: ${saved.length} saved result(s), resume #${manifest.resumes.length} - finished queries will be skipped`);
+        if (manifest.profile !== config.profile) {
+            console.log(`⚠️  Run was started with profile "${manifest.profile}", resuming with "${config.profile}"`);
+        }
+    }
+    if (config.cassette.mode !== 'off') {
+        console.log(`📼 Cassette: ${config.cassette.mode} (${config.paths.cassetteDir})`);
+    }
+    console.log(`${'='.repeat(80)}`);
+};
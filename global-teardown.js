@@ -0,0 +1,34 @@
+const { loadRunConfig } = require('./run-config');
+const { getRunDir, loadQueryResults, readRunManifest } = require('./run-results');
+const { loadTestCases, isFailedResult } = require('./test-cases');
+const { getProductIdentity } = require('./product-identity');
+const { withComparisons } = require('./query-comparison');
+const { logRunSummary, writeRunReports } = require('./run-reports');
+
+/**
+ * Gather every per-query result of the run and write the run-level reports
+ */
+module.exports = async function globalTeardown() {
+    const config = loadRunConfig();
+    const runDir = getRunDir(config, process.env.API_TEST_RUN_ID);
+    // Results saved by an older version are compared once, so the summary and every report agree
+    const testResults = withComparisons(loadQueryResults(runDir), getProductIdentity(config));
+
+    if (testResults.length === 0) {
+        console.log(`\n⚠️ No query results saved in ${runDir} - skipping report generation`);
+        return;
+    }
+
+    const testCases = loadTestCases(config.paths.inputCsv);
+    logRunSummary(testResults);
+    const failedQueries = testResults.filter(isFailedResult);
+    await writeRunReports(testResults, testCases, config, { manifest: readRunManifest(runDir) });
+
+    console.log(`\n${'='.repeat(80)}`);
+    if (failedQueries.length === 0) {
+        console.log('🎉 API TESTING COMPLETED - ALL QUERIES SUCCESSFUL');
+    } else {
+        console.log(`🏁 API TESTING COMPLETED - ${testResults.length - failedQueries.length}/${testResults.length} QUERIES SUCCESSFUL`);
+    }
+    console.log(`${'='.repeat(80)}\n`);
+};
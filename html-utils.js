@@ -0,0 +1,16 @@
+/**
+ * Helpers shared by the standalone HTML reports (run diff, trends)
+ */
+
+// Text safe to place in HTML element content and double-quoted attributes; null and undefined become ''
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    escapeHtml
+};
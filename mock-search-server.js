@@ -0,0 +1,271 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FAULT_TYPES = ['status', 'empty', 'slow', 'malformed', 'drift', 'short'];
+
+function tokenize(text) {
+    return (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Local stand-in for the search service: serves /api/v1/search.json from a fixture catalog
+ *
+ * Catalog file: { products: [{ sku, name, brand, category, description, ... }], rankings: { "<query>": [sku, ...] } }
+ * A query listed in rankings returns exactly those SKUs in that order; any other query returns
+ * the products matching most of its terms, in catalog order.
+ *
+ * Faults: [{ query?, page?, times?, type, status?, retryAfter?, rateLimitRemaining?, delayMs?, count? }] where type is
+ * "status" (e.g. 429/500), "empty" (200 with no results), "slow" (delayMs before the normal
+ * response), "malformed" (invalid JSON body) or "drift" (the normal page with a broken contract:
+ * product name renamed to title, pagination numbers sent as strings) or "short" (only the first `count` products
+ * of the page, with unchanged pagination). A fault with `times` is used up after that many hits.
+ * retryAfter and rateLimitRemaining add Retry-After / X-RateLimit-Remaining headers to "status" and
+ * "empty" faults, so a throttled empty page can be told apart from a query that matches nothing.
+ */
+class MockSearchServer {
+    constructor(options = {}) {
+        this.catalog = options.catalog || { products: [], rankings: {} };
+        this.port = options.port || 0;
+        this.host = options.host || '127.0.0.1';
+        this.searchPath = options.searchPath || '/api/v1/search.json';
+        this.requests = [];
+        this.setFaults(options.faults || []);
+        this.server = null;
+    }
+
+    /**
+     * Create a server from catalog and fault files
+     */
+    static fromFiles({ catalogPath, faultsPath, ...options }) {
+        const catalog = JSON.parse(fs.readFileSync(catalogPath, 'utf-8'));
+        const faults = faultsPath ? JSON.parse(fs.readFileSync(faultsPath, 'utf-8')) : [];
+        return new MockSearchServer({ ...options, catalog, faults });
+    }
+
+    get url() {
+        return `http://${this.host}:${this.port}`;
+    }
+
+    /**
+     * Replace the fault script
+     */
+    setFaults(faults) {
+        if (!Array.isArray(faults)) {
+            throw new Error('Mock faults must be an array');
+        }
+        faults.forEach(fault => {
+            if (!FAULT_TYPES.includes(fault.type)) {
+                throw new Error(`Unknown mock fault type "${fault.type}". Use one of: ${FAULT_TYPES.join(', ')}`);
+            }
+        });
+        this.faults = faults.map(fault => ({ ...fault, hits: 0 }));
+    }
+
+    /**
+     * First fault that applies to this query and page and is not used up
+     */
+    takeFault(query, page) {
+        const fault = this.faults.find(candidate =>
+            (candidate.query === undefined || candidate.query.toLowerCase() === query.toLowerCase()) &&
+            (candidate.page === undefined || candidate.page === page) &&
+            (candidate.times === undefined || candidate.hits < candidate.times)
+        );
+        if (fault) {
+            fault.hits++;
+        }
+        return fault || null;
+    }
+
+    /**
+     * Full ranked result list for a query
+     */
+    search(query) {
+        const products = this.catalog.products || [];
+        const rankings = this.catalog.rankings || {};
+        const rankedKey = Object.keys(rankings).find(key => key.toLowerCase() === query.toLowerCase());
+
+        if (rankedKey) {
+            const bySku = new Map(products.map(product => [product.sku, product]));
+            return rankings[rankedKey].map(sku => bySku.get(sku)).filter(Boolean);
+        }
+
+        const terms = tokenize(query);
+        if (terms.length === 0) {
+            return [];
+        }
+
+        return products
+            .map((product, index) => {
+                const productTokens = new Set(tokenize([product.name, product.brand, product.category, product.description].join(' ')));
+                return { product, index, score: terms.filter(term => productTokens.has(term)).length };
+            })
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .map(entry => entry.product);
+    }
+
+    async handleSearch(url, res) {
+        const query = url.searchParams.get('q') || '';
+        const page = Math.max(parseInt(url.searchParams.get('page'), 10) || 1, 1);
+        const perPage = Math.max(parseInt(url.searchParams.get('resultsPerPage'), 10) || 24, 1);
+
+        if (!url.searchParams.get('siteId')) {
+            return this.send(res, 400, { error: 'siteId is required' });
+        }
+
+        const fault = this.takeFault(query, page);
+        this.requests.push({ query, page, perPage, fault: fault ? fault.type : null, at: new Date().toISOString() });
+
+        const faultHeaders = {};
+        if (fault && fault.retryAfter !== undefined) {
+            faultHeaders['Retry-After'] = String(fault.retryAfter);
+        }
+        if (fault && fault.rateLimitRemaining !== undefined) {
+            faultHeaders['X-RateLimit-Remaining'] = String(fault.rateLimitRemaining);
+        }
+
+        if (fault && fault.type === 'status') {
+            return this.send(res, fault.status || 500, { error: `Injected HTTP ${fault.status || 500}` }, faultHeaders);
+        }
+        if (fault && fault.type === 'malformed') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            return res.end('{"results": [{"sku": "broken"');
+        }
+        if (fault && fault.type === 'slow') {
+            await delay(fault.delayMs || 5000);
+        }
+
+        const allResults = this.search(query);
+        let results = fault && fault.type === 'empty'
+            ? []
+            : allResults.slice((page - 1) * perPage, page * perPage);
+        if (fault && fault.type === 'short') {
+            results = results.slice(0, fault.count || 0);
+        }
+
+        const pagination = {
+            currentPage: page,
+            perPage: perPage,
+            totalPages: Math.ceil(allResults.length / perPage),
+            totalResults: allResults.length
+        };
+
+        if (fault && fault.type === 'drift') {
+            return this.send(res, 200, {
+                results: results.map(({ name, ...product }) => ({ ...product, title: name })),
+                pagination: Object.fromEntries(Object.entries(pagination).map(([key, value]) => [key, String(value)]))
+            });
+        }
+
+        return this.send(res, 200, { results, pagination }, fault && fault.type === 'empty' ? faultHeaders : {});
+    }
+
+    /**
+     * Admin endpoints under /__mock: health, request log and fault script
+     */
+    async handleAdmin(req, url, res) {
+        if (url.pathname === '/__mock/health') {
+            return this.send(res, 200, { status: 'ok' });
+        }
+        if (url.pathname === '/__mock/requests') {
+            return this.send(res, 200, this.requests);
+        }
+        if (url.pathname === '/__mock/faults' && req.method === 'GET') {
+            return this.send(res, 200, this.faults);
+        }
+        if (url.pathname === '/__mock/faults' && (req.method === 'POST' || req.method === 'PUT')) {
+            const chunks = [];
+            for await (const chunk of req) {
+                chunks.push(chunk);
+            }
+            this.setFaults(JSON.parse(Buffer.concat(chunks).toString('utf-8') || '[]'));
+            return this.send(res, 200, this.faults);
+        }
+        if (url.pathname === '/__mock/faults' && req.method === 'DELETE') {
+            this.setFaults([]);
+            return this.send(res, 200, []);
+        }
+        return this.send(res, 404, { error: 'Not found' });
+    }
+
+    send(res, status, body, headers = {}) {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, this.url);
+        try {
+            if (url.pathname === this.searchPath) {
+                await this.handleSearch(url, res);
+            } else if (url.pathname.startsWith('/__mock/')) {
+                await this.handleAdmin(req, url, res);
+            } else {
+                this.send(res, 404, { error: 'Not found' });
+            }
+        } catch (error) {
+            this.send(res, 500, { error: error.message });
+        }
+    }
+
+    /**
+     * Start listening; resolves with the base URL
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handle(req, res));
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.port = this.server.address().port;
+                resolve(this.url);
+            });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) {
+                return resolve();
+            }
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+}
+
+// Standalone: node mock-search-server.js [--port 4010] [--catalog file] [--faults file]
+if (require.main === module) {
+    const { loadRunConfig } = require('./run-config');
+    const config = loadRunConfig({ profile: process.env.API_TEST_PROFILE || 'mock' });
+    const args = process.argv.slice(2);
+    const argValue = (name, fallback) => {
+        const index = args.indexOf(`--${name}`);
+        return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+    };
+
+    const server = MockSearchServer.fromFiles({
+        catalogPath: path.resolve(argValue('catalog', config.paths.mockCatalog)),
+        faultsPath: argValue('faults', config.paths.mockFaults) ? path.resolve(argValue('faults', config.paths.mockFaults)) : null,
+        port: parseInt(argValue('port', config.mockServer.port), 10),
+        searchPath: config.api.searchPath
+    });
+
+    server.start().then(url => {
+        console.log(`🧪 Mock search server listening on ${url}${server.searchPath}`);
+    }).catch(error => {
+        console.error(`❌ Could not start mock search server: ${error.message}`);
+        process.exit(1);
+    });
+
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => server.stop().then(() => process.exit(0))));
+}
+
+module.exports = {
+    MockSearchServer,
+    FAULT_TYPES
+};
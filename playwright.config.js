@@ -1,5 +1,9 @@
 // @ts-check
 import { defineConfig, devices } from '@playwright/test';
+import { loadRunConfig } from './run-config';
+
+/* Active run profile (API_TEST_PROFILE); the "mock" profile starts the bundled mock search server */
+const runConfig = loadRunConfig();
 
 /**
  * Read environment variables from file.
@@ -14,14 +18,17 @@ import { defineConfig, devices } from '@playwright/test';
  */
 export default defineConfig({
   testDir: './tests',
-  /* Run tests in files in parallel */
+  /* Assign the run ID before any query runs, assemble the run reports after the last one */
+  globalSetup: './global-setup.js',
+  globalTeardown: './global-teardown.js',
+  /* Every query test can go to any worker; the teardown restores input order */
   fullyParallel: true,
   /* Fail the build on CI if you accidentally left test.only in the source code. */
   forbidOnly: !!process.env.CI,
   /* Retry on CI only */
   retries: process.env.CI ? 2 : 0,
-  /* Opt out of parallel tests on CI. */
-  workers: process.env.CI ? 1 : undefined,
+  /* Queries run at once, from concurrency.workers (API_TEST_WORKERS); they share one request budget */
+  workers: runConfig.concurrency.workers,
   /* Reporter to use. See https://playwright.dev/docs/test-reporters */
   reporter: 'html',
   /* Shared settings for all the projects below. See https://playwright.dev/docs/api/class-testoptions. */
@@ -33,21 +40,21 @@ export default defineConfig({
     trace: 'on-first-retry',
   },
 
-  /* Configure projects for major browsers */
+  /* The suite only uses the request fixture, so a single browser-less project runs each query once */
   projects: [
     {
-      name: 'chromium',
-      use: { ...devices['Desktop Chrome'] },
-    },
-
-    {
-      name: 'firefox',
-      use: { ...devices['Desktop Firefox'] },
+      name: 'api',
+      /* Unit tests of the suite's modules run on their own config (npm test) */
+      testIgnore: [/tests[\\/]quality-gates\.spec\.js/, /[\\/]unit[\\/]/],
+      teardown: 'gates',
     },
 
+    /* Run-level quality gates; as the api project's teardown they run after every query test, failed or not */
     {
-      name: 'webkit',
-      use: { ...devices['Desktop Safari'] },
+      name: 'gates',
+      testMatch: /tests[\\/]quality-gates\.spec\.js/,
+      /* The gates read saved results, so a retry would only repeat the verdict */
+      retries: 0,
     },
 
     /* Test against mobile viewports. */
@@ -71,11 +78,12 @@ export default defineConfig({
     // },
   ],
 
-  /* Run your local dev server before starting the tests */
-  // webServer: {
-  //   command: 'npm run start',
-  //   url: 'http://127.0.0.1:3000',
-  //   reuseExistingServer: !process.env.CI,
-  // },
+  /* Start the local mock search server for profiles that enable it */
+  webServer: runConfig.mockServer.enabled ? {
+    command: 'node mock-search-server.js',
+    url: `${runConfig.api.baseUrl}/__mock/health`,
+    /* Always a fresh server: one left running has already used up its one-shot faults */
+    reuseExistingServer: false,
+  } : undefined,
 });
 
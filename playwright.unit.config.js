@@ -0,0 +1,16 @@
+// @ts-check
+import { defineConfig } from '@playwright/test';
+
+/**
+ * Unit tests of the suite's own modules (npm test)
+ * No run ID, reports or mock web server: each test builds the inputs it needs.
+ * @see https://playwright.dev/docs/test-configuration
+ */
+export default defineConfig({
+  testDir: './tests/unit',
+  fullyParallel: true,
+  forbidOnly: !!process.env.CI,
+  /* A unit test that needs a retry has a bug to fix */
+  retries: 0,
+  reporter: 'list',
+});
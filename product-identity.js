@@ -0,0 +1,183 @@
+const fs = require('fs');
+
+/**
+ * Decides whether a returned product is an expected product, in one place for every check
+ *
+ * IDs are normalized by the identity config (case, stripped characters, leading zeros) before
+ * comparing. An expected SKU matches a product by its sku, by an alternate ID field (uid, id),
+ * by an alias from paths.skuAliases (e.g. a renumbered SKU), or as a variant whose parent ID
+ * field names the expected SKU. Variants count as found but keep their own match kind.
+ *
+ * By default IDs are only trimmed and compared case-insensitively, so "1234-5" and "12345" are
+ * different SKUs. A profile whose catalog formats IDs inconsistently opts in to looser matching,
+ * e.g. "identity": { "stripCharacters": " -" } to ignore spaces and dashes.
+ *
+ * Alias file: { "<sku>": "<other id>" } or { "<sku>": ["<other id>", ...] }; every ID in an
+ * entry is treated as the same product.
+ */
+
+const IDENTITY_MATCHES = {
+    SKU: 'SKU',
+    ALTERNATE_ID: 'Alternate ID',
+    ALIAS: 'Alias',
+    VARIANT: 'Variant'
+};
+
+// Strongest first: a product found by its own SKU beats an alias, which beats a variant
+const MATCH_STRENGTH = [IDENTITY_MATCHES.SKU, IDENTITY_MATCHES.ALTERNATE_ID, IDENTITY_MATCHES.ALIAS, IDENTITY_MATCHES.VARIANT];
+
+// Plain case-insensitive, trimmed comparison, as the checks did before identity was configurable
+const DEFAULT_OPTIONS = {
+    caseSensitive: false,
+    stripCharacters: '',
+    stripLeadingZeros: false,
+    alternateIdFields: [],
+    parentIdFields: [],
+    matchVariants: false
+};
+
+function escapeCharacterClass(characters) {
+    return characters.replace(/[\]\\^-]/g, '\\$&');
+}
+
+class ProductIdentity {
+    constructor(options = {}, aliases = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.stripPattern = this.options.stripCharacters
+            ? new RegExp(`[${escapeCharacterClass(this.options.stripCharacters)}]`, 'g')
+            : null;
+        this.aliasGroups = this.buildAliasGroups(aliases);
+    }
+
+    /**
+     * Identity for a resolved run config, with the alias file if one is configured
+     */
+    static fromConfig(config) {
+        const aliasPath = config.paths.skuAliases;
+        let aliases = {};
+        if (aliasPath) {
+            if (!fs.existsSync(aliasPath)) {
+                throw new Error(`SKU alias file not found: ${aliasPath}`);
+            }
+            aliases = JSON.parse(fs.readFileSync(aliasPath, 'utf-8'));
+            if (aliases === null || typeof aliases !== 'object' || Array.isArray(aliases)) {
+                throw new Error(`SKU alias file must hold an object of SKU to alias(es): ${aliasPath}`);
+            }
+        }
+        return new ProductIdentity(config.identity, aliases);
+    }
+
+    /**
+     * Comparable form of an ID; empty string for a missing one
+     */
+    normalize(value) {
+        let id = value === null || value === undefined ? '' : String(value).trim();
+        if (!this.options.caseSensitive) {
+            id = id.toLowerCase();
+        }
+        if (this.stripPattern) {
+            id = id.replace(this.stripPattern, '');
+        }
+        if (this.options.stripLeadingZeros) {
+            id = id.replace(/^0+(?=.)/, '');
+        }
+        return id;
+    }
+
+    // Normalized ID -> shared set of every ID it is an alias of (including itself)
+    buildAliasGroups(aliases) {
+        const groups = new Map();
+        Object.entries(aliases || {}).forEach(([id, others]) => {
+            const ids = [id, ...[].concat(others)].map(value => this.normalize(value)).filter(Boolean);
+            const group = new Set(ids);
+            ids.forEach(member => (groups.get(member) || []).forEach(other => group.add(other)));
+            group.forEach(member => groups.set(member, group));
+        });
+        return groups;
+    }
+
+    aliasesOf(normalizedId) {
+        return this.aliasGroups.get(normalizedId) || new Set([normalizedId]);
+    }
+
+    fieldIds(product, fields) {
+        return fields.map(field => this.normalize(product[field])).filter(Boolean);
+    }
+
+    /**
+     * How a returned product matches an expected ID
+     * @returns {string|null} - One of IDENTITY_MATCHES, null when it is a different product
+     */
+    matchProduct(expectedId, product) {
+        const expected = this.normalize(expectedId);
+        if (!expected || !product) {
+            return null;
+        }
+        if (this.normalize(product.sku) === expected) {
+            return IDENTITY_MATCHES.SKU;
+        }
+        const alternateIds = this.fieldIds(product, this.options.alternateIdFields);
+        if (alternateIds.includes(expected)) {
+            return IDENTITY_MATCHES.ALTERNATE_ID;
+        }
+        const aliases = this.aliasesOf(expected);
+        if ([this.normalize(product.sku), ...alternateIds].some(id => aliases.has(id))) {
+            return IDENTITY_MATCHES.ALIAS;
+        }
+        if (this.options.matchVariants && this.fieldIds(product, this.options.parentIdFields).some(id => aliases.has(id))) {
+            return IDENTITY_MATCHES.VARIANT;
+        }
+        return null;
+    }
+
+    /**
+     * Best match of an expected ID in a result list; among equally strong matches the first wins
+     * @returns {Object|null} - { product, index, kind }, null when nothing matches
+     */
+    findProduct(expectedId, products) {
+        let best = null;
+        for (let index = 0; index < (products || []).length; index++) {
+            const kind = this.matchProduct(expectedId, products[index]);
+            if (kind && (!best || MATCH_STRENGTH.indexOf(kind) < MATCH_STRENGTH.indexOf(best.kind))) {
+                best = { product: products[index], index, kind };
+                if (kind === IDENTITY_MATCHES.SKU) {
+                    break;
+                }
+            }
+        }
+        return best;
+    }
+}
+
+const DEFAULT_IDENTITY = new ProductIdentity();
+
+/**
+ * How a product was matched for logs and report cells, e.g. "variant 30100004-B"; empty for a plain SKU match
+ */
+function describeIdentityMatch(found) {
+    if (!found || found.kind === IDENTITY_MATCHES.SKU) {
+        return '';
+    }
+    return `${found.kind.toLowerCase()} ${found.product.sku}`;
+}
+
+const identities = new Map();
+
+/**
+ * Product identity for a resolved run config, loaded once per process
+ */
+function getProductIdentity(config) {
+    const cacheKey = `${config.paths.skuAliases || ''}|${JSON.stringify(config.identity || {})}`;
+    if (!identities.has(cacheKey)) {
+        identities.set(cacheKey, ProductIdentity.fromConfig(config));
+    }
+    return identities.get(cacheKey);
+}
+
+module.exports = {
+    IDENTITY_MATCHES,
+    ProductIdentity,
+    DEFAULT_IDENTITY,
+    getProductIdentity,
+    describeIdentityMatch
+};
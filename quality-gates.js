@@ -0,0 +1,132 @@
+const { isFailedResult } = require('./test-cases');
+const { summarizeQuery, diffRuns, formatPercent, CHANGE_TYPES } = require('./run-diff');
+
+/**
+ * Run-level quality gates: thresholds a whole run must meet for the suite to pass
+ *
+ * Each gate in the config's gates section is off while its value is null, unset or "". Per-query floors come
+ * from the input file (min_accuracy, min_first_page_coverage) and fail their own query test too;
+ * the gate collects every breach so the summary lists them in one place. The regression gate
+ * compares with gates.baselineRun, compared with the current rules: a run file, CSV or run directory,
+ * relative to the config file, or the ID of a run in paths.runsDir.
+ */
+
+/**
+ * Whether a gate threshold or query floor is set; an unset or empty one is off, never 0
+ */
+function isGateOn(value) {
+    return value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * Exact position matches over every positioned expected product of the run, in percent
+ */
+function overallMatchRate(results) {
+    const expected = results.reduce((total, result) => total + result.comparison.counts.expected, 0);
+    const matches = results.reduce((total, result) => total + result.comparison.counts.matches, 0);
+    return expected > 0 ? (matches / expected) * 100 : null;
+}
+
+/**
+ * Mean first page coverage of the queries that have one, in percent
+ */
+function averageCoverage(results) {
+    const coverages = results.map(result => summarizeQuery(result).coverage).filter(coverage => coverage !== null);
+    return coverages.length > 0 ? coverages.reduce((total, coverage) => total + coverage, 0) / coverages.length : null;
+}
+
+/**
+ * A query's accuracy and first page coverage against the floors of its input rows
+ * @param {Object} expectations - The query's expectations, with minAccuracy and minCoverage
+ * @param {Object} result - Query result with its comparison
+ * @returns {Array} - [{ name, floor, actual, passed }], empty when the query sets no floor
+ */
+function checkQueryFloors(expectations, result) {
+    const { accuracy, coverage } = summarizeQuery(result);
+    const floors = [
+        { name: 'accuracy', floor: (expectations || {}).minAccuracy, actual: accuracy },
+        { name: 'first page coverage', floor: (expectations || {}).minCoverage, actual: coverage }
+    ];
+    return floors
+        .filter(({ floor }) => isGateOn(floor))
+        .map(check => ({ ...check, passed: check.actual !== null && check.actual >= check.floor }));
+}
+
+function formatFloorCheck(check) {
+    return `${check.name} ${formatPercent(check.actual)} ${check.passed ? '>=' : 'below'} floor ${check.floor}%`;
+}
+
+function gate(name, passed, actual, threshold, breaches = []) {
+    return { name, passed, actual, threshold, breaches };
+}
+
+/**
+ * Evaluate the configured gates on a run
+ * @param {Array} results - Per-query results of the run, with comparisons
+ * @param {Object} gatesConfig - The config's gates section
+ * @param {Array} [baselineResults] - Baseline run's results compared with the same rules, for the regression gate
+ * @returns {Array} - [{ name, passed, actual, threshold, breaches }] of the gates that are on
+ */
+function evaluateGates(results, gatesConfig, baselineResults = null) {
+    const gates = [];
+    const { minMatchRate, minFirstPageCoverage, maxFailedQueries, maxRegressionPoints } = gatesConfig;
+
+    if (isGateOn(minMatchRate)) {
+        const rate = overallMatchRate(results);
+        gates.push(gate('Overall match rate', rate !== null && rate >= minMatchRate, formatPercent(rate), `>= ${minMatchRate}%`));
+    }
+    if (isGateOn(minFirstPageCoverage)) {
+        const coverage = averageCoverage(results);
+        gates.push(gate('Mean first page coverage', coverage !== null && coverage >= minFirstPageCoverage, formatPercent(coverage), `>= ${minFirstPageCoverage}%`));
+    }
+    if (isGateOn(maxFailedQueries)) {
+        const failed = results.filter(isFailedResult);
+        gates.push(gate('Failed queries', failed.length <= maxFailedQueries, failed.length, `<= ${maxFailedQueries}`,
+            failed.map(result => `"${result.query}": ${result.testResult}`)));
+    }
+
+    const floorBreaches = results.flatMap(result => checkQueryFloors(result.expectations, result)
+        .filter(check => !check.passed)
+        .map(check => `"${result.query}": ${formatFloorCheck(check)}`));
+    if (results.some(result => checkQueryFloors(result.expectations, result).length > 0)) {
+        gates.push(gate('Per-query floors', floorBreaches.length === 0, `${floorBreaches.length} breached`, 'none breached', floorBreaches));
+    }
+
+    if (isGateOn(maxRegressionPoints) && baselineResults) {
+        const before = overallMatchRate(baselineResults);
+        const after = overallMatchRate(results);
+        const drop = before !== null && after !== null ? before - after : 0;
+        const queryDrops = diffRuns(baselineResults, results).changes
+            .filter(change => change.type === CHANGE_TYPES.ACCURACY && -change.delta > maxRegressionPoints)
+            .map(change => `"${change.query}": accuracy ${change.before} -> ${change.after} (${change.detail})`);
+        const breaches = drop > maxRegressionPoints ? [`Overall match rate ${formatPercent(before)} -> ${formatPercent(after)}`, ...queryDrops] : queryDrops;
+        gates.push(gate('Regression vs baseline', breaches.length === 0, `overall ${drop > 0 ? '-' : '+'}${Math.abs(drop).toFixed(1)} points`,
+            `<= ${maxRegressionPoints} points`, breaches));
+    }
+    return gates;
+}
+
+/**
+ * Readable summary of evaluated gates, one line per gate and its breaches indented below
+ */
+function formatGateSummary(gates) {
+    const failed = gates.filter(item => !item.passed);
+    const lines = [`Quality gates: ${gates.length - failed.length}/${gates.length} passed`];
+    gates.forEach(item => {
+        lines.push(`${item.passed ? '✅' : '❌'} ${item.name}: ${item.actual} (required ${item.threshold})`);
+        if (!item.passed) {
+            item.breaches.forEach(breach => lines.push(`     • ${breach}`));
+        }
+    });
+    return lines.join('\n');
+}
+
+module.exports = {
+    isGateOn,
+    overallMatchRate,
+    averageCoverage,
+    checkQueryFloors,
+    formatFloorCheck,
+    evaluateGates,
+    formatGateSummary
+};
@@ -0,0 +1,128 @@
+/**
+ * Every check of a query derived from its returned and expected products, and the verdict they add up to
+ *
+ * gradeQuery fills in a result's ranking metrics, term positions, relevance noise, rank constraints,
+ * forbidden products, total range check and floors, then its outcome and test result. The query test
+ * grades each result as it is fetched; the report, diff and gates commands grade saved results again,
+ * so options and code changed since the run apply to every derived field, not only the comparison.
+ * Failed queries have nothing to grade and keep their error. Results imported from a CSV carry
+ * neither their expectations nor product descriptions, so their outcome, term positions and noise
+ * stay as imported.
+ */
+
+const { QUERY_OUTCOMES, emptyExpectations, allowsZeroResults, checkTotalResults } = require('./test-cases');
+const { computeRankingMetrics } = require('./ranking-metrics');
+const { analyzeWordPositions } = require('./term-positions');
+const { detectRelevanceNoise } = require('./relevance-noise');
+const { evaluateRankConstraints } = require('./rank-constraints');
+const { findForbiddenProducts, findUncheckedForbiddenRules } = require('./forbidden-products');
+const { checkQueryFloors, formatFloorCheck } = require('./quality-gates');
+const { DEFAULT_IDENTITY } = require('./product-identity');
+
+function isErrorResult(result) {
+    return result.outcome === QUERY_OUTCOMES.ERROR || result.apiStatus === 'ERROR';
+}
+
+/**
+ * Outcome of a query that answered: results, zero results, or either one against its expectation
+ */
+function queryOutcome(result, expectations) {
+    if (result.actualProducts.length > 0) {
+        return expectations.zeroResults ? QUERY_OUTCOMES.UNEXPECTED_RESULTS : QUERY_OUTCOMES.RESULTS;
+    }
+    return allowsZeroResults({ expectations, expectedProducts: result.expectedProducts })
+        ? QUERY_OUTCOMES.ZERO_RESULTS_EXPECTED
+        : QUERY_OUTCOMES.ZERO_RESULTS;
+}
+
+/**
+ * Test result of a graded query; the first failing check names the failure and wraps the result before it
+ * @param {Object} result - Graded query result, see gradeQuery
+ * @param {Object} config - Resolved run config; contract.strict makes contract violations fail
+ * @returns {string} - e.g. "3/4 matches", "FAIL - 1 forbidden product(s) returned (3/4 matches)"
+ */
+function queryTestResult(result, config) {
+    const { counts } = result.comparison;
+    const failures = [];
+
+    if (result.outcome === QUERY_OUTCOMES.UNEXPECTED_RESULTS) {
+        failures.push(`Expected zero results but got ${result.actualProducts.length} products`);
+    } else if (result.outcome === QUERY_OUTCOMES.ZERO_RESULTS) {
+        failures.push(`Zero results returned (${result.expectedProducts.length} expected products)`);
+    }
+    const failedConstraints = result.rankConstraints.filter(constraint => !constraint.passed);
+    if (failedConstraints.length > 0) {
+        failures.push(`${failedConstraints.length} of ${result.rankConstraints.length} rank constraint(s) failed`);
+    }
+    if (result.forbiddenProducts.length > 0) {
+        failures.push(`${result.forbiddenProducts.length} forbidden product(s) returned`);
+    }
+    if (config.contract.strict && (result.contractViolations || []).length > 0) {
+        failures.push(`Response contract ${result.contractVersion || config.contract.schemaVersion} violated in ${result.contractViolations.length} place(s)`);
+    }
+    if (result.totalResultsCheck && !result.totalResultsCheck.passed) {
+        const { min, max, actual } = result.totalResultsCheck;
+        failures.push(`Total results ${actual} outside expected range ${min !== null ? min : '*'}-${max !== null ? max : '*'}`);
+    }
+    const breachedFloors = result.floorChecks.filter(check => !check.passed);
+    if (breachedFloors.length > 0) {
+        failures.push(breachedFloors.map(formatFloorCheck).join('; '));
+    }
+
+    const passed = result.outcome === QUERY_OUTCOMES.ZERO_RESULTS_EXPECTED
+        ? 'PASS - Zero results as expected'
+        : `${counts.matches}/${counts.expected} matches`;
+    // Zero and unexpected results have nothing to wrap; a later check wraps the passing result
+    if (failures.length === 0) {
+        return passed;
+    }
+    const [first] = failures;
+    return [QUERY_OUTCOMES.UNEXPECTED_RESULTS, QUERY_OUTCOMES.ZERO_RESULTS].includes(result.outcome)
+        ? `FAIL - ${first}`
+        : `FAIL - ${first} (${passed})`;
+}
+
+/**
+ * Derive every check of a query from its returned products, comparison and expectations
+ * @param {Object} result - Query result with actualProducts, expectedProducts, expectations and its comparison
+ * @param {Object} config - Resolved run config (metrics, analysis and contract options)
+ * @param {ProductIdentity} [identity] - Matcher from the run config
+ * @returns {Object} - The result with outcome, rankingMetrics, termPositions, noise, rankConstraints,
+ *   forbiddenProducts, uncheckedForbiddenRules, totalResultsCheck, floorChecks and testResult set; failed queries unchanged
+ */
+function gradeQuery(result, config, identity = DEFAULT_IDENTITY) {
+    if (isErrorResult(result)) {
+        return result;
+    }
+    const expectations = { ...emptyExpectations(), ...result.expectations };
+    const actualProducts = result.actualProducts || [];
+    const imported = result.importedFrom === 'csv';
+    const analyzed = actualProducts.length > 0 && !imported;
+    const graded = {
+        ...result,
+        actualProducts,
+        outcome: imported && result.outcome ? result.outcome : queryOutcome({ ...result, actualProducts }, expectations),
+        rankingMetrics: computeRankingMetrics(result.expectedProducts, actualProducts, config.metrics.k, identity),
+        termPositions: analyzed
+            ? analyzeWordPositions(actualProducts, result.query, config.analysis.termPositionDepth)
+            : result.termPositions || null,
+        noise: analyzed
+            ? detectRelevanceNoise(result.query, result.expectedProducts, actualProducts, {
+                depth: config.analysis.noiseDepth,
+                minTokenCoverage: config.analysis.noiseMinTokenCoverage
+            }, identity)
+            : result.noise || null,
+        rankConstraints: evaluateRankConstraints(result.expectedProducts, actualProducts, identity),
+        forbiddenProducts: findForbiddenProducts(expectations.forbidden, actualProducts, identity),
+        uncheckedForbiddenRules: findUncheckedForbiddenRules(expectations.forbidden, result.unfetchedRanges),
+        totalResultsCheck: checkTotalResults(expectations, result.totalResults)
+    };
+    graded.floorChecks = checkQueryFloors(expectations, graded);
+    graded.testResult = queryTestResult(graded, config);
+    return graded;
+}
+
+module.exports = {
+    gradeQuery,
+    queryTestResult
+};
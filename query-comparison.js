@@ -0,0 +1,337 @@
+/**
+ * The comparison of a query's returned products with its expected products, shared by every output
+ *
+ * compareQuery decides each expected product's status once. The console log, the CSV, the Excel
+ * sheets and the HTML report all render the object it returns, so their numbers always agree.
+ * An expected product with a position is, in order:
+ * - Match when the product at that position is it, by SKU, alternate ID or alias
+ * - Near Match, Same Page, Earlier Page or Later Page by where it was found instead
+ * - Variant Match when only a variant of it was returned
+ * - Possible SKU Change when a product with a very similar name was returned under another SKU
+ * - Not Fetched when its position was never fetched
+ * - Not Match otherwise
+ */
+
+const { QUERY_OUTCOMES, POSITION_MATCHES, MISPLACED_MATCHES, classifyPosition, gradedMatchRate, relevanceWeight } = require('./test-cases');
+const { IDENTITY_MATCHES, DEFAULT_IDENTITY, describeIdentityMatch } = require('./product-identity');
+const { formatSkuChange } = require('./sku-changes');
+
+// Expected products not found under any ID
+const NOT_FOUND_MATCHES = [POSITION_MATCHES.NOT_MATCH, POSITION_MATCHES.POSSIBLE_SKU_CHANGE, POSITION_MATCHES.NOT_FETCHED];
+
+// Absolute position of a returned product; products from before pagination was tracked have none
+function positionOf(product, index) {
+    return product.absolutePosition || index + 1;
+}
+
+/**
+ * The unfetched range a position falls in, if any
+ */
+function findUnfetchedRange(unfetchedRanges, position) {
+    return (unfetchedRanges || []).find(range => position >= range.from && position <= range.to) || null;
+}
+
+/**
+ * Where one expected product was found and how that compares with its expected position
+ */
+function compareExpectedProduct(expected, actualProducts, options) {
+    const { identity, tolerance, pageSize, unfetchedRanges, skuChanges } = options;
+    const expectedPosition = parseInt(expected.expectedPosition) || null;
+    const entry = {
+        expectedName: expected.expectedName,
+        expectedSku: expected.expectedSku,
+        expectedPosition,
+        relevance: expected.relevance === undefined ? null : expected.relevance,
+        onFirstPage: !!expected.onFirstPage || (expectedPosition !== null && expectedPosition <= pageSize),
+        match: POSITION_MATCHES.NOT_MATCH,
+        actualPosition: null,
+        pageNumber: null,
+        actualName: null,
+        actualSku: null,
+        identityMatch: null,
+        skuChange: null,
+        unfetchedReason: null
+    };
+
+    // The product at the expected position wins over an earlier copy of it; a variant there only counts when the parent is nowhere
+    let found = null;
+    const indexAtPosition = expectedPosition ? actualProducts.findIndex((product, index) => positionOf(product, index) === expectedPosition) : -1;
+    if (indexAtPosition !== -1) {
+        const kind = identity.matchProduct(expected.expectedSku, actualProducts[indexAtPosition]);
+        if (kind && kind !== IDENTITY_MATCHES.VARIANT) {
+            found = { product: actualProducts[indexAtPosition], index: indexAtPosition, kind };
+        }
+    }
+    found = found || identity.findProduct(expected.expectedSku, actualProducts);
+
+    if (found) {
+        entry.actualPosition = positionOf(found.product, found.index);
+        entry.pageNumber = found.product.pageNumber || 1;
+        entry.actualName = found.product.name || null;
+        entry.actualSku = found.product.sku || null;
+        entry.identityMatch = found.kind;
+        if (found.kind === IDENTITY_MATCHES.VARIANT) {
+            entry.match = POSITION_MATCHES.VARIANT_MATCH;
+        } else {
+            // Without an expected position there is nothing to bucket against
+            entry.match = expectedPosition ? classifyPosition(expectedPosition, entry.actualPosition, tolerance, pageSize) : null;
+        }
+        return entry;
+    }
+
+    const skuChange = skuChanges.find(change => change.expectedSku === expected.expectedSku);
+    if (skuChange) {
+        entry.match = POSITION_MATCHES.POSSIBLE_SKU_CHANGE;
+        entry.skuChange = skuChange;
+        entry.actualPosition = skuChange.position;
+        entry.pageNumber = skuChange.page;
+        entry.actualName = skuChange.candidateName;
+        entry.actualSku = skuChange.candidateSku;
+        return entry;
+    }
+
+    const unfetched = expectedPosition ? findUnfetchedRange(unfetchedRanges, expectedPosition) : null;
+    if (unfetched) {
+        entry.match = POSITION_MATCHES.NOT_FETCHED;
+        entry.unfetchedReason = unfetched.reason;
+    }
+    return entry;
+}
+
+/**
+ * One row per returned product, with the expected product of its position, plus a row for each
+ * expected position the API returned no product for
+ */
+function buildRows(expected, actualProducts) {
+    const claimed = new Set();
+    const rows = actualProducts.map((product, index) => {
+        const position = positionOf(product, index);
+        const expectedIndex = expected.findIndex((entry, i) => entry.expectedPosition === position && !claimed.has(i));
+        if (expectedIndex !== -1) {
+            claimed.add(expectedIndex);
+        }
+        return {
+            position,
+            page: product.pageNumber || 1,
+            actualName: product.name || null,
+            actualSku: product.sku || null,
+            expectedIndex: expectedIndex !== -1 ? expectedIndex : null
+        };
+    });
+
+    expected.forEach((entry, expectedIndex) => {
+        if (entry.expectedPosition && !claimed.has(expectedIndex)) {
+            rows.push({ position: entry.expectedPosition, page: null, actualName: null, actualSku: null, expectedIndex });
+        }
+    });
+    // Gaps can sit between fetched positions, so keep the rows in position order
+    return rows.sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Match counts of the expected products that have a position
+ */
+function countMatches(expected) {
+    const positioned = expected.filter(entry => entry.expectedPosition);
+    const count = match => positioned.filter(entry => entry.match === match).length;
+    const misplaced = Object.fromEntries(MISPLACED_MATCHES.map(bucket => [bucket, count(bucket)]));
+    const matches = count(POSITION_MATCHES.MATCH);
+
+    return {
+        expected: positioned.length,
+        matches,
+        nearMatches: count(POSITION_MATCHES.NEAR_MATCH),
+        variantMatches: count(POSITION_MATCHES.VARIANT_MATCH),
+        misplaced,
+        mismatches: MISPLACED_MATCHES.reduce((total, bucket) => total + misplaced[bucket], 0),
+        notFound: positioned.filter(entry => NOT_FOUND_MATCHES.includes(entry.match)).length,
+        skuChanges: count(POSITION_MATCHES.POSSIBLE_SKU_CHANGE),
+        notFetched: count(POSITION_MATCHES.NOT_FETCHED),
+        matchRate: positioned.length > 0 ? (matches / positioned.length) * 100 : null,
+        graded: gradedMatchRate(positioned)
+    };
+}
+
+/**
+ * Expected products found among the products the API returned as page 1, however many that was
+ * Only products expected on page 1 (by position or on_page_1) count; weights are relevance grades
+ */
+function trackFirstPage(expected, actualProducts) {
+    if (expected.length === 0 || actualProducts.length === 0) {
+        return null;
+    }
+    const expectedOnFirstPage = expected.filter(entry => entry.onFirstPage);
+    const foundProducts = expectedOnFirstPage.filter(entry => entry.identityMatch && entry.pageNumber === 1);
+    const firstPageSize = actualProducts.filter(product => (product.pageNumber || 1) === 1).length;
+
+    return {
+        foundOnFirstPage: foundProducts.length,
+        totalExpected: expected.length,
+        firstPageSize,
+        coverage: firstPageSize > 0 ? (foundProducts.length / firstPageSize) * 100 : null,
+        expectedWeight: expectedOnFirstPage.reduce((total, entry) => total + relevanceWeight(entry), 0),
+        foundWeight: foundProducts.reduce((total, entry) => total + relevanceWeight(entry), 0),
+        foundProducts: foundProducts.map(entry => ({
+            expectedName: entry.expectedName,
+            expectedSku: entry.expectedSku,
+            relevance: entry.relevance,
+            identityMatch: entry.identityMatch,
+            actualPosition: entry.actualPosition
+        }))
+    };
+}
+
+/**
+ * Compare the products a query returned with its expected products
+ * @param {Array} expectedProducts - Expected products of the query
+ * @param {Array} actualProducts - Products the API returned, with absolutePosition and pageNumber
+ * @param {Object} options - { pageSize, tolerance, unfetchedRanges, skuChanges, identity }
+ * @returns {Object} - { expected, rows, counts, firstPage }: one entry per expected product, one row per
+ *   reported position (expectedIndex points into expected), match counts and page 1 tracking
+ */
+function compareQuery(expectedProducts, actualProducts, options = {}) {
+    const actual = actualProducts || [];
+    const settings = {
+        identity: options.identity || DEFAULT_IDENTITY,
+        tolerance: options.tolerance || 0,
+        pageSize: options.pageSize || actual.length || 1,
+        unfetchedRanges: options.unfetchedRanges || [],
+        skuChanges: options.skuChanges || []
+    };
+    const expected = (expectedProducts || []).map(product => compareExpectedProduct(product, actual, settings));
+
+    return {
+        expected,
+        rows: buildRows(expected, actual),
+        counts: countMatches(expected),
+        firstPage: trackFirstPage(expected, actual)
+    };
+}
+
+/**
+ * Comparison of a query that got no answer from the API
+ */
+function emptyComparison() {
+    return { expected: [], rows: [], counts: countMatches([]), firstPage: null };
+}
+
+/**
+ * The comparison of a saved result; results saved before it was stored are compared again from their products
+ */
+function getComparison(result, identity = DEFAULT_IDENTITY) {
+    if (result.comparison) {
+        return result.comparison;
+    }
+    if (result.outcome === QUERY_OUTCOMES.ERROR || result.apiStatus === 'ERROR') {
+        return emptyComparison();
+    }
+    return compareQuery(result.expectedProducts, result.actualProducts, {
+        pageSize: result.pageSize,
+        tolerance: result.positionTolerance,
+        unfetchedRanges: result.unfetchedRanges,
+        skuChanges: result.skuChanges,
+        identity
+    });
+}
+
+/**
+ * Results with their comparisons filled in, so every report of a run renders the same ones
+ * Results saved before comparisons were stored are compared once here, with the run's identity
+ */
+function withComparisons(results, identity = DEFAULT_IDENTITY) {
+    return results.map(result => result.comparison ? result : { ...result, comparison: getComparison(result, identity) });
+}
+
+/**
+ * Actual Position cell of an expected product, e.g. 12, "Position Not Fetched (page limit)"
+ */
+function formatActualPosition(entry) {
+    if (entry.actualPosition) {
+        return entry.actualPosition;
+    }
+    if (entry.match === POSITION_MATCHES.NOT_FETCHED) {
+        return `Position Not Fetched (${entry.unfetchedReason})`;
+    }
+    return `No Record Found For Expected SKU :- ${entry.expectedSku}`;
+}
+
+/**
+ * Status of an expected product for logs, e.g. "Near Match - Found at Position 5 (alias 30300102)"
+ */
+function describeExpectedProduct(entry) {
+    if (entry.match === POSITION_MATCHES.POSSIBLE_SKU_CHANGE) {
+        return `Possible SKU change: ${formatSkuChange(entry.skuChange)}`;
+    }
+    if (entry.match === POSITION_MATCHES.NOT_FETCHED) {
+        return `Not Fetched (${entry.unfetchedReason})`;
+    }
+    if (!entry.identityMatch) {
+        return 'Not Found';
+    }
+    const via = describeIdentityMatch({ kind: entry.identityMatch, product: { sku: entry.actualSku } });
+    const status = entry.match === POSITION_MATCHES.MATCH
+        ? 'Exact Match'
+        : `${entry.match ? `${entry.match} - ` : ''}Found at Position ${entry.actualPosition}`;
+    return `${status}${via ? ` (${via})` : ''}`;
+}
+
+/**
+ * First Page Count cell, e.g. "3 of 24"
+ */
+function formatFirstPageCount(firstPage) {
+    return firstPage ? `${firstPage.foundOnFirstPage} of ${firstPage.firstPageSize}` : 'N/A';
+}
+
+/**
+ * First Page Coverage % cell, e.g. "12.5%"
+ */
+function formatFirstPageCoverage(firstPage) {
+    return firstPage && firstPage.coverage !== null ? `${firstPage.coverage.toFixed(1)}%` : 'N/A';
+}
+
+/**
+ * Rows of a query as every report shows them, with empty cells already filled in
+ * A query that expected zero results, or got no response, still gets one row carrying its outcome
+ * @returns {Array} - [{ expectedName, actualName, expectedSku, actualSku, expectedPosition, actualPosition, match, relevance, skuChange }]
+ */
+function getReportRows(result, identity = DEFAULT_IDENTITY) {
+    const comparison = getComparison(result, identity);
+    if (comparison.rows.length > 0) {
+        return comparison.rows.map(row => {
+            const entry = row.expectedIndex !== null ? comparison.expected[row.expectedIndex] : null;
+            return {
+                expectedName: entry ? entry.expectedName : '',
+                actualName: row.actualName || 'No Product',
+                expectedSku: entry ? entry.expectedSku : '',
+                actualSku: row.actualSku || 'N/A',
+                expectedPosition: row.position,
+                actualPosition: entry ? formatActualPosition(entry) : '',
+                match: entry ? entry.match : '',
+                relevance: entry && entry.relevance !== null ? entry.relevance : '',
+                skuChange: entry ? entry.skuChange : null
+            };
+        });
+    }
+    if (result.outcome === QUERY_OUTCOMES.ZERO_RESULTS_EXPECTED) {
+        return [{ expectedName: '', actualName: 'No Product', expectedSku: '', actualSku: 'N/A', expectedPosition: '', actualPosition: '', match: '', relevance: '', skuChange: null }];
+    }
+    // Failed queries carry no expected product details, so they never read as found or not found
+    if (result.outcome === QUERY_OUTCOMES.ERROR) {
+        return [{ expectedName: 'No Response', actualName: 'No Response', expectedSku: 'No Response', actualSku: 'No Response', expectedPosition: 1, actualPosition: '', match: 'No Response', relevance: '', skuChange: null }];
+    }
+    return [];
+}
+
+module.exports = {
+    NOT_FOUND_MATCHES,
+    findUnfetchedRange,
+    compareQuery,
+    emptyComparison,
+    getComparison,
+    withComparisons,
+    formatActualPosition,
+    describeExpectedProduct,
+    formatFirstPageCount,
+    formatFirstPageCoverage,
+    getReportRows
+};
@@ -0,0 +1,62 @@
+const util = require('util');
+
+/**
+ * Collects everything a query test writes to the console
+ * When several queries run at once it holds the lines back and prints them as one block, so their
+ * logs don't interleave; with one worker it passes each line through as it is written
+ */
+class QueryLogBuffer {
+    constructor(title) {
+        this.title = title;
+        this.lines = [];
+        this.original = null;
+        this.passThrough = false;
+    }
+
+    /**
+     * Redirect console.log/warn/error into the buffer until release()
+     * @param {Object} [options] - { passThrough: true } to also write each line to the console right away
+     */
+    capture(options = {}) {
+        if (this.original) {
+            return;
+        }
+        const original = { log: console.log, warn: console.warn, error: console.error };
+        this.original = original;
+        this.passThrough = !!options.passThrough;
+        const collect = method => (...args) => {
+            this.lines.push(util.format(...args));
+            if (this.passThrough) {
+                original[method](...args);
+            }
+        };
+        console.log = collect('log');
+        console.warn = collect('warn');
+        console.error = collect('error');
+    }
+
+    /**
+     * Restore the console and print the buffered lines under the query title
+     * @returns {string} - The buffered log text
+     */
+    release() {
+        const text = this.lines.join('\n');
+        if (!this.original) {
+            return text;
+        }
+
+        Object.assign(console, this.original);
+        this.original = null;
+
+        // Passed-through lines are already on the console
+        if (text && !this.passThrough) {
+            // A single write keeps the block together in the reporter output
+            console.log(`\n${'▼'.repeat(3)} ${this.title} ${'▼'.repeat(3)}\n${text}\n${'▲'.repeat(3)} ${this.title} ${'▲'.repeat(3)}`);
+        }
+        return text;
+    }
+}
+
+module.exports = {
+    QueryLogBuffer
+};
@@ -0,0 +1,95 @@
+/**
+ * Looser rank expectations on expected products, next to their exact positions
+ *
+ * Merchandisers often only care that a SKU is somewhere in a position range, on the first
+ * page, or above another SKU. Each constraint from the input file is checked on its own
+ * against the absolute positions the API returned, so every one gets its own pass/fail.
+ */
+
+const CONSTRAINT_TYPES = {
+    RANGE: 'Position Range',
+    FIRST_PAGE: 'Page 1',
+    ORDER: 'Ranks Above'
+};
+
+const { DEFAULT_IDENTITY } = require('./product-identity');
+
+/**
+ * Returned product the SKU resolves to (its own SKU, an alias or a variant), or null when it was not returned
+ */
+function findActualProduct(actualProducts, sku, identity) {
+    const found = identity.findProduct(sku, actualProducts);
+    return found ? found.product : null;
+}
+
+function describePosition(product) {
+    return product ? `at position ${product.absolutePosition}` : 'not returned';
+}
+
+/**
+ * Evaluate every rank constraint of a query's expected products
+ * @param {Array} expectedProducts - [{ expectedSku, expectedName, positionMin, positionMax, onFirstPage, ranksAbove }]
+ * @param {Array} actualProducts - Products the API returned, with absolutePosition and pageNumber
+ * @param {ProductIdentity} [identity] - Matcher from the run config
+ * @returns {Array} - [{ type, sku, expectedName, description, actual, passed }] in input order
+ */
+function evaluateRankConstraints(expectedProducts, actualProducts, identity = DEFAULT_IDENTITY) {
+    const evaluations = [];
+
+    (expectedProducts || []).forEach(expected => {
+        const actual = findActualProduct(actualProducts, expected.expectedSku, identity);
+        const base = { sku: expected.expectedSku, expectedName: expected.expectedName };
+
+        // Expected products saved before rank constraints existed, or imported from a CSV, have no range fields
+        const positionMin = expected.positionMin === undefined ? null : expected.positionMin;
+        const positionMax = expected.positionMax === undefined ? null : expected.positionMax;
+        if (positionMin !== null || positionMax !== null) {
+            const min = positionMin !== null ? positionMin : 1;
+            const max = positionMax;
+            evaluations.push({
+                ...base,
+                type: CONSTRAINT_TYPES.RANGE,
+                description: `${expected.expectedSku} in positions ${min}-${max !== null ? max : '*'}`,
+                actual: describePosition(actual),
+                passed: !!actual && actual.absolutePosition >= min && (max === null || actual.absolutePosition <= max)
+            });
+        }
+
+        if (expected.onFirstPage) {
+            evaluations.push({
+                ...base,
+                type: CONSTRAINT_TYPES.FIRST_PAGE,
+                description: `${expected.expectedSku} on page 1`,
+                actual: actual ? `on page ${actual.pageNumber || 1}, ${describePosition(actual)}` : 'not returned',
+                passed: !!actual && (actual.pageNumber || 1) === 1
+            });
+        }
+
+        // A lower SKU that was not returned ranks below everything that was
+        (expected.ranksAbove || []).forEach(lowerSku => {
+            const lower = findActualProduct(actualProducts, lowerSku, identity);
+            evaluations.push({
+                ...base,
+                type: CONSTRAINT_TYPES.ORDER,
+                description: `${expected.expectedSku} ranks above ${lowerSku}`,
+                actual: `${describePosition(actual)} vs ${lowerSku} ${describePosition(lower)}`,
+                passed: !!actual && (!lower || actual.absolutePosition < lower.absolutePosition)
+            });
+        });
+    });
+
+    return evaluations;
+}
+
+/**
+ * One-line description of an evaluated constraint for logs and report cells
+ */
+function formatConstraint(evaluation) {
+    return `${evaluation.passed ? 'PASS' : 'FAIL'} ${evaluation.description} (${evaluation.actual})`;
+}
+
+module.exports = {
+    CONSTRAINT_TYPES,
+    evaluateRankConstraints,
+    formatConstraint
+};
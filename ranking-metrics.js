@@ -0,0 +1,129 @@
+/**
+ * Information-retrieval ranking metrics for one query's results
+ *
+ * The expected products from the input CSV are the relevant set, and their expected
+ * positions are the ideal ranking: the product expected at position 1 carries the highest
+ * gain, the last expected product the lowest. When a query has relevance grades, the grade
+ * is the gain instead and grade-0 products are not relevant. Actual ranks are the absolute
+ * positions the API returned, so products on pages that were never fetched count as not retrieved.
+ */
+
+const { relevanceWeight } = require('./test-cases');
+const { DEFAULT_IDENTITY } = require('./product-identity');
+
+const METRIC_NAMES = ['ndcg', 'mrr', 'precision', 'recall', 'averagePrecision'];
+
+/**
+ * Gain of each relevant expected product, keyed by normalized SKU
+ * Graded queries use the relevance grade; otherwise gain falls linearly with the ideal rank,
+ * n for the first expected product and 1 for the last
+ */
+function idealGains(expectedProducts, identity) {
+    const ideal = [...expectedProducts].sort((a, b) => (a.expectedPosition || Infinity) - (b.expectedPosition || Infinity));
+    const graded = ideal.some(product => product.relevance !== null && product.relevance !== undefined);
+    const gains = new Map();
+    ideal.forEach((product, index) => {
+        const sku = identity.normalize(product.expectedSku);
+        const gain = graded ? relevanceWeight(product) : ideal.length - index;
+        if (sku && gain > 0 && !gains.has(sku)) {
+            gains.set(sku, gain);
+        }
+    });
+    return gains;
+}
+
+function discountedGain(gain, rank) {
+    return gain / Math.log2(rank + 1);
+}
+
+/**
+ * Compute NDCG@k, MRR (reciprocal rank), precision@k, recall@k and average precision
+ * @param {Array} expectedProducts - [{ expectedSku, expectedPosition, relevance }] from the input CSV
+ * @param {Array} actualProducts - Products the API returned, with absolutePosition
+ * @param {number} k - Cut-off rank
+ * @param {ProductIdentity} [identity] - Matcher from the run config; aliases and variants count as retrieved
+ * @returns {Object|null} - { k, ndcg, mrr, precision, recall, averagePrecision, relevant, retrieved }, null without relevant expected products
+ */
+function computeRankingMetrics(expectedProducts, actualProducts, k, identity = DEFAULT_IDENTITY) {
+    const gains = idealGains(expectedProducts || [], identity);
+    if (gains.size === 0) {
+        return null;
+    }
+
+    // Rank of each expected product that was returned, at its best identity match
+    const rankBySku = new Map();
+    gains.forEach((gain, sku) => {
+        const found = identity.findProduct(sku, actualProducts);
+        if (found) {
+            rankBySku.set(sku, found.product.absolutePosition || found.index + 1);
+        }
+    });
+    const ranks = Array.from(rankBySku.values()).sort((a, b) => a - b);
+
+    // NDCG@k against the ideal order of the expected products
+    let dcg = 0;
+    rankBySku.forEach((rank, sku) => {
+        if (rank <= k) {
+            dcg += discountedGain(gains.get(sku), rank);
+        }
+    });
+    const idcg = Array.from(gains.values())
+        .sort((a, b) => b - a)
+        .slice(0, k)
+        .reduce((total, gain, index) => total + discountedGain(gain, index + 1), 0);
+
+    // Precision at each rank where a relevant product appears, averaged over all relevant products
+    const averagePrecision = ranks.reduce((total, rank, index) => total + (index + 1) / rank, 0) / gains.size;
+
+    const inTopK = ranks.filter(rank => rank <= k).length;
+
+    return {
+        k,
+        ndcg: idcg > 0 ? dcg / idcg : 0,
+        mrr: ranks.length > 0 ? 1 / ranks[0] : 0,
+        precision: inTopK / k,
+        // Capped so a query with more than k expected products can still reach 1
+        recall: inTopK / Math.min(k, gains.size),
+        averagePrecision,
+        relevant: gains.size,
+        retrieved: ranks.length
+    };
+}
+
+/**
+ * Mean of each metric over the queries that have metrics
+ * @param {Array} results - Per-query results with rankingMetrics
+ * @returns {Object|null} - { k, queries, ndcg, mrr, precision, recall, averagePrecision }
+ */
+function summarizeRankingMetrics(results) {
+    const measured = results.map(result => result.rankingMetrics).filter(Boolean);
+    if (measured.length === 0) {
+        return null;
+    }
+
+    const summary = { k: measured[0].k, queries: measured.length };
+    METRIC_NAMES.forEach(name => {
+        summary[name] = measured.reduce((total, metrics) => total + metrics[name], 0) / measured.length;
+    });
+    return summary;
+}
+
+/**
+ * Column labels for the metrics, e.g. NDCG@10
+ */
+function metricLabels(k) {
+    return {
+        ndcg: `NDCG@${k}`,
+        mrr: 'MRR',
+        precision: `Precision@${k}`,
+        recall: `Recall@${k}`,
+        averagePrecision: 'Average Precision'
+    };
+}
+
+module.exports = {
+    METRIC_NAMES,
+    computeRankingMetrics,
+    summarizeRankingMetrics,
+    metricLabels
+};
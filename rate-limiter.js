@@ -0,0 +1,216 @@
+// Helper function to add delay between API requests
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date) into milliseconds
+ * @returns {number|null} - null when the header is missing or unreadable
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Remaining-quota headers the search service or its gateway may send
+const RATE_LIMIT_REMAINING_HEADERS = ['x-ratelimit-remaining', 'x-rate-limit-remaining', 'ratelimit-remaining'];
+
+/**
+ * Whether a response shows signs of throttling: a throttle status, a Retry-After header,
+ * or a rate-limit quota header that has run out
+ * Lets a 200 with no results be told apart from a query that genuinely matches nothing
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Response headers with lowercase names
+ * @param {number[]} throttleStatuses - Statuses that always mean throttling
+ */
+function isThrottledResponse(status, headers = {}, throttleStatuses = [429, 503]) {
+    if (throttleStatuses.includes(status)) {
+        return true;
+    }
+    if (parseRetryAfter(headers['retry-after']) !== null) {
+        return true;
+    }
+    return RATE_LIMIT_REMAINING_HEADERS.some(name =>
+        headers[name] !== undefined && headers[name] !== '' && Number(headers[name]) <= 0
+    );
+}
+
+// What a search response means for the request loop
+const RESPONSE_KINDS = {
+    RESULTS: 'results',
+    // A 200 with no products and no throttling signal; re-checked before it counts as zero results
+    EMPTY: 'empty',
+    THROTTLED: 'throttled',
+    ERROR: 'error'
+};
+
+/**
+ * Classify a search response as products, an empty answer, throttling or an error
+ * A 200 with no products is throttling only when its headers say so, otherwise an empty answer
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Response headers with lowercase names
+ * @param {Object|null} data - Parsed body, null when the body was empty
+ * @param {number[]} throttleStatuses - Statuses that always mean throttling
+ * @returns {string} - One of RESPONSE_KINDS
+ */
+function classifySearchResponse(status, headers, data, throttleStatuses = [429, 503]) {
+    const throttled = isThrottledResponse(status, headers, throttleStatuses);
+    if (status !== 200) {
+        return throttled ? RESPONSE_KINDS.THROTTLED : RESPONSE_KINDS.ERROR;
+    }
+    if (data && Array.isArray(data.results) && data.results.length > 0) {
+        return RESPONSE_KINDS.RESULTS;
+    }
+    return throttled ? RESPONSE_KINDS.THROTTLED : RESPONSE_KINDS.EMPTY;
+}
+
+/**
+ * Paces every search request under one requests-per-second budget
+ *
+ * - acquire() spaces requests evenly at the current rate
+ * - backoff() waits after a failed attempt: Retry-After when the service sends one,
+ *   otherwise exponential backoff capped at backoffMaxMs
+ * - 429/503 responses (or failures marked throttled) halve the current rate; each success restores a tenth of the budget
+ * - shareBudget() splits the run-wide budget between parallel worker processes
+ * Every wait is logged with its reason.
+ */
+class RateLimiter {
+    constructor(options = {}) {
+        this.requestsPerSecond = options.requestsPerSecond || 0.5;
+        this.totalRequestsPerSecond = this.requestsPerSecond;
+        this.minRequestsPerSecond = Math.min(options.minRequestsPerSecond || 0.05, this.requestsPerSecond);
+        this.backoffBaseMs = options.backoffBaseMs !== undefined ? options.backoffBaseMs : 2000;
+        this.backoffMaxMs = options.backoffMaxMs !== undefined ? options.backoffMaxMs : 60000;
+        this.backoffJitter = options.backoffJitter !== undefined ? options.backoffJitter : 0.2;
+        this.retryAfterMaxMs = options.retryAfterMaxMs !== undefined ? options.retryAfterMaxMs : 120000;
+        this.throttleStatuses = options.throttleStatuses || [429, 503];
+        this.enabled = options.enabled !== false;
+        this.log = options.log || (message => console.log(message));
+
+        this.currentRate = this.requestsPerSecond;
+        this.nextSlotAt = 0;
+    }
+
+    /**
+     * Limiter for a resolved run config; pacing is off when replaying a cassette
+     */
+    static fromConfig(config, options = {}) {
+        return new RateLimiter({
+            ...config.rateLimit,
+            enabled: config.cassette.mode !== 'replay',
+            ...options
+        });
+    }
+
+    async wait(ms, reason) {
+        if (ms <= 0) {
+            return;
+        }
+        this.log(`   ⏳ Waiting ${(ms / 1000).toFixed(1)}s - ${reason}`);
+        await delay(ms);
+    }
+
+    /**
+     * Wait for the next request slot under the current rate
+     * @param {string} label - What the request is for, used in the log line
+     */
+    async acquire(label) {
+        if (!this.enabled) {
+            return;
+        }
+        const now = Date.now();
+        const slotAt = Math.max(now, this.nextSlotAt);
+        this.nextSlotAt = slotAt + 1000 / this.currentRate;
+        await this.wait(slotAt - now, `request budget ${this.currentRate.toFixed(2)} req/s, before ${label}`);
+    }
+
+    /**
+     * Take an even share of the run-wide budget when several workers send requests at once
+     * Throttling slows down only the worker that was throttled
+     * @param {number} workers - Number of worker processes sharing the budget
+     */
+    shareBudget(workers) {
+        const share = Math.max(1, workers || 1);
+        this.requestsPerSecond = this.totalRequestsPerSecond / share;
+        this.minRequestsPerSecond = Math.min(this.minRequestsPerSecond, this.requestsPerSecond);
+        this.currentRate = Math.min(this.currentRate, this.requestsPerSecond);
+    }
+
+    /**
+     * A request succeeded: recover towards the configured rate
+     */
+    recordSuccess() {
+        this.currentRate = Math.min(this.requestsPerSecond, this.currentRate + this.requestsPerSecond / 10);
+    }
+
+    /**
+     * Wait after a failed attempt before retrying
+     * @param {number} attempt - 1-based number of the attempt that failed
+     * @param {Object} failure - { status, headers, reason, throttled } of the failed attempt
+     * @param {string} label - What the request is for, used in the log line
+     * @returns {number} - Milliseconds waited
+     */
+    async backoff(attempt, failure = {}, label = '') {
+        if (!this.enabled) {
+            return 0;
+        }
+
+        const { status, headers = {}, reason = 'request failed' } = failure;
+        const throttled = !!failure.throttled || this.throttleStatuses.includes(status);
+        const retryAfterMs = parseRetryAfter(headers['retry-after']);
+        let waitMs;
+        let why;
+
+        if (throttled) {
+            this.currentRate = Math.max(this.minRequestsPerSecond, this.currentRate / 2);
+        }
+
+        if (retryAfterMs !== null) {
+            waitMs = Math.min(retryAfterMs, this.retryAfterMaxMs);
+            why = `Retry-After ${headers['retry-after']} on HTTP ${status}`;
+        } else {
+            const exponential = Math.min(this.backoffMaxMs, this.backoffBaseMs * Math.pow(2, attempt - 1));
+            const jitter = exponential * this.backoffJitter * (Math.random() * 2 - 1);
+            waitMs = Math.round(Math.min(this.backoffMaxMs, Math.max(0, exponential + jitter)));
+            why = `exponential backoff after attempt ${attempt} (${reason})`;
+        }
+
+        if (throttled) {
+            why += `, rate lowered to ${this.currentRate.toFixed(2)} req/s`;
+            // Hold back every later request too, not just this retry
+            this.nextSlotAt = Math.max(this.nextSlotAt, Date.now() + waitMs);
+        }
+
+        await this.wait(waitMs, label ? `${why}, before retrying ${label}` : why);
+        return waitMs;
+    }
+}
+
+const limiters = new Map();
+
+/**
+ * Rate limiter for a resolved run config, shared by every request in the process
+ */
+function getRateLimiter(config) {
+    const cacheKey = `${config.profile}:${config.cassette.mode}`;
+    if (!limiters.has(cacheKey)) {
+        limiters.set(cacheKey, RateLimiter.fromConfig(config));
+    }
+    return limiters.get(cacheKey);
+}
+
+module.exports = {
+    RESPONSE_KINDS,
+    RateLimiter,
+    getRateLimiter,
+    isThrottledResponse,
+    classifySearchResponse,
+    parseRetryAfter
+};
@@ -0,0 +1,122 @@
+/**
+ * Relevance noise: products that are neither expected nor plausibly relevant, ranking high
+ *
+ * Every non-expected product in the top N is scored by how many of the query's tokens appear
+ * anywhere in its name, brand, category or description. Products below the minimum coverage
+ * are flagged as likely irrelevant. The query's noise rate is the share of page 1's non-expected
+ * products that fall below it; all of page 1 is scored for it, whatever the depth.
+ */
+
+const { DEFAULT_IDENTITY } = require('./product-identity');
+
+function tokenize(text) {
+    return (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// Plural and singular forms count as the same token
+function stem(token) {
+    return token.length > 3 && token.endsWith('s') ? token.slice(0, -1) : token;
+}
+
+function productText(product) {
+    const category = Array.isArray(product.category) ? product.category.join(' ') : product.category;
+    return [product.name, product.brand, category, product.description].filter(Boolean).join(' ');
+}
+
+/**
+ * Share of the query tokens found in a product's name, brand, category and description
+ * A token also counts when it appears with punctuation removed, so "123" matches "1-2-3"
+ * @returns {Object} - { coverage, matchedTokens, missingTokens }
+ */
+function scoreTokenCoverage(product, queryTokens) {
+    const text = productText(product);
+    const tokens = new Set(tokenize(text).map(stem));
+    const squashed = text.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+    const matchedTokens = [];
+    const missingTokens = [];
+    queryTokens.forEach(token => {
+        // Short tokens like "v" would match inside almost any squashed text
+        if (tokens.has(stem(token)) || (token.length > 2 && squashed.includes(token))) {
+            matchedTokens.push(token);
+        } else {
+            missingTokens.push(token);
+        }
+    });
+
+    return {
+        coverage: queryTokens.length > 0 ? matchedTokens.length / queryTokens.length : 1,
+        matchedTokens,
+        missingTokens
+    };
+}
+
+/**
+ * Score the non-expected products in a query's top results and flag likely-irrelevant ones
+ * @param {string} query - The search query
+ * @param {Array} expectedProducts - Expected products of the query, which are never flagged
+ * @param {Array} actualProducts - Products the API returned, with absolutePosition and pageNumber
+ * @param {Object} options - { depth, minTokenCoverage } from the analysis config
+ * @param {ProductIdentity} [identity] - Matcher from the run config, so variants of expected products aren't flagged
+ * @returns {Object} - { depth, minTokenCoverage, scored, flagged, pageOneProducts, pageOneScored, pageOneFlagged, pageOneNoiseRate };
+ *   scored and flagged cover the top N, the page 1 counts cover page 1 as the API paged it
+ */
+function detectRelevanceNoise(query, expectedProducts, actualProducts, options, identity = DEFAULT_IDENTITY) {
+    const queryTokens = Array.from(new Set(tokenize(query)));
+    const pageOneProducts = (actualProducts || []).filter(product => (product.pageNumber || 1) === 1).length;
+
+    let scored = 0;
+    let pageOneScored = 0;
+    let pageOneFlagged = 0;
+    const flagged = [];
+    (actualProducts || []).forEach(product => {
+        const inTop = product.absolutePosition <= options.depth;
+        const onPageOne = (product.pageNumber || 1) === 1;
+        if ((!inTop && !onPageOne) || (expectedProducts || []).some(expected => identity.matchProduct(expected.expectedSku, product))) {
+            return;
+        }
+        const score = scoreTokenCoverage(product, queryTokens);
+        const isNoise = score.coverage < options.minTokenCoverage;
+        if (onPageOne) {
+            pageOneScored++;
+            pageOneFlagged += isNoise ? 1 : 0;
+        }
+        if (!inTop) {
+            return;
+        }
+        scored++;
+        if (isNoise) {
+            flagged.push({
+                position: product.absolutePosition,
+                page: product.pageNumber || 1,
+                sku: product.sku,
+                name: product.name,
+                ...score
+            });
+        }
+    });
+
+    return {
+        depth: options.depth,
+        minTokenCoverage: options.minTokenCoverage,
+        scored,
+        flagged,
+        pageOneProducts,
+        pageOneScored,
+        pageOneFlagged,
+        pageOneNoiseRate: pageOneScored > 0 ? (pageOneFlagged / pageOneScored) * 100 : null
+    };
+}
+
+/**
+ * Noise rate cell for reports, e.g. "12.5%"
+ */
+function formatNoiseRate(noise) {
+    return noise && noise.pageOneNoiseRate !== null ? `${noise.pageOneNoiseRate.toFixed(1)}%` : 'N/A';
+}
+
+module.exports = {
+    scoreTokenCoverage,
+    detectRelevanceNoise,
+    formatNoiseRate
+};
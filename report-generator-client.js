@@ -1,5 +1,16 @@
 const fs = require('fs');
 const path = require('path');
+const { TERM_PLACEMENTS, TERM_FIELDS, placementLabel } = require('./term-positions');
+const { formatNoiseRate } = require('./relevance-noise');
+const { formatUncheckedRule } = require('./forbidden-products');
+const { DEFAULT_IDENTITY } = require('./product-identity');
+const { METRIC_NAMES, metricLabels } = require('./ranking-metrics');
+const { QUERY_OUTCOMES, POSITION_MATCHES } = require('./test-cases');
+const { getComparison, getReportRows, formatFirstPageCount, formatFirstPageCoverage } = require('./query-comparison');
+const { runResults } = require('./run-file');
+
+// Position Match values of a product found beyond the near-match tolerance; older CSVs only say Mismatch
+const MISPLACED_STATUSES = ['same page', 'earlier page', 'later page', 'mismatch'];
 
 class ReportGeneratorClient {
     /**
@@ -8,6 +19,10 @@ class ReportGeneratorClient {
     parseCSVData(csvContent) {
         const lines = csvContent.split('\n').filter(line => line.trim());
         const headers = lines[0].split(',').map(h => h.replace(/"/g, '').trim());
+        // Ranking metric columns (NDCG@k, MRR, Precision@k, Recall@k, Average Precision) follow Query Outcome
+        const metricLabels = headers.slice(11, 16);
+        // Older CSVs have no Relevance Grade column
+        const gradeIndex = headers.indexOf('Relevance Grade');
         
         const queryGroups = {};
         
@@ -19,6 +34,8 @@ class ReportGeneratorClient {
             const positionMatch = row[7] ? row[7].replace(/"/g, '').trim() : '';
             const firstPageCount = row[8] ? row[8].replace(/"/g, '').trim() : '';
             const firstPageCoverage = row[9] ? row[9].replace(/"/g, '').trim() : '';
+            // Older CSVs have no Query Outcome column
+            const outcome = row[10] ? row[10].replace(/"/g, '').trim() : '';
             
             if (!query) continue;
             
@@ -27,30 +44,77 @@ class ReportGeneratorClient {
                     query: query,
                     totalExpected: 0,
                     matches: 0,
+                    nearMatches: 0,
+                    variantMatches: 0,
                     mismatches: 0,
+                    samePage: 0,
+                    earlierPage: 0,
+                    laterPage: 0,
                     notMatch: 0,
+                    // Not found by any ID, with a similarly named candidate; also counted in notMatch
+                    skuChanges: 0,
+                    // Relevance-weighted totals; every product weighs 1 when the input has no grades
+                    expectedWeight: 0,
+                    matchedWeight: 0,
+                    graded: false,
                     firstPageCount: '',
                     firstPageCoverage: '',
+                    outcome: '',
+                    metrics: null,
                     details: []
                 };
             }
             
+            if (!queryGroups[query].metrics && metricLabels.length === 5) {
+                const values = row.slice(11, 16).map(value => parseFloat(value.replace(/"/g, '')));
+                if (values.every(value => !Number.isNaN(value))) {
+                    queryGroups[query].metrics = Object.fromEntries(metricLabels.map((label, i) => [label, values[i]]));
+                }
+            }
+            
+            if (outcome && !queryGroups[query].outcome) {
+                queryGroups[query].outcome = outcome;
+            }
+            
             const expectedName = row[1].replace(/"/g, '').trim();
             const actualName = row[2].replace(/"/g, '').trim();
             const expectedSku = row[3].replace(/"/g, '').trim();
             const actualSku = row[4].replace(/"/g, '').trim();
             const expectedPos = row[5].replace(/"/g, '').trim();
             const actualPos = row[6].replace(/"/g, '').trim();
+            const grade = gradeIndex !== -1 && row[gradeIndex] ? row[gradeIndex].replace(/"/g, '').trim() : '';
             
-            if (expectedName) {
+            // A failed query's single row carries no expected product
+            if (expectedName && outcome !== 'Error') {
+                const weight = grade !== '' ? Number(grade) : 1;
                 queryGroups[query].totalExpected++;
+                queryGroups[query].expectedWeight += weight;
+                if (grade !== '') {
+                    queryGroups[query].graded = true;
+                }
                 
-                if (positionMatch.toLowerCase() === 'match') {
+                const match = positionMatch.toLowerCase();
+                if (match === 'match') {
                     queryGroups[query].matches++;
-                } else if (positionMatch.toLowerCase() === 'mismatch') {
+                    queryGroups[query].matchedWeight += weight;
+                } else if (match === 'near match') {
+                    queryGroups[query].nearMatches++;
+                } else if (match === 'variant match') {
+                    queryGroups[query].variantMatches++;
+                } else if (MISPLACED_STATUSES.includes(match)) {
                     queryGroups[query].mismatches++;
-                } else if (positionMatch.toLowerCase() === 'not match') {
+                    if (match === 'same page') {
+                        queryGroups[query].samePage++;
+                    } else if (match === 'earlier page') {
+                        queryGroups[query].earlierPage++;
+                    } else if (match === 'later page') {
+                        queryGroups[query].laterPage++;
+                    }
+                } else if (positionMatch.toLowerCase() === 'not match' || positionMatch.toLowerCase() === 'not fetched') {
                     queryGroups[query].notMatch++;
+                } else if (match === 'possible sku change') {
+                    queryGroups[query].notMatch++;
+                    queryGroups[query].skuChanges++;
                 }
             }
             
@@ -62,6 +126,11 @@ class ReportGeneratorClient {
                 queryGroups[query].firstPageCoverage = firstPageCoverage;
             }
             
+            // The single row of a query that expected zero results carries no product
+            if (!expectedName && !expectedSku && outcome === 'Zero Results (Expected)') {
+                continue;
+            }
+            
             queryGroups[query].details.push({
                 expectedName,
                 actualName,
@@ -69,21 +138,74 @@ class ReportGeneratorClient {
                 actualSku,
                 expectedPos,
                 actualPos,
+                grade,
                 status: positionMatch
             });
         }
         
-        // Calculate accuracy for each query
+        this.addAccuracy(queryGroups);
+        return queryGroups;
+    }
+
+    /**
+     * Group run results by query from their comparisons, in the same shape parseCSVData gives a CSV
+     */
+    buildQueryGroups(testResults) {
+        const queryGroups = {};
+        
+        testResults.forEach(result => {
+            const { expected, counts, firstPage } = getComparison(result);
+            const labels = result.rankingMetrics ? metricLabels(result.rankingMetrics.k) : null;
+            const rows = getReportRows(result).filter(row => row.expectedName || result.outcome !== QUERY_OUTCOMES.ZERO_RESULTS_EXPECTED);
+            
+            queryGroups[result.query] = {
+                query: result.query,
+                totalExpected: counts.expected,
+                matches: counts.matches,
+                nearMatches: counts.nearMatches,
+                variantMatches: counts.variantMatches,
+                mismatches: counts.mismatches,
+                samePage: counts.misplaced[POSITION_MATCHES.SAME_PAGE],
+                earlierPage: counts.misplaced[POSITION_MATCHES.EARLIER_PAGE],
+                laterPage: counts.misplaced[POSITION_MATCHES.LATER_PAGE],
+                notMatch: counts.notFound,
+                skuChanges: counts.skuChanges,
+                expectedWeight: counts.graded ? counts.graded.totalWeight : 0,
+                matchedWeight: counts.graded ? counts.graded.matchedWeight : 0,
+                graded: expected.some(entry => entry.expectedPosition && entry.relevance !== null),
+                firstPageCount: formatFirstPageCount(firstPage),
+                firstPageCoverage: formatFirstPageCoverage(firstPage),
+                outcome: result.outcome || '',
+                metrics: labels ? Object.fromEntries(METRIC_NAMES.map(name => [labels[name], Number(result.rankingMetrics[name].toFixed(3))])) : null,
+                details: rows.map(row => ({
+                    expectedName: row.expectedName,
+                    actualName: row.actualName,
+                    expectedSku: row.expectedSku,
+                    actualSku: row.actualSku,
+                    expectedPos: String(row.expectedPosition),
+                    actualPos: String(row.actualPosition),
+                    grade: String(row.relevance),
+                    status: row.match
+                }))
+            };
+        });
+        
+        this.addAccuracy(queryGroups);
+        return queryGroups;
+    }
+
+    /**
+     * Accuracy of each query, weighted by relevance grade so missing a grade-3 product costs more
+     */
+    addAccuracy(queryGroups) {
         Object.values(queryGroups).forEach(group => {
-            group.accuracy = group.totalExpected > 0 
-                ? ((group.matches / group.totalExpected) * 100).toFixed(2)
-                : 0;
+            group.accuracy = group.expectedWeight > 0 
+                ? ((group.matchedWeight / group.expectedWeight) * 100).toFixed(2)
+                : (group.outcome === 'Zero Results (Expected)' ? '100.00' : 0);
             
             // Count not found / no record found cases
             group.notMatch = group.notMatch || 0;
         });
-        
-        return queryGroups;
     }
 
     /**
@@ -114,10 +236,25 @@ class ReportGeneratorClient {
 
     /**
      * Generate HTML report with client-side Chart.js
+     * source is a run file (or its results), rendered from the same comparisons as the CSV and Excel reports,
+     * with what a CSV does not carry (response contract violations, rank constraints, noise, ...);
+     * CSV text from older runs is still parsed, without those sections
      */
-    async generateHTMLReport(csvContent, outputPath, testResults = []) {
-        const queryGroups = this.parseCSVData(csvContent);
+    async generateHTMLReport(source, outputPath) {
+        const testResults = typeof source === 'string' ? [] : runResults(source);
+        const queryGroups = typeof source === 'string' ? this.parseCSVData(source) : this.buildQueryGroups(testResults);
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const resultsByQuery = new Map(testResults.map(result => [result.query, result]));
+        const contractVersion = testResults.length > 0 ? testResults[0].contractVersion : null;
+        const queriesBreakingContract = testResults.filter(result => (result.contractViolations || []).length > 0).length;
+        const rankConstraints = testResults.flatMap(result => result.rankConstraints || []);
+        const rankConstraintsPassed = rankConstraints.filter(constraint => constraint.passed).length;
+        const queriesWithForbiddenRules = testResults.filter(result => ((result.expectations || {}).forbidden || []).length > 0);
+        const queriesReturningForbidden = queriesWithForbiddenRules.filter(result => (result.forbiddenProducts || []).length > 0).length;
+        const noiseRates = testResults.filter(result => result.noise && result.noise.pageOneNoiseRate !== null).map(result => result.noise.pageOneNoiseRate);
+        const skuChangeCount = testResults.reduce((total, result) => total + (result.skuChanges || []).length, 0);
+        const meanNoiseRate = noiseRates.length > 0 ? noiseRates.reduce((total, rate) => total + rate, 0) / noiseRates.length : null;
+        const showGrades = Object.values(queryGroups).some(group => group.graded);
         
         
         // Calculate overall statistics
@@ -125,8 +262,12 @@ class ReportGeneratorClient {
             totalQueries: Object.keys(queryGroups).length,
             totalProducts: 0,
             totalMatches: 0,
+            totalNearMatches: 0,
+            totalVariantMatches: 0,
             totalMismatches: 0,
             averageAccuracy: 0,
+            zeroResultQueries: 0,
+            expectedZeroResultQueries: 0,
             firstPageTracking: {
                 totalFound: 0,
                 totalExpected: 0,
@@ -137,13 +278,29 @@ class ReportGeneratorClient {
         Object.values(queryGroups).forEach(group => {
             overallStats.totalProducts += group.totalExpected;
             overallStats.totalMatches += group.matches;
+            overallStats.totalNearMatches += group.nearMatches;
+            overallStats.totalVariantMatches += group.variantMatches;
             overallStats.totalMismatches += group.mismatches;
+            if (group.outcome === 'Zero Results') {
+                overallStats.zeroResultQueries++;
+            } else if (group.outcome === 'Zero Results (Expected)') {
+                overallStats.expectedZeroResultQueries++;
+            }
         });
         
         overallStats.averageAccuracy = overallStats.totalProducts > 0
             ? ((overallStats.totalMatches / overallStats.totalProducts) * 100).toFixed(2)
             : 0;
         
+        // Run-level ranking metrics: mean over the queries that have them
+        const measuredGroups = Object.values(queryGroups).filter(group => group.metrics);
+        overallStats.rankingMetrics = measuredGroups.length > 0
+            ? Object.fromEntries(Object.keys(measuredGroups[0].metrics).map(label => [
+                label,
+                measuredGroups.reduce((total, group) => total + group.metrics[label], 0) / measuredGroups.length
+            ]))
+            : null;
+        
         
         // Calculate first page tracking stats
         Object.values(queryGroups).forEach(group => {
@@ -296,6 +453,19 @@ class ReportGeneratorClient {
             color: #721c24;
         }
         
+        .outcome-badge {
+            padding: 10px 20px;
+            border-radius: 20px;
+            font-weight: bold;
+            background: #f8d7da;
+            color: #721c24;
+        }
+        
+        .outcome-expected {
+            background: #d4edda;
+            color: #155724;
+        }
+        
         .query-content {
             display: grid;
             grid-template-columns: 1fr 400px;
@@ -369,6 +539,61 @@ class ReportGeneratorClient {
             padding: 20px;
         }
         
+        .contract-violations {
+            margin-top: 20px;
+        }
+        
+        .contract-violations h3 {
+            margin-bottom: 10px;
+            color: #721c24;
+        }
+        
+        .rank-constraints,
+        .forbidden-products,
+        .sku-changes {
+            margin-top: 20px;
+        }
+        
+        .sku-changes h3 {
+            margin-bottom: 10px;
+            color: #843c0c;
+        }
+        
+        .term-positions {
+            margin-top: 20px;
+        }
+        
+        .term-positions h3 {
+            margin-bottom: 10px;
+            color: #2f5597;
+        }
+        
+        .term-chart-container {
+            position: relative;
+            height: 180px;
+            max-width: 700px;
+            margin-bottom: 15px;
+        }
+        
+        .relevance-noise {
+            margin-top: 20px;
+        }
+        
+        .relevance-noise h3 {
+            margin-bottom: 10px;
+            color: #7f6000;
+        }
+        
+        .forbidden-products h3 {
+            margin-bottom: 10px;
+            color: #721c24;
+        }
+        
+        .rank-constraints h3 {
+            margin-bottom: 10px;
+            color: #4b2a7b;
+        }
+        
         .product-list {
             margin-top: 20px;
             display: none;
@@ -431,7 +656,20 @@ class ReportGeneratorClient {
             font-weight: bold;
         }
         
-        .status-mismatch {
+        .status-near-match {
+            color: #0d6efd;
+            font-weight: bold;
+        }
+        
+        .status-variant-match {
+            color: #6f42c1;
+            font-weight: bold;
+        }
+        
+        .status-mismatch,
+        .status-same-page,
+        .status-earlier-page,
+        .status-later-page {
             color: #dc3545;
             font-weight: bold;
         }
@@ -520,6 +758,14 @@ class ReportGeneratorClient {
                 <div class="stat-value">${overallStats.totalMatches}</div>
                 <div class="stat-label">Total Matches</div>
             </div>
+            <div class="stat-card">
+                <div class="stat-value">${overallStats.totalNearMatches}</div>
+                <div class="stat-label">Total Near Matches</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value">${overallStats.totalVariantMatches}</div>
+                <div class="stat-label">Total Variant Matches</div>
+            </div>
             <div class="stat-card">
                 <div class="stat-value">${overallStats.totalMismatches}</div>
                 <div class="stat-label">Total Mismatches</div>
@@ -536,6 +782,41 @@ class ReportGeneratorClient {
                 <div class="stat-value">${overallStats.firstPageTracking.averageCoverage}%</div>
                 <div class="stat-label">First Page Coverage</div>
             </div>
+            ${overallStats.zeroResultQueries + overallStats.expectedZeroResultQueries > 0 ? `
+            <div class="stat-card">
+                <div class="stat-value">${overallStats.zeroResultQueries + overallStats.expectedZeroResultQueries}</div>
+                <div class="stat-label">Zero-Result Queries (${overallStats.expectedZeroResultQueries} expected)</div>
+            </div>` : ''}
+            ${overallStats.rankingMetrics ? Object.entries(overallStats.rankingMetrics).map(([label, value]) => `
+            <div class="stat-card">
+                <div class="stat-value">${value.toFixed(3)}</div>
+                <div class="stat-label">${label === 'MRR' ? 'MRR' : `Mean ${label}`}</div>
+            </div>`).join('') : ''}
+            ${contractVersion ? `
+            <div class="stat-card">
+                <div class="stat-value">${queriesBreakingContract}/${testResults.length}</div>
+                <div class="stat-label">Queries Breaking Contract ${contractVersion}</div>
+            </div>` : ''}
+            ${rankConstraints.length > 0 ? `
+            <div class="stat-card">
+                <div class="stat-value">${rankConstraintsPassed}/${rankConstraints.length}</div>
+                <div class="stat-label">Rank Constraints Passed</div>
+            </div>` : ''}
+            ${queriesWithForbiddenRules.length > 0 ? `
+            <div class="stat-card">
+                <div class="stat-value">${queriesReturningForbidden}/${queriesWithForbiddenRules.length}</div>
+                <div class="stat-label">Queries Returning Forbidden Products</div>
+            </div>` : ''}
+            ${meanNoiseRate !== null ? `
+            <div class="stat-card">
+                <div class="stat-value">${meanNoiseRate.toFixed(1)}%</div>
+                <div class="stat-label">Mean Page 1 Noise Rate</div>
+            </div>` : ''}
+            ${skuChangeCount > 0 ? `
+            <div class="stat-card">
+                <div class="stat-value">${skuChangeCount}</div>
+                <div class="stat-label">Possible SKU Changes</div>
+            </div>` : ''}
         </div>
         
         <!-- Summary Chart -->
@@ -603,13 +884,26 @@ class ReportGeneratorClient {
         ${Object.entries(queryGroups).map(([query, data], index) => {
             const accuracyClass = data.accuracy >= 80 ? 'accuracy-high' : 
                                  data.accuracy >= 50 ? 'accuracy-medium' : 'accuracy-low';
+            const contractViolations = (resultsByQuery.get(query) || {}).contractViolations || [];
+            const queryConstraints = (resultsByQuery.get(query) || {}).rankConstraints || [];
+            const forbiddenProducts = (resultsByQuery.get(query) || {}).forbiddenProducts || [];
+            const uncheckedForbiddenRules = (resultsByQuery.get(query) || {}).uncheckedForbiddenRules || [];
+            const termPositions = (resultsByQuery.get(query) || {}).termPositions;
+            const noise = (resultsByQuery.get(query) || {}).noise;
+            const skuChanges = (resultsByQuery.get(query) || {}).skuChanges || [];
             
             return `
             <div class="query-section" data-accuracy="${data.accuracy}">
                 <div class="query-header">
                     <h2 class="query-title">Query: "${query}"</h2>
                     <div style="display: flex; gap: 10px; align-items: center;">
-                        <div class="accuracy-badge ${accuracyClass}">${data.accuracy}% Accuracy</div>
+                        ${data.outcome && data.outcome !== 'Results' ? `<div class="outcome-badge${data.outcome === 'Zero Results (Expected)' ? ' outcome-expected' : ''}">${data.outcome}</div>` : ''}
+                        ${contractViolations.length > 0 ? `<div class="outcome-badge">📐 ${contractViolations.length} Contract Violation(s)</div>` : ''}
+                        ${forbiddenProducts.length > 0 ? `<div class="outcome-badge">🚫 ${forbiddenProducts.length} Forbidden Product(s)</div>` : ''}
+                        ${uncheckedForbiddenRules.length > 0 ? `<div class="outcome-badge" title="${uncheckedForbiddenRules.map(formatUncheckedRule).join('; ')}">⚠️ ${uncheckedForbiddenRules.length} Forbidden Rule(s) Not Fully Checked</div>` : ''}
+                        ${skuChanges.length > 0 ? `<div class="outcome-badge">🔁 ${skuChanges.length} Possible SKU Change(s)</div>` : ''}
+                        ${noise && noise.pageOneFlagged > 0 ? `<div class="outcome-badge">🔇 ${formatNoiseRate(noise)} Page 1 Noise</div>` : ''}
+                        <div class="accuracy-badge ${accuracyClass}">${data.accuracy}% ${data.graded ? 'Graded ' : ''}Accuracy</div>
                     </div>
                 </div>
                 
@@ -624,6 +918,14 @@ class ReportGeneratorClient {
                                 <div class="query-stat-value">${data.matches}</div>
                                 <div class="query-stat-label">Position Matches</div>
                             </div>
+                            <div class="query-stat" data-category="nearMatches" data-query-index="${index}">
+                                <div class="query-stat-value">${data.nearMatches}</div>
+                                <div class="query-stat-label">Near Matches</div>
+                            </div>
+                            <div class="query-stat" data-category="variantMatches" data-query-index="${index}">
+                                <div class="query-stat-value">${data.variantMatches}</div>
+                                <div class="query-stat-label">Variant Matches</div>
+                            </div>
                             <div class="query-stat" data-category="mismatches" data-query-index="${index}">
                                 <div class="query-stat-value">${data.mismatches}</div>
                                 <div class="query-stat-label">Position Mismatches</div>
@@ -655,6 +957,172 @@ class ReportGeneratorClient {
                     </div>
                 </div>
                 
+                ${contractViolations.length > 0 ? `
+                <div class="contract-violations">
+                    <h3>📐 Response Contract ${contractVersion} Violations</h3>
+                    <table class="product-table">
+                        <thead>
+                            <tr>
+                                <th>Field</th>
+                                <th>Problem</th>
+                                <th>Occurrences</th>
+                                <th>Pages</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${contractViolations.map(violation => `
+                                <tr>
+                                    <td>${violation.path}</td>
+                                    <td class="status-mismatch">${violation.message}</td>
+                                    <td>${violation.count}</td>
+                                    <td>${violation.pages.join(', ')}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>` : ''}
+                
+                ${queryConstraints.length > 0 ? `
+                <div class="rank-constraints">
+                    <h3>📌 Rank Constraints (${queryConstraints.filter(constraint => constraint.passed).length}/${queryConstraints.length} passed)</h3>
+                    <table class="product-table">
+                        <thead>
+                            <tr>
+                                <th>Type</th>
+                                <th>Constraint</th>
+                                <th>Actual</th>
+                                <th>Result</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${queryConstraints.map(constraint => `
+                                <tr>
+                                    <td>${constraint.type}</td>
+                                    <td>${constraint.description}</td>
+                                    <td>${constraint.actual}</td>
+                                    <td class="${constraint.passed ? 'status-match' : 'status-mismatch'}">${constraint.passed ? 'PASS' : 'FAIL'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>` : ''}
+                
+                ${forbiddenProducts.length > 0 ? `
+                <div class="forbidden-products">
+                    <h3>🚫 Forbidden Products Returned</h3>
+                    <table class="product-table">
+                        <thead>
+                            <tr>
+                                <th>Rule</th>
+                                <th>Position</th>
+                                <th>Page</th>
+                                <th>SKU</th>
+                                <th>Product Name</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${forbiddenProducts.map(violation => `
+                                <tr>
+                                    <td>${violation.rule}</td>
+                                    <td class="status-mismatch">${violation.position}</td>
+                                    <td>${violation.page}</td>
+                                    <td>${violation.sku}</td>
+                                    <td>${violation.name || 'N/A'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>` : ''}
+                
+                ${skuChanges.length > 0 ? `
+                <div class="sku-changes">
+                    <h3>🔁 Possible SKU Changes</h3>
+                    <table class="product-table">
+                        <thead>
+                            <tr>
+                                <th>Expected Product</th>
+                                <th>Expected SKU</th>
+                                <th>Expected Position</th>
+                                <th>Candidate Product</th>
+                                <th>Candidate SKU</th>
+                                <th>Candidate Position</th>
+                                <th>Name Similarity</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${skuChanges.map(change => `
+                                <tr>
+                                    <td>${change.expectedName}</td>
+                                    <td>${change.expectedSku}</td>
+                                    <td>${change.expectedPosition || 'N/A'}</td>
+                                    <td>${change.candidateName}</td>
+                                    <td class="status-mismatch">${change.candidateSku}</td>
+                                    <td>${change.position}</td>
+                                    <td>${change.similarity.toFixed(2)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>` : ''}
+                
+                ${noise && noise.flagged.length > 0 ? `
+                <div class="relevance-noise">
+                    <h3>🔇 Likely Irrelevant Products in the Top ${noise.depth} (page 1 noise rate ${formatNoiseRate(noise)})</h3>
+                    <table class="product-table">
+                        <thead>
+                            <tr>
+                                <th>Position</th>
+                                <th>Page</th>
+                                <th>SKU</th>
+                                <th>Product</th>
+                                <th>Query Term Coverage</th>
+                                <th>Missing Terms</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${noise.flagged.map(product => `
+                                <tr>
+                                    <td>${product.position}</td>
+                                    <td>${product.page}</td>
+                                    <td>${product.sku || 'N/A'}</td>
+                                    <td>${product.name || 'N/A'}</td>
+                                    <td class="status-mismatch">${(product.coverage * 100).toFixed(0)}%</td>
+                                    <td>${product.missingTokens.join(', ')}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>` : ''}
+                
+                ${termPositions ? `
+                <div class="term-positions">
+                    <h3>🔤 Query Term Positions in the Top ${termPositions.analyzed} Results</h3>
+                    <div class="term-chart-container">
+                        <canvas id="term-chart-${index}"></canvas>
+                    </div>
+                    <table class="product-table">
+                        <thead>
+                            <tr>
+                                <th>Position</th>
+                                <th>SKU</th>
+                                <th>Product</th>
+                                <th>Title</th>
+                                <th>Description</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${termPositions.details.map(detail => `
+                                <tr>
+                                    <td>${detail.position}</td>
+                                    <td>${detail.sku || 'N/A'}</td>
+                                    <td>${detail.name || 'N/A'}</td>
+                                    ${TERM_FIELDS.map(field => `<td>${detail[field] ? `${placementLabel(detail[field].placement)} ("${detail[field].term}")` : 'Not Found'}</td>`).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>` : ''}
+                
                 <!-- Product Lists -->
                 <div id="product-list-expected-${index}" class="product-list">
                     <h3>Expected Products</h3>
@@ -663,6 +1131,7 @@ class ReportGeneratorClient {
                             <tr>
                                 <th>Expected Product</th>
                                 <th>Expected SKU</th>
+                                ${showGrades ? '<th>Grade</th>' : ''}
                                 <th>Actual Product</th>
                                 <th>Actual SKU</th>
                                 <th>Expected Position</th>
@@ -675,6 +1144,7 @@ class ReportGeneratorClient {
                                 <tr>
                                     <td>${detail.expectedName || 'N/A'}</td>
                                     <td>${detail.expectedSku || 'N/A'}</td>
+                                    ${showGrades ? `<td>${detail.grade || '-'}</td>` : ''}
                                     <td>${detail.actualName || 'N/A'}</td>
                                     <td>${detail.actualSku || 'N/A'}</td>
                                     <td>${detail.expectedPos || 'N/A'}</td>
@@ -693,6 +1163,7 @@ class ReportGeneratorClient {
                             <tr>
                                 <th>Expected Product</th>
                                 <th>Expected SKU</th>
+                                ${showGrades ? '<th>Grade</th>' : ''}
                                 <th>Actual Product</th>
                                 <th>Actual SKU</th>
                                 <th>Expected Position</th>
@@ -705,6 +1176,7 @@ class ReportGeneratorClient {
                                 <tr>
                                     <td>${detail.expectedName || 'N/A'}</td>
                                     <td>${detail.expectedSku || 'N/A'}</td>
+                                    ${showGrades ? `<td>${detail.grade || '-'}</td>` : ''}
                                     <td>${detail.actualName || 'N/A'}</td>
                                     <td>${detail.actualSku || 'N/A'}</td>
                                     <td>${detail.expectedPos || 'N/A'}</td>
@@ -716,6 +1188,70 @@ class ReportGeneratorClient {
                     </table>
                 </div>
                 
+                <div id="product-list-nearMatches-${index}" class="product-list">
+                    <h3>Near Matches</h3>
+                    <table class="product-table">
+                        <thead>
+                            <tr>
+                                <th>Expected Product</th>
+                                <th>Expected SKU</th>
+                                ${showGrades ? '<th>Grade</th>' : ''}
+                                <th>Actual Product</th>
+                                <th>Actual SKU</th>
+                                <th>Expected Position</th>
+                                <th>Actual Position</th>
+                                <th>Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${data.details.filter(detail => detail.status.toLowerCase() === 'near match').map(detail => `
+                                <tr>
+                                    <td>${detail.expectedName || 'N/A'}</td>
+                                    <td>${detail.expectedSku || 'N/A'}</td>
+                                    ${showGrades ? `<td>${detail.grade || '-'}</td>` : ''}
+                                    <td>${detail.actualName || 'N/A'}</td>
+                                    <td>${detail.actualSku || 'N/A'}</td>
+                                    <td>${detail.expectedPos || 'N/A'}</td>
+                                    <td>${detail.actualPos || 'N/A'}</td>
+                                    <td class="status-near-match">${detail.status}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                
+                <div id="product-list-variantMatches-${index}" class="product-list">
+                    <h3>Variant Matches</h3>
+                    <table class="product-table">
+                        <thead>
+                            <tr>
+                                <th>Expected Product</th>
+                                <th>Expected SKU</th>
+                                ${showGrades ? '<th>Grade</th>' : ''}
+                                <th>Actual Product</th>
+                                <th>Actual SKU</th>
+                                <th>Expected Position</th>
+                                <th>Variant Position</th>
+                                <th>Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${data.details.filter(detail => detail.status.toLowerCase() === 'variant match').map(detail => `
+                                <tr>
+                                    <td>${detail.expectedName || 'N/A'}</td>
+                                    <td>${detail.expectedSku || 'N/A'}</td>
+                                    ${showGrades ? `<td>${detail.grade || '-'}</td>` : ''}
+                                    <td>${detail.actualName || 'N/A'}</td>
+                                    <td>${detail.actualSku || 'N/A'}</td>
+                                    <td>${detail.expectedPos || 'N/A'}</td>
+                                    <td>${detail.actualPos || 'N/A'}</td>
+                                    <td class="status-variant-match">${detail.status}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                
                 <div id="product-list-mismatches-${index}" class="product-list">
                     <h3>Position Mismatches</h3>
                     <table class="product-table">
@@ -723,6 +1259,7 @@ class ReportGeneratorClient {
                             <tr>
                                 <th>Expected Product</th>
                                 <th>Expected SKU</th>
+                                ${showGrades ? '<th>Grade</th>' : ''}
                                 <th>Actual Product</th>
                                 <th>Actual SKU</th>
                                 <th>Expected Position</th>
@@ -731,10 +1268,11 @@ class ReportGeneratorClient {
                             </tr>
                         </thead>
                         <tbody>
-                            ${data.details.filter(detail => detail.status.toLowerCase() === 'mismatch').map(detail => `
+                            ${data.details.filter(detail => MISPLACED_STATUSES.includes(detail.status.toLowerCase())).map(detail => `
                                 <tr>
                                     <td>${detail.expectedName || 'N/A'}</td>
                                     <td>${detail.expectedSku || 'N/A'}</td>
+                                    ${showGrades ? `<td>${detail.grade || '-'}</td>` : ''}
                                     <td>${detail.actualName || 'N/A'}</td>
                                     <td>${detail.actualSku || 'N/A'}</td>
                                     <td>${detail.expectedPos || 'N/A'}</td>
@@ -753,6 +1291,7 @@ class ReportGeneratorClient {
                             <tr>
                                 <th>Expected Product</th>
                                 <th>Expected SKU</th>
+                                ${showGrades ? '<th>Grade</th>' : ''}
                                 <th>Actual Product</th>
                                 <th>Actual SKU</th>
                                 <th>Expected Position</th>
@@ -761,10 +1300,11 @@ class ReportGeneratorClient {
                             </tr>
                         </thead>
                         <tbody>
-                            ${data.details.filter(detail => detail.status.toLowerCase() === 'not match').map(detail => `
+                            ${data.details.filter(detail => ['not match', 'not fetched', 'possible sku change'].includes(detail.status.toLowerCase())).map(detail => `
                                 <tr>
                                     <td>${detail.expectedName || 'N/A'}</td>
                                     <td>${detail.expectedSku || 'N/A'}</td>
+                                    ${showGrades ? `<td>${detail.grade || '-'}</td>` : ''}
                                     <td>${detail.actualName || 'N/A'}</td>
                                     <td>${detail.actualSku || 'N/A'}</td>
                                     <td>${detail.expectedPos || 'N/A'}</td>
@@ -783,6 +1323,7 @@ class ReportGeneratorClient {
                             <tr>
                                 <th>Expected Product</th>
                                 <th>Expected SKU</th>
+                                ${showGrades ? '<th>Grade</th>' : ''}
                                 <th>Actual Product</th>
                                 <th>Actual SKU</th>
                                 <th>Expected Position</th>
@@ -802,6 +1343,7 @@ class ReportGeneratorClient {
                                 <tr>
                                     <td>${detail.expectedName || 'N/A'}</td>
                                     <td>${detail.expectedSku || 'N/A'}</td>
+                                    ${showGrades ? `<td>${detail.grade || '-'}</td>` : ''}
                                     <td>${detail.actualName || 'N/A'}</td>
                                     <td>${detail.actualSku || 'N/A'}</td>
                                     <td>${detail.expectedPos || 'N/A'}</td>
@@ -821,6 +1363,11 @@ class ReportGeneratorClient {
     <script>
         // Chart data
         const queryData = ${JSON.stringify(queryGroups)};
+        // Term position distributions by query index, null for queries without products
+        const termPositionData = ${JSON.stringify(Object.keys(queryGroups).map(query => {
+            const termPositions = (resultsByQuery.get(query) || {}).termPositions;
+            return termPositions ? termPositions.distribution : null;
+        }))};
         
         // Create summary chart
         const summaryCtx = document.getElementById('summaryChart').getContext('2d');
@@ -845,6 +1392,26 @@ class ReportGeneratorClient {
             }]
         };
         
+        // Ranking metrics (0-1) as lines on the same 0-100 scale; precision and recall start hidden
+        const metricColors = ['#4472C4', '#764ba2', '#ED7D31', '#70AD47', '#A5A5A5'];
+        const measuredQuery = Object.values(queryData).find(d => d.metrics);
+        if (measuredQuery) {
+            Object.keys(measuredQuery.metrics).forEach((label, i) => {
+                summaryData.datasets.push({
+                    type: 'line',
+                    label: label,
+                    isMetric: true,
+                    hidden: label.startsWith('Precision') || label.startsWith('Recall'),
+                    data: Object.values(queryData).map(d => d.metrics ? d.metrics[label] * 100 : null),
+                    borderColor: metricColors[i % metricColors.length],
+                    backgroundColor: metricColors[i % metricColors.length],
+                    borderWidth: 2,
+                    pointRadius: 3,
+                    fill: false
+                });
+            });
+        }
+        
         new Chart(summaryCtx, {
             type: 'bar',
             data: summaryData,
@@ -864,11 +1431,14 @@ class ReportGeneratorClient {
                 },
                 plugins: {
                     legend: {
-                        display: false
+                        display: !!measuredQuery
                     },
                     tooltip: {
                         callbacks: {
                             label: function(context) {
+                                if (context.dataset.isMetric) {
+                                    return context.dataset.label + ': ' + (context.parsed.y / 100).toFixed(3);
+                                }
                                 return 'Accuracy: ' + context.parsed.y.toFixed(2) + '%';
                             }
                         }
@@ -882,20 +1452,25 @@ class ReportGeneratorClient {
         Object.values(queryData).forEach((data, index) => {
             const ctx = document.getElementById('chart-' + index).getContext('2d');
             
+            // Mismatches are split by page; only CSVs from before the page buckets leave some unbucketed
+            // Variant Matches only show for queries that have some
+            const segments = [
+                ['Matches', data.matches, '75, 192, 192'],
+                ['Near Matches', data.nearMatches, '54, 162, 235'],
+                ['Variant Matches', data.variantMatches, '140, 86, 75'],
+                ['Same Page', data.samePage, '255, 205, 86'],
+                ['Earlier Page', data.earlierPage, '153, 102, 255'],
+                ['Later Page', data.laterPage, '255, 99, 132'],
+                ['Mismatches', data.mismatches - data.samePage - data.earlierPage - data.laterPage, '255, 159, 64'],
+                ['Not Match', data.notMatch, '201, 203, 207']
+            ].filter(segment => (segment[0] !== 'Mismatches' && segment[0] !== 'Variant Matches') || segment[1] > 0);
+            
             const chartData = {
-                labels: ['Matches', 'Mismatches', 'Not Match'],
+                labels: segments.map(segment => segment[0]),
                 datasets: [{
-                    data: [data.matches, data.mismatches, data.notMatch],
-                    backgroundColor: [
-                        'rgba(75, 192, 192, 0.8)',
-                        'rgba(255, 99, 132, 0.8)',
-                        'rgba(201, 203, 207, 0.8)'
-                    ],
-                    borderColor: [
-                        'rgba(75, 192, 192, 1)',
-                        'rgba(255, 99, 132, 1)',
-                        'rgba(201, 203, 207, 1)'
-                    ],
+                    data: segments.map(segment => segment[1]),
+                    backgroundColor: segments.map(segment => 'rgba(' + segment[2] + ', 0.8)'),
+                    borderColor: segments.map(segment => 'rgba(' + segment[2] + ', 1)'),
                     borderWidth: 2
                 }]
             };
@@ -932,6 +1507,36 @@ class ReportGeneratorClient {
             });
         });
         
+        // Stacked bars of where the query terms sit, titles against descriptions
+        const termPlacements = ${JSON.stringify(TERM_PLACEMENTS.map(placement => [placement, placementLabel(placement)]))};
+        const termColors = { beginning: '75, 192, 192', middle: '255, 205, 86', end: '255, 159, 64', notFound: '201, 203, 207' };
+        termPositionData.forEach((distribution, index) => {
+            if (!distribution) return;
+            new Chart(document.getElementById('term-chart-' + index).getContext('2d'), {
+                type: 'bar',
+                data: {
+                    labels: ['Title', 'Description'],
+                    datasets: termPlacements.map(([placement, label]) => ({
+                        label: label,
+                        data: [distribution.title[placement], distribution.description[placement]],
+                        backgroundColor: 'rgba(' + termColors[placement] + ', 0.8)'
+                    }))
+                },
+                options: {
+                    indexAxis: 'y',
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                        x: { stacked: true, beginAtZero: true, title: { display: true, text: 'Products' } },
+                        y: { stacked: true }
+                    },
+                    plugins: {
+                        legend: { position: 'bottom' }
+                    }
+                }
+            });
+        });
+        
         // Add click handlers for stat cards
         document.addEventListener('DOMContentLoaded', function() {
             const statCards = document.querySelectorAll('.query-stat');
@@ -1140,21 +1745,22 @@ class ReportGeneratorClient {
     /**
      * Check product presence from input list
      * @param {Array} inputProducts - Array of products to check (with name, sku properties)  
-     * @param {string} csvContent - CSV content from position comparison
+     * @param {Object|string} source - Run file (or its results), or CSV content from position comparison
+     * @param {ProductIdentity} [identity] - Matcher from the run config; a CSV has no parent IDs, so variants are only matched from a run file
      * @returns {Object} - Simple report showing which products are present/missing
      */
-    checkProductPresence(inputProducts, csvContent) {
+    checkProductPresence(inputProducts, source, identity = DEFAULT_IDENTITY) {
         if (!inputProducts || !Array.isArray(inputProducts) || inputProducts.length === 0) {
             throw new Error('Input products array is required and must not be empty');
         }
 
-        if (!csvContent || typeof csvContent !== 'string') {
-            throw new Error('CSV content is required');
+        if (!source) {
+            throw new Error('A run file or CSV content is required');
         }
 
-        // Parse CSV data to get all actual products found
-        const queryGroups = this.parseCSVData(csvContent);
-        const allActualProducts = [];
+        // Every product the API returned; a CSV only has their names and SKUs
+        const allActualProducts = typeof source === 'string' ? [] : runResults(source).flatMap(result => result.actualProducts || []);
+        const queryGroups = typeof source === 'string' ? this.parseCSVData(source) : {};
         
         // Collect all actual products from all queries
         Object.values(queryGroups).forEach(group => {
@@ -1172,8 +1778,8 @@ class ReportGeneratorClient {
         const uniqueActualProducts = [];
         const seenSkus = new Set();
         allActualProducts.forEach(product => {
-            if (product.sku && !seenSkus.has(product.sku.toLowerCase())) {
-                seenSkus.add(product.sku.toLowerCase());
+            if (product.sku && !seenSkus.has(identity.normalize(product.sku))) {
+                seenSkus.add(identity.normalize(product.sku));
                 uniqueActualProducts.push(product);
             }
         });
@@ -1183,17 +1789,13 @@ class ReportGeneratorClient {
 
         // Check each input product
         inputProducts.forEach(inputProduct => {
-            const inputSku = inputProduct.sku ? inputProduct.sku.toLowerCase().trim() : null;
-            
-            if (!inputSku) {
+            if (!identity.normalize(inputProduct.sku)) {
                 missingCount++;
                 return;
             }
 
-            // Try to find by SKU
-            const foundProduct = uniqueActualProducts.find(actual => 
-                actual.sku && actual.sku.toLowerCase().trim() === inputSku
-            );
+            // Try to find by SKU or alias
+            const foundProduct = identity.findProduct(inputProduct.sku, uniqueActualProducts);
 
             if (foundProduct) {
                 foundCount++;
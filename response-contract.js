@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+/**
+ * Validates search.json responses against a versioned JSON schema
+ *
+ * Schemas live in paths.schemaDir as search-response.<version>.json; contract.schemaVersion picks one.
+ * Violations are grouped by field, with array indexes folded to "*" so one renamed field
+ * is reported once per query instead of once per product.
+ */
+class ResponseContract {
+    constructor(schema, version) {
+        this.version = version;
+        this.ajv = new Ajv({ allErrors: true, strict: false });
+        this.validateSchema = this.ajv.compile(schema);
+    }
+
+    /**
+     * Contract for a resolved run config
+     */
+    static fromConfig(config) {
+        const version = config.contract.schemaVersion;
+        const schemaPath = path.join(config.paths.schemaDir, `search-response.${version}.json`);
+        if (!fs.existsSync(schemaPath)) {
+            throw new Error(`Response schema "${version}" not found: ${schemaPath}`);
+        }
+        return new ResponseContract(JSON.parse(fs.readFileSync(schemaPath, 'utf-8')), version);
+    }
+
+    /**
+     * Check one parsed response body
+     * @returns {Array} - [{ path, message, count }], empty when the response matches the contract
+     */
+    validate(data) {
+        if (this.validateSchema(data)) {
+            return [];
+        }
+
+        const grouped = new Map();
+        this.validateSchema.errors.forEach(error => {
+            const missing = error.keyword === 'required' ? `/${error.params.missingProperty}` : '';
+            const fieldPath = `${error.instancePath.replace(/\/\d+(?=\/|$)/g, '/*')}${missing}` || '/';
+            const key = `${fieldPath}|${error.message}`;
+            if (!grouped.has(key)) {
+                grouped.set(key, { path: fieldPath, message: error.message, count: 0 });
+            }
+            grouped.get(key).count++;
+        });
+        return Array.from(grouped.values());
+    }
+}
+
+/**
+ * Merge the violations of several pages of one query, keeping which pages each was seen on
+ * @param {Array} violations - Query violations so far, [{ path, message, count, pages }]
+ * @param {Array} pageViolations - Result of validate() for one page
+ * @param {number} page - Page the violations came from
+ */
+function addPageViolations(violations, pageViolations, page) {
+    pageViolations.forEach(violation => {
+        const existing = violations.find(v => v.path === violation.path && v.message === violation.message);
+        if (existing) {
+            existing.count += violation.count;
+            existing.pages.push(page);
+        } else {
+            violations.push({ ...violation, pages: [page] });
+        }
+    });
+    return violations;
+}
+
+/**
+ * One-line description of a violation for logs and report cells
+ */
+function formatViolation(violation) {
+    return `${violation.path} ${violation.message} (${violation.count}x, page ${violation.pages.join(', ')})`;
+}
+
+const contracts = new Map();
+
+/**
+ * Response contract for a resolved run config, loaded once per process
+ */
+function getResponseContract(config) {
+    const cacheKey = path.join(config.paths.schemaDir, config.contract.schemaVersion);
+    if (!contracts.has(cacheKey)) {
+        contracts.set(cacheKey, ResponseContract.fromConfig(config));
+    }
+    return contracts.get(cacheKey);
+}
+
+module.exports = {
+    ResponseContract,
+    getResponseContract,
+    addPageViolations,
+    formatViolation
+};
@@ -0,0 +1,394 @@
+const fs = require('fs');
+const path = require('path');
+const { isFailedResult } = require('./test-cases');
+const { summarizeQuery } = require('./run-diff');
+
+/**
+ * Relational history of every run: one row per run, per query result and per expected product
+ *
+ * Two drivers share one schema and the same SQL: "file" keeps an SQLite database in
+ * paths.historyDb (sql.js, so nothing native to build), "mysql" writes to the server in
+ * history.mysql through mysql2, with the password from API_TEST_MYSQL_PASSWORD. Recording a run
+ * again replaces its rows, so a reissued run shows its current grading. Times are ISO strings,
+ * which sort the same in both databases.
+ */
+
+const HISTORY_DRIVERS = ['off', 'file', 'mysql'];
+
+function schema(driver) {
+    const id = driver === 'mysql' ? 'INT AUTO_INCREMENT PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+    const statements = [
+        `CREATE TABLE IF NOT EXISTS runs (
+            id ${id},
+            run_key VARCHAR(191) NOT NULL UNIQUE,
+            profile VARCHAR(64),
+            input_csv VARCHAR(1024),
+            started_at VARCHAR(32) NOT NULL,
+            recorded_at VARCHAR(32) NOT NULL,
+            queries INT NOT NULL,
+            failed_queries INT NOT NULL,
+            source VARCHAR(1024)
+        )`,
+        `CREATE TABLE IF NOT EXISTS query_results (
+            id ${id},
+            run_id INT NOT NULL,
+            test_number INT,
+            query_text VARCHAR(512) NOT NULL,
+            outcome VARCHAR(32),
+            test_result TEXT,
+            failed INT NOT NULL,
+            expected_products INT NOT NULL,
+            matches INT NOT NULL,
+            near_matches INT NOT NULL,
+            variant_matches INT NOT NULL,
+            misplaced INT NOT NULL,
+            not_found INT NOT NULL,
+            accuracy DOUBLE,
+            match_rate DOUBLE,
+            first_page_coverage DOUBLE,
+            total_results INT,
+            FOREIGN KEY (run_id) REFERENCES runs(id)
+        )`,
+        `CREATE TABLE IF NOT EXISTS product_outcomes (
+            id ${id},
+            query_result_id INT NOT NULL,
+            expected_sku VARCHAR(128),
+            expected_name TEXT,
+            expected_position INT,
+            position_match VARCHAR(32),
+            actual_position INT,
+            page_number INT,
+            identity_match VARCHAR(32),
+            relevance INT,
+            FOREIGN KEY (query_result_id) REFERENCES query_results(id)
+        )`
+    ];
+    // MySQL indexes foreign keys itself and has no CREATE INDEX IF NOT EXISTS
+    if (driver !== 'mysql') {
+        statements.push(
+            'CREATE INDEX IF NOT EXISTS query_results_run ON query_results (run_id)',
+            'CREATE INDEX IF NOT EXISTS product_outcomes_query_result ON product_outcomes (query_result_id)'
+        );
+    }
+    return statements;
+}
+
+// Both drivers reject undefined as a parameter
+function toParams(params) {
+    return params.map(value => (value === undefined ? null : value));
+}
+
+// How long to wait for another process to close the history file, and how often to check
+const LOCK_TIMEOUT_MS = 60 * 1000;
+const LOCK_RETRY_MS = 100;
+// A lock this old was left by a process that died with the store open
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+/**
+ * Take the lock file of a history file, waiting while another process holds it
+ */
+async function acquireLock(lockPath) {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+        try {
+            fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+            return;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+        try {
+            if (Date.now() - fs.statSync(lockPath).mtimeMs > STALE_LOCK_MS) {
+                fs.unlinkSync(lockPath);
+                continue;
+            }
+        } catch (error) {
+            // Released between the two calls; try again
+            if (error.code === 'ENOENT') {
+                continue;
+            }
+            throw error;
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`History file is locked by another process (${lockPath}); delete the lock file if no run is recording`);
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+}
+
+/**
+ * SQLite database in one file, read into memory on open and written back on close
+ * A lock file is held from open to close, so a run recorded while another process has the file
+ * open (a teardown and a record command, say) waits for it instead of overwriting its rows
+ */
+class FileResultsStore {
+    constructor(filePath) {
+        this.driver = 'file';
+        this.filePath = filePath;
+        this.lockPath = `${filePath}.lock`;
+        this.db = null;
+    }
+
+    describe() {
+        return this.filePath;
+    }
+
+    async open() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        await acquireLock(this.lockPath);
+        try {
+            const initSqlJs = require('sql.js');
+            const SQL = await initSqlJs();
+            this.db = fs.existsSync(this.filePath) ? new SQL.Database(fs.readFileSync(this.filePath)) : new SQL.Database();
+        } catch (error) {
+            fs.rmSync(this.lockPath, { force: true });
+            throw error;
+        }
+    }
+
+    async execute(sql, params = []) {
+        this.db.run(sql, toParams(params));
+        return { insertId: this.db.exec('SELECT last_insert_rowid()')[0].values[0][0] };
+    }
+
+    async query(sql, params = []) {
+        const statement = this.db.prepare(sql);
+        const rows = [];
+        try {
+            statement.bind(toParams(params));
+            while (statement.step()) {
+                rows.push(statement.getAsObject());
+            }
+        } finally {
+            statement.free();
+        }
+        return rows;
+    }
+
+    async transaction(work) {
+        this.db.run('BEGIN');
+        try {
+            await work();
+            this.db.run('COMMIT');
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw error;
+        }
+    }
+
+    // Written to a temporary file first, so a crash never leaves half a database
+    async close() {
+        try {
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(tempPath, Buffer.from(this.db.export()));
+            fs.renameSync(tempPath, this.filePath);
+            this.db.close();
+        } finally {
+            fs.rmSync(this.lockPath, { force: true });
+        }
+    }
+}
+
+/**
+ * MySQL database on a server, through one mysql2 connection
+ */
+class MySqlResultsStore {
+    constructor(options) {
+        this.driver = 'mysql';
+        this.options = options;
+        this.connection = null;
+    }
+
+    describe() {
+        return `mysql://${this.options.user}@${this.options.host}:${this.options.port}/${this.options.database}`;
+    }
+
+    async open() {
+        const mysql = require('mysql2/promise');
+        const { host, port, user, database } = this.options;
+        // Read at connect time only, so the password never enters the config saved in run files
+        const password = process.env.API_TEST_MYSQL_PASSWORD || undefined;
+        this.connection = await mysql.createConnection({ host, port, user, password, database });
+    }
+
+    async execute(sql, params = []) {
+        const [result] = await this.connection.execute(sql, toParams(params));
+        return { insertId: result.insertId };
+    }
+
+    async query(sql, params = []) {
+        const [rows] = await this.connection.execute(sql, toParams(params));
+        return rows;
+    }
+
+    async transaction(work) {
+        await this.connection.beginTransaction();
+        try {
+            await work();
+            await this.connection.commit();
+        } catch (error) {
+            await this.connection.rollback();
+            throw error;
+        }
+    }
+
+    async close() {
+        await this.connection.end();
+    }
+}
+
+/**
+ * Open the history store of the run config, creating its tables on first use
+ * @returns {Promise<FileResultsStore|MySqlResultsStore|null>} - null when history.driver is "off"
+ */
+async function openResultsStore(config) {
+    const { driver } = config.history;
+    if (driver === 'off') {
+        return null;
+    }
+    const store = driver === 'mysql' ? new MySqlResultsStore(config.history.mysql) : new FileResultsStore(config.paths.historyDb);
+    await store.open();
+    try {
+        for (const statement of schema(driver)) {
+            await store.execute(statement);
+        }
+    } catch (error) {
+        await store.close().catch(() => {});
+        throw error;
+    }
+    return store;
+}
+
+/**
+ * Key and start time of a run file in the history
+ * A run imported from a CSV has no run ID or start time; its file name's timestamp, in local time
+ * like run IDs, stands in for both. The start time is always a UTC ISO string, e.g. 2026-10-19T12:00:00.000Z
+ */
+function describeHistoryRun(runFile) {
+    const source = runFile.run.reissuedFrom ? path.basename(runFile.run.reissuedFrom).replace(/\.[^.]+$/, '') : null;
+    const stamp = source && source.match(/(\d{4})-(\d{2})-(\d{2})_(\d{2})-(\d{2})-(\d{2})/);
+    let startedAt = new Date(runFile.run.startedAt || runFile.generatedAt);
+    if (!runFile.run.startedAt && stamp) {
+        const [year, month, day, hours, minutes, seconds] = stamp.slice(1).map(Number);
+        startedAt = new Date(year, month - 1, day, hours, minutes, seconds);
+    }
+    return {
+        runKey: runFile.run.runId || source || runFile.generatedAt,
+        startedAt: startedAt.toISOString()
+    };
+}
+
+/**
+ * Record a run, its query results and their expected products, replacing an earlier record of the same run
+ * @param {Object} store - Open store, see openResultsStore
+ * @param {Object} runFile - Run file whose queries carry their comparisons
+ * @returns {Promise<string>} - Key of the recorded run
+ */
+async function recordRun(store, runFile) {
+    const { runKey, startedAt } = describeHistoryRun(runFile);
+
+    await store.transaction(async () => {
+        const existing = await store.query('SELECT id FROM runs WHERE run_key = ?', [runKey]);
+        for (const { id } of existing) {
+            await store.execute('DELETE FROM product_outcomes WHERE query_result_id IN (SELECT id FROM query_results WHERE run_id = ?)', [id]);
+            await store.execute('DELETE FROM query_results WHERE run_id = ?', [id]);
+            await store.execute('DELETE FROM runs WHERE id = ?', [id]);
+        }
+
+        const { insertId: runId } = await store.execute(
+            'INSERT INTO runs (run_key, profile, input_csv, started_at, recorded_at, queries, failed_queries, source) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+            [runKey, runFile.run.profile, runFile.run.inputCsv, startedAt, new Date().toISOString(), runFile.run.queries, runFile.run.failedQueries, runFile.run.reissuedFrom || null]
+        );
+
+        for (const result of runFile.queries) {
+            const { counts, expected } = result.comparison;
+            const { accuracy, coverage } = summarizeQuery(result);
+            const { insertId: queryResultId } = await store.execute(
+                `INSERT INTO query_results (run_id, test_number, query_text, outcome, test_result, failed, expected_products, matches, near_matches,
+                    variant_matches, misplaced, not_found, accuracy, match_rate, first_page_coverage, total_results)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [runId, result.testNumber, result.query, result.outcome, result.testResult, isFailedResult(result) ? 1 : 0,
+                    counts.expected, counts.matches, counts.nearMatches, counts.variantMatches, counts.mismatches, counts.notFound,
+                    accuracy, counts.matchRate, coverage, Number.isInteger(result.totalResults) ? result.totalResults : null]
+            );
+            for (const entry of expected) {
+                await store.execute(
+                    `INSERT INTO product_outcomes (query_result_id, expected_sku, expected_name, expected_position, position_match, actual_position,
+                        page_number, identity_match, relevance) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [queryResultId, entry.expectedSku, entry.expectedName, entry.expectedPosition, entry.match, entry.actualPosition,
+                        entry.pageNumber, entry.identityMatch, entry.relevance]
+                );
+            }
+        }
+    });
+    return runKey;
+}
+
+/**
+ * Record a finished run in the configured history store; a store that can't be reached only warns
+ * @returns {Promise<string|null>} - Key of the recorded run, null when history is off or recording failed
+ */
+async function recordRunHistory(runFile, config) {
+    let store = null;
+    try {
+        store = await openResultsStore(config);
+        if (!store) {
+            return null;
+        }
+        const runKey = await recordRun(store, runFile);
+        console.log(`  🗄️ Run History: recorded ${runKey} in ${store.describe()}`);
+        return runKey;
+    } catch (error) {
+        console.log(`  ⚠️ Could not record run history: ${error.message}`);
+        return null;
+    } finally {
+        if (store) {
+            await store.close().catch(error => console.log(`  ⚠️ Could not close run history: ${error.message}`));
+        }
+    }
+}
+
+/**
+ * The latest runs and their per-query results, oldest first
+ * @param {Object} store - Open store
+ * @param {number} limit - Most recent runs to load
+ * @returns {Promise<Object>} - { runs: [{ id, runKey, startedAt, queries, failedQueries }], results: [{ runId, query, accuracy, coverage, failed }] }
+ */
+async function loadTrends(store, limit) {
+    const latest = await store.query(
+        `SELECT id, run_key, started_at, queries, failed_queries FROM runs ORDER BY started_at DESC LIMIT ${Math.max(1, parseInt(limit, 10) || 1)}`
+    );
+    const runs = latest.reverse().map(row => ({
+        id: row.id,
+        runKey: row.run_key,
+        startedAt: row.started_at,
+        queries: row.queries,
+        failedQueries: row.failed_queries
+    }));
+    if (runs.length === 0) {
+        return { runs, results: [] };
+    }
+
+    const rows = await store.query(
+        `SELECT run_id, query_text, accuracy, first_page_coverage, failed FROM query_results WHERE run_id IN (${runs.map(() => '?').join(', ')}) ORDER BY test_number`,
+        runs.map(run => run.id)
+    );
+    const results = rows.map(row => ({
+        runId: row.run_id,
+        query: row.query_text,
+        accuracy: row.accuracy === null ? null : Number(row.accuracy),
+        coverage: row.first_page_coverage === null ? null : Number(row.first_page_coverage),
+        failed: Number(row.failed) === 1
+    }));
+    return { runs, results };
+}
+
+module.exports = {
+    HISTORY_DRIVERS,
+    openResultsStore,
+    recordRun,
+    recordRunHistory,
+    describeHistoryRun,
+    loadTrends
+};
@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const { CASSETTE_MODES } = require('./search-cassette');
+const { HISTORY_DRIVERS } = require('./results-store');
+const { isGateOn } = require('./quality-gates');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'api-test.config.json');
+
+// Environment variables that override single config values after the profile is applied
+const ENV_OVERRIDES = [
+    { name: 'API_TEST_BASE_URL', key: 'api.baseUrl', type: 'string' },
+    { name: 'API_TEST_SEARCH_PATH', key: 'api.searchPath', type: 'string' },
+    { name: 'API_TEST_SITE_ID', key: 'api.siteId', type: 'string' },
+    { name: 'API_TEST_RESULTS_PER_PAGE', key: 'api.resultsPerPage', type: 'integer' },
+    { name: 'API_TEST_MAX_RETRIES', key: 'api.maxRetries', type: 'integer' },
+    { name: 'API_TEST_TIMEOUT_MS', key: 'api.timeoutMs', type: 'integer' },
+    { name: 'API_TEST_MAX_PAGES', key: 'search.maxPages', type: 'integer' },
+    { name: 'API_TEST_QUERY_TIMEOUT_MS', key: 'search.queryTimeoutMs', type: 'integer' },
+    { name: 'API_TEST_METRICS_K', key: 'metrics.k', type: 'integer' },
+    { name: 'API_TEST_TERM_POSITION_DEPTH', key: 'analysis.termPositionDepth', type: 'integer' },
+    { name: 'API_TEST_NOISE_DEPTH', key: 'analysis.noiseDepth', type: 'integer' },
+    { name: 'API_TEST_NOISE_MIN_COVERAGE', key: 'analysis.noiseMinTokenCoverage', type: 'number' },
+    { name: 'API_TEST_POSITION_TOLERANCE', key: 'matching.positionTolerance', type: 'integer' },
+    { name: 'API_TEST_SKU_CHANGE_MIN_SIMILARITY', key: 'matching.skuChangeMinSimilarity', type: 'number' },
+    { name: 'API_TEST_MATCH_VARIANTS', key: 'identity.matchVariants', type: 'boolean' },
+    { name: 'API_TEST_SCHEMA_VERSION', key: 'contract.schemaVersion', type: 'string' },
+    { name: 'API_TEST_STRICT_CONTRACT', key: 'contract.strict', type: 'boolean' },
+    { name: 'API_TEST_REQUESTS_PER_SECOND', key: 'rateLimit.requestsPerSecond', type: 'number' },
+    { name: 'API_TEST_BACKOFF_MAX_MS', key: 'rateLimit.backoffMaxMs', type: 'integer' },
+    { name: 'API_TEST_WORKERS', key: 'concurrency.workers', type: 'integer' },
+    { name: 'API_TEST_CASSETTE_MODE', key: 'cassette.mode', type: 'string' },
+    { name: 'API_TEST_GATE_MIN_MATCH_RATE', key: 'gates.minMatchRate', type: 'number' },
+    { name: 'API_TEST_GATE_MIN_COVERAGE', key: 'gates.minFirstPageCoverage', type: 'number' },
+    { name: 'API_TEST_GATE_MAX_FAILED', key: 'gates.maxFailedQueries', type: 'integer' },
+    { name: 'API_TEST_GATE_BASELINE', key: 'gates.baselineRun', type: 'string' },
+    { name: 'API_TEST_GATE_MAX_REGRESSION', key: 'gates.maxRegressionPoints', type: 'number' },
+    { name: 'API_TEST_HISTORY_DRIVER', key: 'history.driver', type: 'string' },
+    { name: 'API_TEST_MYSQL_HOST', key: 'history.mysql.host', type: 'string' },
+    { name: 'API_TEST_MYSQL_PORT', key: 'history.mysql.port', type: 'integer' },
+    { name: 'API_TEST_MYSQL_USER', key: 'history.mysql.user', type: 'string' },
+    { name: 'API_TEST_MYSQL_DATABASE', key: 'history.mysql.database', type: 'string' },
+    { name: 'API_TEST_MOCK_PORT', key: 'mockServer.port', type: 'integer' },
+    { name: 'API_TEST_INPUT_CSV', key: 'paths.inputCsv', type: 'string' },
+    { name: 'API_TEST_OUTPUT_DIR', key: 'paths.outputDir', type: 'string' },
+    { name: 'API_TEST_RUNS_DIR', key: 'paths.runsDir', type: 'string' },
+    { name: 'API_TEST_CASSETTE_DIR', key: 'paths.cassetteDir', type: 'string' },
+    { name: 'API_TEST_SCHEMA_DIR', key: 'paths.schemaDir', type: 'string' },
+    { name: 'API_TEST_MOCK_FAULTS', key: 'paths.mockFaults', type: 'string' },
+    { name: 'API_TEST_SKU_ALIASES', key: 'paths.skuAliases', type: 'string' },
+    { name: 'API_TEST_HISTORY_DB', key: 'paths.historyDb', type: 'string' }
+];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge profile values over the defaults, section by section
+ */
+function mergeConfig(base, overrides) {
+    const merged = { ...base };
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? mergeConfig(base[key], value)
+            : value;
+    });
+    return merged;
+}
+
+function setByKey(target, key, value) {
+    const parts = key.split('.');
+    let node = target;
+    parts.slice(0, -1).forEach(part => {
+        if (!isPlainObject(node[part])) {
+            node[part] = {};
+        }
+        node = node[part];
+    });
+    node[parts[parts.length - 1]] = value;
+}
+
+function getByKey(source, key) {
+    return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), source);
+}
+
+/**
+ * Whether a baseline run names a file or directory rather than a run in the runs directory
+ */
+function isRunPath(value) {
+    return /[\\/]/.test(value) || /\.(json|csv)$/i.test(value);
+}
+
+// Whether an environment override holds a path: any paths.* value, or a baseline run that isn't a bare run ID
+function isPathOverride(override, value) {
+    return override.key.startsWith('paths.') || (override.key === 'gates.baselineRun' && isRunPath(value));
+}
+
+function parseEnvValue(override, rawValue) {
+    if (override.type === 'integer') {
+        const value = parseInt(rawValue, 10);
+        if (!Number.isInteger(value)) {
+            throw new Error(`${override.name} must be an integer, got "${rawValue}"`);
+        }
+        return value;
+    }
+    if (override.type === 'number') {
+        const value = Number(rawValue);
+        if (!Number.isFinite(value)) {
+            throw new Error(`${override.name} must be a number, got "${rawValue}"`);
+        }
+        return value;
+    }
+    if (override.type === 'boolean') {
+        if (!['true', 'false', '1', '0'].includes(rawValue.toLowerCase())) {
+            throw new Error(`${override.name} must be true/false or 1/0, got "${rawValue}"`);
+        }
+        return ['true', '1'].includes(rawValue.toLowerCase());
+    }
+    return rawValue;
+}
+
+/**
+ * Check the values the position math and the request builder rely on
+ */
+function validateConfig(config) {
+    if (!config.api.baseUrl) {
+        throw new Error(`No API base URL configured for profile "${config.profile}" (set api.baseUrl or API_TEST_BASE_URL)`);
+    }
+    ['api.resultsPerPage', 'api.maxRetries', 'api.timeoutMs', 'search.maxPages', 'search.queryTimeoutMs', 'metrics.k', 'analysis.termPositionDepth', 'analysis.noiseDepth', 'concurrency.workers', 'history.trendRuns', 'history.failureRateWindow'].forEach(key => {
+        const value = getByKey(config, key);
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error(`Config value ${key} must be a positive integer, got "${value}"`);
+        }
+    });
+    ['api.emptyResultConfirmations', 'matching.positionTolerance'].forEach(key => {
+        const value = getByKey(config, key);
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`Config value ${key} must be a non-negative integer, got "${value}"`);
+        }
+    });
+    ['analysis.noiseMinTokenCoverage', 'matching.skuChangeMinSimilarity'].forEach(key => {
+        const value = getByKey(config, key);
+        if (!(value > 0 && value <= 1)) {
+            throw new Error(`Config value ${key} must be above 0 and at most 1, got "${value}"`);
+        }
+    });
+    ['identity.alternateIdFields', 'identity.parentIdFields'].forEach(key => {
+        const value = getByKey(config, key);
+        if (!Array.isArray(value) || !value.every(field => typeof field === 'string' && field)) {
+            throw new Error(`Config value ${key} must be a list of product field names, got "${JSON.stringify(value)}"`);
+        }
+    });
+    if (typeof config.identity.stripCharacters !== 'string') {
+        throw new Error(`Config value identity.stripCharacters must be a string of characters to ignore in IDs, got "${config.identity.stripCharacters}"`);
+    }
+    if (!(config.rateLimit.requestsPerSecond > 0)) {
+        throw new Error(`Config value rateLimit.requestsPerSecond must be greater than 0, got "${config.rateLimit.requestsPerSecond}"`);
+    }
+    if (!config.contract.schemaVersion) {
+        throw new Error('Config value contract.schemaVersion must name a schema in paths.schemaDir');
+    }
+    if (!CASSETTE_MODES.includes(config.cassette.mode)) {
+        throw new Error(`Config value cassette.mode must be one of ${CASSETTE_MODES.join(', ')}, got "${config.cassette.mode}"`);
+    }
+    // Gates are off while null, unset or ""
+    ['gates.minMatchRate', 'gates.minFirstPageCoverage'].forEach(key => {
+        const value = getByKey(config, key);
+        if (isGateOn(value) && !(value >= 0 && value <= 100)) {
+            throw new Error(`Config value ${key} must be null or a percentage from 0 to 100, got "${value}"`);
+        }
+    });
+    if (isGateOn(config.gates.maxFailedQueries) && !(Number.isInteger(config.gates.maxFailedQueries) && config.gates.maxFailedQueries >= 0)) {
+        throw new Error(`Config value gates.maxFailedQueries must be null or a non-negative integer, got "${config.gates.maxFailedQueries}"`);
+    }
+    if (isGateOn(config.gates.maxRegressionPoints) && !(config.gates.maxRegressionPoints >= 0)) {
+        throw new Error(`Config value gates.maxRegressionPoints must be null or a non-negative number, got "${config.gates.maxRegressionPoints}"`);
+    }
+    if (isGateOn(config.gates.maxRegressionPoints) && !config.gates.baselineRun) {
+        throw new Error('Config value gates.maxRegressionPoints needs gates.baselineRun (a run file, CSV or run ID; or API_TEST_GATE_BASELINE)');
+    }
+    if (!HISTORY_DRIVERS.includes(config.history.driver)) {
+        throw new Error(`Config value history.driver must be one of ${HISTORY_DRIVERS.join(', ')}, got "${config.history.driver}"`);
+    }
+    if (config.history.driver === 'mysql' && !(config.history.mysql.host && config.history.mysql.user && config.history.mysql.database)) {
+        throw new Error('History driver "mysql" needs history.mysql.host, user and database (or API_TEST_MYSQL_HOST, _USER and _DATABASE)');
+    }
+    // The config is saved in every run file, so the password only ever comes from the environment
+    if (config.history.mysql.password !== undefined) {
+        throw new Error('Config value history.mysql.password is not read from the config file; set API_TEST_MYSQL_PASSWORD instead');
+    }
+}
+
+/**
+ * Load the run configuration: file defaults, then the selected profile, then environment overrides
+ * @param {Object} [options]
+ * @param {string} [options.configPath] - Config file, defaults to API_TEST_CONFIG or api-test.config.json
+ * @param {string} [options.profile] - Profile name, defaults to API_TEST_PROFILE or the file's defaultProfile
+ * @param {Object} [options.env] - Environment to read overrides from
+ * @returns {Object} - Resolved config with absolute paths
+ */
+function loadRunConfig(options = {}) {
+    const env = options.env || process.env;
+    const configPath = path.resolve(options.configPath || env.API_TEST_CONFIG || DEFAULT_CONFIG_PATH);
+
+    if (!fs.existsSync(configPath)) {
+        throw new Error(`Run config file not found: ${configPath}`);
+    }
+
+    const fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    const profiles = fileConfig.profiles || {};
+    const profile = options.profile || env.API_TEST_PROFILE || fileConfig.defaultProfile;
+
+    if (profile && !profiles[profile]) {
+        throw new Error(`Unknown run profile "${profile}". Available profiles: ${Object.keys(profiles).join(', ') || 'none'}`);
+    }
+
+    const config = mergeConfig(fileConfig.defaults || {}, profile ? profiles[profile] : {});
+    const configDir = path.dirname(configPath);
+
+    // Relative paths in the file are relative to the config file
+    Object.keys(config.paths || {}).forEach(key => {
+        if (config.paths[key]) {
+            config.paths[key] = path.resolve(configDir, config.paths[key]);
+        }
+    });
+    // So is a baseline run file or directory; a bare run ID is looked up in paths.runsDir
+    if (config.gates.baselineRun && isRunPath(config.gates.baselineRun)) {
+        config.gates.baselineRun = path.resolve(configDir, config.gates.baselineRun);
+    }
+
+    // Relative paths in the environment are relative to the working directory, like a command-line path
+    ENV_OVERRIDES.forEach(override => {
+        const rawValue = env[override.name];
+        if (rawValue !== undefined && rawValue !== '') {
+            const value = parseEnvValue(override, rawValue);
+            setByKey(config, override.key, isPathOverride(override, value) ? path.resolve(process.cwd(), value) : value);
+        }
+    });
+
+    // A profile that starts the mock server talks to it on its port (API_TEST_MOCK_PORT), unless a base URL is set
+    if (config.mockServer.enabled && !config.api.baseUrl) {
+        config.api.baseUrl = `http://127.0.0.1:${config.mockServer.port}`;
+    }
+
+
+    config.profile = profile || null;
+    config.configPath = configPath;
+    validateConfig(config);
+
+    return config;
+}
+
+/**
+ * Full URL of the search endpoint for a resolved config
+ */
+function getSearchUrl(config) {
+    return `${config.api.baseUrl.replace(/\/+$/, '')}${config.api.searchPath}`;
+}
+
+module.exports = {
+    loadRunConfig,
+    getSearchUrl,
+    mergeConfig,
+    ENV_OVERRIDES
+};
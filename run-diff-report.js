@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { loadSavedRun, recompareResults } = require('./run-reports');
+const { SEVERITIES, SEVERITY_ORDER, CHANGE_TYPES, diffRuns, formatPercent } = require('./run-diff');
+const { escapeHtml } = require('./html-utils');
+
+/**
+ * Standalone HTML and Excel reports of the regression diff between two saved runs
+ *
+ * Either run can be a run file, a POSITION_COMPARISON CSV (including ones written before run files
+ * existed) or a saved run ID. Both are compared and graded again with the current options first, so
+ * an older run graded by older rules doesn't show up as a regression.
+ */
+
+// Fill and font colour of each severity, the Excel report's red/amber/green
+const SEVERITY_COLORS = {
+    [SEVERITIES.CRITICAL]: { fill: 'C00000', font: 'FFFFFF' },
+    [SEVERITIES.HIGH]: { fill: 'FFC7CE', font: '9C0006' },
+    [SEVERITIES.MEDIUM]: { fill: 'FFEB9C', font: '9C5700' },
+    [SEVERITIES.LOW]: { fill: 'F2F2F2', font: '404040' },
+    [SEVERITIES.IMPROVEMENT]: { fill: 'C6EFCE', font: '006100' }
+};
+
+const CHANGE_COLUMNS = ['Severity', 'Change', 'Query', 'Expected SKU', 'Expected Name', 'Before', 'After', 'Delta', 'Detail'];
+
+function changeCells(item) {
+    return [item.severity, item.type, item.query, item.expectedSku, item.expectedName, item.before, item.after, item.delta === null ? '' : item.delta, item.detail];
+}
+
+/**
+ * Label of a saved run for report headers: its run ID, or the file it was loaded from
+ */
+function describeRun(saved) {
+    const manifest = saved.manifest || {};
+    const name = manifest.runId || path.basename(saved.sourcePath);
+    return manifest.startedAt ? `${name} (started ${manifest.startedAt})` : name;
+}
+
+/**
+ * Self-contained HTML page of the diff: counts per severity and change type, then every change most severe first
+ */
+function generateDiffHTML(diff, baseLabel, currentLabel) {
+    const severityCards = SEVERITY_ORDER.map(severity => `
+            <div class="stat-card" style="border-top: 6px solid #${SEVERITY_COLORS[severity].fill}">
+                <div class="stat-value">${diff.bySeverity[severity] || 0}</div>
+                <div class="stat-label">${severity}</div>
+            </div>`).join('');
+    const typeCounts = Object.values(CHANGE_TYPES)
+        .filter(type => diff.byType[type])
+        .map(type => `<li>${type}: <strong>${diff.byType[type]}</strong></li>`)
+        .join('');
+    const changeRows = diff.changes.map(item => {
+        const colors = SEVERITY_COLORS[item.severity];
+        const cells = changeCells(item).slice(1).map(value => `<td>${escapeHtml(value)}</td>`).join('');
+        return `
+                <tr><td><span class="badge" style="background: #${colors.fill}; color: #${colors.font}">${item.severity}</span></td>${cells}</tr>`;
+    }).join('');
+    const queryRows = diff.queries.map(({ query, before, after }) => `
+                <tr><td>${escapeHtml(query)}</td><td>${before ? formatPercent(before.accuracy) : 'Not run'}</td><td>${after ? formatPercent(after.accuracy) : 'Not run'}</td><td>${before ? formatPercent(before.coverage) : 'Not run'}</td><td>${after ? formatPercent(after.coverage) : 'Not run'}</td></tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>API Test Run Diff</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); min-height: 100vh; padding: 20px; }
+        .container { max-width: 1400px; margin: 0 auto; background: white; border-radius: 20px; box-shadow: 0 20px 60px rgba(0,0,0,0.3); overflow: hidden; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 40px; text-align: center; }
+        h1 { font-size: 2.5em; margin-bottom: 10px; }
+        h2 { margin-bottom: 15px; color: #333; }
+        .runs { opacity: 0.9; font-size: 1.1em; line-height: 1.6; }
+        .overall-stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 20px; padding: 30px; background: #f8f9fa; }
+        .stat-card { background: white; padding: 20px; border-radius: 10px; text-align: center; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+        .stat-value { font-size: 2.5em; font-weight: bold; color: #667eea; }
+        .stat-label { color: #666; margin-top: 5px; font-size: 0.9em; }
+        .section { padding: 30px; border-bottom: 1px solid #e0e0e0; }
+        .section ul { list-style: none; display: flex; flex-wrap: wrap; gap: 10px 30px; color: #444; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.9em; }
+        th { background: #4472C4; color: white; padding: 10px; text-align: left; position: sticky; top: 0; }
+        td { padding: 8px 10px; border-bottom: 1px solid #eee; vertical-align: top; }
+        tr:hover td { background: #f8f9fa; }
+        .badge { display: inline-block; padding: 3px 10px; border-radius: 12px; font-weight: bold; font-size: 0.85em; }
+        .empty { color: #666; font-style: italic; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>API Test Run Diff</h1>
+            <div class="runs">
+                Baseline: ${escapeHtml(baseLabel)}<br>
+                Current: ${escapeHtml(currentLabel)}<br>
+                Generated: ${new Date().toLocaleString()}
+            </div>
+        </div>
+        <div class="overall-stats">${severityCards}
+        </div>
+        <div class="section">
+            <h2>Changes by Type</h2>
+            ${typeCounts ? `<ul>${typeCounts}</ul>` : '<p class="empty">No changes between the two runs.</p>'}
+        </div>
+        <div class="section">
+            <h2>Changes (most severe first)</h2>
+            <table>
+                <tr>${CHANGE_COLUMNS.map(column => `<th>${column}</th>`).join('')}</tr>${changeRows}
+            </table>
+        </div>
+        <div class="section">
+            <h2>Accuracy and First Page Coverage per Query</h2>
+            <table>
+                <tr><th>Query</th><th>Accuracy Before</th><th>Accuracy After</th><th>Coverage Before</th><th>Coverage After</th></tr>${queryRows}
+            </table>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Excel workbook of the diff: one sheet of every change, most severe first
+ */
+async function generateDiffExcel(diff, baseLabel, currentLabel, outputPath) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Run Diff');
+
+    sheet.addRow([`Baseline: ${baseLabel}`]);
+    sheet.addRow([`Current: ${currentLabel}`]);
+    sheet.addRow([]);
+    const headerRow = sheet.addRow(CHANGE_COLUMNS);
+    headerRow.eachCell(cell => {
+        cell.font = { bold: true, color: { argb: 'FFFFFF' } };
+        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: '4472C4' } };
+        cell.alignment = { horizontal: 'center', vertical: 'middle' };
+    });
+
+    diff.changes.forEach(item => {
+        const row = sheet.addRow(changeCells(item));
+        const colors = SEVERITY_COLORS[item.severity];
+        const severityCell = row.getCell(1);
+        severityCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: colors.fill } };
+        severityCell.font = { bold: true, color: { argb: colors.font } };
+    });
+
+    sheet.columns.forEach((column, index) => {
+        column.width = [12, 22, 25, 15, 50, 22, 22, 8, 45][index];
+    });
+    sheet.views = [{ state: 'frozen', ySplit: 4 }];
+    await workbook.xlsx.writeFile(outputPath);
+}
+
+/**
+ * Diff two saved runs and write the HTML and Excel diff reports
+ * @param {string} baseSource - Baseline run: run file, position comparison CSV or run ID
+ * @param {string} currentSource - Current run, in any of the same forms
+ * @param {Object} config - Resolved run config; its matching options and output directory apply
+ * @returns {Object} - { diff, htmlPath, excelPath }
+ */
+async function writeRunDiffReports(baseSource, currentSource, config) {
+    const base = loadSavedRun(baseSource, config);
+    const current = loadSavedRun(currentSource, config);
+    const baseLabel = describeRun(base);
+    const currentLabel = describeRun(current);
+    const diff = diffRuns(recompareResults(base.results, config), recompareResults(current.results, config));
+
+    const outputDir = config.paths.outputDir;
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+    const timeString = new Date().toTimeString().split(' ')[0].replace(/:/g, '-');
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const htmlPath = path.join(outputDir, `API_TEST_DIFF_${timestamp}_${timeString}.html`);
+    fs.writeFileSync(htmlPath, generateDiffHTML(diff, baseLabel, currentLabel));
+    const excelPath = path.join(outputDir, `API_TEST_DIFF_${timestamp}_${timeString}.xlsx`);
+    await generateDiffExcel(diff, baseLabel, currentLabel, excelPath);
+
+    console.log(`\n🔀 Run Diff: ${baseLabel} -> ${currentLabel}`);
+    console.log(`  📋 ${diff.changes.length} change(s): ${SEVERITY_ORDER.map(severity => `${severity} ${diff.bySeverity[severity] || 0}`).join(', ')}`);
+    diff.changes.filter(item => item.severity === SEVERITIES.CRITICAL || item.severity === SEVERITIES.HIGH).slice(0, 10).forEach(item => {
+        const product = item.expectedSku ? ` ${item.expectedSku}` : '';
+        console.log(`  • [${item.severity}] "${item.query}"${product}: ${item.type} (${item.before} -> ${item.after})`);
+    });
+    console.log(`  📊 HTML Diff Report: ${htmlPath}`);
+    console.log(`  📊 Excel Diff Report: ${excelPath}`);
+
+    return { diff, htmlPath, excelPath };
+}
+
+module.exports = {
+    generateDiffHTML,
+    generateDiffExcel,
+    writeRunDiffReports
+};
@@ -0,0 +1,237 @@
+/**
+ * Regression diff of two runs of the suite: what changed from a baseline run to a current one
+ *
+ * Queries are paired by their text and expected products by SKU within a query. Both runs must be
+ * compared with the same rules (see recompareResults), so a change here is a change in what the API
+ * returned, not in how it was graded. Every change gets a severity; regressions rank above
+ * improvements, and within a severity the larger change comes first.
+ */
+
+const { QUERY_OUTCOMES, isFailedResult } = require('./test-cases');
+
+const SEVERITIES = {
+    CRITICAL: 'Critical',
+    HIGH: 'High',
+    MEDIUM: 'Medium',
+    LOW: 'Low',
+    IMPROVEMENT: 'Improvement'
+};
+
+// Most severe first; the order changes are listed in
+const SEVERITY_ORDER = [SEVERITIES.CRITICAL, SEVERITIES.HIGH, SEVERITIES.MEDIUM, SEVERITIES.LOW, SEVERITIES.IMPROVEMENT];
+
+const CHANGE_TYPES = {
+    NEW_FAILURE: 'New Failure',
+    FIXED_FAILURE: 'Fixed Failure',
+    ACCURACY: 'Accuracy',
+    COVERAGE: 'First Page Coverage',
+    LOST: 'Product Lost',
+    FOUND: 'Product Newly Found',
+    MOVED: 'Product Moved',
+    QUERY_ADDED: 'Query Added',
+    QUERY_REMOVED: 'Query Removed'
+};
+
+// A drop of this many percentage points or more is a major regression
+const MAJOR_DROP_POINTS = 10;
+// Smaller differences are rounding, not change
+const MIN_CHANGE_POINTS = 0.05;
+
+function queryKey(query) {
+    return (query || '').trim().toLowerCase();
+}
+
+function skuKey(sku) {
+    return (sku || '').toString().trim().toLowerCase();
+}
+
+function isError(result) {
+    return result.outcome === QUERY_OUTCOMES.ERROR || result.apiStatus === 'ERROR';
+}
+
+/**
+ * Accuracy (relevance-weighted exact matches, as in the HTML report) and first page coverage of a query, in percent
+ */
+function summarizeQuery(result) {
+    const { counts, firstPage } = result.comparison;
+    let accuracy = null;
+    if (result.outcome === QUERY_OUTCOMES.ZERO_RESULTS_EXPECTED) {
+        accuracy = 100;
+    } else if (!isError(result) && counts.graded) {
+        accuracy = counts.graded.rate;
+    }
+    return {
+        accuracy,
+        coverage: firstPage && firstPage.coverage !== null ? firstPage.coverage : null
+    };
+}
+
+function formatPercent(value) {
+    return value === null ? 'N/A' : `${value.toFixed(1)}%`;
+}
+
+function formatPosition(entry) {
+    return entry.identityMatch ? `${entry.actualPosition} (page ${entry.pageNumber})` : entry.match;
+}
+
+function change(severity, type, query, fields = {}) {
+    return {
+        severity,
+        type,
+        query,
+        expectedSku: fields.expectedSku || '',
+        expectedName: fields.expectedName || '',
+        before: fields.before !== undefined ? fields.before : '',
+        after: fields.after !== undefined ? fields.after : '',
+        delta: fields.delta !== undefined ? fields.delta : null,
+        detail: fields.detail || ''
+    };
+}
+
+/**
+ * Changes of one percentage of a query, e.g. accuracy
+ */
+function diffPercent(type, query, before, after, severities, note) {
+    if (before === null || after === null || Math.abs(after - before) < MIN_CHANGE_POINTS) {
+        return [];
+    }
+    const delta = after - before;
+    const severity = delta > 0 ? SEVERITIES.IMPROVEMENT : (-delta >= MAJOR_DROP_POINTS ? severities.major : severities.minor);
+    return [change(severity, type, query, {
+        before: formatPercent(before),
+        after: formatPercent(after),
+        delta: Number(delta.toFixed(1)),
+        detail: `${delta > 0 ? '+' : ''}${delta.toFixed(1)} points${note ? `; ${note}` : ''}`
+    })];
+}
+
+/**
+ * Expected products found in one run and not the other, or found at another position
+ */
+function diffProducts(query, baseResult, currentResult) {
+    const currentEntries = new Map(currentResult.comparison.expected.map(entry => [skuKey(entry.expectedSku), entry]));
+    const changes = [];
+
+    baseResult.comparison.expected.forEach(before => {
+        const after = currentEntries.get(skuKey(before.expectedSku));
+        // Products only one run's input expects are input edits, not search changes
+        if (!after) {
+            return;
+        }
+        const product = { expectedSku: before.expectedSku, expectedName: before.expectedName, before: formatPosition(before), after: formatPosition(after) };
+
+        if (before.identityMatch && !after.identityMatch) {
+            changes.push(change(before.pageNumber === 1 ? SEVERITIES.HIGH : SEVERITIES.MEDIUM, CHANGE_TYPES.LOST, query, {
+                ...product,
+                detail: before.pageNumber === 1 ? 'Was on page 1' : `Was on page ${before.pageNumber}`
+            }));
+        } else if (!before.identityMatch && after.identityMatch) {
+            changes.push(change(SEVERITIES.IMPROVEMENT, CHANGE_TYPES.FOUND, query, { ...product, detail: `Now ${after.match || 'found'}` }));
+        } else if (before.identityMatch && before.actualPosition !== after.actualPosition) {
+            const delta = after.actualPosition - before.actualPosition;
+            let severity = SEVERITIES.IMPROVEMENT;
+            if (delta > 0 && before.pageNumber === 1 && after.pageNumber > 1) {
+                severity = SEVERITIES.HIGH;
+            } else if (delta > 0 && before.match !== after.match) {
+                severity = SEVERITIES.MEDIUM;
+            } else if (delta > 0) {
+                severity = SEVERITIES.LOW;
+            }
+            changes.push(change(severity, CHANGE_TYPES.MOVED, query, {
+                ...product,
+                delta,
+                detail: before.match === after.match ? `${delta > 0 ? 'Down' : 'Up'} ${Math.abs(delta)}` : `${delta > 0 ? 'Down' : 'Up'} ${Math.abs(delta)}, ${before.match} -> ${after.match}`
+            }));
+        }
+    });
+    return changes;
+}
+
+/**
+ * Note on a query whose input expects other products than in the baseline, as its percentages then move without the API changing
+ */
+function describeInputChange(baseResult, currentResult) {
+    const baseSkus = new Set(baseResult.comparison.expected.map(entry => skuKey(entry.expectedSku)));
+    const currentSkus = new Set(currentResult.comparison.expected.map(entry => skuKey(entry.expectedSku)));
+    const added = [...currentSkus].filter(sku => !baseSkus.has(sku)).length;
+    const removed = [...baseSkus].filter(sku => !currentSkus.has(sku)).length;
+    return added || removed ? `input expectations changed (${added} added, ${removed} removed)` : '';
+}
+
+/**
+ * Changes of a query present in both runs
+ */
+function diffQuery(baseResult, currentResult) {
+    const query = currentResult.query;
+    const changes = [];
+
+    if (!isFailedResult(baseResult) && isFailedResult(currentResult)) {
+        changes.push(change(SEVERITIES.CRITICAL, CHANGE_TYPES.NEW_FAILURE, query, {
+            before: baseResult.testResult || 'PASS',
+            after: currentResult.testResult,
+            detail: currentResult.error || ''
+        }));
+    } else if (isFailedResult(baseResult) && !isFailedResult(currentResult)) {
+        changes.push(change(SEVERITIES.IMPROVEMENT, CHANGE_TYPES.FIXED_FAILURE, query, { before: baseResult.testResult, after: currentResult.testResult }));
+    }
+
+    const before = summarizeQuery(baseResult);
+    const after = summarizeQuery(currentResult);
+    const note = describeInputChange(baseResult, currentResult);
+    changes.push(...diffPercent(CHANGE_TYPES.ACCURACY, query, before.accuracy, after.accuracy, { major: SEVERITIES.HIGH, minor: SEVERITIES.MEDIUM }, note));
+    changes.push(...diffPercent(CHANGE_TYPES.COVERAGE, query, before.coverage, after.coverage, { major: SEVERITIES.MEDIUM, minor: SEVERITIES.LOW }, note));
+
+    // A query without an answer has no products to compare; its failure is the change
+    if (!isError(baseResult) && !isError(currentResult)) {
+        changes.push(...diffProducts(query, baseResult, currentResult));
+    }
+    return changes;
+}
+
+function compareChanges(a, b) {
+    return SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) ||
+        Math.abs(b.delta || 0) - Math.abs(a.delta || 0) ||
+        a.query.localeCompare(b.query) ||
+        a.expectedSku.localeCompare(b.expectedSku);
+}
+
+/**
+ * Changes from a baseline run to a current run
+ * @param {Array} baseResults - Per-query results of the baseline run, with comparisons
+ * @param {Array} currentResults - Per-query results of the current run, compared with the same rules
+ * @returns {Object} - { changes, bySeverity, byType, queries }: changes most severe first, their counts and
+ *   one { query, before, after } row of accuracy and coverage per query of either run
+ */
+function diffRuns(baseResults, currentResults) {
+    const baseByQuery = new Map(baseResults.map(result => [queryKey(result.query), result]));
+    const currentKeys = new Set(currentResults.map(result => queryKey(result.query)));
+    const changes = [];
+    const queries = [];
+
+    currentResults.forEach(result => {
+        const base = baseByQuery.get(queryKey(result.query));
+        queries.push({ query: result.query, before: base ? summarizeQuery(base) : null, after: summarizeQuery(result) });
+        if (base) {
+            changes.push(...diffQuery(base, result));
+        } else {
+            changes.push(change(SEVERITIES.LOW, CHANGE_TYPES.QUERY_ADDED, result.query, { after: result.testResult }));
+        }
+    });
+    baseResults.filter(result => !currentKeys.has(queryKey(result.query))).forEach(result => {
+        queries.push({ query: result.query, before: summarizeQuery(result), after: null });
+        changes.push(change(SEVERITIES.LOW, CHANGE_TYPES.QUERY_REMOVED, result.query, { before: result.testResult }));
+    });
+
+    changes.sort(compareChanges);
+    const countBy = field => changes.reduce((counts, item) => ({ ...counts, [item[field]]: (counts[item[field]] || 0) + 1 }), {});
+    return { changes, bySeverity: countBy('severity'), byType: countBy('type'), queries };
+}
+
+module.exports = {
+    SEVERITIES,
+    SEVERITY_ORDER,
+    CHANGE_TYPES,
+    diffRuns,
+    summarizeQuery,
+    formatPercent
+};
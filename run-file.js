@@ -0,0 +1,89 @@
+const fs = require('fs');
+const { isFailedResult } = require('./test-cases');
+
+/**
+ * Versioned JSON file of a whole run, the one source the HTML, Excel and CSV reports render from
+ *
+ * It holds the resolved config, the run's manifest data, the unique input products and, per query,
+ * the saved result: raw page responses with their timings, the comparison of expected and returned
+ * products, every check's outcome and the error of a failed query. Readers refuse files written by
+ * a newer format version rather than misreading them.
+ */
+
+const RUN_FILE_FORMAT = 'api-test-run';
+// Bump when a field is renamed or changes meaning; adding a field keeps the version
+const RUN_FILE_VERSION = 1;
+
+/**
+ * Run file for a finished run
+ * @param {Array} testResults - Per-query results in input order, with their comparisons
+ * @param {Object} config - Resolved run config
+ * @param {Object} [options] - { manifest, inputProducts }: the run's manifest and its unique input products
+ * @returns {Object} - { format, version, generatedAt, run, config, inputProducts, queries }
+ */
+function buildRunFile(testResults, config, options = {}) {
+    const manifest = options.manifest || {};
+    return {
+        format: RUN_FILE_FORMAT,
+        version: RUN_FILE_VERSION,
+        generatedAt: new Date().toISOString(),
+        run: {
+            runId: manifest.runId || null,
+            profile: manifest.profile || config.profile || null,
+            inputCsv: manifest.inputCsv || config.paths.inputCsv,
+            startedAt: manifest.startedAt || null,
+            resumes: manifest.resumes || [],
+            queries: testResults.length,
+            failedQueries: testResults.filter(isFailedResult).length
+        },
+        config,
+        inputProducts: options.inputProducts || [],
+        queries: testResults
+    };
+}
+
+function writeRunFile(filePath, runFile) {
+    fs.writeFileSync(filePath, JSON.stringify(runFile, null, 2));
+    return filePath;
+}
+
+/**
+ * Whether a parsed JSON document is a run file
+ */
+function isRunFile(data) {
+    return !!data && !Array.isArray(data) && data.format === RUN_FILE_FORMAT;
+}
+
+/**
+ * Read a run file, checking it is one and that this code understands its version
+ */
+function readRunFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Run file not found: ${filePath}`);
+    }
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    if (!isRunFile(data)) {
+        throw new Error(`Not a run file (no "format": "${RUN_FILE_FORMAT}"): ${filePath}`);
+    }
+    if (!Number.isInteger(data.version) || data.version > RUN_FILE_VERSION) {
+        throw new Error(`Run file ${filePath} has format version ${data.version}; this version reads up to ${RUN_FILE_VERSION}`);
+    }
+    return data;
+}
+
+/**
+ * Per-query results of a report source: a run file or a plain array of results
+ */
+function runResults(source) {
+    return Array.isArray(source) ? source : (source && source.queries) || [];
+}
+
+module.exports = {
+    RUN_FILE_FORMAT,
+    RUN_FILE_VERSION,
+    buildRunFile,
+    writeRunFile,
+    isRunFile,
+    readRunFile,
+    runResults
+};
@@ -0,0 +1,887 @@
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const ReportGeneratorClient = require('./report-generator-client');
+const { getUniqueInputProducts, isFailedResult, resolvePositionTolerance, QUERY_OUTCOMES, POSITION_MATCHES, MISPLACED_MATCHES, gradedMatchRate } = require('./test-cases');
+const { formatViolation } = require('./response-contract');
+const { METRIC_NAMES, summarizeRankingMetrics, metricLabels } = require('./ranking-metrics');
+const { formatConstraint } = require('./rank-constraints');
+const { formatForbiddenProduct, formatUncheckedRule } = require('./forbidden-products');
+const { TERM_PLACEMENTS, TERM_FIELDS, placementLabel } = require('./term-positions');
+const { formatNoiseRate } = require('./relevance-noise');
+const { DEFAULT_IDENTITY, getProductIdentity } = require('./product-identity');
+const { formatSkuChange, buildInputPatch } = require('./sku-changes');
+const { getComparison, withComparisons, getReportRows, formatFirstPageCount, formatFirstPageCoverage } = require('./query-comparison');
+const { buildRunFile, writeRunFile, readRunFile, runResults } = require('./run-file');
+const { findSkuChanges } = require('./sku-changes');
+const { gradeQuery } = require('./query-checks');
+const { getRunDir, loadQueryResults, readRunManifest } = require('./run-results');
+const { resultsFromCSV } = require('./csv-run-import');
+const { recordRunHistory } = require('./results-store');
+
+// Metric cut-off of the run, for column labels
+function getMetricsK(results) {
+  const measured = results.find(r => r.rankingMetrics);
+  return measured ? measured.rankingMetrics.k : 'k';
+}
+
+function formatMetric(metrics, name) {
+  return metrics ? metrics[name].toFixed(3) : 'N/A';
+}
+
+// Passed/total rank constraints of a query, or N/A when the input sets none
+function summarizeConstraints(result) {
+  const constraints = result.rankConstraints || [];
+  if (constraints.length === 0) {
+    return 'N/A';
+  }
+  return `${constraints.filter(constraint => constraint.passed).length}/${constraints.length} passed`;
+}
+
+// Whether the query has negative expectations; older results have no forbidden rules
+function hasForbiddenRules(result) {
+  return ((result.expectations || {}).forbidden || []).length > 0;
+}
+
+// Forbidden products found and rules that could not be fully checked, for one report cell
+function formatForbiddenCheck(result) {
+  const found = (result.forbiddenProducts || []).map(formatForbiddenProduct);
+  const unchecked = (result.uncheckedForbiddenRules || []).map(formatUncheckedRule);
+  return [...(found.length > 0 ? found : ['None found']), ...unchecked].join('; ');
+}
+
+// Relevance-weighted share of the products expected on page 1 that were found there
+function gradedFirstPageFound(firstPage) {
+  if (!firstPage || !firstPage.expectedWeight) {
+    return 'N/A';
+  }
+  return `${((firstPage.foundWeight / firstPage.expectedWeight) * 100).toFixed(1)}%`;
+}
+
+// Same green/red as the Position Match column
+function highlightCell(cell, passed) {
+  cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: passed ? 'C6EFCE' : 'FFC7CE' } };
+  cell.font = { color: { argb: passed ? '006100' : '9C0006' } };
+}
+
+// Only outcomes other than plain results are highlighted: expected zero results green, the rest red
+function styleOutcomeCell(cell, outcome) {
+  if (outcome && outcome !== QUERY_OUTCOMES.RESULTS) {
+    highlightCell(cell, outcome === QUERY_OUTCOMES.ZERO_RESULTS_EXPECTED);
+  }
+}
+
+// Input products of a query found anywhere in its results, e.g. "3/4 (75.0%)"
+function formatInputProductsFound(comparison) {
+  const total = comparison.expected.length;
+  const found = comparison.expected.filter(entry => entry.identityMatch).length;
+  return `${found}/${total} (${total > 0 ? ((found / total) * 100).toFixed(1) : '0.0'}%)`;
+}
+
+// Tabular CSV export of a run file (or its results): one header row, then one row per reported position
+function generateCSV(source, identity = DEFAULT_IDENTITY) {
+  const results = runResults(source);
+  const headers = [
+    'Input Query',
+    'Input Expected Name',
+    'Actual Product Name',
+    'Input Expected SKU',
+    'Actual SKU',
+    'Input Expected Position',
+    'Actual Position',
+    'Position Match',
+    'First Page Count',
+    'First Page Coverage %',
+    'Query Outcome',
+    ...Object.values(metricLabels(getMetricsK(results))),
+    'Relevance Grade',
+    'Rank Constraints',
+    'Forbidden Products',
+    'SKU Change Candidate'
+  ];
+  
+  let csvContent = headers.join(',') + '\n';
+  
+  results.forEach(r => {
+    // Add rows for ALL results (both successful and failed), as the query's comparison decided them
+    const rows = getReportRows(r, identity);
+    const firstPage = getComparison(r, identity).firstPage;
+    if (rows.length > 0) {
+      rows.forEach(reportRow => {
+        const row = [
+          `"${(r.query || '').replace(/"/g, '""')}"`,
+          `"${reportRow.expectedName.replace(/"/g, '""')}"`,
+          `"${reportRow.actualName.replace(/"/g, '""')}"`,
+          `"${reportRow.expectedSku}"`,
+          `"${reportRow.actualSku}"`,
+          `"${reportRow.expectedPosition}"`,
+          `"${reportRow.actualPosition}"`,
+          `"${reportRow.match}"`,
+          `"${formatFirstPageCount(firstPage)}"`,
+          `"${formatFirstPageCoverage(firstPage)}"`,
+          `"${r.outcome || ''}"`,
+          ...METRIC_NAMES.map(name => `"${formatMetric(r.rankingMetrics, name)}"`),
+          `"${reportRow.relevance}"`,
+          `"${(r.rankConstraints || []).map(formatConstraint).join('; ').replace(/"/g, '""')}"`,
+          `"${hasForbiddenRules(r) ? formatForbiddenCheck(r).replace(/"/g, '""') : ''}"`,
+          `"${reportRow.skuChange ? formatSkuChange(reportRow.skuChange) : ''}"`
+        ];
+        csvContent += row.join(',') + '\n';
+      });
+    }
+  });
+  
+  return csvContent;
+}
+
+// Helper function to generate Excel file with multiple sheets from a run file (or its results)
+async function generateExcelReport(source, outputPath, identity = DEFAULT_IDENTITY) {
+  const results = runResults(source);
+  const workbook = new ExcelJS.Workbook();
+  
+  // Sheet 1: Query Summary
+  const summarySheet = workbook.addWorksheet('Query Summary');
+  
+  // Add summary headers
+  const summaryHeaders = [
+    'Query',
+    'Total Expected Products',
+    'Position Tolerance',
+    'Position Matches',
+    'Near Matches',
+    'Variant Matches',
+    'Position Mismatches', 
+    'Same Page',
+    'Earlier Page',
+    'Later Page',
+    'Not Found',
+    'Possible SKU Changes',
+    'Match Rate %',
+    'Graded Match Rate %',
+    'First Page Count',
+    'First Page Coverage %',
+    'Graded Page 1 Found %',
+    ...Object.values(metricLabels(getMetricsK(results))),
+    'Total Results',
+    'Positions Not Fetched',
+    'Outcome',
+    'Contract Violations',
+    'Rank Constraints',
+    'Forbidden Products Found',
+    'Page 1 Noise Rate %',
+    'Likely Irrelevant Products',
+    'Input Products Found'
+  ];
+  
+  summarySheet.addRow(summaryHeaders);
+  
+  // Style the header row
+  const summaryHeaderRow = summarySheet.getRow(1);
+  summaryHeaderRow.eachCell((cell) => {
+    cell.font = { bold: true, color: { argb: 'FFFFFF' } };
+    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: '4472C4' } };
+    cell.alignment = { horizontal: 'center', vertical: 'middle' };
+  });
+  
+  // Add summary data
+  results.forEach(result => {
+    if (result.query) {
+      // Matches, near matches, mismatches by page bucket and not found, as the query's comparison counted them
+      const { counts, firstPage } = getComparison(result, identity);
+      const totalResultsCheck = result.totalResultsCheck;
+      
+      const row = [
+        result.query,
+        counts.expected,
+        result.positionTolerance !== undefined ? `±${result.positionTolerance}` : 'N/A',
+        counts.matches,
+        counts.nearMatches,
+        counts.variantMatches,
+        counts.mismatches,
+        ...MISPLACED_MATCHES.map(bucket => counts.misplaced[bucket]),
+        counts.notFound,
+        counts.skuChanges,
+        counts.matchRate !== null ? `${counts.matchRate.toFixed(1)}%` : 'N/A',
+        counts.graded ? `${counts.graded.rate.toFixed(1)}%` : 'N/A',
+        formatFirstPageCount(firstPage),
+        formatFirstPageCoverage(firstPage),
+        gradedFirstPageFound(firstPage),
+        ...METRIC_NAMES.map(name => result.rankingMetrics ? Number(result.rankingMetrics[name].toFixed(3)) : 'N/A'),
+        totalResultsCheck
+          ? `${totalResultsCheck.actual} (expected ${totalResultsCheck.min !== null ? totalResultsCheck.min : '*'}-${totalResultsCheck.max !== null ? totalResultsCheck.max : '*'})`
+          : result.totalResults,
+        (result.unfetchedRanges || []).map(range => `${range.from}-${range.to} (${range.reason})`).join('; ') || 'None',
+        result.outcome || '',
+        (result.contractViolations || []).length,
+        summarizeConstraints(result),
+        hasForbiddenRules(result) ? (result.forbiddenProducts || []).length : 'N/A',
+        formatNoiseRate(result.noise),
+        result.noise ? result.noise.flagged.length : 'N/A',
+        formatInputProductsFound(getComparison(result, identity))
+      ];
+      
+      const addedRow = summarySheet.addRow(row);
+      styleOutcomeCell(addedRow.getCell(summaryHeaders.indexOf('Outcome') + 1), result.outcome);
+      if (totalResultsCheck) {
+        highlightCell(addedRow.getCell(summaryHeaders.indexOf('Total Results') + 1), totalResultsCheck.passed);
+      }
+      if (result.contractViolations) {
+        highlightCell(addedRow.getCell(summaryHeaders.indexOf('Contract Violations') + 1), result.contractViolations.length === 0);
+      }
+      if ((result.rankConstraints || []).length > 0) {
+        highlightCell(addedRow.getCell(summaryHeaders.indexOf('Rank Constraints') + 1), result.rankConstraints.every(constraint => constraint.passed));
+      }
+      if (hasForbiddenRules(result)) {
+        highlightCell(addedRow.getCell(summaryHeaders.indexOf('Forbidden Products Found') + 1), (result.forbiddenProducts || []).length === 0);
+      }
+    }
+  });
+  
+  // Run-level ranking metrics: mean over the queries that have them
+  const runMetrics = summarizeRankingMetrics(results);
+  if (runMetrics) {
+    const metricsRow = summaryHeaders.map(() => '');
+    metricsRow[0] = `All Queries (mean of ${runMetrics.queries})`;
+    METRIC_NAMES.forEach(name => {
+      metricsRow[summaryHeaders.indexOf(metricLabels(runMetrics.k)[name])] = Number(runMetrics[name].toFixed(3));
+    });
+    summarySheet.addRow(metricsRow).font = { bold: true };
+  }
+  
+  // Auto-fit columns for summary sheet
+  summarySheet.columns.forEach((column, index) => {
+    let maxLength = summaryHeaders[index].length;
+    column.eachCell({ includeEmpty: false }, (cell) => {
+      const columnLength = cell.value ? cell.value.toString().length : 0;
+      if (columnLength > maxLength) {
+        maxLength = columnLength;
+      }
+    });
+    column.width = Math.min(Math.max(maxLength + 2, 12), 50);
+  });
+  
+  // Sheet 2: Position Comparison (Detailed Data)
+  const detailSheet = workbook.addWorksheet('Position Comparison');
+  
+  // Add detail headers
+  const detailHeaders = [
+    'Input Query',
+    'Input Expected Name',
+    'Actual Product Name',
+    'Input Expected SKU',
+    'Actual SKU',
+    'Input Expected Position',
+    'Actual Position',
+    'Position Match',
+    'First Page Count',
+    'First Page Coverage %',
+    'Query Outcome',
+    'Relevance Grade'
+  ];
+  
+  detailSheet.addRow(detailHeaders);
+  
+  // Style the header row
+  const detailHeaderRow = detailSheet.getRow(1);
+  detailHeaderRow.eachCell((cell) => {
+    cell.font = { bold: true, color: { argb: 'FFFFFF' } };
+    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: '70AD47' } };
+    cell.alignment = { horizontal: 'center', vertical: 'middle' };
+  });
+  
+  // Add detailed data
+  results.forEach((r, resultIndex) => {
+    const rows = getReportRows(r, identity);
+    const firstPage = getComparison(r, identity).firstPage;
+    if (rows.length > 0) {
+      rows.forEach(reportRow => {
+        const positionMatch = reportRow.match;
+        const row = [
+          r.query || '',
+          reportRow.expectedName,
+          reportRow.actualName,
+          reportRow.expectedSku,
+          reportRow.actualSku,
+          reportRow.expectedPosition,
+          reportRow.actualPosition,
+          positionMatch,
+          formatFirstPageCount(firstPage),
+          formatFirstPageCoverage(firstPage),
+          r.outcome || '',
+          reportRow.relevance
+        ];
+        
+        const addedRow = detailSheet.addRow(row);
+        styleOutcomeCell(addedRow.getCell(11), r.outcome);
+        
+        // Color code the position match column
+        const matchCell = addedRow.getCell(8); // Position Match column
+        if (positionMatch === POSITION_MATCHES.MATCH) {
+          matchCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'C6EFCE' } };
+          matchCell.font = { color: { argb: '006100' } };
+        } else if (positionMatch === POSITION_MATCHES.NEAR_MATCH) {
+          matchCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'DDEBF7' } };
+          matchCell.font = { color: { argb: '1F4E78' } };
+        } else if (positionMatch === POSITION_MATCHES.VARIANT_MATCH) {
+          matchCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'E4DFEC' } };
+          matchCell.font = { color: { argb: '5B2C6F' } };
+        } else if (positionMatch === POSITION_MATCHES.POSSIBLE_SKU_CHANGE) {
+          matchCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FCE4D6' } };
+          matchCell.font = { color: { argb: '843C0C' } };
+        } else if (MISPLACED_MATCHES.includes(positionMatch)) {
+          matchCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFC7CE' } };
+          matchCell.font = { color: { argb: '9C0006' } };
+        } else {
+          matchCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFEB9C' } };
+          matchCell.font = { color: { argb: '9C5700' } };
+        }
+      });
+      
+      // Add blank row between queries
+      if (resultIndex < results.length - 1) {
+        detailSheet.addRow([]);
+      }
+    }
+  });
+  
+  // Auto-fit columns for detail sheet
+  detailSheet.columns.forEach((column, index) => {
+    let maxLength = detailHeaders[index].length;
+    column.eachCell({ includeEmpty: false }, (cell) => {
+      const columnLength = cell.value ? cell.value.toString().length : 0;
+      if (columnLength > maxLength) {
+        maxLength = columnLength;
+      }
+    });
+    column.width = Math.min(Math.max(maxLength + 2, 12), 60);
+  });
+  
+  // Sheet 3: Response contract violations, one row per field and problem
+  const contractSheet = workbook.addWorksheet('Contract Violations');
+  const contractHeaders = ['Query', 'Schema Version', 'Field', 'Problem', 'Occurrences', 'Pages'];
+  contractSheet.addRow(contractHeaders);
+  contractSheet.getRow(1).eachCell((cell) => {
+    cell.font = { bold: true, color: { argb: 'FFFFFF' } };
+    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'C00000' } };
+    cell.alignment = { horizontal: 'center', vertical: 'middle' };
+  });
+  
+  results.forEach(r => {
+    (r.contractViolations || []).forEach(violation => {
+      contractSheet.addRow([r.query, r.contractVersion || '', violation.path, violation.message, violation.count, violation.pages.join(', ')]);
+    });
+  });
+  if (contractSheet.rowCount === 1) {
+    contractSheet.addRow(['All responses matched the contract']);
+  }
+  contractSheet.columns = [30, 16, 30, 45, 14, 12].map((width, index) => ({ key: contractHeaders[index], width }));
+  
+  // Sheet 4: Rank constraints (position ranges, page 1, pairwise order), one row per constraint
+  const constraintSheet = workbook.addWorksheet('Rank Constraints');
+  const constraintHeaders = ['Query', 'SKU', 'Expected Product', 'Type', 'Constraint', 'Actual', 'Result'];
+  constraintSheet.addRow(constraintHeaders);
+  constraintSheet.getRow(1).eachCell((cell) => {
+    cell.font = { bold: true, color: { argb: 'FFFFFF' } };
+    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: '7030A0' } };
+    cell.alignment = { horizontal: 'center', vertical: 'middle' };
+  });
+  
+  results.forEach(r => {
+    (r.rankConstraints || []).forEach(constraint => {
+      const addedRow = constraintSheet.addRow([
+        r.query,
+        constraint.sku,
+        constraint.expectedName || '',
+        constraint.type,
+        constraint.description,
+        constraint.actual,
+        constraint.passed ? 'PASS' : 'FAIL'
+      ]);
+      highlightCell(addedRow.getCell(7), constraint.passed);
+    });
+  });
+  if (constraintSheet.rowCount === 1) {
+    constraintSheet.addRow(['The input file sets no rank constraints']);
+  }
+  constraintSheet.columns = [30, 16, 45, 16, 40, 40, 10].map((width, index) => ({ key: constraintHeaders[index], width }));
+  
+  // Sheet 5: Products that broke a negative expectation, one row per offending position
+  const forbiddenSheet = workbook.addWorksheet('Forbidden Products');
+  const forbiddenHeaders = ['Query', 'Rule', 'Position', 'Page', 'SKU', 'Product Name'];
+  forbiddenSheet.addRow(forbiddenHeaders);
+  forbiddenSheet.getRow(1).eachCell((cell) => {
+    cell.font = { bold: true, color: { argb: 'FFFFFF' } };
+    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: '833C0B' } };
+    cell.alignment = { horizontal: 'center', vertical: 'middle' };
+  });
+  
+  results.forEach(r => {
+    (r.forbiddenProducts || []).forEach(violation => {
+      const addedRow = forbiddenSheet.addRow([r.query, violation.rule, violation.position, violation.page, violation.sku, violation.name || 'N/A']);
+      highlightCell(addedRow.getCell(3), false);
+    });
+    // A rule with unfetched positions in its depth was not checked there, so it is listed rather than passed
+    (r.uncheckedForbiddenRules || []).forEach(unchecked => {
+      forbiddenSheet.addRow([r.query, unchecked.rule, `${unchecked.from}-${unchecked.to}`, 'N/A', 'N/A', `Not fully checked: positions not fetched (${unchecked.reason})`]);
+    });
+  });
+  if (forbiddenSheet.rowCount === 1) {
+    forbiddenSheet.addRow([results.some(hasForbiddenRules) ? 'No forbidden products were returned' : 'The input file sets no negative expectations']);
+  }
+  forbiddenSheet.columns = [30, 40, 10, 8, 16, 60].map((width, index) => ({ key: forbiddenHeaders[index], width }));
+  
+  // Sheet 6: Where query terms sit in the top results' titles and descriptions
+  // Per-query distributions first, then one row per analyzed product
+  const termSheet = workbook.addWorksheet('Term Positions');
+  const styleTermHeader = (row, color) => row.eachCell((cell) => {
+    cell.font = { bold: true, color: { argb: 'FFFFFF' } };
+    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: color } };
+    cell.alignment = { horizontal: 'center', vertical: 'middle' };
+  });
+  const analyzed = results.filter(r => r.termPositions);
+  
+  styleTermHeader(termSheet.addRow(['Query', 'Field', 'Top N', ...TERM_PLACEMENTS.map(placementLabel)]), '2F5597');
+  analyzed.forEach(r => {
+    TERM_FIELDS.forEach(field => {
+      const distribution = r.termPositions.distribution[field];
+      termSheet.addRow([r.query, field === 'title' ? 'Title' : 'Description', r.termPositions.analyzed, ...TERM_PLACEMENTS.map(placement => distribution[placement])]);
+    });
+  });
+  if (analyzed.length === 0) {
+    termSheet.addRow(['No query returned products to analyze']);
+  }
+  
+  termSheet.addRow([]);
+  styleTermHeader(termSheet.addRow(['Query', 'Position', 'SKU', 'Product Name', 'Title Term', 'Title Placement', 'Description Term', 'Description Placement']), '2F5597');
+  analyzed.forEach(r => {
+    r.termPositions.details.forEach(detail => {
+      termSheet.addRow([
+        r.query,
+        detail.position,
+        detail.sku,
+        detail.name || 'N/A',
+        ...TERM_FIELDS.flatMap(field => detail[field] ? [detail[field].term, placementLabel(detail[field].placement)] : ['', placementLabel('notFound')])
+      ]);
+    });
+  });
+  termSheet.columns = [30, 14, 16, 60, 14, 16, 18, 22].map(width => ({ width }));
+  
+  // Sheet 7: Non-expected products in the top results flagged as likely irrelevant
+  const noiseSheet = workbook.addWorksheet('Relevance Noise');
+  const noiseHeaders = ['Query', 'Page 1 Noise Rate %', 'Position', 'Page', 'SKU', 'Product Name', 'Query Term Coverage %', 'Missing Terms'];
+  noiseSheet.addRow(noiseHeaders);
+  noiseSheet.getRow(1).eachCell((cell) => {
+    cell.font = { bold: true, color: { argb: 'FFFFFF' } };
+    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'BF8F00' } };
+    cell.alignment = { horizontal: 'center', vertical: 'middle' };
+  });
+  
+  results.forEach(r => {
+    (r.noise ? r.noise.flagged : []).forEach(product => {
+      const addedRow = noiseSheet.addRow([
+        r.query,
+        formatNoiseRate(r.noise),
+        product.position,
+        product.page,
+        product.sku,
+        product.name || 'N/A',
+        `${(product.coverage * 100).toFixed(0)}%`,
+        product.missingTokens.join(', ')
+      ]);
+      highlightCell(addedRow.getCell(7), false);
+    });
+  });
+  if (noiseSheet.rowCount === 1) {
+    noiseSheet.addRow(['No likely-irrelevant products in the top results']);
+  }
+  noiseSheet.columns = [30, 20, 10, 8, 16, 60, 22, 30].map((width, index) => ({ key: noiseHeaders[index], width }));
+  
+  // Sheet 8: Expected products likely re-keyed, with the candidate that carries the expected name
+  const skuChangeSheet = workbook.addWorksheet('Possible SKU Changes');
+  const skuChangeHeaders = ['Query', 'Expected Name', 'Expected SKU', 'Expected Position', 'Candidate SKU', 'Candidate Name', 'Candidate Position', 'Page', 'Name Similarity'];
+  skuChangeSheet.addRow(skuChangeHeaders);
+  skuChangeSheet.getRow(1).eachCell((cell) => {
+    cell.font = { bold: true, color: { argb: 'FFFFFF' } };
+    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'C55A11' } };
+    cell.alignment = { horizontal: 'center', vertical: 'middle' };
+  });
+  
+  results.forEach(r => {
+    (r.skuChanges || []).forEach(change => {
+      skuChangeSheet.addRow([
+        r.query,
+        change.expectedName,
+        change.expectedSku,
+        change.expectedPosition || 'N/A',
+        change.candidateSku,
+        change.candidateName,
+        change.position,
+        change.page,
+        Number(change.similarity.toFixed(3))
+      ]);
+    });
+  });
+  if (skuChangeSheet.rowCount === 1) {
+    skuChangeSheet.addRow(['No possible SKU changes: every expected product was found or had no similarly named product']);
+  }
+  skuChangeSheet.columns = [30, 60, 16, 18, 16, 60, 20, 8, 16].map((width, index) => ({ key: skuChangeHeaders[index], width }));
+  
+  // Save the workbook
+  await workbook.xlsx.writeFile(outputPath);
+  return outputPath;
+}
+
+// Print the end-of-run summary for all query results
+function logRunSummary(testResults, identity = DEFAULT_IDENTITY) {
+  console.log(`\n${'='.repeat(80)}`);
+  console.log('📈 FINAL TEST SUMMARY - ALL QUERIES PROCESSED');
+  console.log(`${'='.repeat(80)}`);
+  
+  // Categorize results
+  const successfulQueries = testResults.filter(r => !isFailedResult(r));
+  const failedQueries = testResults.filter(isFailedResult);
+  const zeroResultQueries = testResults.filter(r => r.outcome === QUERY_OUTCOMES.ZERO_RESULTS);
+  const expectedZeroResultQueries = testResults.filter(r => r.outcome === QUERY_OUTCOMES.ZERO_RESULTS_EXPECTED);
+  const unexpectedResultQueries = testResults.filter(r => r.outcome === QUERY_OUTCOMES.UNEXPECTED_RESULTS);
+  const contractBreakingQueries = testResults.filter(r => (r.contractViolations || []).length > 0);
+  const rankConstraints = testResults.flatMap(r => (r.rankConstraints || []).map(constraint => ({ query: r.query, constraint })));
+  const failedConstraints = rankConstraints.filter(({ constraint }) => !constraint.passed);
+  const forbiddenQueries = testResults.filter(r => (r.forbiddenProducts || []).length > 0);
+  const uncheckedForbiddenQueries = testResults.filter(r => (r.uncheckedForbiddenRules || []).length > 0);
+  const noiseRates = testResults.filter(r => r.noise && r.noise.pageOneNoiseRate !== null).map(r => r.noise.pageOneNoiseRate);
+  const noisyQueries = testResults.filter(r => r.noise && r.noise.pageOneFlagged > 0);
+  const skuChangeQueries = testResults.filter(r => (r.skuChanges || []).length > 0);
+  
+  // Totals over the queries' comparisons, the same counts the Excel summary shows
+  const comparisons = testResults.map(result => getComparison(result, identity));
+  const sumCounts = name => comparisons.reduce((total, comparison) => total + comparison.counts[name], 0);
+  const totalComparisons = sumCounts('expected');
+  const totalMatches = sumCounts('matches');
+  const totalNearMatches = sumCounts('nearMatches');
+  const totalVariantMatches = sumCounts('variantMatches');
+  const totalSkuChanges = sumCounts('skuChanges');
+  const runGraded = gradedMatchRate(comparisons.flatMap(comparison => comparison.expected.filter(entry => entry.expectedPosition)));
+  const hasGrades = testResults.some(result => (result.expectedProducts || []).some(product => product.relevance !== null && product.relevance !== undefined));
+  
+  console.log(`📊 Query Execution Summary:`);
+  console.log(`  📋 Total Queries Processed: ${testResults.length}`);
+  console.log(`  ✅ Successful Queries: ${successfulQueries.length}`);
+  console.log(`  ❌ Failed Queries: ${failedQueries.length}`);
+  console.log(`  📈 Success Rate: ${testResults.length > 0 ? Math.round((successfulQueries.length / testResults.length) * 100) : 0}%`);
+  console.log(`  📭 Zero-Result Queries: ${zeroResultQueries.length} unexpected, ${expectedZeroResultQueries.length} expected`);
+  if (unexpectedResultQueries.length > 0) {
+    console.log(`  ⚠️ Expected Zero Results But Got Products: ${unexpectedResultQueries.length}`);
+  }
+  console.log(`  📐 Queries Breaking The Response Contract: ${contractBreakingQueries.length}`);
+  if (rankConstraints.length > 0) {
+    console.log(`  📌 Rank Constraints Passed: ${rankConstraints.length - failedConstraints.length}/${rankConstraints.length}`);
+  }
+  if (testResults.some(hasForbiddenRules)) {
+    console.log(`  🚫 Queries Returning Forbidden Products: ${forbiddenQueries.length}/${testResults.filter(hasForbiddenRules).length}`);
+    if (uncheckedForbiddenQueries.length > 0) {
+      console.log(`  ⚠️ Queries With Forbidden Rules Not Fully Checked: ${uncheckedForbiddenQueries.length}`);
+    }
+  }
+  if (noiseRates.length > 0) {
+    const meanNoiseRate = noiseRates.reduce((total, rate) => total + rate, 0) / noiseRates.length;
+    console.log(`  🔇 Mean Page 1 Noise Rate: ${meanNoiseRate.toFixed(1)}% (${noisyQueries.length} queries with likely-irrelevant products on page 1)`);
+  }
+  console.log(`  🕳️  Queries With Positions Never Fetched: ${testResults.filter(r => (r.unfetchedRanges || []).length > 0).length}`);
+  
+  if (successfulQueries.length > 0) {
+    console.log(`\n📊 Position Matching Results (Successful Queries Only):`);
+    console.log(`  🎯 Total Position Comparisons: ${totalComparisons}`);
+    console.log(`  ✅ Exact Position Matches: ${totalMatches}`);
+    console.log(`  🔸 Near Matches: ${totalNearMatches}`);
+    if (totalVariantMatches > 0) {
+      console.log(`  🧩 Variant Matches: ${totalVariantMatches}`);
+    }
+    console.log(`  ⚠️ Position Mismatches: ${sumCounts('mismatches')}`);
+    console.log(`  ❌ Not Found: ${sumCounts('notFound')}`);
+    if (totalSkuChanges > 0) {
+      console.log(`  🔁 Possible SKU Changes: ${totalSkuChanges}`);
+    }
+    console.log(`  📈 Overall Match Rate: ${totalMatches}/${totalComparisons}`);
+    if (hasGrades && runGraded) {
+      console.log(`  🎚️ Graded Match Rate: ${runGraded.rate.toFixed(1)}% (${runGraded.matchedWeight}/${runGraded.totalWeight} relevance matched)`);
+    }
+  }
+  
+  const runMetrics = summarizeRankingMetrics(testResults);
+  if (runMetrics) {
+    const labels = metricLabels(runMetrics.k);
+    console.log(`\n📏 Ranking Metrics (mean over ${runMetrics.queries} queries):`);
+    METRIC_NAMES.forEach(name => console.log(`  ${labels[name]}: ${runMetrics[name].toFixed(3)}`));
+  }
+  
+  console.log(`\n📋 Detailed Query Results:`);
+  testResults.forEach((result, index) => {
+    const { matches, expected: total } = comparisons[index].counts;
+    const status = isFailedResult(result) ? '❌ FAILED' : '✅ SUCCESS';
+    const outcome = result.outcome && result.outcome !== QUERY_OUTCOMES.RESULTS ? ` [${result.outcome}]` : '';
+    const ndcg = result.rankingMetrics ? ` | NDCG@${result.rankingMetrics.k} ${result.rankingMetrics.ndcg.toFixed(3)}` : '';
+    console.log(`  ${index + 1}. "${result.query}": ${status} - ${matches}/${total} matches${ndcg}${outcome}`);
+  });
+  
+  if (zeroResultQueries.length > 0) {
+    console.log(`\n📭 Queries That Returned Zero Results:`);
+    zeroResultQueries.forEach(result => {
+      console.log(`  • "${result.query}": ${result.testResult}`);
+    });
+  }
+  
+  if (contractBreakingQueries.length > 0) {
+    console.log(`\n📐 Response Contract Violations:`);
+    contractBreakingQueries.forEach(result => {
+      console.log(`  • "${result.query}" (contract ${result.contractVersion}):`);
+      result.contractViolations.forEach(violation => console.log(`      ${formatViolation(violation)}`));
+    });
+  }
+  
+  if (failedConstraints.length > 0) {
+    console.log(`\n📌 Failed Rank Constraints:`);
+    failedConstraints.forEach(({ query, constraint }) => {
+      console.log(`  • "${query}": ${formatConstraint(constraint)}`);
+    });
+  }
+  
+  if (noisyQueries.length > 0) {
+    console.log(`\n🔇 Noisiest Queries (page 1):`);
+    [...noisyQueries].sort((a, b) => b.noise.pageOneNoiseRate - a.noise.pageOneNoiseRate).forEach(result => {
+      console.log(`  • "${result.query}": ${formatNoiseRate(result.noise)} (${result.noise.pageOneFlagged}/${result.noise.pageOneScored})`);
+    });
+  }
+  
+  if (skuChangeQueries.length > 0) {
+    console.log(`\n🔁 Possible SKU Changes (see the SKU change patch for the input file):`);
+    skuChangeQueries.forEach(result => {
+      result.skuChanges.forEach(change => console.log(`  • "${result.query}": ${formatSkuChange(change)}`));
+    });
+  }
+  
+  if (forbiddenQueries.length > 0) {
+    console.log(`\n🚫 Forbidden Products Returned:`);
+    forbiddenQueries.forEach(result => {
+      console.log(`  • "${result.query}":`);
+      result.forbiddenProducts.forEach(violation => console.log(`      ${formatForbiddenProduct(violation)}`));
+    });
+  }
+  
+  if (uncheckedForbiddenQueries.length > 0) {
+    console.log(`\n⚠️ Forbidden Rules Not Fully Checked:`);
+    uncheckedForbiddenQueries.forEach(result => {
+      console.log(`  • "${result.query}":`);
+      result.uncheckedForbiddenRules.forEach(unchecked => console.log(`      ${formatUncheckedRule(unchecked)}`));
+    });
+  }
+  
+  if (failedQueries.length > 0) {
+    console.log(`\n❌ Failed Queries Details:`);
+    failedQueries.forEach((result, index) => {
+      console.log(`  • "${result.query}": ${result.testResult}`);
+    });
+    console.log(`\n💡 Note: Failed queries are included in the CSV report for complete documentation.`);
+  }
+  
+  return { successfulQueries, failedQueries, zeroResultQueries, contractBreakingQueries };
+}
+
+// Log how many of the run's unique input products were returned by any query
+function logProductPresence(runFile, identity) {
+  if (runFile.inputProducts.length === 0) {
+    return;
+  }
+  const presenceResult = new ReportGeneratorClient().checkProductPresence(runFile.inputProducts, runFile, identity);
+  console.log(`  📊 ${presenceResult.message}`);
+}
+
+/**
+ * Write the run's possible SKU changes as a patch to the input CSV
+ * The patch names the input file relative to the config file's directory, where it is applied
+ * @returns {string|null} - Path of the patch, null when no input row needs a new SKU
+ */
+function writeSkuChangePatch(testResults, config, patchPath) {
+  const changes = testResults.flatMap(r => (r.skuChanges || []).map(change => ({ query: r.query, ...change })));
+  if (changes.length === 0) {
+    return null;
+  }
+  
+  const configDir = path.dirname(config.configPath);
+  const label = path.relative(configDir, config.paths.inputCsv).split(path.sep).join('/');
+  const { patch, applied } = buildInputPatch(fs.readFileSync(config.paths.inputCsv, 'utf-8'), changes, label);
+  if (!patch) {
+    return null;
+  }
+  
+  fs.writeFileSync(patchPath, patch);
+  console.log(`  🔁 SKU Change Patch (${applied.length} input row(s)): ${patchPath}`);
+  console.log(`     Review it, then apply from ${configDir} with: git apply "${patchPath}"`);
+  return patchPath;
+}
+
+/**
+ * Write the run file, then render the Excel, CSV and HTML reports, the SKU change patch and the presence check from it
+ * @param {Object} runFile - Run file of the run, see buildRunFile
+ * @param {Object} config - Resolved run config
+ * @returns {Object} - Paths of the written reports
+ */
+async function renderRunReports(runFile, config) {
+  const outputDir = config.paths.outputDir;
+  const identity = getProductIdentity(config);
+  
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+  const timeString = new Date().toTimeString().split(' ')[0].replace(/:/g, '-');
+  fs.mkdirSync(outputDir, { recursive: true });
+  
+  // The run file is written first; every report below renders from it
+  const runFilePath = writeRunFile(path.join(outputDir, `API_TEST_RUN_${timestamp}_${timeString}.json`), runFile);
+  
+  // Generate Excel file with multiple sheets
+  const outputExcelPath = path.join(outputDir, `API_TEST_RESULTS_${timestamp}_${timeString}.xlsx`);
+  await generateExcelReport(runFile, outputExcelPath, identity);
+  
+  // Plain tabular export of the position rows
+  const outputCsvPath = path.join(outputDir, `POSITION_COMPARISON_${timestamp}_${timeString}.csv`);
+  fs.writeFileSync(outputCsvPath, generateCSV(runFile, identity));
+  
+  console.log(`\n💾 Results Saved:`);
+  console.log(`  🗂️ Run File (v${runFile.version}): ${runFilePath}`);
+  console.log(`  📊 Excel Report (8 sheets): ${outputExcelPath}`);
+  console.log(`  📋 CSV Export: ${outputCsvPath}`);
+  
+  // Possible SKU changes as a patch to the input CSV
+  let skuChangePatchPath = null;
+  try {
+    skuChangePatchPath = writeSkuChangePatch(runFile.queries, config, path.join(outputDir, `SKU_CHANGES_${timestamp}_${timeString}.patch`));
+  } catch (error) {
+    console.log(`  ⚠️ Could not write SKU change patch: ${error.message}`);
+  }
+  
+  // Generate HTML report with charts
+  let htmlReportPath = null;
+  try {
+    const reportGenerator = new ReportGeneratorClient();
+    htmlReportPath = await reportGenerator.generateHTMLReport(runFile, outputDir);
+    console.log(`  📊 HTML Report with Charts: ${htmlReportPath}`);
+  } catch (error) {
+    console.log(`  ⚠️ Could not generate HTML report: ${error.message}`);
+  }
+  
+  // Product Presence Check; the per-query counts are the Excel summary's Input Products Found column
+  try {
+    console.log(`\n🔍 Running Product Presence Check...`);
+    logProductPresence(runFile, identity);
+  } catch (error) {
+    console.log(`  ⚠️ Could not run product presence check: ${error.message}`);
+  }
+  
+  return {
+    runFilePath,
+    excelPath: outputExcelPath,
+    csvPath: outputCsvPath,
+    htmlPath: htmlReportPath,
+    skuChangePatchPath
+  };
+}
+
+/**
+ * Write the run file and every report of a finished run, then record it in the run history
+ * @param {Array} savedResults - Per-query results in input order
+ * @param {Array} testCases - Test cases from the input CSV
+ * @param {Object} config - Resolved run config
+ * @param {Object} [options] - { manifest }: the run's manifest, recorded in the run file
+ * @returns {Object} - Paths of the written reports
+ */
+async function writeRunReports(savedResults, testCases, config, options = {}) {
+  const runFile = buildRunFile(withComparisons(savedResults, getProductIdentity(config)), config, {
+    manifest: options.manifest,
+    inputProducts: getUniqueInputProducts(testCases)
+  });
+  const paths = await renderRunReports(runFile, config);
+  await recordRunHistory(runFile, config);
+  return paths;
+}
+
+/**
+ * Results, manifest and input products of a saved run
+ * @param {string} source - A run file (.json), a POSITION_COMPARISON CSV, a run directory or the ID of a run in the runs directory
+ * @param {Object} config - Resolved run config
+ * @returns {Object} - { results, manifest, inputProducts, sourcePath }
+ */
+function loadSavedRun(source, config) {
+  if (fs.existsSync(source) && fs.statSync(source).isFile()) {
+    if (source.toLowerCase().endsWith('.csv')) {
+      const results = resultsFromCSV(fs.readFileSync(source, 'utf-8'), config);
+      return { results, manifest: null, inputProducts: getUniqueInputProducts(results), sourcePath: source };
+    }
+    const runFile = readRunFile(source);
+    return { results: runFile.queries, manifest: runFile.run, inputProducts: runFile.inputProducts, sourcePath: source };
+  }
+  
+  const runDir = fs.existsSync(source) ? source : getRunDir(config, source);
+  const results = loadQueryResults(runDir);
+  if (results.length === 0) {
+    throw new Error(`No saved run at "${source}": expected a run file, a position comparison CSV or a run with saved results`);
+  }
+  return { results, manifest: readRunManifest(runDir), inputProducts: getUniqueInputProducts(results), sourcePath: runDir };
+}
+
+/**
+ * Saved results compared and graded again with the run config's current options
+ * Stored comparisons, SKU change candidates and every derived check (metrics, term positions, noise,
+ * rank constraints, forbidden products, floors) are rebuilt from the returned and expected products,
+ * so identity rules, tolerance, similarity and analysis options changed since the run apply, and so
+ * does the test result. Failed queries keep their error and empty comparison; see gradeQuery
+ */
+function recompareResults(results, config) {
+  const identity = getProductIdentity(config);
+  return results.map(({ comparison, ...result }) => {
+    const failed = result.outcome === QUERY_OUTCOMES.ERROR || result.apiStatus === 'ERROR';
+    if (failed) {
+      return { ...result, skuChanges: [], comparison: getComparison(result, identity) };
+    }
+    const positionTolerance = resolvePositionTolerance(result, config);
+    const skuChanges = findSkuChanges(result.expectedProducts, result.actualProducts, config.matching.skuChangeMinSimilarity, identity);
+    const recompared = { ...result, positionTolerance, skuChanges };
+    return gradeQuery({ ...recompared, comparison: getComparison(recompared, identity) }, config, identity);
+  });
+}
+
+/**
+ * Run file of a saved run, compared and graded again with the current options
+ * @param {string} source - See loadSavedRun
+ * @param {Object} config - Resolved run config
+ * @returns {Object} - Run file whose run.reissuedFrom is the absolute path it was loaded from
+ */
+function buildSavedRunFile(source, config) {
+  const saved = loadSavedRun(source, config);
+  const runFile = buildRunFile(recompareResults(saved.results, config), config, { manifest: saved.manifest, inputProducts: saved.inputProducts });
+  runFile.run.reissuedFrom = path.resolve(saved.sourcePath);
+  return runFile;
+}
+
+/**
+ * Render every report of a saved run again with the current report code, without calling the API
+ * @param {string} source - See loadSavedRun
+ * @param {Object} config - Resolved run config; its matching options and output directory apply
+ * @returns {Object} - Paths of the written reports
+ */
+async function reissueRunReports(source, config) {
+  const runFile = buildSavedRunFile(source, config);
+  
+  console.log(`\n♻️ Reissuing reports of ${runFile.run.reissuedFrom} (${runFile.queries.length} queries, no API calls)`);
+  logRunSummary(runFile.queries, getProductIdentity(config));
+  return renderRunReports(runFile, config);
+}
+
+module.exports = {
+  generateCSV,
+  generateExcelReport,
+  logRunSummary,
+  writeSkuChangePatch,
+  writeRunReports,
+  loadSavedRun,
+  recompareResults,
+  buildSavedRunFile,
+  reissueRunReports
+};
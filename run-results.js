@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const { isFailedResult } = require('./test-cases');
+
+/**
+ * Run ID from the current local time, e.g. 2025-09-18_14-48-43
+ */
+function createRunId(date = new Date()) {
+    const pad = value => value.toString().padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_` +
+        `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+}
+
+function getRunDir(config, runId) {
+    if (!runId) {
+        throw new Error('No run ID set (API_TEST_RUN_ID is assigned by the global setup)');
+    }
+    return path.join(config.paths.runsDir, runId);
+}
+
+function getResultsDir(runDir) {
+    return path.join(runDir, 'results');
+}
+
+function getResultPath(runDir, testNumber) {
+    return path.join(getResultsDir(runDir), `${testNumber.toString().padStart(4, '0')}.json`);
+}
+
+// Write through a temp file so a run that dies mid-write never leaves a truncated checkpoint
+function writeJSONAtomic(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Save one query's result as soon as it completes (the run's checkpoint)
+ * Retries of the same query overwrite the earlier attempt
+ */
+function saveQueryResult(runDir, result) {
+    writeJSONAtomic(getResultPath(runDir, result.testNumber), result);
+}
+
+/**
+ * Saved result for one query, or null if it has not completed in this run
+ */
+function loadQueryResult(runDir, testNumber) {
+    const resultPath = getResultPath(runDir, testNumber);
+    if (!fs.existsSync(resultPath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(resultPath, 'utf-8'));
+}
+
+/**
+ * A checkpoint counts as finished when it is for the same query and did not fail
+ * Failed queries are run again on resume
+ */
+function isCompletedResult(result, query) {
+    return !!result && result.query === query && !isFailedResult(result);
+}
+
+function getManifestPath(runDir) {
+    return path.join(runDir, 'run.json');
+}
+
+function readRunManifest(runDir) {
+    const manifestPath = getManifestPath(runDir);
+    return fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf-8')) : null;
+}
+
+/**
+ * Create the manifest of a new run, or record another resume of an existing one
+ * A new run never reuses the directory of an earlier one, whose saved results it would mix with its own
+ */
+function startRun(runDir, runId, config, resume = false) {
+    const existing = readRunManifest(runDir);
+
+    if (resume && !existing) {
+        throw new Error(`Cannot resume run "${runId}": no run manifest in ${runDir}`);
+    }
+    if (!resume && (existing || fs.existsSync(getResultsDir(runDir)))) {
+        throw new Error(`Run "${runId}" already exists in ${runDir}; set API_TEST_RESUME to continue it or choose another API_TEST_RUN_ID`);
+    }
+
+    const manifest = resume
+        ? { ...existing, resumes: [...(existing.resumes || []), new Date().toISOString()] }
+        : {
+            runId,
+            profile: config.profile,
+            inputCsv: config.paths.inputCsv,
+            startedAt: new Date().toISOString(),
+            resumes: []
+        };
+
+    writeJSONAtomic(getManifestPath(runDir), manifest);
+    return manifest;
+}
+
+/**
+ * Runs in the runs directory, newest first, with how many queries each has saved
+ */
+function listRuns(config) {
+    const runsDir = config.paths.runsDir;
+    if (!fs.existsSync(runsDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(runsDir)
+        .map(runId => ({ runId, runDir: path.join(runsDir, runId) }))
+        .filter(run => fs.existsSync(getManifestPath(run.runDir)))
+        .map(run => {
+            const results = loadQueryResults(run.runDir);
+            return {
+                ...readRunManifest(run.runDir),
+                runDir: run.runDir,
+                savedQueries: results.length,
+                failedQueries: results.filter(isFailedResult).length
+            };
+        })
+        .sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''));
+}
+
+/**
+ * Load every saved query result of a run, in input order
+ */
+function loadQueryResults(runDir) {
+    const resultsDir = getResultsDir(runDir);
+    if (!fs.existsSync(resultsDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(resultsDir)
+        .filter(file => /^\d+\.json$/.test(file))
+        .map(file => JSON.parse(fs.readFileSync(path.join(resultsDir, file), 'utf-8')))
+        .sort((a, b) => a.testNumber - b.testNumber);
+}
+
+module.exports = {
+    createRunId,
+    getRunDir,
+    saveQueryResult,
+    loadQueryResult,
+    loadQueryResults,
+    isCompletedResult,
+    readRunManifest,
+    startRun,
+    listRuns
+};
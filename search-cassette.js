@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { querySlug } = require('./test-cases');
+
+const CASSETTE_MODES = ['off', 'record', 'replay'];
+
+// Only the params that change the response identify an entry; cache busters are ignored
+function cassetteKey(params) {
+    return {
+        siteId: String(params.siteId),
+        q: String(params.q),
+        page: String(params.page),
+        resultsPerPage: String(params.resultsPerPage)
+    };
+}
+
+/**
+ * Stand-in for Playwright's APIResponse, built from a recorded entry
+ */
+class ReplayedResponse {
+    constructor(entry) {
+        this.entry = entry;
+    }
+
+    status() {
+        return this.entry.response.status;
+    }
+
+    ok() {
+        return this.entry.response.status >= 200 && this.entry.response.status < 300;
+    }
+
+    headers() {
+        return { ...this.entry.response.headers };
+    }
+
+    url() {
+        return this.entry.request.url;
+    }
+
+    async text() {
+        return this.entry.response.body;
+    }
+
+    async json() {
+        return JSON.parse(this.entry.response.body);
+    }
+}
+
+/**
+ * Directory of recorded search.json exchanges, one file per query/page/params combination
+ */
+class SearchCassette {
+    constructor(dir, mode = 'off') {
+        if (!CASSETTE_MODES.includes(mode)) {
+            throw new Error(`Unknown cassette mode "${mode}". Use one of: ${CASSETTE_MODES.join(', ')}`);
+        }
+        this.dir = dir;
+        this.mode = mode;
+    }
+
+    get isRecording() {
+        return this.mode === 'record';
+    }
+
+    get isReplaying() {
+        return this.mode === 'replay';
+    }
+
+    /**
+     * File holding the entry for a set of request params
+     */
+    entryPath(params) {
+        const key = cassetteKey(params);
+        const hash = crypto.createHash('sha1').update(JSON.stringify(key)).digest('hex').slice(0, 10);
+        return path.join(this.dir, `${querySlug(key.q)}_page-${key.page}_${hash}.json`);
+    }
+
+    /**
+     * Save a live response; a later attempt for the same params overwrites the earlier one
+     */
+    async record(url, params, response) {
+        const entry = {
+            key: cassetteKey(params),
+            request: { url, params },
+            response: {
+                status: response.status(),
+                headers: response.headers(),
+                body: await response.text()
+            },
+            recordedAt: new Date().toISOString()
+        };
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(this.entryPath(params), JSON.stringify(entry, null, 2));
+        return entry;
+    }
+
+    /**
+     * Whether a response was recorded for these request params
+     */
+    has(params) {
+        return fs.existsSync(this.entryPath(params));
+    }
+
+    /**
+     * Serve a recorded response without touching the network
+     */
+    replay(params) {
+        const entryPath = this.entryPath(params);
+        if (!fs.existsSync(entryPath)) {
+            const key = cassetteKey(params);
+            throw new Error(`No recording for query "${key.q}" page ${key.page} in ${this.dir}`);
+        }
+        return new ReplayedResponse(JSON.parse(fs.readFileSync(entryPath, 'utf-8')));
+    }
+
+    /**
+     * All recorded entries, e.g. to inspect a cassette or build fixtures from it
+     */
+    entries() {
+        if (!fs.existsSync(this.dir)) {
+            return [];
+        }
+        return fs.readdirSync(this.dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf-8')));
+    }
+}
+
+const cassettes = new Map();
+
+/**
+ * Cassette for a resolved run config, shared by every request in the process
+ */
+function getCassette(config) {
+    const { mode } = config.cassette;
+    const dir = config.paths.cassetteDir;
+    const cacheKey = `${mode}:${dir}`;
+    if (!cassettes.has(cacheKey)) {
+        cassettes.set(cacheKey, new SearchCassette(dir, mode));
+    }
+    return cassettes.get(cacheKey);
+}
+
+module.exports = {
+    SearchCassette,
+    ReplayedResponse,
+    getCassette,
+    CASSETTE_MODES
+};
@@ -0,0 +1,110 @@
+/**
+ * Search pagination: where each fetched page's products sit in the full result list
+ *
+ * Positions, page size and the last page come from each response's pagination block, so a short
+ * or mis-sized page doesn't shift later positions. Positions the API says exist but that were
+ * never fetched (a short page, or pages left unrequested) are recorded as unfetched ranges.
+ */
+
+// Read the response's pagination block, falling back to the requested page and configured size
+// Numbers are coerced so a contract break (e.g. numbers sent as strings) doesn't derail paging
+function readPagination(pagination, requestedPage, fallbackPerPage) {
+    const toInt = value => {
+        const parsed = parseInt(value, 10);
+        return Number.isNaN(parsed) ? null : parsed;
+    };
+    const block = pagination || {};
+    return {
+        currentPage: toInt(block.currentPage) || requestedPage,
+        perPage: toInt(block.perPage) || fallbackPerPage,
+        totalPages: toInt(block.totalPages),
+        totalResults: toInt(block.totalResults)
+    };
+}
+
+/**
+ * Page-by-page accounting of one query's search
+ * Feed it each fetched page in order, then call finish() once paging stops
+ */
+class PageAccounting {
+    /**
+     * @param {number} resultsPerPage - Configured page size, used until the API reports its own
+     */
+    constructor(resultsPerPage) {
+        this.pageSize = resultsPerPage;
+        this.totalPages = null;
+        this.totalResults = 0;
+        this.fetchedUpTo = 0;
+        this.unfetchedRanges = [];
+    }
+
+    /**
+     * Place a fetched page's products at their absolute positions
+     * Page 1 sets the total result count; without one in the pagination block, page 1's length is used
+     * A page with fewer products than it should hold leaves an unfetched gap; later pages keep their positions
+     * @param {number} requestedPage - Page number that was asked for
+     * @param {Object} responseData - Parsed response with results and pagination
+     * @returns {Object} - { pagination, products, isLastPage, shortRange, oversized }
+     */
+    addPage(requestedPage, responseData) {
+        const results = responseData.results || [];
+        const pagination = readPagination(responseData.pagination, requestedPage, this.pageSize);
+        if (requestedPage === 1) {
+            this.totalResults = pagination.totalResults !== null ? pagination.totalResults : results.length;
+        }
+        if (pagination.totalPages !== null) {
+            this.totalPages = pagination.totalPages;
+        }
+        this.pageSize = pagination.perPage;
+        const pageStart = (pagination.currentPage - 1) * pagination.perPage;
+        const products = results.map((product, index) => ({
+            ...product,
+            pageNumber: pagination.currentPage,
+            absolutePosition: pageStart + index + 1
+        }));
+        if (products.length === 0) {
+            return { pagination, products, isLastPage: false, shortRange: null, oversized: false };
+        }
+
+        const isLastPage = this.totalPages !== null && pagination.currentPage >= this.totalPages;
+        const pageEnd = isLastPage && this.totalResults > 0
+            ? Math.min(pageStart + pagination.perPage, this.totalResults)
+            : pageStart + pagination.perPage;
+        const receivedEnd = pageStart + products.length;
+        let shortRange = null;
+        if (receivedEnd < pageEnd) {
+            shortRange = {
+                from: receivedEnd + 1,
+                to: pageEnd,
+                reason: `page ${pagination.currentPage} returned ${products.length} of ${pageEnd - pageStart} products`
+            };
+            this.unfetchedRanges.push(shortRange);
+        }
+        this.fetchedUpTo = Math.max(this.fetchedUpTo, pageEnd, receivedEnd);
+
+        return {
+            pagination,
+            products,
+            isLastPage,
+            shortRange,
+            oversized: receivedEnd > pageStart + pagination.perPage
+        };
+    }
+
+    /**
+     * Record everything after the last fetched position that the API says exists
+     * @param {string|null} stopReason - Why paging stopped; 'not requested' when none is given
+     * @returns {Array} - Every unfetched range, { from, to, reason }
+     */
+    finish(stopReason) {
+        if (this.totalResults > this.fetchedUpTo) {
+            this.unfetchedRanges.push({ from: this.fetchedUpTo + 1, to: this.totalResults, reason: stopReason || 'not requested' });
+        }
+        return this.unfetchedRanges;
+    }
+}
+
+module.exports = {
+    PageAccounting,
+    readPagination
+};
@@ -0,0 +1,267 @@
+/**
+ * Re-keyed products: the expected SKU is gone, but a product with the expected name is there
+ *
+ * Expected products that no identity rule finds are compared by name with every returned product
+ * that isn't itself expected. The most similar name at or above the minimum similarity is reported
+ * as a possible SKU change with its candidate SKU. A run's candidates can be written as a unified
+ * diff against the input CSV, so accepting them is one `git apply`.
+ */
+
+const { parseCSVText } = require('./test-cases');
+const { DEFAULT_IDENTITY } = require('./product-identity');
+
+// Lines of unchanged context around each change in the patch
+const PATCH_CONTEXT = 3;
+
+function nameTokens(name) {
+    return (name || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function bigrams(text) {
+    const grams = [];
+    for (let i = 0; i < text.length - 1; i++) {
+        grams.push(text.slice(i, i + 2));
+    }
+    return grams;
+}
+
+// Sørensen-Dice coefficient of two lists, counting repeated items
+function dice(a, b) {
+    if (a.length === 0 && b.length === 0) {
+        return 1;
+    }
+    const counts = new Map();
+    a.forEach(item => counts.set(item, (counts.get(item) || 0) + 1));
+    let shared = 0;
+    b.forEach(item => {
+        if (counts.get(item) > 0) {
+            shared++;
+            counts.set(item, counts.get(item) - 1);
+        }
+    });
+    return (2 * shared) / (a.length + b.length);
+}
+
+/**
+ * Similarity of two product names from 0 to 1
+ * The mean of a character-bigram score, which forgives small wording changes, and a word score,
+ * scaled by how well the words with digits agree: catalog names that differ only in a model
+ * number or size ("Accupro 7701" vs "Accupro 7705") are different products
+ */
+function nameSimilarity(a, b) {
+    const tokensA = nameTokens(a);
+    const tokensB = nameTokens(b);
+    if (tokensA.length === 0 || tokensB.length === 0) {
+        return 0;
+    }
+    const hasDigit = token => /\d/.test(token);
+    const text = (dice(bigrams(tokensA.join(' ')), bigrams(tokensB.join(' '))) + dice(tokensA, tokensB)) / 2;
+    return text * dice(tokensA.filter(hasDigit), tokensB.filter(hasDigit));
+}
+
+/**
+ * Probable new SKUs of expected products the API no longer returns under their expected SKU
+ * Each returned product is the candidate of at most one expected product, the most similar first
+ * @param {Array} expectedProducts - [{ expectedSku, expectedName, expectedPosition }] of the query
+ * @param {Array} actualProducts - Products the API returned, with absolutePosition and pageNumber
+ * @param {number} minSimilarity - Lowest name similarity that is reported
+ * @param {ProductIdentity} [identity] - Matcher from the run config
+ * @returns {Array} - [{ expectedSku, expectedName, expectedPosition, candidateSku, candidateName, position, page, similarity }]
+ */
+function findSkuChanges(expectedProducts, actualProducts, minSimilarity, identity = DEFAULT_IDENTITY) {
+    const expected = expectedProducts || [];
+    const actual = actualProducts || [];
+    const missing = expected.filter(product => product.expectedName && !identity.findProduct(product.expectedSku, actual));
+    const unclaimed = actual.filter(product => product.name && !expected.some(exp => identity.matchProduct(exp.expectedSku, product)));
+
+    const pairs = [];
+    missing.forEach(product => {
+        unclaimed.forEach(candidate => {
+            const similarity = nameSimilarity(product.expectedName, candidate.name);
+            if (similarity >= minSimilarity) {
+                const distance = product.expectedPosition ? Math.abs(candidate.absolutePosition - product.expectedPosition) : 0;
+                pairs.push({ product, candidate, similarity, distance });
+            }
+        });
+    });
+    // Most similar first; on a tie the candidate closest to the expected position
+    pairs.sort((a, b) => b.similarity - a.similarity || a.distance - b.distance);
+
+    const changes = [];
+    const assigned = new Set();
+    pairs.forEach(({ product, candidate, similarity }) => {
+        if (assigned.has(product) || assigned.has(candidate)) {
+            return;
+        }
+        assigned.add(product);
+        assigned.add(candidate);
+        changes.push({
+            expectedSku: product.expectedSku,
+            expectedName: product.expectedName,
+            expectedPosition: product.expectedPosition,
+            candidateSku: candidate.sku,
+            candidateName: candidate.name,
+            position: candidate.absolutePosition,
+            page: candidate.pageNumber || 1,
+            similarity
+        });
+    });
+    return changes.sort((a, b) => (a.expectedPosition || Infinity) - (b.expectedPosition || Infinity));
+}
+
+/**
+ * One-line description of a change for logs and report cells
+ */
+function formatSkuChange(change) {
+    return `${change.expectedSku} -> ${change.candidateSku} at position ${change.position} (similarity ${change.similarity.toFixed(2)})`;
+}
+
+// Raw fields of one CSV record, quotes kept, so rewriting one field leaves the rest byte for byte
+function splitRawFields(record) {
+    const fields = [];
+    let field = '';
+    let inQuotes = false;
+    for (const char of record) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        }
+        if (char === ',' && !inQuotes) {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+function quoteField(value) {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * The input CSV's lines grouped into records; a quoted value can span lines
+ */
+function groupRecords(lines) {
+    const records = [];
+    let start = 0;
+    let quotes = 0;
+    lines.forEach((line, index) => {
+        quotes += (line.match(/"/g) || []).length;
+        if (quotes % 2 === 0) {
+            records.push({ start, end: index + 1 });
+            start = index + 1;
+            quotes = 0;
+        }
+    });
+    if (start < lines.length) {
+        records.push({ start, end: lines.length });
+    }
+    return records;
+}
+
+/**
+ * Unified diff of two versions of a file with the same number of lines
+ */
+function unifiedDiff(oldLines, newLines, label, endsWithNewline) {
+    const changed = oldLines.map((line, index) => line !== newLines[index] ? index : -1).filter(index => index !== -1);
+    if (changed.length === 0) {
+        return '';
+    }
+
+    // Changes closer than twice the context share a hunk
+    const hunks = [];
+    changed.forEach(index => {
+        const last = hunks[hunks.length - 1];
+        if (last && index - last.to <= PATCH_CONTEXT * 2) {
+            last.to = index;
+        } else {
+            hunks.push({ from: index, to: index });
+        }
+    });
+
+    const lastLine = oldLines.length - 1;
+    const noNewline = line => (!endsWithNewline && line === lastLine ? ['\\ No newline at end of file'] : []);
+    // A tab ends a file name with spaces for GNU patch; git apply accepts it too
+    const nameEnd = label.includes(' ') ? '\t' : '';
+    const output = [`--- a/${label}${nameEnd}`, `+++ b/${label}${nameEnd}`];
+    hunks.forEach(hunk => {
+        const start = Math.max(0, hunk.from - PATCH_CONTEXT);
+        const end = Math.min(lastLine, hunk.to + PATCH_CONTEXT);
+        const count = end - start + 1;
+        output.push(`@@ -${start + 1},${count} +${start + 1},${count} @@`);
+        for (let index = start; index <= end; index++) {
+            if (oldLines[index] === newLines[index]) {
+                output.push(` ${oldLines[index]}`, ...noNewline(index));
+            } else {
+                output.push(`-${oldLines[index]}`, ...noNewline(index), `+${newLines[index]}`, ...noNewline(index));
+            }
+        }
+    });
+    return `${output.join('\n')}\n`;
+}
+
+/**
+ * Patch that replaces each expected SKU with its candidate in the input CSV
+ * Rows are found by query (continuation rows inherit the query above them), SKU and name
+ * @param {string} csvText - Current content of the input CSV
+ * @param {Array} changes - [{ query, expectedSku, expectedName, candidateSku }]
+ * @param {string} label - Path of the input CSV in the patch headers, relative to where it is applied
+ * @returns {Object} - { patch, applied }: the unified diff ('' when no row matched) and the changes it contains
+ */
+function buildInputPatch(csvText, changes, label) {
+    const endsWithNewline = csvText.endsWith('\n');
+    const oldLines = (endsWithNewline ? csvText.slice(0, -1) : csvText).split('\n');
+    const newLines = [...oldLines];
+    const records = groupRecords(oldLines);
+    if (records.length === 0) {
+        return { patch: '', applied: [] };
+    }
+
+    const headerText = oldLines.slice(records[0].start, records[0].end).join('\n');
+    const headers = (parseCSVText(headerText)[0] || []).map(header => header.trim());
+    const queryIndex = headers.indexOf('query');
+    const nameIndex = headers.indexOf('name');
+    const skuIndex = headers.indexOf('sku');
+    if (queryIndex === -1 || nameIndex === -1 || skuIndex === -1) {
+        throw new Error(`Input CSV has no query, name and sku columns to patch: ${label}`);
+    }
+
+    const applied = [];
+    let currentQuery = '';
+    records.slice(1).forEach(({ start, end }) => {
+        const recordText = oldLines.slice(start, end).join('\n');
+        const values = parseCSVText(recordText)[0] || [];
+        if ((values[queryIndex] || '').trim()) {
+            currentQuery = values[queryIndex].trim();
+        }
+        const change = changes.find(candidate =>
+            candidate.query.toLowerCase() === currentQuery.toLowerCase() &&
+            candidate.expectedSku === (values[skuIndex] || '').trim() &&
+            candidate.expectedName === values[nameIndex]
+        );
+        if (!change) {
+            return;
+        }
+
+        // A CRLF file keeps its \r on the last field of each line
+        const lineEnd = recordText.endsWith('\r') ? '\r' : '';
+        const fields = splitRawFields(lineEnd ? recordText.slice(0, -1) : recordText);
+        fields[skuIndex] = quoteField(change.candidateSku);
+        const patchedLines = `${fields.join(',')}${lineEnd}`.split('\n');
+        patchedLines.forEach((line, offset) => {
+            newLines[start + offset] = line;
+        });
+        applied.push(change);
+    });
+
+    return { patch: unifiedDiff(oldLines, newLines, label, endsWithNewline), applied };
+}
+
+module.exports = {
+    nameSimilarity,
+    findSkuChanges,
+    formatSkuChange,
+    buildInputPatch
+};
@@ -0,0 +1,113 @@
+/**
+ * Where query terms appear in the titles and descriptions of a query's top results
+ *
+ * Each text is classified by the first query term found in it: at the beginning (first 20%),
+ * the end (last 20%) or the middle, or not found. Distributions over the top N results help
+ * explain ranking behaviour, e.g. a query whose top results only mention the term at the end.
+ */
+
+const TERM_PLACEMENTS = ['beginning', 'middle', 'end', 'notFound'];
+const TERM_FIELDS = ['title', 'description'];
+
+/**
+ * Placement of a word in a text
+ * @returns {string|null} - beginning, middle or end, null when the word is not in the text
+ */
+function getWordPosition(text, searchWord) {
+    if (!text || !searchWord) return null;
+
+    const lowerText = text.toLowerCase();
+    const lowerWord = searchWord.toLowerCase();
+    const wordIndex = lowerText.indexOf(lowerWord);
+
+    if (wordIndex === -1) return null;
+
+    // Check if word appears at the beginning (first 20% of text)
+    if (wordIndex === 0 || wordIndex / text.length < 0.2) {
+        return 'beginning';
+    }
+
+    // Check if word appears at the end (last 20% of text)
+    if ((wordIndex + searchWord.length) >= text.length || wordIndex / text.length > 0.8) {
+        return 'end';
+    }
+
+    // Otherwise it's in the middle
+    return 'middle';
+}
+
+/**
+ * First query term found in a text and where it sits
+ * @returns {Object|null} - { term, placement }, null when no term is in the text
+ */
+function findFirstTerm(text, terms) {
+    for (const term of terms) {
+        const placement = getWordPosition(text, term);
+        if (placement) {
+            return { term, placement };
+        }
+    }
+    return null;
+}
+
+function emptyDistribution() {
+    return Object.fromEntries(TERM_PLACEMENTS.map(placement => [placement, 0]));
+}
+
+/**
+ * Classify query terms in the titles and descriptions of the top results
+ * @param {Array} products - Products the API returned, with absolutePosition
+ * @param {string} searchQuery - The query, split on whitespace into terms
+ * @param {number} depth - How many top results to analyze
+ * @returns {Object} - { depth, terms, analyzed, distribution: { title, description }, details: [{ position, sku, name, title, description }] }
+ */
+function analyzeWordPositions(products, searchQuery, depth) {
+    const terms = searchQuery.toLowerCase().split(/\s+/).filter(Boolean);
+    const analysis = {
+        depth,
+        terms,
+        analyzed: 0,
+        distribution: { title: emptyDistribution(), description: emptyDistribution() },
+        details: []
+    };
+
+    (products || []).slice(0, depth).forEach((product, index) => {
+        const detail = {
+            position: product.absolutePosition || index + 1,
+            sku: product.sku,
+            name: product.name,
+            title: findFirstTerm(product.name, terms),
+            description: findFirstTerm(product.description, terms)
+        };
+        TERM_FIELDS.forEach(field => {
+            analysis.distribution[field][detail[field] ? detail[field].placement : 'notFound']++;
+        });
+        analysis.details.push(detail);
+    });
+    analysis.analyzed = analysis.details.length;
+
+    return analysis;
+}
+
+/**
+ * Label of a placement for reports, e.g. "Not Found"
+ */
+function placementLabel(placement) {
+    return placement === 'notFound' ? 'Not Found' : placement.charAt(0).toUpperCase() + placement.slice(1);
+}
+
+/**
+ * One-line distribution of a field, e.g. "beginning 6, middle 2, end 0, not found 2"
+ */
+function formatDistribution(distribution) {
+    return TERM_PLACEMENTS.map(placement => `${placementLabel(placement).toLowerCase()} ${distribution[placement]}`).join(', ');
+}
+
+module.exports = {
+    TERM_PLACEMENTS,
+    TERM_FIELDS,
+    getWordPosition,
+    analyzeWordPositions,
+    placementLabel,
+    formatDistribution
+};
@@ -0,0 +1,454 @@
+const fs = require('fs');
+const { FORBIDDEN_RULE_TYPES, compileNamePattern } = require('./forbidden-products');
+
+/**
+ * Parse CSV text into rows of fields, handling quoted values, escaped quotes and CRLF
+ * Synchronous so test cases can be read while Playwright collects tests
+ */
+function parseCSVText(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const content = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Read a CSV file into objects keyed by the trimmed header names
+ */
+function readCSVRecords(csvPath) {
+    const rows = parseCSVText(fs.readFileSync(csvPath, 'utf-8'));
+    if (rows.length === 0) {
+        return [];
+    }
+
+    const headers = rows[0].map(header => header.trim());
+    return rows.slice(1).map(row => {
+        const record = {};
+        headers.forEach((header, index) => {
+            if (header) {
+                record[header] = row[index] !== undefined ? row[index] : '';
+            }
+        });
+        return record;
+    });
+}
+
+const TRUE_FLAGS = ['1', 'true', 'yes', 'y', 'x'];
+
+function parseFlag(value) {
+    return TRUE_FLAGS.includes((value || '').trim().toLowerCase());
+}
+
+function parseOptionalInt(value) {
+    const parsed = parseInt(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+// Optional rank bound of an expected product, e.g. position_min; a typo fails the load instead of dropping the constraint
+function parseRankBound(row, column, query) {
+    const value = (row[column] || '').trim();
+    if (!value) {
+        return null;
+    }
+    if (!/^\d+$/.test(value) || Number(value) < 1) {
+        throw new Error(`Invalid ${column} "${value}" for SKU ${row.sku} in query "${query}": must be a position from 1`);
+    }
+    return Number(value);
+}
+
+// Optional percentage floor of a query, e.g. min_accuracy
+function parseFloor(row, column, query) {
+    const value = (row[column] || '').trim();
+    if (!value) {
+        return null;
+    }
+    const floor = Number(value.replace(/%$/, ''));
+    if (!(floor >= 0 && floor <= 100)) {
+        throw new Error(`Invalid ${column} "${value}" in query "${query}": must be a percentage from 0 to 100`);
+    }
+    return floor;
+}
+
+/**
+ * Query-level expectations from the optional input columns
+ * - expect_zero_results: the query should return nothing (nonsense strings, discontinued lines)
+ * - expected_total_min / expected_total_max: range the reported total result count must fall in
+ * - position_tolerance: positions either side of the expected one that count as a near match, overriding matching.positionTolerance
+ * - min_accuracy / min_first_page_coverage: percentages the query's accuracy and page 1 coverage must reach
+ * - forbidden_sku / forbidden_brand / forbidden_name_pattern / forbidden_depth: see readForbiddenRules
+ */
+function readExpectations(row, query) {
+    return {
+        zeroResults: parseFlag(row.expect_zero_results),
+        totalMin: parseOptionalInt(row.expected_total_min),
+        totalMax: parseOptionalInt(row.expected_total_max),
+        positionTolerance: parseOptionalInt(row.position_tolerance),
+        minAccuracy: parseFloor(row, 'min_accuracy', query),
+        minCoverage: parseFloor(row, 'min_first_page_coverage', query),
+        forbidden: readForbiddenRules(row, query)
+    };
+}
+
+function splitList(value) {
+    return (value || '').split(';').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Negative expectations of a row: products that must not appear for the query
+ * - forbidden_sku: SKUs, separated by ";"
+ * - forbidden_brand: brands, separated by ";", compared case-insensitively
+ * - forbidden_name_pattern: regular expression matched case-insensitively against product names
+ * - forbidden_depth: only check the top N positions; empty checks every fetched position
+ */
+function readForbiddenRules(row, query) {
+    const depth = parseOptionalInt(row.forbidden_depth);
+    const rules = [
+        ...splitList(row.forbidden_sku).map(value => ({ type: FORBIDDEN_RULE_TYPES.SKU, value, depth })),
+        ...splitList(row.forbidden_brand).map(value => ({ type: FORBIDDEN_RULE_TYPES.BRAND, value, depth }))
+    ];
+    const pattern = (row.forbidden_name_pattern || '').trim();
+    if (pattern) {
+        try {
+            compileNamePattern(pattern);
+        } catch (error) {
+            throw new Error(`Invalid forbidden_name_pattern "${pattern}" in query "${query}": ${error.message}`);
+        }
+        rules.push({ type: FORBIDDEN_RULE_TYPES.NAME_PATTERN, value: pattern, depth });
+    }
+    return rules;
+}
+
+function hasExpectations(expectations) {
+    return expectations.zeroResults || expectations.totalMin !== null || expectations.totalMax !== null
+        || expectations.positionTolerance !== null || expectations.minAccuracy !== null || expectations.minCoverage !== null
+        || expectations.forbidden.length > 0;
+}
+
+// Any row of a query may set its expectations; the first value given wins, forbidden rules add up
+function mergeExpectations(target, source) {
+    target.zeroResults = target.zeroResults || source.zeroResults;
+    target.totalMin = target.totalMin !== null ? target.totalMin : source.totalMin;
+    target.totalMax = target.totalMax !== null ? target.totalMax : source.totalMax;
+    target.positionTolerance = target.positionTolerance !== null ? target.positionTolerance : source.positionTolerance;
+    target.minAccuracy = target.minAccuracy !== null ? target.minAccuracy : source.minAccuracy;
+    target.minCoverage = target.minCoverage !== null ? target.minCoverage : source.minCoverage;
+    target.forbidden.push(...source.forbidden);
+}
+
+/**
+ * Optional relevance grade of an expected product (e.g. 0-3, higher is more important)
+ * @returns {number|null} - null when the cell is empty
+ */
+function parseRelevance(value, query, sku) {
+    if (value === undefined || value === null || value.trim() === '') {
+        return null;
+    }
+    const grade = Number(value.trim());
+    if (!Number.isInteger(grade) || grade < 0) {
+        throw new Error(`Invalid relevance grade "${value}" for SKU ${sku} in query "${query}" (expected a whole number of 0 or more)`);
+    }
+    return grade;
+}
+
+/**
+ * Scoring weight of an expected product: its relevance grade, or 1 when the input has no grade
+ * With no grades in the file every product weighs the same, as before grades existed
+ */
+function relevanceWeight(product) {
+    return product.relevance === null || product.relevance === undefined ? 1 : product.relevance;
+}
+
+/**
+ * Rank constraints of an expected product from the optional product columns
+ * - position_min / position_max: the product must appear within this position range
+ * - on_page_1: the product must appear on the first page
+ * - ranks_above: SKUs, separated by ";", the product must rank above
+ */
+function readRankConstraints(row, query) {
+    const constraints = {
+        positionMin: parseRankBound(row, 'position_min', query),
+        positionMax: parseRankBound(row, 'position_max', query),
+        onFirstPage: parseFlag(row.on_page_1),
+        ranksAbove: splitList(row.ranks_above)
+    };
+    if (constraints.positionMin !== null && constraints.positionMax !== null && constraints.positionMin > constraints.positionMax) {
+        throw new Error(`position_min ${constraints.positionMin} is above position_max ${constraints.positionMax} for SKU ${row.sku} in query "${query}"`);
+    }
+    return constraints;
+}
+
+function hasRankConstraints(constraints) {
+    return constraints.positionMin !== null || constraints.positionMax !== null || constraints.onFirstPage
+        || constraints.ranksAbove.length > 0;
+}
+
+/**
+ * Load the input CSV and group expected products by query
+ * Rows with an empty query belong to the last query seen above them
+ * A product row needs an exact position, rank constraints, or both
+ * A query with expectation columns but no product rows (e.g. expect_zero_results) is kept with no expected products
+ * @param {string} csvPath - Input CSV with query,name,sku,position columns, an optional relevance grade column and optional expectation columns
+ * @returns {Array} - [{ query, expectedProducts: [{ expectedName, expectedSku, expectedPosition, relevance, positionMin, positionMax, onFirstPage, ranksAbove }], expectations: { zeroResults, totalMin, totalMax, positionTolerance, minAccuracy, minCoverage, forbidden } }] in file order
+ */
+function loadTestCases(csvPath) {
+    if (!fs.existsSync(csvPath)) {
+        throw new Error(`Input CSV not found: ${csvPath}`);
+    }
+
+    // Group by query, keeping the order queries first appear in
+    const grouped = new Map();
+    let currentQuery = '';
+
+    readCSVRecords(csvPath).forEach(row => {
+        const { query, name, sku, position, relevance } = row;
+        if (query && query.trim()) {
+            currentQuery = query.trim();
+        }
+
+        const expectations = readExpectations(row, currentQuery);
+        const constraints = readRankConstraints(row, currentQuery);
+        const isProductRow = !!(name && sku && (position || hasRankConstraints(constraints)));
+
+        if (!currentQuery || (!isProductRow && !hasExpectations(expectations))) {
+            return;
+        }
+
+        if (!grouped.has(currentQuery)) {
+            grouped.set(currentQuery, {
+                expectedProducts: [],
+                expectations: emptyExpectations()
+            });
+        }
+        const group = grouped.get(currentQuery);
+        mergeExpectations(group.expectations, expectations);
+
+        if (isProductRow) {
+            group.expectedProducts.push({
+                expectedName: name,
+                expectedSku: sku,
+                expectedPosition: parseInt(position) || null,
+                relevance: parseRelevance(relevance, currentQuery, sku),
+                ...constraints
+            });
+        }
+    });
+
+    return Array.from(grouped.entries()).map(([query, group]) => ({
+        query: query,
+        // Products with only rank constraints have no exact position and go last
+        expectedProducts: group.expectedProducts.sort((a, b) => (a.expectedPosition || Infinity) - (b.expectedPosition || Infinity)),
+        expectations: group.expectations
+    }));
+}
+
+// How a query's search ended, reported next to the position results
+const QUERY_OUTCOMES = {
+    RESULTS: 'Results',
+    ZERO_RESULTS: 'Zero Results',
+    ZERO_RESULTS_EXPECTED: 'Zero Results (Expected)',
+    UNEXPECTED_RESULTS: 'Unexpected Results',
+    ERROR: 'Error'
+};
+
+// How an expected product's actual position compares with its expected one
+const POSITION_MATCHES = {
+    MATCH: 'Match',
+    NEAR_MATCH: 'Near Match',
+    // The expected parent wasn't returned, but a color or size variant of it was
+    VARIANT_MATCH: 'Variant Match',
+    SAME_PAGE: 'Same Page',
+    EARLIER_PAGE: 'Earlier Page',
+    LATER_PAGE: 'Later Page',
+    NOT_MATCH: 'Not Match',
+    // Not found by any ID, but a product with a very similar name was returned under another SKU
+    POSSIBLE_SKU_CHANGE: 'Possible SKU Change',
+    NOT_FETCHED: 'Not Fetched'
+};
+
+// Found, but further from the expected position than the tolerance allows
+const MISPLACED_MATCHES = [POSITION_MATCHES.SAME_PAGE, POSITION_MATCHES.EARLIER_PAGE, POSITION_MATCHES.LATER_PAGE];
+
+/**
+ * Near-match tolerance of a query: its position_tolerance column, else the run's matching.positionTolerance
+ */
+function resolvePositionTolerance(testCase, config) {
+    const expectations = testCase.expectations || {};
+    return expectations.positionTolerance !== null && expectations.positionTolerance !== undefined
+        ? expectations.positionTolerance
+        : config.matching.positionTolerance;
+}
+
+/**
+ * Bucket a found product by how far it landed from its expected position
+ * @param {number} expectedPosition - Position from the input file
+ * @param {number} actualPosition - Absolute position the API returned the product at
+ * @param {number} tolerance - Positions either side that still count as a near match
+ * @param {number} pageSize - Products per page, to tell same-page from earlier or later pages
+ * @returns {string} - One of Match, Near Match, Same Page, Earlier Page, Later Page
+ */
+function classifyPosition(expectedPosition, actualPosition, tolerance, pageSize) {
+    const distance = Math.abs(actualPosition - expectedPosition);
+    if (distance === 0) {
+        return POSITION_MATCHES.MATCH;
+    }
+    if (distance <= tolerance) {
+        return POSITION_MATCHES.NEAR_MATCH;
+    }
+    const expectedPage = Math.ceil(expectedPosition / pageSize);
+    const actualPage = Math.ceil(actualPosition / pageSize);
+    if (actualPage === expectedPage) {
+        return POSITION_MATCHES.SAME_PAGE;
+    }
+    return actualPage < expectedPage ? POSITION_MATCHES.EARLIER_PAGE : POSITION_MATCHES.LATER_PAGE;
+}
+
+/**
+ * Whether the total result count falls in the query's expected_total_min / expected_total_max range
+ * @returns {Object|null} - { min, max, actual, passed }, or null when the query sets no range
+ */
+function checkTotalResults(expectations, totalResults) {
+    if (!expectations || (expectations.totalMin === null && expectations.totalMax === null)) {
+        return null;
+    }
+    const { totalMin: min, totalMax: max } = expectations;
+    return {
+        min,
+        max,
+        actual: totalResults,
+        passed: (min === null || totalResults >= min) && (max === null || totalResults <= max)
+    };
+}
+
+/**
+ * Expectations of a query whose input rows set none
+ */
+function emptyExpectations() {
+    return { zeroResults: false, totalMin: null, totalMax: null, positionTolerance: null, minAccuracy: null, minCoverage: null, forbidden: [] };
+}
+
+/**
+ * A query may come back empty when it is flagged expect_zero_results,
+ * or when it has no expected products and its total range allows 0
+ */
+function allowsZeroResults(testCase) {
+    const expectations = testCase.expectations || {};
+    if (expectations.zeroResults) {
+        return true;
+    }
+    const totalCheck = checkTotalResults(expectations, 0);
+    return testCase.expectedProducts.length === 0 && !!totalCheck && totalCheck.passed;
+}
+
+/**
+ * Match rate weighted by relevance grade, so a missed grade-3 product costs more than a missed grade-1 one
+ * @param {Array} comparisons - Position comparisons with match and relevance
+ * @returns {Object|null} - { matchedWeight, totalWeight, rate } with rate in percent, null when nothing carries weight
+ */
+function gradedMatchRate(comparisons) {
+    let matchedWeight = 0;
+    let totalWeight = 0;
+    (comparisons || []).forEach(comparison => {
+        const weight = relevanceWeight(comparison);
+        totalWeight += weight;
+        if (comparison.match === 'Match') {
+            matchedWeight += weight;
+        }
+    });
+    if (totalWeight === 0) {
+        return null;
+    }
+    return { matchedWeight, totalWeight, rate: (matchedWeight / totalWeight) * 100 };
+}
+
+/**
+ * Whether a saved query result failed: every failing outcome is prefixed "FAIL - " or "FAILED - "
+ */
+function isFailedResult(result) {
+    return !!result && (result.testResult || '').startsWith('FAIL');
+}
+
+/**
+ * Lowercase, dash-separated form of a query for test tags and file names
+ */
+function querySlug(query) {
+    return (query || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'empty-query';
+}
+
+/**
+ * Unique input products across all test cases, for the presence check
+ */
+function getUniqueInputProducts(testCases) {
+    const uniqueProducts = [];
+    const seenSkus = new Set();
+    testCases.forEach(testCase => {
+        testCase.expectedProducts.forEach(product => {
+            const sku = (product.expectedSku || '').trim();
+            if (product.expectedName && sku && !seenSkus.has(sku.toLowerCase())) {
+                seenSkus.add(sku.toLowerCase());
+                uniqueProducts.push({ name: product.expectedName.trim(), sku });
+            }
+        });
+    });
+    return uniqueProducts;
+}
+
+module.exports = {
+    parseCSVText,
+    readCSVRecords,
+    loadTestCases,
+    QUERY_OUTCOMES,
+    POSITION_MATCHES,
+    MISPLACED_MATCHES,
+    resolvePositionTolerance,
+    classifyPosition,
+    checkTotalResults,
+    emptyExpectations,
+    allowsZeroResults,
+    isFailedResult,
+    querySlug,
+    relevanceWeight,
+    gradedMatchRate,
+    getUniqueInputProducts
+};
@@ -1,20 +1,38 @@
 const fs = require('fs');
+const path = require('path');
 const ReportGeneratorClient = require('./report-generator-client');
+const { loadRunConfig } = require('./run-config');
+const { loadSavedRun } = require('./run-reports');
+const { withComparisons } = require('./query-comparison');
+const { getProductIdentity } = require('./product-identity');
+
+// Newest run file, or else newest position comparison CSV, in the output directory
+function findLatestSavedRun(outputDir) {
+    if (!fs.existsSync(outputDir)) {
+        return null;
+    }
+    const files = fs.readdirSync(outputDir);
+    const newest = pattern => files.filter(file => pattern.test(file)).sort().pop();
+    const latest = newest(/^API_TEST_RUN_.*\.json$/) || newest(/^POSITION_COMPARISON_.*\.csv$/);
+    return latest ? path.join(outputDir, latest) : null;
+}
 
 // Test the report generator with the accuracy filter
+// Usage: node test-report-generator.js [run file | CSV | run ID]; all reports: node api-test-cli.js report
 async function testReportGenerator() {
-    const csvPath = 'Output Reports/POSITION_COMPARISON_2025-09-08_19-21-58.csv';
-    
-    if (!fs.existsSync(csvPath)) {
-        console.error('CSV file not found:', csvPath);
+    const config = loadRunConfig();
+    const source = process.argv[2] || findLatestSavedRun(config.paths.outputDir);
+
+    if (!source) {
+        console.error('No saved run found in', config.paths.outputDir);
         return;
     }
-    
-    const csvContent = fs.readFileSync(csvPath, 'utf-8');
+
     const generator = new ReportGeneratorClient();
-    
+
     try {
-        const reportPath = await generator.generateHTMLReport(csvContent, 'Output Reports');
+        const { results } = loadSavedRun(source, config);
+        const reportPath = await generator.generateHTMLReport(withComparisons(results, getProductIdentity(config)), config.paths.outputDir);
         console.log('Report generated successfully:', reportPath);
         console.log('Open the report in a browser to test the accuracy filter functionality.');
     } catch (error) {
@@ -22,4 +40,4 @@ async function testReportGenerator() {
     }
 }
 
-testReportGenerator();
\ No newline at end of file
+testReportGenerator();
@@ -1,13 +1,57 @@
-const { test, expect } = require('@playwright/test');
-const fs = require('fs');
-const csv = require('csv-parser');
-const ExcelJS = require('exceljs');
-const ReportGeneratorClient = require('../report-generator-client');
+const { test: base, expect } = require('@playwright/test');
+const { loadRunConfig, getSearchUrl } = require('../run-config');
+const {
+  loadTestCases,
+  querySlug,
+  QUERY_OUTCOMES,
+  POSITION_MATCHES,
+  MISPLACED_MATCHES,
+  resolvePositionTolerance,
+  allowsZeroResults
+} = require('../test-cases');
+const { getRunDir, saveQueryResult, loadQueryResult, isCompletedResult } = require('../run-results');
+const { getCassette } = require('../search-cassette');
+const { RESPONSE_KINDS, getRateLimiter, classifySearchResponse } = require('../rate-limiter');
+const { QueryLogBuffer } = require('../query-log');
+const { PageAccounting } = require('../search-pagination');
+const { getResponseContract, addPageViolations, formatViolation } = require('../response-contract');
+const { METRIC_NAMES, metricLabels } = require('../ranking-metrics');
+const { formatConstraint } = require('../rank-constraints');
+const { describeRule, formatForbiddenProduct, forbiddenCheckDepth, formatUncheckedRule } = require('../forbidden-products');
+const { TERM_FIELDS, formatDistribution } = require('../term-positions');
+const { formatNoiseRate } = require('../relevance-noise');
+const { getProductIdentity, describeIdentityMatch } = require('../product-identity');
+const { findSkuChanges, formatSkuChange } = require('../sku-changes');
+const { compareQuery, describeExpectedProduct } = require('../query-comparison');
+const { formatFloorCheck } = require('../quality-gates');
+const { gradeQuery } = require('../query-checks');
 
-// Helper function to add delay between API requests
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+// Endpoint, site, page size and paths come from api-test.config.json (profile + env overrides)
+const runConfig = loadRunConfig();
+const productIdentity = getProductIdentity(runConfig);
+// Test cases are read at collection time so every query becomes its own test
+const testCases = loadTestCases(runConfig.paths.inputCsv);
+
+const test = base.extend({
+  // Each worker takes its share of the run-wide request budget
+  // Playwright starts no more workers than there are queries, so fewer queries than workers get a bigger share
+  // (a --grep or resumed run that leaves fewer queries still splits by the full query count)
+  requestBudget: [async ({}, use, workerInfo) => {
+    getRateLimiter(runConfig).shareBudget(Math.min(workerInfo.config.workers, testCases.length));
+    await use();
+  }, { scope: 'worker', auto: true }],
+  
+  // With several workers, print each query's console output as one block; always attach it to the report
+  queryLog: [async ({}, use, testInfo) => {
+    const buffer = new QueryLogBuffer(testInfo.title);
+    buffer.capture({ passThrough: testInfo.config.workers === 1 });
+    await use(buffer);
+    const text = buffer.release();
+    if (text) {
+      await testInfo.attach('query-log', { body: text, contentType: 'text/plain' });
+    }
+  }, { auto: true }]
+});
 
 // Array of realistic User-Agent strings to rotate through
 const USER_AGENTS = [
@@ -50,59 +94,100 @@ function generateVariableHeaders(queryIndex) {
 }
 
 // Helper function to make API request with retry logic
-async function makeAPIRequestWithRetry(request, apiBaseUrl, query, maxRetries = 3, queryIndex = 0, page = 1) {
+// In replay mode responses come from the cassette and no request is sent
+// All pacing (request budget, backoff, Retry-After) goes through the shared rate limiter
+// A 200 with no results is only treated as throttling when the status or headers say so;
+// otherwise it is re-checked api.emptyResultConfirmations times and then returned with outcome 'empty'
+// Pass { acceptEmpty: true } when an empty page is an expected answer (zero-result queries, past the last page)
+// Every returned body is checked against the response contract; violations come back with it
+async function makeAPIRequestWithRetry(request, config, query, queryIndex = 0, page = 1, options = {}) {
+  const maxRetries = config.api.maxRetries;
+  const emptyConfirmations = config.api.emptyResultConfirmations;
+  const contract = getResponseContract(config);
+  const cassette = getCassette(config);
+  const limiter = getRateLimiter(config);
+  const label = `"${query}" page ${page}`;
+  let emptyResponses = 0;
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    let failure = null;
+    
+    // Generate variable parameters to avoid caching
+    const params = {
+      siteId: config.api.siteId,
+      q: query,
+      page: page.toString(),
+      resultsPerPage: config.api.resultsPerPage.toString(),
+      use_cache: 'false',
+      timestamp: Date.now(),
+      r: Math.random().toString(36).substr(2, 8) // Random cache buster
+    };
+    
+    // A missing recording won't appear on a retry, so it fails the request at once
+    if (cassette.isReplaying && !cassette.has(params)) {
+      throw new Error(`No recording for query "${query}" page ${page} in ${config.paths.cassetteDir} (record it with cassette mode "record")`);
+    }
+    
     try {
-      console.log(`   🔄 Attempt ${attempt}/${maxRetries} for query: "${query}" (Page ${page})`);
+      console.log(`   🔄 Attempt ${attempt}/${maxRetries} for query: "${query}" (Page ${page})${cassette.isReplaying ? ' [replay]' : ''}`);
       
-      // Add wider random delay to prevent synchronized requests (2-10 seconds)
-      const baseDelay = 2000 + (attempt - 1) * 1000; // Progressive: 2s, 3s, 4s
-      const randomDelay = baseDelay + Math.floor(Math.random() * 6000); // +0-6s random
-      console.log(`   ⏳ Waiting ${(baseDelay + randomDelay)/1000}s before attempt ${attempt}...`);
-      await delay(randomDelay);
+      await limiter.acquire(`${label}, attempt ${attempt}`);
       
       // Generate variable headers for this attempt
       const headers = generateVariableHeaders(queryIndex + attempt);
       
-      // Generate variable parameters to avoid caching
-      const params = {
-        siteId: 'os7898',
-        q: query,
-        page: page.toString(),
-        resultsPerPage: '24',
-        use_cache: 'false',
-        timestamp: Date.now(),
-        r: Math.random().toString(36).substr(2, 8) // Random cache buster
-      };
+      // Progressive timeout increase: +1/3 of the configured timeout per retry (45s, 60s, 75s by default)
+      const timeout = Math.round(config.api.timeoutMs * (1 + (attempt - 1) / 3));
       
-      // Progressive timeout increase
-      const timeout = 45000 + (attempt - 1) * 15000; // 45s, 60s, 75s
+      let response;
+      if (cassette.isReplaying) {
+        response = cassette.replay(params);
+      } else {
+        response = await request.get(getSearchUrl(config), {
+          params,
+          headers,
+          timeout
+        });
+        
+        // Save every attempt; the last one for this query and page is what replay serves
+        if (cassette.isRecording) {
+          await cassette.record(getSearchUrl(config), params, response);
+        }
+      }
       
-      const response = await request.get(`${apiBaseUrl}/api/v1/search.json`, {
-        params,
-        headers,
-        timeout
-      });
+      const status = response.status();
+      // An empty body reads as no products, so it is re-checked like an empty result list
+      const body = status === 200 ? await response.text() : '';
+      const data = body.trim() ? JSON.parse(body) : null;
+      const kind = classifySearchResponse(status, response.headers(), data, config.rateLimit.throttleStatuses);
       
-      if (response.status() === 200) {
-        const data = await response.json();
-        // CRITICAL FIX: Treat empty results as a failure that should be retried
-        if (data.results && data.results.length > 0) {
-          console.log(`   ✅ Success on attempt ${attempt}: ${data.results.length} products found`);
-          return { response, data };
-        } else {
-          console.log(`   ⚠️ Attempt ${attempt}: API returned 200 but ZERO products - likely rate limited`);
-          if (attempt === maxRetries) {
-            // On final attempt, throw error instead of returning empty results
-            throw new Error(`API consistently returning 0 products for query "${query}" - possible rate limiting`);
-          }
-          // Continue to next attempt instead of returning empty results
+      if (kind === RESPONSE_KINDS.RESULTS) {
+        console.log(`   ✅ Success on attempt ${attempt}: ${data.results.length} products found`);
+        limiter.recordSuccess();
+        return { response, data, outcome: 'results', attempts: attempt, violations: contract.validate(data) };
+      }
+      
+      if (status === 200 && kind === RESPONSE_KINDS.THROTTLED) {
+        console.log(`   ⚠️ Attempt ${attempt}: API returned 200 but ZERO products with throttling headers - rate limited`);
+        if (attempt === maxRetries) {
+          throw new Error(`API consistently returning 0 products with throttling headers for query "${query}" - rate limited`);
         }
+        failure = { status: 200, headers: response.headers(), reason: 'zero products with throttling headers', throttled: true };
+      } else if (kind === RESPONSE_KINDS.EMPTY) {
+        emptyResponses++;
+        if (options.acceptEmpty || emptyResponses > emptyConfirmations || attempt === maxRetries) {
+          console.log(`   📭 Attempt ${attempt}: API returned 200 with ZERO products and no throttling signal - zero results`);
+          limiter.recordSuccess();
+          const emptyData = data || {};
+          return { response, data: { ...emptyData, results: [] }, outcome: 'empty', attempts: attempt, violations: contract.validate(emptyData) };
+        }
+        console.log(`   ⚠️ Attempt ${attempt}: API returned 200 with ZERO products and no throttling signal - re-checking (${emptyResponses}/${emptyConfirmations})`);
+        failure = { status: 200, headers: response.headers(), reason: 'unconfirmed zero products' };
       } else {
-        console.log(`   ❌ Attempt ${attempt}: HTTP ${response.status()}`);
+        console.log(`   ❌ Attempt ${attempt}: HTTP ${status}${kind === RESPONSE_KINDS.THROTTLED ? ' (throttled)' : ''}`);
         if (attempt === maxRetries) {
-          throw new Error(`API returned HTTP ${response.status()} after ${maxRetries} attempts`);
+          throw new Error(`API returned HTTP ${status} after ${maxRetries} attempts`);
         }
+        failure = { status, headers: response.headers(), reason: `HTTP ${status}`, throttled: kind === RESPONSE_KINDS.THROTTLED };
       }
       
     } catch (error) {
@@ -111,12 +196,10 @@ async function makeAPIRequestWithRetry(request, apiBaseUrl, query, maxRetries =
       if (attempt === maxRetries) {
         throw error; // Throw error only on final attempt
       }
-      
-      // Progressive backoff delay (5, 10, 15 seconds)
-      const backoffDelay = attempt * 5000;
-      console.log(`   ⏳ Waiting ${backoffDelay/1000} seconds before retry...`);
-      await delay(backoffDelay);
+      failure = { reason: error.message.split('\n')[0] };
     }
+    
+    await limiter.backoff(attempt, failure, label);
   }
   
   // Should never reach here, but just in case
@@ -124,590 +207,202 @@ async function makeAPIRequestWithRetry(request, apiBaseUrl, query, maxRetries =
 }
 
 
-// Helper function to check if a product is related to the query
-function isProductRelated(product, query) {
-  const searchTerm = query.toLowerCase();
-  const fieldsToCheck = [
-    product.name,
-    product.description,
-    product.brand,
-    product.category
-  ].filter(Boolean).join(' ').toLowerCase();
-  
-  return fieldsToCheck.includes(searchTerm);
-}
-
-// // Helper function to determine word position in text
-// function getWordPosition(text, searchWord) {
-//   if (!text || !searchWord) return null;
-  
-//   const lowerText = text.toLowerCase();
-//   const lowerWord = searchWord.toLowerCase();
-//   const wordIndex = lowerText.indexOf(lowerWord);
-  
-//   if (wordIndex === -1) return null;
-  
-//   // Check if word appears at the beginning (first 20% of text)
-//   if (wordIndex === 0 || wordIndex / text.length < 0.2) {
-//     return 'beginning';
-//   }
-  
-//   // Check if word appears at the end (last 20% of text)
-//   if ((wordIndex + searchWord.length) >= text.length || 
-//       wordIndex / text.length > 0.8) {
-//     return 'end';
-//   }
-  
-//   // Otherwise it's in the middle
-//   return 'middle';
-// }
-
-// // Function to analyze word positions in product descriptions
-// function analyzeWordPositions(products, searchQuery) {
-//   const stats = {
-//     beginning: 0,
-//     middle: 0,
-//     end: 0,
-//     notFound: 0,
-//     details: []
-//   };
-  
-//   const searchWords = searchQuery.toLowerCase().split(/\s+/);
-  
-//   products.forEach((product, index) => {
-//     const description = product.description || product.name || '';
-//     let foundPosition = null;
-    
-//     // Check each word from the search query
-//     for (const word of searchWords) {
-//       const position = getWordPosition(description, word);
-//       if (position) {
-//         foundPosition = position;
-//         stats[position]++;
-//         stats.details.push({
-//           productIndex: index,
-//           productName: product.name,
-//           sku: product.sku,
-//           word: word,
-//           position: position,
-//           description: description.substring(0, 100) + (description.length > 100 ? '...' : '')
-//         });
-//         break; // Count only the first matching word
-//       }
-//     }
-    
-//     if (!foundPosition) {
-//       stats.notFound++;
-//     }
-//   });
-  
-//   return stats;
-// }
-
 // Function to search for expected products across multiple pages
-async function searchAcrossPages(request, apiBaseUrl, query, expectedProducts, maxPages = 5, queryIndex = 0) {
+// A failure on page 1 is rethrown so it is reported as an error rather than as zero results
+// Pass { expectZeroResults: true } when an empty first page is the expected answer
+// Pass { responses: [] } to collect each page's raw response and timing, kept even when page 1 fails
+// Pass { checkDepth: n } to keep paging until position n is fetched (Infinity: every page), e.g. for forbidden rules
+// Positions and the ranges that were never fetched come from PageAccounting (search-pagination.js)
+async function searchAcrossPages(request, config, query, expectedProducts, queryIndex = 0, options = {}) {
+  const maxPages = config.search.maxPages;
+  const pages = new PageAccounting(config.api.resultsPerPage);
   const allProducts = [];
-  let totalResults = 0;
+  const contractViolations = [];
   let currentPage = 1;
+  let pagesSearched = 0;
   let foundAllExpected = false;
+  let stopReason = null;
+  const identity = getProductIdentity(config);
+  const responses = options.responses || [];
+  const checkDepth = options.checkDepth || 0;
   
   console.log(`\n🔍 Starting multi-page search (up to ${maxPages} pages) for ${expectedProducts.length} expected products...`);
   
   while (currentPage <= maxPages && !foundAllExpected) {
+    const requestedAt = Date.now();
     try {
       // Make API request for current page
-      const { response, data: responseData } = await makeAPIRequestWithRetry(
+      // Past page 1 an empty page just means the results ran out
+      const { response, data: responseData, outcome, attempts, violations } = await makeAPIRequestWithRetry(
         request, 
-        apiBaseUrl, 
+        config, 
         query,
-        3, // maxRetries
         queryIndex,
-        currentPage // page number
+        currentPage, // page number
+        { acceptEmpty: currentPage > 1 || !!options.expectZeroResults }
       );
+      responses.push({
+        page: currentPage,
+        requestedAt: new Date(requestedAt).toISOString(),
+        durationMs: Date.now() - requestedAt,
+        attempts,
+        status: response.status(),
+        outcome,
+        body: responseData
+      });
       
-      if (responseData.results && responseData.results.length > 0) {
-        // Add page number to each product for tracking
-        const productsWithPage = responseData.results.map((product, index) => ({
-          ...product,
-          pageNumber: currentPage,
-          absolutePosition: (currentPage - 1) * 24 + index + 1
-        }));
-        
-        allProducts.push(...productsWithPage);
+      if (violations.length > 0) {
+        console.log(`   📐 Page ${currentPage}: response breaks contract ${config.contract.schemaVersion} in ${violations.length} place(s)`);
+        addPageViolations(contractViolations, violations, currentPage);
+      }
+      
+      const { pagination, products, isLastPage, shortRange, oversized } = pages.addPage(currentPage, responseData);
+      if (currentPage === 1 && pagination.perPage !== config.api.resultsPerPage) {
+        console.log(`   📏 API pages by ${pagination.perPage}, not the configured ${config.api.resultsPerPage} - using the API's page size`);
+      }
+      if (pagination.currentPage !== currentPage) {
+        console.log(`   ⚠️  Asked for page ${currentPage}, API answered page ${pagination.currentPage} - positions follow the API's page`);
+      }
+      
+      if (products.length > 0) {
+        allProducts.push(...products);
+        pagesSearched++;
         
-        // Update total results from first page response
-        if (currentPage === 1 && responseData.pagination) {
-          totalResults = responseData.pagination.totalResults || responseData.results.length;
+        if (shortRange) {
+          console.log(`   ⚠️  Page ${pagination.currentPage} is short: positions ${shortRange.from}-${shortRange.to} were not returned`);
+        } else if (oversized) {
+          console.log(`   ⚠️  Page ${pagination.currentPage} returned ${products.length} products for a page size of ${pagination.perPage}`);
         }
         
         // Check if we've found all expected products
-        const foundCount = expectedProducts.filter(expected => 
-          allProducts.some(actual => 
-            actual.sku && expected.expectedSku && 
-            actual.sku.toLowerCase() === expected.expectedSku.toLowerCase()
-          )
-        ).length;
+        const foundCount = expectedProducts.filter(expected => identity.findProduct(expected.expectedSku, allProducts)).length;
         
-        console.log(`   📄 Page ${currentPage}: Found ${responseData.results.length} products (${foundCount}/${expectedProducts.length} expected products found so far)`);
+        console.log(`   📄 Page ${pagination.currentPage}${pages.totalPages !== null ? ` of ${pages.totalPages}` : ''}: Found ${products.length} products (${foundCount}/${expectedProducts.length} expected products found so far)`);
         
-        if (foundCount === expectedProducts.length) {
+        if (foundCount === expectedProducts.length && pages.fetchedUpTo >= checkDepth) {
           foundAllExpected = true;
+          stopReason = 'all expected products found';
           console.log(`   ✅ All expected products found by page ${currentPage}`);
+        } else if (isLastPage) {
+          stopReason = 'last page';
+          console.log(`   🏁 Reached the last page (${pages.totalPages}) reported by the API`);
+          break;
+        } else if (currentPage < maxPages && foundCount === expectedProducts.length) {
+          console.log(`   ⏭️  Forbidden rules reach ${checkDepth === Infinity ? 'every position' : `position ${checkDepth}`}, checking page ${currentPage + 1}...`);
         } else if (currentPage < maxPages) {
           console.log(`   ⏭️  Not all expected products found, checking page ${currentPage + 1}...`);
-          await delay(3000); // Delay between page requests
         }
         
         currentPage++;
       } else {
         // No more results, stop searching
+        stopReason = `page ${currentPage} came back empty`;
         console.log(`   📭 No products returned on page ${currentPage}, stopping search`);
         break;
       }
     } catch (error) {
       console.log(`   ❌ Error fetching page ${currentPage}: ${error.message}`);
+      responses.push({
+        page: currentPage,
+        requestedAt: new Date(requestedAt).toISOString(),
+        durationMs: Date.now() - requestedAt,
+        error: error.message.split('\n')[0]
+      });
+      if (currentPage === 1) {
+        throw error;
+      }
+      stopReason = `page ${currentPage} failed: ${error.message.split('\n')[0]}`;
       break;
     }
   }
   
   if (!foundAllExpected && currentPage > maxPages) {
-    console.log(`   ⚠️  Reached maximum page limit (${maxPages}), some expected products may not be found`);
+    stopReason = `page limit (${maxPages})`;
+    console.log(`   ⚠️  Reached maximum page limit (${maxPages}), some expected products may not be found or forbidden rules not fully checked`);
+  }
+  
+  const unfetchedRanges = pages.finish(stopReason);
+  if (unfetchedRanges.length > 0) {
+    console.log(`   🕳️  Positions never fetched: ${unfetchedRanges.map(range => `${range.from}-${range.to} (${range.reason})`).join('; ')}`);
   }
   
   return {
     allProducts,
-    totalResults,
-    pagesSearched: Math.min(currentPage - 1, maxPages)
+    contractViolations,
+    totalResults: pages.totalResults,
+    pageSize: pages.pageSize,
+    totalPages: pages.totalPages,
+    unfetchedRanges,
+    pagesSearched
   };
 }
 
-// Function to count expected products found on first page (first 24 products)
-function countExpectedProductsOnFirstPage(expectedProducts, actualProducts) {
-  if (!expectedProducts || expectedProducts.length === 0) {
-    return null;
-  }
-  
-  if (!actualProducts || actualProducts.length === 0) {
-    return {
-      foundOnFirstPage: 0,
-      totalExpected: expectedProducts.length,
-      foundProducts: []
-    };
-  }
-  
-  // Consider first page as first 24 products
-  const firstPageProducts = actualProducts.slice(0, 24);
-  const foundProducts = [];
-  let foundCount = 0;
-  
-  // DEBUG: Log the first few products for debugging
-  console.log(`\n🔍 DEBUG: First Page Count Check`);
-  console.log(`Expected products count: ${expectedProducts.length}`);
-  console.log(`First page products count: ${firstPageProducts.length}`);
-  console.log(`Sample expected SKUs: ${expectedProducts.slice(0, 3).map(p => p.expectedSku).join(', ')}`);
-  console.log(`Sample first page SKUs: ${firstPageProducts.slice(0, 3).map(p => p.sku).join(', ')}`);
-  
-  expectedProducts.forEach((expected, index) => {
-    // Only count products that are SUPPOSED to be on first page (position 1-24)
-    const expectedPosition = parseInt(expected.expectedPosition) || (index + 1);
-    
-    // If this expected product should be on first page (position 1-24)
-    if (expectedPosition <= 24) {
-      // Check if this SPECIFIC expected product exists on first page by EXACT SKU match
-      const foundOnFirstPage = firstPageProducts.find(actual => 
-        actual.sku && expected.expectedSku && 
-        actual.sku.toLowerCase().trim() === expected.expectedSku.toLowerCase().trim()
-      );
-      
-      if (foundOnFirstPage) {
-        foundCount++;
-        foundProducts.push({
-          expectedName: expected.expectedName,
-          expectedSku: expected.expectedSku,
-          actualPosition: firstPageProducts.indexOf(foundOnFirstPage) + 1
-        });
-      }
+// Console status of an expected product in the complete product listing, from the query's comparison
+function formatListingStatus(entry) {
+  const expected = `Expected: ${entry.expectedName}`;
+  const expectedWithSku = `${expected} | SKU: ${entry.expectedSku}`;
+  switch (entry.match) {
+    case POSITION_MATCHES.MATCH: {
+      const via = describeIdentityMatch({ kind: entry.identityMatch, product: { sku: entry.actualSku } });
+      return `✅ MATCH (${expected})${via ? ` by ${via}` : ''}`;
     }
-    // If expected product is supposed to be on page 2+ (position 25+), don't count it for first page
-  });
-  
-  console.log(`🎯 Final first page count: ${foundCount}/${expectedProducts.length}`);
-  
-  return {
-    foundOnFirstPage: foundCount,
-    totalExpected: expectedProducts.length,
-    firstPageSize: Math.min(24, actualProducts.length),
-    foundProducts: foundProducts
-  };
+    case POSITION_MATCHES.NEAR_MATCH:
+      return `🔸 NEAR MATCH (${expected}) - Found at Position ${entry.actualPosition}`;
+    case POSITION_MATCHES.VARIANT_MATCH:
+      return `🧩 VARIANT MATCH (${expected}) - variant ${entry.actualSku} at Position ${entry.actualPosition}`;
+    case POSITION_MATCHES.POSSIBLE_SKU_CHANGE:
+      return `🔁 POSSIBLE SKU CHANGE (${expectedWithSku}) - candidate ${entry.skuChange.candidateSku} at Position ${entry.skuChange.position}, similarity ${entry.skuChange.similarity.toFixed(2)}`;
+    case POSITION_MATCHES.NOT_FETCHED:
+      return `❌ NOT FETCHED (${expectedWithSku}) - ${entry.unfetchedReason}`;
+    case POSITION_MATCHES.NOT_MATCH:
+      return `❌ NOT FOUND (${expectedWithSku})`;
+    default:
+      return `❌ MISMATCH (${expectedWithSku}) - ${entry.match}, Found at Position ${entry.actualPosition}`;
+  }
 }
 
-// Function to find actual positions of all expected products
-function findAllProductPositions(expectedProducts, actualProducts) {
-  const positionMapping = [];
-  
-  if (!expectedProducts || expectedProducts.length === 0) {
-    return positionMapping;
-  }
-  
-  if (!actualProducts || actualProducts.length === 0) {
-    // If no actual products, mark all expected as not found
-    expectedProducts.forEach(exp => {
-      positionMapping.push({
-        expectedName: exp.expectedName,
-        expectedSku: exp.expectedSku,
-        expectedPosition: exp.expectedPosition,
-        actualPosition: null,
-        status: 'Not Found',
-        actualProduct: null
-      });
-    });
-    return positionMapping;
+// Symbol of an expected product's status in the "where they were found" table
+function statusSymbol(entry) {
+  if (entry.match === POSITION_MATCHES.MATCH) {
+    return '✅';
+  } else if (entry.match === POSITION_MATCHES.NEAR_MATCH) {
+    return '🔸';
+  } else if (entry.match === POSITION_MATCHES.VARIANT_MATCH) {
+    return '🧩';
+  } else if (entry.match === POSITION_MATCHES.POSSIBLE_SKU_CHANGE) {
+    return '🔁';
+  } else if (entry.identityMatch) {
+    return '⚠️';
   }
-  
-  // Check each expected product
-  expectedProducts.forEach(exp => {
-    const foundIndex = actualProducts.findIndex(p => p.sku === exp.expectedSku);
-    
-    if (foundIndex !== -1) {
-      const foundProduct = actualProducts[foundIndex];
-      const actualPosition = foundProduct.absolutePosition || (foundIndex + 1);
-      const pageNumber = foundProduct.pageNumber || 1;
-      positionMapping.push({
-        expectedName: exp.expectedName,
-        expectedSku: exp.expectedSku,
-        expectedPosition: exp.expectedPosition,
-        actualPosition: actualPosition,
-        pageNumber: pageNumber,
-        status: actualPosition === exp.expectedPosition ? 'Exact Match' : `Found at Position ${actualPosition}`,
-        actualProduct: foundProduct
-      });
-    } else {
-      positionMapping.push({
-        expectedName: exp.expectedName,
-        expectedSku: exp.expectedSku,
-        expectedPosition: exp.expectedPosition,
-        actualPosition: null,
-        pageNumber: null,
-        status: 'Not Found',
-        actualProduct: null
-      });
-    }
-  });
-  
-  return positionMapping;
+  return '❌';
 }
 
-
-// Helper function to convert results to CSV
-function generateCSV(results) {
-  const headers = [
-    'Input Query',
-    'Input Expected Name',
-    'Actual Product Name',
-    'Input Expected SKU',
-    'Actual SKU',
-    'Input Expected Position',
-    'Actual Position',
-    'Position Match',
-    'First Page Count',
-    'First Page Coverage %'
-  ];
-  
-  let csvContent = headers.join(',') + '\n';
-  
-  results.forEach((r, resultIndex) => {
-    // Add rows for ALL results (both successful and failed)
-    if (r.allPositions && r.allPositions.length > 0) {
-      r.allPositions.forEach(positionData => {
-        // Calculate actual position and position match for expected products
-        let actualPosition = '';
-        let positionMatch = '';
-        let whereFound = '';
-        
-        if (positionData.expectedSku && r.actualProducts) {
-          const actualIndex = r.actualProducts.findIndex(p => p.sku === positionData.expectedSku);
-          if (actualIndex !== -1) {
-            actualPosition = actualIndex + 1;
-            positionMatch = actualPosition === positionData.position ? 'Match' : 'Mismatch';
-            whereFound = `Position ${actualPosition}`;
-          } else {
-            actualPosition = 'No Record Found For Expected SKU :- ' + positionData.expectedSku;
-            positionMatch = 'Not Match';
-            whereFound = 'Not Found in Results';
-          }
-        }
-        
-        const row = [
-          `"${(r.query || '').replace(/"/g, '""')}"`,
-          `"${(positionData.expectedName || '').replace(/"/g, '""')}"`,
-          `"${(positionData.actualName || 'No Product').replace(/"/g, '""')}"`,
-          `"${positionData.expectedSku || ''}"`,
-          `"${positionData.actualSku || 'N/A'}"`,
-          `"${positionData.expectedPosition || positionData.position}"`,
-          `"${actualPosition}"`,
-          `"${positionMatch}"`,
-          `"${r.firstPageTracking ? `${r.firstPageTracking.foundOnFirstPage} of ${r.firstPageTracking.firstPageSize}` : 'N/A'}"`,
-          `"${r.firstPageTracking && r.firstPageTracking.firstPageSize > 0 ? ((r.firstPageTracking.foundOnFirstPage / r.firstPageTracking.firstPageSize) * 100).toFixed(1) + '%' : 'N/A'}"`
-        ];
-        csvContent += row.join(',') + '\n';
-      });
+test.describe('API Testing - Complete Validation Suite', () => {
+  testCases.forEach((testCase, i) => {
+    test(`Query "${testCase.query}"`, { tag: `@${querySlug(testCase.query)}` }, async ({ request }) => {
+      test.setTimeout(runConfig.search.queryTimeoutMs);
+      const runDir = getRunDir(runConfig, process.env.API_TEST_RUN_ID);
       
-      // Add 2 blank rows after each query group (except the last one)
-      if (resultIndex < results.length - 1) {
-        csvContent += '\n\n';
+      // When resuming, a query that already finished in this run keeps its checkpoint
+      if (process.env.API_TEST_RESUME) {
+        const checkpoint = loadQueryResult(runDir, i + 1);
+        test.skip(isCompletedResult(checkpoint, testCase.query), `Already completed in run ${process.env.API_TEST_RUN_ID}`);
       }
-    }
-  });
-  
-  return csvContent;
-}
-
-// Helper function to generate Excel file with multiple sheets
-async function generateExcelReport(results, outputPath) {
-  const workbook = new ExcelJS.Workbook();
-  
-  // Sheet 1: Query Summary
-  const summarySheet = workbook.addWorksheet('Query Summary');
-  
-  // Add summary headers
-  const summaryHeaders = [
-    'Query',
-    'Total Expected Products',
-    'Position Matches',
-    'Position Mismatches', 
-    'Not Found',
-    'Match Rate %',
-    'First Page Count',
-    'First Page Coverage %'
-  ];
-  
-  summarySheet.addRow(summaryHeaders);
-  
-  // Style the header row
-  const summaryHeaderRow = summarySheet.getRow(1);
-  summaryHeaderRow.eachCell((cell) => {
-    cell.font = { bold: true, color: { argb: 'FFFFFF' } };
-    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: '4472C4' } };
-    cell.alignment = { horizontal: 'center', vertical: 'middle' };
-  });
-  
-  // Add summary data
-  results.forEach(result => {
-    if (result.query && result.positionComparisons) {
-      // Count matches, mismatches, and not found
-      let matches = 0;
-      let mismatches = 0;
-      let notFound = 0;
-      
-      result.positionComparisons.forEach(comparison => {
-        if (comparison.match === 'Match') {
-          matches++;
-        } else if (comparison.match === 'Mismatch') {
-          mismatches++;
-        } else if (comparison.match === 'Not Match' || comparison.match === 'No Product at Position') {
-          notFound++;
-        }
-      });
-      
-      const totalExpected = result.positionComparisons.length;
-      const matchRate = totalExpected > 0 ? ((matches / totalExpected) * 100).toFixed(1) : '0.0';
       
-      const row = [
-        result.query,
-        totalExpected,
-        matches,
-        mismatches,
-        notFound,
-        `${matchRate}%`,
-        result.firstPageTracking ? `${result.firstPageTracking.foundOnFirstPage} of ${result.firstPageTracking.firstPageSize}` : 'N/A',
-        result.firstPageTracking && result.firstPageTracking.firstPageSize > 0 ? `${((result.firstPageTracking.foundOnFirstPage / result.firstPageTracking.firstPageSize) * 100).toFixed(1)}%` : 'N/A'
-      ];
-      
-      summarySheet.addRow(row);
-    }
-  });
-  
-  // Auto-fit columns for summary sheet
-  summarySheet.columns.forEach((column, index) => {
-    let maxLength = summaryHeaders[index].length;
-    column.eachCell({ includeEmpty: false }, (cell) => {
-      const columnLength = cell.value ? cell.value.toString().length : 0;
-      if (columnLength > maxLength) {
-        maxLength = columnLength;
+      console.log(`\n[TEST ${i + 1}/${testCases.length}] 🔍 Query: "${testCase.query}"`);
+      console.log(`📋 Expected Products: ${testCase.expectedProducts.length}`);
+      const positionTolerance = resolvePositionTolerance(testCase, runConfig);
+      if (positionTolerance !== runConfig.matching.positionTolerance) {
+        console.log(`🎯 Near-match tolerance: ±${positionTolerance} (run default ±${runConfig.matching.positionTolerance})`);
       }
-    });
-    column.width = Math.min(Math.max(maxLength + 2, 12), 50);
-  });
-  
-  // Sheet 2: Position Comparison (Detailed Data)
-  const detailSheet = workbook.addWorksheet('Position Comparison');
-  
-  // Add detail headers
-  const detailHeaders = [
-    'Input Query',
-    'Input Expected Name',
-    'Actual Product Name',
-    'Input Expected SKU',
-    'Actual SKU',
-    'Input Expected Position',
-    'Actual Position',
-    'Position Match',
-    'First Page Count',
-    'First Page Coverage %'
-  ];
-  
-  detailSheet.addRow(detailHeaders);
-  
-  // Style the header row
-  const detailHeaderRow = detailSheet.getRow(1);
-  detailHeaderRow.eachCell((cell) => {
-    cell.font = { bold: true, color: { argb: 'FFFFFF' } };
-    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: '70AD47' } };
-    cell.alignment = { horizontal: 'center', vertical: 'middle' };
-  });
-  
-  // Add detailed data
-  results.forEach((r, resultIndex) => {
-    if (r.allPositions && r.allPositions.length > 0) {
-      r.allPositions.forEach(positionData => {
-        // Calculate actual position and position match for expected products
-        let actualPosition = '';
-        let positionMatch = '';
-        
-        if (positionData.expectedSku && r.actualProducts) {
-          const actualIndex = r.actualProducts.findIndex(p => p.sku === positionData.expectedSku);
-          if (actualIndex !== -1) {
-            actualPosition = actualIndex + 1;
-            positionMatch = actualPosition === positionData.position ? 'Match' : 'Mismatch';
-          } else {
-            actualPosition = 'No Record Found For Expected SKU :- ' + positionData.expectedSku;
-            positionMatch = 'Not Match';
-          }
-        }
-        
-        const row = [
-          r.query || '',
-          positionData.expectedName || '',
-          positionData.actualName || 'No Product',
-          positionData.expectedSku || '',
-          positionData.actualSku || 'N/A',
-          positionData.expectedPosition || positionData.position,
-          actualPosition,
-          positionMatch,
-          r.firstPageTracking ? `${r.firstPageTracking.foundOnFirstPage} of ${r.firstPageTracking.firstPageSize}` : 'N/A',
-          r.firstPageTracking && r.firstPageTracking.firstPageSize > 0 ? `${((r.firstPageTracking.foundOnFirstPage / r.firstPageTracking.firstPageSize)*100).toFixed(1)}%` : 'N/A'
-        ];
-        
-        const addedRow = detailSheet.addRow(row);
-        
-        // Color code the position match column
-        const matchCell = addedRow.getCell(8); // Position Match column
-        if (positionMatch === 'Match') {
-          matchCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'C6EFCE' } };
-          matchCell.font = { color: { argb: '006100' } };
-        } else if (positionMatch === 'Mismatch') {
-          matchCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFC7CE' } };
-          matchCell.font = { color: { argb: '9C0006' } };
-        } else {
-          matchCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFEB9C' } };
-          matchCell.font = { color: { argb: '9C5700' } };
-        }
-      });
-      
-      // Add blank row between queries
-      if (resultIndex < results.length - 1) {
-        detailSheet.addRow([]);
+      const hasGrades = testCase.expectedProducts.some(product => product.relevance !== null);
+      if (hasGrades) {
+        console.log(`🎚️ Relevance grades: ${testCase.expectedProducts.map(product => product.relevance !== null ? product.relevance : '-').join(', ')}`);
       }
-    }
-  });
-  
-  // Auto-fit columns for detail sheet
-  detailSheet.columns.forEach((column, index) => {
-    let maxLength = detailHeaders[index].length;
-    column.eachCell({ includeEmpty: false }, (cell) => {
-      const columnLength = cell.value ? cell.value.toString().length : 0;
-      if (columnLength > maxLength) {
-        maxLength = columnLength;
+      const expectZeroResults = allowsZeroResults(testCase);
+      if (expectZeroResults) {
+        console.log(`📭 Expectation: zero results`);
       }
-    });
-    column.width = Math.min(Math.max(maxLength + 2, 12), 60);
-  });
-  
-  // Save the workbook
-  await workbook.xlsx.writeFile(outputPath);
-  return outputPath;
-}
-
-test.describe('API Testing - Complete Validation Suite', () => {
-  test('Complete API testing with CSV input and comprehensive validation', async ({ request }) => {
-    test.setTimeout(60000000); // 60 minute timeout for large datasets
-    
-    const csvPath = './API TEST INPUT.csv';
-    const apiBaseUrl = 'https://aezfjci5yr.us-east-1.awsapprunner.com';
-    const testResults = [];
-    
-    console.log(`\n${'='.repeat(80)}`);
-    console.log('🚀 API TESTING - COMPLETE VALIDATION SUITE');
-    console.log(`${'='.repeat(80)}`);
-    console.log(`📋 Input CSV: ${csvPath}`);
-    console.log(`🌐 API Endpoint: ${apiBaseUrl}/api/v1/search.json`);
-    console.log(`${'='.repeat(80)}`);
-    
-    // Read and parse CSV file
-    const testCases = await new Promise((resolve, reject) => {
-      const rawData = [];
-      fs.createReadStream(csvPath)
-        .pipe(csv({ bom: true }))
-        .on('data', (row) => {
-          // Handle BOM in column names
-          const query = row.query || row['﻿query'] || row['\ufeffquery'];
-          const name = row.name;
-          const sku = row.sku;
-          const position = row.position;
-          
-          // If query is empty but name/sku/position exist, use the last seen query
-          if (name && sku && position) {
-            rawData.push({
-              query: query && query.trim() ? query.trim() : (rawData.length > 0 ? rawData[rawData.length - 1].query : ''),
-              expectedName: name,
-              expectedSku: sku,
-              expectedPosition: parseInt(position) || null
-            });
-          }
-        })
-        .on('end', () => {
-          // Group by query
-          const grouped = {};
-          rawData.forEach(item => {
-            if (!grouped[item.query]) {
-              grouped[item.query] = [];
-            }
-            grouped[item.query].push({
-              expectedName: item.expectedName,
-              expectedSku: item.expectedSku,
-              expectedPosition: item.expectedPosition
-            });
-          });
-          
-          // Convert to array format
-          const queries = Object.keys(grouped).map(query => ({
-            query: query,
-            expectedProducts: grouped[query].sort((a, b) => a.expectedPosition - b.expectedPosition)
-          }));
-          
-          resolve(queries);
-        })
-        .on('error', reject);
-    });
-    
-    console.log(`📊 Total Test Cases: ${testCases.length}\n`);
-    console.log(`⚠️  Rate Limiting Protection: Using aggressive delays and rotation to ensure all queries return results\n`);
-    
-    // Process each query from CSV
-    for (let i = 0; i < testCases.length; i++) {
-      const testCase = testCases[i];
-      console.log(`\n[TEST ${i + 1}/${testCases.length}] 🔍 Query: "${testCase.query}"`);
-      console.log(`📋 Expected Products: ${testCase.expectedProducts.length}`);
       console.log('-'.repeat(60));
       
       const startTime = Date.now();
@@ -716,13 +411,33 @@ test.describe('API Testing - Complete Validation Suite', () => {
         query: testCase.query,
         expectedProducts: testCase.expectedProducts,
         apiStatus: null,
+        startedAt: new Date(startTime).toISOString(),
+        finishedAt: null,
         responseTime: null,
         totalResults: 0,
         productsOnPage: 0,
-        positionComparisons: [],
-        allPositions: [],
         actualProducts: [],
-        firstPageTracking: null,
+        comparison: null,
+        expectations: testCase.expectations,
+        outcome: null,
+        totalResultsCheck: null,
+        pageSize: null,
+        totalPages: null,
+        unfetchedRanges: [],
+        positionTolerance,
+        rankingMetrics: null,
+        termPositions: null,
+        noise: null,
+        rankConstraints: [],
+        forbiddenProducts: [],
+        uncheckedForbiddenRules: [],
+        floorChecks: [],
+        skuChanges: [],
+        contractVersion: runConfig.contract.schemaVersion,
+        contractViolations: [],
+        // Raw page responses with their timings, for the run file
+        responses: [],
+        error: null,
         testResult: 'PENDING'
       };
       
@@ -730,11 +445,11 @@ test.describe('API Testing - Complete Validation Suite', () => {
         // Search across multiple pages to find all expected products
         const searchResult = await searchAcrossPages(
           request,
-          apiBaseUrl,
+          runConfig,
           testCase.query,
           testCase.expectedProducts,
-          5, // maxPages - configurable
-          i  // queryIndex for header variation
+          i,  // queryIndex for header variation
+          { expectZeroResults, responses: result.responses, checkDepth: forbiddenCheckDepth(testCase.expectations.forbidden) }
         );
         
         result.responseTime = Date.now() - startTime;
@@ -742,426 +457,186 @@ test.describe('API Testing - Complete Validation Suite', () => {
         result.totalResults = searchResult.totalResults;
         result.productsOnPage = searchResult.allProducts.length;
         result.pagesSearched = searchResult.pagesSearched;
+        result.pageSize = searchResult.pageSize;
+        result.totalPages = searchResult.totalPages;
+        result.unfetchedRanges = searchResult.unfetchedRanges;
+        result.contractViolations = searchResult.contractViolations;
         
-        if (searchResult.allProducts && searchResult.allProducts.length > 0) {
-          const products = searchResult.allProducts;
-          result.actualProducts = products; // Store for CSV generation
-          
-          // Find actual positions of all expected products
-          const productPositionMapping = findAllProductPositions(testCase.expectedProducts, products);
-          result.productPositionMapping = productPositionMapping;
-          
-          // Count expected products found on first page
-          result.firstPageTracking = countExpectedProductsOnFirstPage(testCase.expectedProducts, products);
-          
+        // Expected products missing under every ID, matched to returned products by name
+        const products = searchResult.allProducts || [];
+        result.skuChanges = findSkuChanges(testCase.expectedProducts, products, runConfig.matching.skuChangeMinSimilarity, productIdentity);
+        
+        // The one comparison of returned and expected products that the console and every report render
+        result.comparison = compareQuery(testCase.expectedProducts, products, {
+          pageSize: result.pageSize,
+          tolerance: result.positionTolerance,
+          unfetchedRanges: result.unfetchedRanges,
+          skuChanges: result.skuChanges,
+          identity: productIdentity
+        });
+        result.actualProducts = products; // Store for CSV generation
+        
+        // Outcome, every derived check and the verdict, graded the same way as reissued reports
+        Object.assign(result, gradeQuery(result, runConfig, productIdentity));
+        const { counts, firstPage } = result.comparison;
+        
+        if (products.length > 0) {
           
           // COMPLETE PRODUCT LISTING - Show all products at every position
           console.log(`\n📋 Complete Product Listing (All ${products.length} products from ${result.pagesSearched} page(s)):`);
           console.log(`${'Page'.padEnd(4)} | ${'Pos'.padEnd(4)} | ${'Product Name'.padEnd(55)} | ${'SKU'.padEnd(15)} | Expected?`);
           console.log('-'.repeat(100));
           
-          // Create a map of expected products by position for quick lookup
-          const expectedByPosition = {};
-          testCase.expectedProducts.forEach(exp => {
-            expectedByPosition[exp.expectedPosition] = exp;
-          });
-          
-          let exactMatches = 0;
-          let totalExpected = testCase.expectedProducts.length;
-          
-          // Process ALL products returned by API
-          for (let i = 0; i < products.length; i++) {
-            const actualProduct = products[i];
-            const position = actualProduct.absolutePosition || (i + 1);
-            const pageNum = actualProduct.pageNumber || 1;
-            const expectedAtThisPosition = expectedByPosition[position];
-            
-            let matchStatus = 'No expectation';
-            let status = '';  // Empty status for products without expectations
-            
-            // Create position data for CSV (ALL positions)
-            const positionData = {
-              position: position,
-              actualName: actualProduct.name,
-              actualSku: actualProduct.sku,
-              expectedName: expectedAtThisPosition ? expectedAtThisPosition.expectedName : null,
-              expectedSku: expectedAtThisPosition ? expectedAtThisPosition.expectedSku : null,
-              expectedPosition: expectedAtThisPosition ? expectedAtThisPosition.expectedPosition : null,
-              status: status
-            };
-            
-            if (expectedAtThisPosition) {
-              const comparison = {
-                position: position,
-                expectedName: expectedAtThisPosition.expectedName,
-                expectedSku: expectedAtThisPosition.expectedSku,
-                actualName: actualProduct.name,
-                actualSku: actualProduct.sku,
-                match: 'Not Match'
-              };
-              
-              // Check if SKUs match
-              if (actualProduct.sku === expectedAtThisPosition.expectedSku) {
-                comparison.match = 'Match';
-                matchStatus = `✅ MATCH (Expected: ${expectedAtThisPosition.expectedName})`;
-                status = 'Exact Match';
-                exactMatches++;
-              } else {
-                // Check if this expected product exists ANYWHERE in the API response
-                const productExistsElsewhere = products.some(p => 
-                  p.sku && expectedAtThisPosition.expectedSku && 
-                  p.sku.toLowerCase().trim() === expectedAtThisPosition.expectedSku.toLowerCase().trim()
-                );
-                
-                if (productExistsElsewhere) {
-                  comparison.match = 'Mismatch';
-                  matchStatus = `❌ MISMATCH (Expected: ${expectedAtThisPosition.expectedName} | SKU: ${expectedAtThisPosition.expectedSku}) - Found elsewhere`;
-                  status = 'Position Mismatch';
-                } else {
-                  comparison.match = 'Not Match';
-                  matchStatus = `❌ NOT FOUND (Expected: ${expectedAtThisPosition.expectedName} | SKU: ${expectedAtThisPosition.expectedSku})`;
-                  status = 'Product Not Found';
-                }
-              }
-              
-              result.positionComparisons.push(comparison);
-              positionData.status = status;
-            }
-            
-            result.allPositions.push(positionData);
-            
-            // Display product info
-            const productName = actualProduct.name?.substring(0, 58) || 'N/A';
-            const sku = actualProduct.sku || 'N/A';
-            
-            console.log(`${pageNum.toString().padEnd(4)} | ${position.toString().padEnd(4)} | ${productName.padEnd(55)} | ${sku.padEnd(15)} | ${matchStatus}`);
-          }
-          
-          // Handle expected products at positions beyond what API returned
-          for (const expectedProduct of testCase.expectedProducts) {
-            if (expectedProduct.expectedPosition > products.length) {
-              const comparison = {
-                position: expectedProduct.expectedPosition,
-                expectedName: expectedProduct.expectedName,
-                expectedSku: expectedProduct.expectedSku,
-                actualName: null,
-                actualSku: null,
-                match: 'No Product at Position'
-              };
-              
-              const positionData = {
-                position: expectedProduct.expectedPosition,
-                actualName: null,
-                actualSku: null,
-                expectedName: expectedProduct.expectedName,
-                expectedSku: expectedProduct.expectedSku,
-                expectedPosition: expectedProduct.expectedPosition,
-                status: 'Missing Product'
-              };
-              
-              result.positionComparisons.push(comparison);
-              result.allPositions.push(positionData);
-              console.log(`${'N/A'.padEnd(4)} | ${expectedProduct.expectedPosition.toString().padEnd(4)} | ${'[NO PRODUCT RETURNED]'.padEnd(55)} | ${'N/A'.padEnd(15)} | ❌ EXPECTED: ${expectedProduct.expectedName} (${expectedProduct.expectedSku})`);
+          // Every returned product, plus the expected positions the API returned no product for
+          for (const row of result.comparison.rows) {
+            const entry = row.expectedIndex !== null ? result.comparison.expected[row.expectedIndex] : null;
+            if (row.page === null) {
+              const placeholder = entry.match === POSITION_MATCHES.NOT_FETCHED ? '[POSITION NOT FETCHED]' : '[NO PRODUCT RETURNED]';
+              console.log(`${'N/A'.padEnd(4)} | ${row.position.toString().padEnd(4)} | ${placeholder.padEnd(55)} | ${'N/A'.padEnd(15)} | ${formatListingStatus(entry)}`);
+              continue;
             }
+            const productName = row.actualName?.substring(0, 58) || 'N/A';
+            const sku = row.actualSku || 'N/A';
+            console.log(`${row.page.toString().padEnd(4)} | ${row.position.toString().padEnd(4)} | ${productName.padEnd(55)} | ${sku.padEnd(15)} | ${entry ? formatListingStatus(entry) : 'No expectation'}`);
           }
           
-          // Calculate match results
-          result.testResult = `${exactMatches}/${totalExpected} matches`;
-          
           console.log('-'.repeat(100));
-          console.log(`📈 Summary: ${exactMatches}/${totalExpected} exact position matches | Total Products Found: ${products.length} across ${result.pagesSearched} page(s)`);
+          console.log(`📈 Summary: ${counts.matches}/${counts.expected} exact position matches | ${counts.nearMatches} near matches (±${result.positionTolerance}) | ${counts.variantMatches} variant matches | ${counts.mismatches} misplaced (${MISPLACED_MATCHES.map(bucket => `${bucket.toLowerCase()} ${counts.misplaced[bucket]}`).join(', ')}) | ${counts.notFound} not found | Total Products Found: ${products.length} across ${result.pagesSearched} page(s)`);
           
           // Show where ALL expected products were found (or not found)
           console.log(`\n🔍 All Expected Products - Where They Were Found:`);
           console.log(`${'Product Name'.padEnd(45)} | ${'SKU'.padEnd(15)} | ${'Expected Pos'.padEnd(12)} | ${'Page'.padEnd(4)} | ${'Actual Pos'.padEnd(10)} | Status`);
           console.log('-'.repeat(115));
           
-          for (const mapping of productPositionMapping) {
-            const productName = (mapping.expectedName || '').substring(0, 43);
-            const sku = mapping.expectedSku || 'N/A';
-            const expectedPos = mapping.expectedPosition ? mapping.expectedPosition.toString() : 'N/A';
-            const actualPos = mapping.actualPosition ? mapping.actualPosition.toString() : 'NOT FOUND';
-            const pageNum = mapping.pageNumber ? mapping.pageNumber.toString() : 'N/A';
+          for (const entry of result.comparison.expected) {
+            const productName = (entry.expectedName || '').substring(0, 43);
+            const sku = entry.expectedSku || 'N/A';
+            const expectedPos = entry.expectedPosition ? entry.expectedPosition.toString() : 'N/A';
+            const actualPos = entry.actualPosition ? entry.actualPosition.toString() : 'NOT FOUND';
+            const pageNum = entry.pageNumber ? entry.pageNumber.toString() : 'N/A';
             
-            let statusSymbol = '';
-            if (mapping.status === 'Exact Match') {
-              statusSymbol = '✅';
-            } else if (mapping.status.startsWith('Found at Position')) {
-              statusSymbol = '⚠️';
-            } else {
-              statusSymbol = '❌';
-            }
-            
-            console.log(`${productName.padEnd(45)} | ${sku.padEnd(15)} | ${expectedPos.padEnd(12)} | ${pageNum.padEnd(4)} | ${actualPos.padEnd(10)} | ${statusSymbol} ${mapping.status}`);
+            console.log(`${productName.padEnd(45)} | ${sku.padEnd(15)} | ${expectedPos.padEnd(12)} | ${pageNum.padEnd(4)} | ${actualPos.padEnd(10)} | ${statusSymbol(entry)} ${describeExpectedProduct(entry)}`);
           }
           console.log('-'.repeat(115));
           
+          // Re-keyed products: reported for review and exported as a patch to the input CSV
+          if (result.skuChanges.length > 0) {
+            console.log(`\n🔁 Possible SKU Changes (name similarity ≥ ${runConfig.matching.skuChangeMinSimilarity}):`);
+            result.skuChanges.forEach(change => console.log(`   ${formatSkuChange(change)} - ${change.candidateName}`));
+          }
+          
           // Display first page tracking results
-          if (result.firstPageTracking) {
-            console.log(`\n📄 First Page Tracking (First 24 products):`);
-            console.log(`Found: ${result.firstPageTracking.foundOnFirstPage}/${result.firstPageTracking.firstPageSize} products on first page`);
-            if (result.firstPageTracking.firstPageSize > 0) {
-              const coverage = ((result.firstPageTracking.foundOnFirstPage / result.firstPageTracking.firstPageSize) * 100).toFixed(1);
-              console.log(`Coverage: ${coverage}%`);
+          if (firstPage) {
+            console.log(`\n📄 First Page Tracking (First ${firstPage.firstPageSize} products):`);
+            console.log(`Found: ${firstPage.foundOnFirstPage}/${firstPage.firstPageSize} products on first page`);
+            if (firstPage.coverage !== null) {
+              console.log(`Coverage: ${firstPage.coverage.toFixed(1)}%`);
+            }
+            if (hasGrades && firstPage.expectedWeight > 0) {
+              const gradedFound = ((firstPage.foundWeight / firstPage.expectedWeight) * 100).toFixed(1);
+              console.log(`Graded Page 1 Found: ${gradedFound}% (${firstPage.foundWeight}/${firstPage.expectedWeight} relevance of the products expected on page 1)`);
             }
             
-            if (result.firstPageTracking.foundProducts.length > 0) {
+            if (firstPage.foundProducts.length > 0) {
               console.log(`\n🎯 Expected Products Found on First Page:`);
               console.log(`${'Product Name'.padEnd(40)} | ${'SKU'.padEnd(15)} | Position`);
               console.log('-'.repeat(70));
-              result.firstPageTracking.foundProducts.forEach(product => {
+              firstPage.foundProducts.forEach(product => {
                 const name = (product.expectedName || '').substring(0, 38);
                 console.log(`${name.padEnd(40)} | ${(product.expectedSku || '').padEnd(15)} | ${product.actualPosition}`);
               });
               console.log('-'.repeat(70));
             }
           }
+        } else if (result.outcome === QUERY_OUTCOMES.ZERO_RESULTS_EXPECTED) {
+          console.log(`\n✅ No products returned, as expected`);
         } else {
-          result.testResult = 'FAIL - No products returned';
-          console.log(`\n❌ No products returned in response`);
+          // A genuine empty answer, kept apart from throttling and request errors
+          console.log(`\n📭 Zero results returned - none of the ${testCase.expectedProducts.length} expected products can be found`);
+        }
+        
+        // Relevance-weighted match rate; equal to the plain match rate when the input has no grades
+        if (hasGrades && counts.graded) {
+          console.log(`\n🎚️ Graded Match Rate: ${counts.graded.rate.toFixed(1)}% (${counts.graded.matchedWeight}/${counts.graded.totalWeight} relevance matched)`);
+        }
+        
+        // Ranking metrics against the expected order; queries without expected products have none
+        if (result.rankingMetrics) {
+          const labels = metricLabels(result.rankingMetrics.k);
+          console.log(`\n📏 Ranking Metrics: ${METRIC_NAMES.map(name => `${labels[name]} ${result.rankingMetrics[name].toFixed(3)}`).join(' | ')}`);
+        }
+        
+        // Where the query terms sit in the top results' titles and descriptions, to help explain the ranking
+        if (result.termPositions) {
+          console.log(`\n🔤 Term Positions (top ${result.termPositions.analyzed}, terms: ${result.termPositions.terms.join(', ')}):`);
+          TERM_FIELDS.forEach(field => console.log(`   ${field}: ${formatDistribution(result.termPositions.distribution[field])}`));
+        }
+        
+        // Non-expected products in the top results that barely mention the query
+        if (result.noise) {
+          console.log(`\n🔇 Relevance Noise: ${result.noise.pageOneFlagged}/${result.noise.pageOneScored} non-expected page 1 product(s) look irrelevant (noise rate ${formatNoiseRate(result.noise)}), ${result.noise.flagged.length} flagged of ${result.noise.scored} non-expected in the top ${result.noise.depth}`);
+          result.noise.flagged.forEach(product => {
+            console.log(`   ⚠️ ${product.position}. ${product.sku} ${product.name || 'N/A'} - ${(product.coverage * 100).toFixed(0)}% of query terms (missing: ${product.missingTokens.join(', ')})`);
+          });
+        }
+        
+        // Rank ranges, page 1 and pairwise order from the input file, each with its own pass/fail
+        if (result.rankConstraints.length > 0) {
+          const failedConstraints = result.rankConstraints.filter(constraint => !constraint.passed);
+          console.log(`\n📌 Rank Constraints: ${result.rankConstraints.length - failedConstraints.length}/${result.rankConstraints.length} passed`);
+          result.rankConstraints.forEach(constraint => console.log(`   ${constraint.passed ? '✅' : '❌'} ${formatConstraint(constraint)}`));
+        }
+        
+        // Negative expectations: forbidden SKUs, brands and name patterns, reported with the offending positions
+        const forbiddenRules = testCase.expectations.forbidden;
+        if (forbiddenRules.length > 0) {
+          console.log(`\n🚫 Negative Expectations: ${forbiddenRules.map(describeRule).join(', ')}`);
+          result.uncheckedForbiddenRules.forEach(unchecked => console.log(`   ⚠️ ${formatUncheckedRule(unchecked)}`));
+          if (result.forbiddenProducts.length === 0) {
+            console.log(`   ${result.uncheckedForbiddenRules.length > 0 ? '⚠️' : '✅'} No forbidden products in ${result.actualProducts.length} fetched position(s)`);
+          } else {
+            result.forbiddenProducts.forEach(violation => console.log(`   ❌ ${formatForbiddenProduct(violation)} - ${violation.name || 'N/A'}`));
+          }
         }
         
+        // Response contract, reported for every query; strict mode turns violations into a failure
+        if (result.contractViolations.length > 0) {
+          console.log(`\n📐 Response Contract ${runConfig.contract.schemaVersion} Violations:`);
+          result.contractViolations.forEach(violation => console.log(`   • ${formatViolation(violation)}`));
+        }
+        
+        // Expected total range, checked whatever the outcome
+        if (result.totalResultsCheck) {
+          const { min, max, actual, passed } = result.totalResultsCheck;
+          const range = `${min !== null ? min : '*'}-${max !== null ? max : '*'}`;
+          console.log(`${passed ? '✅' : '❌'} Total results ${actual} ${passed ? 'within' : 'outside'} expected range ${range}`);
+        }
+        
+        // Accuracy and page 1 coverage floors from the input file
+        result.floorChecks.forEach(check => console.log(`${check.passed ? '✅' : '❌'} Query ${formatFloorCheck(check)}`));
+        
       } catch (error) {
         console.error(`\n❌ Query Failed: ${error.message}`);
         result.apiStatus = 'ERROR';
+        result.outcome = QUERY_OUTCOMES.ERROR;
         result.testResult = `FAILED - ${error.message}`;
+        result.error = error.message;
         result.responseTime = Date.now() - startTime;
         result.totalResults = 0;
         result.productsOnPage = 0;
-        
-        // Add simple 'No Response' entry for failed queries - don't include expected product details
+        // No comparison: the reports show a single 'No Response' row without expected product details
         // This prevents failed queries from appearing as successful in HTML reports
-        result.allPositions = [{
-          position: 1,
-          actualName: 'No Response',
-          actualSku: 'No Response', 
-          expectedName: 'No Response',
-          expectedSku: 'No Response',
-          expectedPosition: 1,
-          status: 'No Response'
-        }];
+        result.comparison = null;
         
-        console.log(`\n⚠️ Continuing with next query despite this failure...`);
-        // DON'T throw the error - continue processing remaining queries
+        console.log(`\n⚠️ Saving the failed result - this query's test will be marked as failed`);
+        // DON'T throw yet - the failed result still belongs in the run reports
       }
       
-      testResults.push(result);
+      // Persist the result for the run-level reports assembled in global teardown
+      result.finishedAt = new Date().toISOString();
+      saveQueryResult(runDir, result);
       
-      // Add human-like delays with burst protection
-      if (i < testCases.length - 1) {
-        let baseDelay = 12000; // Base 12 seconds
-        
-        // Burst protection: Add extra delay after every 5 queries
-        if ((i + 1) % 5 === 0) {
-          baseDelay += 15000; // Extra 15 seconds after every 5 queries
-          console.log(`\n⏳ Burst protection activated: Waiting ${baseDelay/1000} seconds after 5 queries...`);
-        } else {
-          console.log(`\n⏳ Human-like delay: Waiting ${baseDelay/1000} seconds before next query...`);
-        }
-        
-        // Add random variation to make timing less predictable (±5 seconds)
-        const randomVariation = (Math.random() - 0.5) * 10000;
-        const totalDelay = Math.max(8000, baseDelay + randomVariation); // Minimum 8 seconds
-        
-        await delay(totalDelay);
-      }
-    }
-    
-    // GENERATE COMPREHENSIVE SUMMARY
-    console.log(`\n${'='.repeat(80)}`);
-    console.log('📈 FINAL TEST SUMMARY - ALL QUERIES PROCESSED');
-    console.log(`${'='.repeat(80)}`);
-    
-    // Categorize results
-    const successfulQueries = testResults.filter(r => !r.testResult.startsWith('FAILED'));
-    const failedQueries = testResults.filter(r => r.testResult.startsWith('FAILED'));
-    
-    const totalComparisons = testResults.reduce((total, result) => total + (result.positionComparisons?.length || 0), 0);
-    const totalMatches = testResults.reduce((total, result) => 
-      total + (result.positionComparisons?.filter(comp => comp.match === 'Match').length || 0), 0);
-    
-    
-    console.log(`📊 Query Execution Summary:`);
-    console.log(`  📋 Total Queries Processed: ${testResults.length}`);
-    console.log(`  ✅ Successful Queries: ${successfulQueries.length}`);
-    console.log(`  ❌ Failed Queries: ${failedQueries.length}`);
-    console.log(`  📈 Success Rate: ${Math.round((successfulQueries.length / testResults.length) * 100)}%`);
-    
-    if (successfulQueries.length > 0) {
-      console.log(`\n📊 Position Matching Results (Successful Queries Only):`);
-      console.log(`  🎯 Total Position Comparisons: ${totalComparisons}`);
-      console.log(`  ✅ Exact Position Matches: ${totalMatches}`);
-      console.log(`  ⚠️ Position Mismatches: ${totalComparisons - totalMatches}`);
-      console.log(`  📈 Overall Match Rate: ${totalMatches}/${totalComparisons}`);
-    }
-    
-    console.log(`\n📋 Detailed Query Results:`);
-    testResults.forEach((result, index) => {
-      const matches = result.positionComparisons?.filter(comp => comp.match === 'Match').length || 0;
-      const total = result.positionComparisons?.length || 0;
-      const status = result.testResult.startsWith('FAILED') ? '❌ FAILED' : '✅ SUCCESS';
-      console.log(`  ${index + 1}. "${result.query}": ${status} - ${matches}/${total} matches`);
+      expect(result.testResult, `Query "${testCase.query}" failed`).not.toMatch(/^FAIL/);
     });
-    
-    if (failedQueries.length > 0) {
-      console.log(`\n❌ Failed Queries Details:`);
-      failedQueries.forEach((result, index) => {
-        console.log(`  • "${result.query}": ${result.testResult}`);
-      });
-      console.log(`\n💡 Note: Failed queries are included in the CSV report for complete documentation.`);
-    }
-    
-    // SAVE RESULTS TO EXCEL FILE
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
-    const timeString = new Date().toTimeString().split(' ')[0].replace(/:/g, '-');
-    
-    // Generate Excel file with multiple sheets
-    const outputExcelPath = `./Output Reports/API_TEST_RESULTS_${timestamp}_${timeString}.xlsx`;
-    await generateExcelReport(testResults, outputExcelPath);
-    
-    // Also generate CSV for backward compatibility (HTML report still needs it)
-    const outputCsvPath = `./Output Reports/POSITION_COMPARISON_${timestamp}_${timeString}.csv`;
-    const csvContent = generateCSV(testResults);
-    fs.writeFileSync(outputCsvPath, csvContent);
-    
-    console.log(`\n💾 Results Saved:`);
-    console.log(`  📊 Excel Report (2 sheets): ${outputExcelPath}`);
-    console.log(`  📋 CSV Report (for HTML): ${outputCsvPath}`);
-    
-    // Generate HTML report with charts
-    try {
-      const reportGenerator = new ReportGeneratorClient();
-      const htmlReportPath = await reportGenerator.generateHTMLReport(csvContent, './Output Reports', testResults);
-      console.log(`  📊 HTML Report with Charts: ${htmlReportPath}`);
-    } catch (error) {
-      console.log(`  ⚠️ Could not generate HTML report: ${error.message}`);
-    }
-    
-    // Add Product Presence Check
-    try {
-      console.log(`\n🔍 Running Product Presence Check...`);
-      const reportGenerator = new ReportGeneratorClient();
-      
-      // Read input products from CSV
-      const inputProducts = [];
-      if (fs.existsSync('./API TEST INPUT.csv')) {
-        const inputContent = fs.readFileSync('./API TEST INPUT.csv', 'utf-8');
-        const lines = inputContent.split('\n').slice(1); // Skip header
-        
-        lines.forEach(line => {
-          if (line.trim()) {
-            const parts = line.split(',');
-            if (parts.length >= 3) {
-              const name = parts[1]?.replace(/"/g, '').trim();
-              const sku = parts[2]?.replace(/"/g, '').trim();
-              if (name && sku) {
-                inputProducts.push({ name, sku });
-              }
-            }
-          }
-        });
-        
-        // Remove duplicates
-        const uniqueProducts = [];
-        const seenSkus = new Set();
-        inputProducts.forEach(product => {
-          if (!seenSkus.has(product.sku.toLowerCase())) {
-            seenSkus.add(product.sku.toLowerCase());
-            uniqueProducts.push(product);
-          }
-        });
-        
-        if (uniqueProducts.length > 0) {
-          const presenceResult = reportGenerator.checkProductPresence(uniqueProducts, csvContent);
-          console.log(`  📊 ${presenceResult.message}`);
-          
-          // Calculate products found per query
-          const productsByQuery = {};
-          
-          // Group input products by query
-          testResults.forEach(result => {
-            if (result.query && result.expectedProducts && result.actualProducts) {
-              // Count how many input products are found ANYWHERE in API response (regardless of position)
-              let foundCount = 0;
-              
-              result.expectedProducts.forEach(expectedProduct => {
-                // Check if this expected product exists anywhere in the actual products by SKU
-                const isFound = result.actualProducts.some(actualProduct => 
-                  actualProduct.sku && expectedProduct.expectedSku && 
-                  actualProduct.sku.toLowerCase().trim() === expectedProduct.expectedSku.toLowerCase().trim()
-                );
-                
-                if (isFound) {
-                  foundCount++;
-                }
-              });
-              
-              const totalForQuery = result.expectedProducts.length;
-              
-              productsByQuery[result.query] = {
-                found: foundCount,
-                total: totalForQuery,
-                percentage: totalForQuery > 0 ? ((foundCount / totalForQuery) * 100).toFixed(1) : '0.0'
-              };
-            }
-          });
-          
-          // Add presence check columns to existing Excel sheets
-          const ExcelJS = require('exceljs');
-          const workbook = new ExcelJS.Workbook();
-          await workbook.xlsx.readFile(outputExcelPath);
-          
-          // Update Query Summary sheet
-          const summarySheet = workbook.getWorksheet('Query Summary');
-          if (summarySheet) {
-            // Add new column header
-            const headerRow = summarySheet.getRow(1);
-            const newColIndex = headerRow.cellCount + 1;
-            headerRow.getCell(newColIndex).value = 'Input Products Found';
-            headerRow.getCell(newColIndex).font = { bold: true, color: { argb: 'FFFFFF' } };
-            headerRow.getCell(newColIndex).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: '4472C4' } };
-            headerRow.getCell(newColIndex).alignment = { horizontal: 'center', vertical: 'middle' };
-            
-            // Add data to each row
-            summarySheet.eachRow((row, rowNumber) => {
-              if (rowNumber > 1) { // Skip header
-                const queryName = row.getCell(1).value; // Query column
-                if (queryName && productsByQuery[queryName]) {
-                  const queryData = productsByQuery[queryName];
-                  row.getCell(newColIndex).value = `${queryData.found}/${queryData.total} (${queryData.percentage}%)`;
-                } else {
-                  row.getCell(newColIndex).value = 'N/A';
-                }
-              }
-            });
-            
-            // Auto-fit the new column
-            summarySheet.getColumn(newColIndex).width = 20;
-          }
-          
-          // Save updated Excel file
-          await workbook.xlsx.writeFile(outputExcelPath);
-          
-          // Add to CSV content
-          let presenceCSVContent = `\n\nProduct Presence by Query:\n`;
-          Object.entries(productsByQuery).forEach(([query, data]) => {
-            presenceCSVContent += `"${query}": ${data.found}/${data.total} products found (${data.percentage}%)\n`;
-          });
-          fs.appendFileSync(outputCsvPath, presenceCSVContent);
-          
-          console.log(`  ✅ Product Presence column added to existing Excel and CSV reports`);
-        }
-      }
-    } catch (error) {
-      console.log(`  ⚠️ Could not run product presence check: ${error.message}`);
-    }
-    
-    console.log(`\n${'='.repeat(80)}`);
-    if (failedQueries.length === 0) {
-      console.log('🎉 API TESTING COMPLETED - ALL QUERIES SUCCESSFUL');
-    } else {
-      console.log(`🏁 API TESTING COMPLETED - ${successfulQueries.length}/${testResults.length} QUERIES SUCCESSFUL`);
-    }
-    console.log(`${'='.repeat(80)}\n`);
   });
-});
\ No newline at end of file
+});
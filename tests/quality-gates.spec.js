@@ -0,0 +1,44 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const path = require('path');
+const { loadRunConfig } = require('../run-config');
+const { getRunDir, loadQueryResults } = require('../run-results');
+const { getProductIdentity } = require('../product-identity');
+const { withComparisons } = require('../query-comparison');
+const { loadSavedRun, recompareResults } = require('../run-reports');
+const { isGateOn, evaluateGates, formatGateSummary } = require('../quality-gates');
+
+// Thresholds come from the gates section of api-test.config.json (profile + env overrides)
+const runConfig = loadRunConfig();
+
+/**
+ * Baseline run of the regression gate, compared with today's rules so only the API's answers can make a regression
+ * A baseline that is missing or unreadable fails with the path it was looked up at, not a bare fs or parse error
+ */
+function loadBaseline() {
+  const source = runConfig.gates.baselineRun;
+  const resolved = path.resolve(path.isAbsolute(source) || fs.existsSync(source) ? source : getRunDir(runConfig, source));
+  try {
+    return recompareResults(loadSavedRun(source, runConfig).results, runConfig);
+  } catch (error) {
+    const named = resolved === source ? '' : ` "${source}"`;
+    throw new Error(`Cannot load the regression gate's baseline run (gates.baselineRun${named}) from ${resolved}: ${error.message}`);
+  }
+}
+
+// The "gates" project is the api project's teardown: this runs once every query has saved its result
+test('Quality gates', async ({}, testInfo) => {
+  const runDir = getRunDir(runConfig, process.env.API_TEST_RUN_ID);
+  const results = withComparisons(loadQueryResults(runDir), getProductIdentity(runConfig));
+  test.skip(results.length === 0, `No query results saved in ${runDir}`);
+  
+  const baseline = isGateOn(runConfig.gates.maxRegressionPoints) ? loadBaseline() : null;
+  const gates = evaluateGates(results, runConfig.gates, baseline);
+  test.skip(gates.length === 0, 'No quality gates configured (gates section of api-test.config.json)');
+  
+  const summary = formatGateSummary(gates);
+  console.log(`\n${summary}`);
+  await testInfo.attach('quality-gates', { body: summary, contentType: 'text/plain' });
+  
+  expect(gates.filter(item => !item.passed).map(item => item.name), summary).toEqual([]);
+});
@@ -0,0 +1,97 @@
+const { test, expect } = require('@playwright/test');
+const { ProductIdentity, DEFAULT_IDENTITY } = require('../../product-identity');
+const {
+  FORBIDDEN_RULE_TYPES,
+  findForbiddenProducts,
+  formatForbiddenProduct,
+  forbiddenCheckDepth,
+  findUncheckedForbiddenRules,
+  formatUncheckedRule
+} = require('../../forbidden-products');
+
+function rule(type, value, depth = null) {
+  return { type, value, depth };
+}
+
+function returned(...products) {
+  return products.map((product, index) => ({ brand: 'Noga', name: `Product ${product.sku}`, absolutePosition: index + 1, pageNumber: 1, ...product }));
+}
+
+const PRODUCTS = returned(
+  { sku: '30100001' },
+  { sku: '12345', name: 'Replacement Jaw Plate' },
+  { sku: '30100003', brand: 'KURT ' }
+);
+
+test.describe('findForbiddenProducts', () => {
+  test('reports a forbidden SKU that was returned, with its position', () => {
+    const violations = findForbiddenProducts([rule(FORBIDDEN_RULE_TYPES.SKU, '30100003')], PRODUCTS);
+
+    expect(violations).toEqual([{ rule: 'SKU 30100003', type: FORBIDDEN_RULE_TYPES.SKU, position: 3, page: 1, sku: '30100003', name: 'Product 30100003' }]);
+    expect(formatForbiddenProduct(violations[0])).toBe('30100003 at position 3 (forbidden SKU 30100003)');
+  });
+
+  test('reports nothing when the forbidden SKU was not returned', () => {
+    expect(findForbiddenProducts([rule(FORBIDDEN_RULE_TYPES.SKU, '30199999')], PRODUCTS)).toEqual([]);
+  });
+
+  test('reports nothing without rules or products', () => {
+    expect(findForbiddenProducts([], PRODUCTS)).toEqual([]);
+    expect(findForbiddenProducts(undefined, PRODUCTS)).toEqual([]);
+    expect(findForbiddenProducts([rule(FORBIDDEN_RULE_TYPES.SKU, '30100001')], [])).toEqual([]);
+  });
+
+  test('matches forbidden SKUs as the identity config normalizes them', () => {
+    const forbidden = [rule(FORBIDDEN_RULE_TYPES.SKU, '1234-5')];
+
+    expect(findForbiddenProducts(forbidden, PRODUCTS, DEFAULT_IDENTITY)).toEqual([]);
+    expect(findForbiddenProducts([rule(FORBIDDEN_RULE_TYPES.SKU, ' 30100001 ')], PRODUCTS, DEFAULT_IDENTITY)).toHaveLength(1);
+    expect(findForbiddenProducts(forbidden, PRODUCTS, new ProductIdentity({ stripCharacters: '-' })).map(item => item.sku)).toEqual(['12345']);
+  });
+
+  test('forbids the aliases and variants of a forbidden SKU too', () => {
+    const identity = new ProductIdentity({ parentIdFields: ['parentSku'], matchVariants: true }, { OLD: '30100001' });
+    const products = [...PRODUCTS, ...returned({ sku: 'V-1', parentSku: 'OLD' }).map(product => ({ ...product, absolutePosition: 4 }))];
+
+    expect(findForbiddenProducts([rule(FORBIDDEN_RULE_TYPES.SKU, 'OLD')], products, identity).map(item => item.position)).toEqual([1, 4]);
+  });
+
+  test('matches brands case-insensitively and name patterns as case-insensitive expressions', () => {
+    const violations = findForbiddenProducts([
+      rule(FORBIDDEN_RULE_TYPES.BRAND, 'kurt'),
+      rule(FORBIDDEN_RULE_TYPES.NAME_PATTERN, '^replacement')
+    ], PRODUCTS);
+
+    expect(violations.map(item => [item.position, item.rule])).toEqual([[2, 'Name Pattern /^replacement/'], [3, 'Brand kurt']]);
+  });
+
+  test('only checks the top positions of a rule with a depth', () => {
+    const byDepth = depth => findForbiddenProducts([rule(FORBIDDEN_RULE_TYPES.BRAND, 'kurt', depth)], PRODUCTS);
+
+    expect(byDepth(2)).toEqual([]);
+    expect(byDepth(3).map(item => item.rule)).toEqual(['Brand kurt in top 3']);
+  });
+});
+
+test.describe('forbidden rule depth', () => {
+  test('needs every position for a rule without a depth and none without rules', () => {
+    expect(forbiddenCheckDepth([])).toBe(0);
+    expect(forbiddenCheckDepth([rule(FORBIDDEN_RULE_TYPES.SKU, 'A', 10), rule(FORBIDDEN_RULE_TYPES.SKU, 'B', 30)])).toBe(30);
+    expect(forbiddenCheckDepth([rule(FORBIDDEN_RULE_TYPES.SKU, 'A', 10), rule(FORBIDDEN_RULE_TYPES.SKU, 'B')])).toBe(Infinity);
+  });
+
+  test('reports rules whose depth reaches unfetched positions as not fully checked', () => {
+    const unfetched = [{ from: 25, to: 48, reason: 'page limit' }];
+    const unchecked = findUncheckedForbiddenRules([
+      rule(FORBIDDEN_RULE_TYPES.SKU, 'A', 10),
+      rule(FORBIDDEN_RULE_TYPES.SKU, 'B', 30),
+      rule(FORBIDDEN_RULE_TYPES.BRAND, 'kurt')
+    ], unfetched);
+
+    expect(unchecked.map(formatUncheckedRule)).toEqual([
+      'SKU B in top 30 not fully checked: positions 25-30 not fetched (page limit)',
+      'Brand kurt not fully checked: positions 25-48 not fetched (page limit)'
+    ]);
+    expect(findUncheckedForbiddenRules([rule(FORBIDDEN_RULE_TYPES.SKU, 'A')], [])).toEqual([]);
+  });
+});
@@ -0,0 +1,15 @@
+const { test, expect } = require('@playwright/test');
+const { escapeHtml } = require('../../html-utils');
+
+test.describe('escapeHtml', () => {
+  test('escapes markup and double quotes, ampersands first', () => {
+    expect(escapeHtml('<b>"Gas & Spring"</b>')).toBe('&lt;b&gt;&quot;Gas &amp; Spring&quot;&lt;/b&gt;');
+    expect(escapeHtml('&lt;')).toBe('&amp;lt;');
+  });
+
+  test('prints numbers as text and null or undefined as nothing', () => {
+    expect(escapeHtml(0)).toBe('0');
+    expect(escapeHtml(null)).toBe('');
+    expect(escapeHtml(undefined)).toBe('');
+  });
+});
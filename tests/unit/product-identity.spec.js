@@ -0,0 +1,94 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IDENTITY_MATCHES, ProductIdentity, DEFAULT_IDENTITY, describeIdentityMatch } = require('../../product-identity');
+
+const VARIANT_OPTIONS = { alternateIdFields: ['uid'], parentIdFields: ['parentSku'], matchVariants: true };
+
+test.describe('ProductIdentity', () => {
+  test('compares SKUs case-insensitively and trimmed by default', () => {
+    expect(DEFAULT_IDENTITY.matchProduct(' abc-1 ', { sku: 'ABC-1' })).toBe(IDENTITY_MATCHES.SKU);
+    expect(DEFAULT_IDENTITY.matchProduct('abc-1', { sku: 'abc1' })).toBeNull();
+    expect(DEFAULT_IDENTITY.matchProduct('', { sku: '' })).toBeNull();
+  });
+
+  test('normalizes IDs by the configured characters and leading zeros', () => {
+    const identity = new ProductIdentity({ stripCharacters: '-. ', stripLeadingZeros: true, caseSensitive: true });
+
+    expect(identity.normalize('00-301.00 001')).toBe('30100001');
+    expect(identity.normalize('0')).toBe('0');
+    expect(identity.matchProduct('0030100001', { sku: '301-00001' })).toBe(IDENTITY_MATCHES.SKU);
+    expect(identity.matchProduct('abc', { sku: 'ABC' })).toBeNull();
+  });
+
+  test('matches by alternate ID, alias and variant parent', () => {
+    const identity = new ProductIdentity(VARIANT_OPTIONS, { '30100001': ['30100101', '30100201'] });
+
+    expect(identity.matchProduct('30100001', { sku: 'X', uid: '30100001' })).toBe(IDENTITY_MATCHES.ALTERNATE_ID);
+    expect(identity.matchProduct('30100001', { sku: '30100101' })).toBe(IDENTITY_MATCHES.ALIAS);
+    expect(identity.matchProduct('30100201', { sku: '30100001' })).toBe(IDENTITY_MATCHES.ALIAS);
+    expect(identity.matchProduct('30100001', { sku: '30100001-B', parentSku: '30100001' })).toBe(IDENTITY_MATCHES.VARIANT);
+    expect(identity.matchProduct('30100001', { sku: '30100999' })).toBeNull();
+  });
+
+  test('joins alias entries that share an ID into one group', () => {
+    const identity = new ProductIdentity({}, { A: 'B', C: ['B', 'D'] });
+
+    expect(identity.matchProduct('a', { sku: 'd' })).toBe(IDENTITY_MATCHES.ALIAS);
+    expect(identity.matchProduct('d', { sku: 'a' })).toBe(IDENTITY_MATCHES.ALIAS);
+  });
+
+  test('ignores variants unless variant matching is on', () => {
+    const identity = new ProductIdentity({ ...VARIANT_OPTIONS, matchVariants: false });
+
+    expect(identity.matchProduct('30100001', { sku: '30100001-B', parentSku: '30100001' })).toBeNull();
+  });
+
+  test('finds the strongest match, the first of equally strong ones', () => {
+    const identity = new ProductIdentity(VARIANT_OPTIONS, { '30100001': '30100101' });
+    const variant = { sku: '30100001-B', parentSku: '30100001' };
+    const alias = { sku: '30100101' };
+    const own = { sku: '30100001' };
+
+    expect(identity.findProduct('30100001', [variant, alias, own])).toEqual({ product: own, index: 2, kind: IDENTITY_MATCHES.SKU });
+    expect(identity.findProduct('30100001', [variant, alias])).toEqual({ product: alias, index: 1, kind: IDENTITY_MATCHES.ALIAS });
+    expect(identity.findProduct('30100001', [variant, { ...variant, sku: '30100001-C' }]).index).toBe(0);
+    expect(identity.findProduct('30100001', [{ sku: 'other' }])).toBeNull();
+  });
+
+  test('describes matches other than a plain SKU match', () => {
+    expect(describeIdentityMatch({ kind: IDENTITY_MATCHES.VARIANT, product: { sku: '30100004-B' } })).toBe('variant 30100004-B');
+    expect(describeIdentityMatch({ kind: IDENTITY_MATCHES.SKU, product: { sku: '30100004' } })).toBe('');
+    expect(describeIdentityMatch(null)).toBe('');
+  });
+
+  test.describe('alias file', () => {
+    let dir;
+
+    test.beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'identity-'));
+    });
+
+    test.afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function configWithAliases(aliases) {
+      const aliasPath = path.join(dir, 'aliases.json');
+      fs.writeFileSync(aliasPath, JSON.stringify(aliases));
+      return { identity: {}, paths: { skuAliases: aliasPath } };
+    }
+
+    test('loads aliases from paths.skuAliases', () => {
+      const identity = ProductIdentity.fromConfig(configWithAliases({ '30400002': '30400102' }));
+
+      expect(identity.matchProduct('30400002', { sku: '30400102' })).toBe(IDENTITY_MATCHES.ALIAS);
+    });
+
+    test('rejects a missing file and one that is not an object', () => {
+      expect(() => ProductIdentity.fromConfig({ identity: {}, paths: { skuAliases: path.join(dir, 'missing.json') } })).toThrow('SKU alias file not found');
+      expect(() => ProductIdentity.fromConfig(configWithAliases(['30400002']))).toThrow('must hold an object');
+    });
+  });
+});
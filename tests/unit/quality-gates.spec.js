@@ -0,0 +1,138 @@
+const { test, expect } = require('@playwright/test');
+const { QUERY_OUTCOMES } = require('../../test-cases');
+const { compareQuery } = require('../../query-comparison');
+const { evaluateGates, checkQueryFloors, formatGateSummary } = require('../../quality-gates');
+
+const GATES_OFF = { minMatchRate: null, minFirstPageCoverage: null, maxFailedQueries: null, baselineRun: '', maxRegressionPoints: null };
+
+/**
+ * Compared result of a query expecting A, B, C and D at positions 1 to 4, with the first `matched` of them in place
+ */
+function queryResult(query, matched, fields = {}) {
+  const skus = ['A', 'B', 'C', 'D'];
+  const expectedProducts = skus.map((sku, index) => ({ expectedSku: sku, expectedName: sku, expectedPosition: String(index + 1) }));
+  const actualProducts = skus.map((sku, index) => ({
+    sku: index < matched ? sku : `${query}-other-${index + 1}`,
+    name: 'Product',
+    absolutePosition: index + 1,
+    pageNumber: 1
+  }));
+  return {
+    query,
+    outcome: QUERY_OUTCOMES.RESULTS,
+    testResult: `${matched}/4 matches`,
+    expectations: { minAccuracy: null, minCoverage: null },
+    expectedProducts,
+    actualProducts,
+    comparison: compareQuery(expectedProducts, actualProducts, { pageSize: 24 }),
+    ...fields
+  };
+}
+
+function gateNamed(gates, name) {
+  return gates.find(item => item.name === name);
+}
+
+test.describe('evaluateGates', () => {
+  test('passes and fails the overall match rate at its threshold', () => {
+    const results = [queryResult('a', 4), queryResult('b', 2)];
+
+    expect(gateNamed(evaluateGates(results, { ...GATES_OFF, minMatchRate: 75 }), 'Overall match rate'))
+      .toMatchObject({ passed: true, actual: '75.0%', threshold: '>= 75%' });
+    expect(gateNamed(evaluateGates(results, { ...GATES_OFF, minMatchRate: 76 }), 'Overall match rate'))
+      .toMatchObject({ passed: false, actual: '75.0%' });
+  });
+
+  test('fails a match rate gate when no product could be matched', () => {
+    const [gate] = evaluateGates([], { ...GATES_OFF, minMatchRate: 0 });
+
+    expect(gate).toMatchObject({ passed: false, actual: 'N/A' });
+  });
+
+  test('counts failed queries against their maximum and lists them', () => {
+    const results = [
+      queryResult('a', 4),
+      queryResult('b', 4, { testResult: 'FAIL - 1 forbidden product(s) returned (4/4 matches)' }),
+      queryResult('c', 4, { testResult: 'FAIL - Zero results returned (4 expected products)' })
+    ];
+
+    expect(gateNamed(evaluateGates(results, { ...GATES_OFF, maxFailedQueries: 2 }), 'Failed queries')).toMatchObject({ passed: true, actual: 2 });
+    const failing = gateNamed(evaluateGates(results, { ...GATES_OFF, maxFailedQueries: 1 }), 'Failed queries');
+    expect(failing).toMatchObject({ passed: false, threshold: '<= 1' });
+    expect(failing.breaches).toEqual([
+      '"b": FAIL - 1 forbidden product(s) returned (4/4 matches)',
+      '"c": FAIL - Zero results returned (4 expected products)'
+    ]);
+  });
+
+  test('collects the per-query floors every query set', () => {
+    const results = [
+      queryResult('kept', 3, { expectations: { minAccuracy: 75, minCoverage: null } }),
+      queryResult('breached', 2, { expectations: { minAccuracy: 60, minCoverage: null } }),
+      queryResult('no floor', 0)
+    ];
+    const gate = gateNamed(evaluateGates(results, GATES_OFF), 'Per-query floors');
+
+    expect(gate).toMatchObject({ passed: false, actual: '1 breached' });
+    expect(gate.breaches).toEqual(['"breached": accuracy 50.0% below floor 60%']);
+  });
+
+  test('fails a regression against the baseline beyond the allowed points', () => {
+    const baseline = [queryResult('a', 4), queryResult('b', 4)];
+    const current = [queryResult('a', 4), queryResult('b', 2)];
+    const gates = { ...GATES_OFF, baselineRun: 'baseline.json', maxRegressionPoints: 10 };
+    const gate = gateNamed(evaluateGates(current, gates, baseline), 'Regression vs baseline');
+
+    expect(gate).toMatchObject({ passed: false, actual: 'overall -25.0 points', threshold: '<= 10 points' });
+    expect(gate.breaches).toEqual([
+      'Overall match rate 100.0% -> 75.0%',
+      '"b": accuracy 100.0% -> 50.0% (-50.0 points)'
+    ]);
+    expect(gateNamed(evaluateGates(current, { ...gates, maxRegressionPoints: 50 }, baseline), 'Regression vs baseline').passed).toBe(true);
+  });
+
+  test('skips gates whose threshold is null, unset or empty instead of reading them as 0', () => {
+    const results = [queryResult('a', 0, { testResult: 'FAIL - Zero results returned (4 expected products)' })];
+
+    expect(evaluateGates(results, GATES_OFF)).toEqual([]);
+    expect(evaluateGates(results, {})).toEqual([]);
+    expect(evaluateGates(results, { minMatchRate: '', minFirstPageCoverage: '', maxFailedQueries: '', maxRegressionPoints: '' }, results)).toEqual([]);
+  });
+
+  test('summarizes passed gates and the breaches of failed ones', () => {
+    const results = [queryResult('a', 4), queryResult('b', 4, { testResult: 'FAIL - x' })];
+    const summary = formatGateSummary(evaluateGates(results, { ...GATES_OFF, minMatchRate: 90, maxFailedQueries: 0 }));
+
+    expect(summary.split('\n')).toEqual([
+      'Quality gates: 1/2 passed',
+      '✅ Overall match rate: 100.0% (required >= 90%)',
+      '❌ Failed queries: 1 (required <= 0)',
+      '     • "b": FAIL - x'
+    ]);
+  });
+});
+
+test.describe('checkQueryFloors', () => {
+  test('checks accuracy and first page coverage floors inclusively', () => {
+    const result = queryResult('a', 2);
+
+    expect(checkQueryFloors({ minAccuracy: 50, minCoverage: 60 }, result)).toEqual([
+      { name: 'accuracy', floor: 50, actual: 50, passed: true },
+      { name: 'first page coverage', floor: 60, actual: 50, passed: false }
+    ]);
+  });
+
+  test('fails a floor the query has no value for', () => {
+    const result = queryResult('a', 0, { actualProducts: [], comparison: compareQuery(queryResult('a', 0).expectedProducts, [], { pageSize: 24 }) });
+
+    expect(checkQueryFloors({ minCoverage: 10 }, result)).toEqual([{ name: 'first page coverage', floor: 10, actual: null, passed: false }]);
+  });
+
+  test('checks nothing without floors, whether null, unset or empty', () => {
+    const result = queryResult('a', 0);
+
+    expect(checkQueryFloors({ minAccuracy: null, minCoverage: null }, result)).toEqual([]);
+    expect(checkQueryFloors({ minAccuracy: '', minCoverage: undefined }, result)).toEqual([]);
+    expect(checkQueryFloors(undefined, result)).toEqual([]);
+  });
+});
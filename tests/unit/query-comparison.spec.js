@@ -0,0 +1,140 @@
+const { test, expect } = require('@playwright/test');
+const { POSITION_MATCHES, classifyPosition } = require('../../test-cases');
+const { ProductIdentity, IDENTITY_MATCHES } = require('../../product-identity');
+const { compareQuery, describeExpectedProduct, formatActualPosition, formatFirstPageCount } = require('../../query-comparison');
+
+// Returned products on pages of pageSize, SKUs P1, P2, ... unless given
+function returnedProducts(count, pageSize, skus = {}) {
+  return Array.from({ length: count }, (_, index) => {
+    const position = index + 1;
+    const sku = skus[position] || `P${position}`;
+    return { sku, name: `Product ${sku}`, absolutePosition: position, pageNumber: Math.ceil(position / pageSize) };
+  });
+}
+
+function expectedProduct(sku, position, extra = {}) {
+  return { expectedSku: sku, expectedName: `Product ${sku}`, expectedPosition: String(position), ...extra };
+}
+
+test.describe('classifyPosition', () => {
+  test('buckets by distance, then by page', () => {
+    expect(classifyPosition(5, 5, 2, 10)).toBe(POSITION_MATCHES.MATCH);
+    expect(classifyPosition(5, 7, 2, 10)).toBe(POSITION_MATCHES.NEAR_MATCH);
+    expect(classifyPosition(5, 3, 2, 10)).toBe(POSITION_MATCHES.NEAR_MATCH);
+    expect(classifyPosition(5, 8, 2, 10)).toBe(POSITION_MATCHES.SAME_PAGE);
+    expect(classifyPosition(15, 2, 2, 10)).toBe(POSITION_MATCHES.EARLIER_PAGE);
+    expect(classifyPosition(5, 11, 2, 10)).toBe(POSITION_MATCHES.LATER_PAGE);
+  });
+
+  test('reads a zero tolerance as exact positions only', () => {
+    expect(classifyPosition(5, 6, 0, 10)).toBe(POSITION_MATCHES.SAME_PAGE);
+  });
+
+  test('lets a near match cross a page boundary', () => {
+    expect(classifyPosition(10, 11, 1, 10)).toBe(POSITION_MATCHES.NEAR_MATCH);
+  });
+});
+
+test.describe('compareQuery', () => {
+  test('buckets each expected product by the tolerance and counts them', () => {
+    const actual = returnedProducts(20, 10);
+    const expected = [
+      expectedProduct('P1', 1),
+      expectedProduct('P4', 3),
+      expectedProduct('P9', 5),
+      expectedProduct('P2', 12),
+      expectedProduct('P15', 6),
+      expectedProduct('GONE', 7)
+    ];
+    const { expected: entries, counts } = compareQuery(expected, actual, { pageSize: 10, tolerance: 1 });
+
+    expect(entries.map(entry => entry.match)).toEqual([
+      POSITION_MATCHES.MATCH,
+      POSITION_MATCHES.NEAR_MATCH,
+      POSITION_MATCHES.SAME_PAGE,
+      POSITION_MATCHES.EARLIER_PAGE,
+      POSITION_MATCHES.LATER_PAGE,
+      POSITION_MATCHES.NOT_MATCH
+    ]);
+    expect(counts).toMatchObject({
+      expected: 6,
+      matches: 1,
+      nearMatches: 1,
+      misplaced: { [POSITION_MATCHES.SAME_PAGE]: 1, [POSITION_MATCHES.EARLIER_PAGE]: 1, [POSITION_MATCHES.LATER_PAGE]: 1 },
+      mismatches: 3,
+      notFound: 1
+    });
+    expect(counts.matchRate).toBeCloseTo(100 / 6);
+  });
+
+  test('prefers the product at the expected position over an earlier copy', () => {
+    const actual = returnedProducts(5, 5, { 2: 'DUP', 4: 'DUP' });
+    const [entry] = compareQuery([expectedProduct('DUP', 4)], actual, { pageSize: 5 }).expected;
+
+    expect(entry.match).toBe(POSITION_MATCHES.MATCH);
+    expect(entry.actualPosition).toBe(4);
+  });
+
+  test('matches by alias at the position and by variant only when the parent is missing', () => {
+    const identity = new ProductIdentity({ parentIdFields: ['parentSku'], matchVariants: true }, { A1: 'A1-NEW' });
+    const actual = [
+      { sku: 'A1-NEW', name: 'Alias', absolutePosition: 1, pageNumber: 1 },
+      { sku: 'B1-RED', parentSku: 'B1', name: 'Variant', absolutePosition: 2, pageNumber: 1 }
+    ];
+    const { expected, counts } = compareQuery([expectedProduct('A1', 1), expectedProduct('B1', 2)], actual, { pageSize: 2, identity });
+
+    expect(expected[0]).toMatchObject({ match: POSITION_MATCHES.MATCH, identityMatch: IDENTITY_MATCHES.ALIAS, actualSku: 'A1-NEW' });
+    expect(expected[1]).toMatchObject({ match: POSITION_MATCHES.VARIANT_MATCH, identityMatch: IDENTITY_MATCHES.VARIANT });
+    expect(counts).toMatchObject({ matches: 1, variantMatches: 1, notFound: 0 });
+    expect(describeExpectedProduct(expected[0])).toBe('Exact Match (alias A1-NEW)');
+  });
+
+  test('marks an expected position beyond the fetched pages as not fetched', () => {
+    const unfetchedRanges = [{ from: 11, to: 20, reason: 'page limit' }];
+    const { expected, counts } = compareQuery([expectedProduct('P15', 15)], returnedProducts(10, 10), { pageSize: 10, unfetchedRanges });
+
+    expect(expected[0].match).toBe(POSITION_MATCHES.NOT_FETCHED);
+    expect(formatActualPosition(expected[0])).toBe('Position Not Fetched (page limit)');
+    expect(counts).toMatchObject({ notFetched: 1, notFound: 1 });
+  });
+
+  test('reports a possible SKU change for an expected product found under no ID', () => {
+    const skuChanges = [{ expectedSku: 'OLD', candidateSku: 'P3', candidateName: 'Product P3', position: 3, page: 1, similarity: 0.95 }];
+    const { expected, counts } = compareQuery([expectedProduct('OLD', 3)], returnedProducts(5, 5), { pageSize: 5, skuChanges });
+
+    expect(expected[0]).toMatchObject({ match: POSITION_MATCHES.POSSIBLE_SKU_CHANGE, actualSku: 'P3', actualPosition: 3 });
+    expect(counts).toMatchObject({ skuChanges: 1, notFound: 1 });
+    expect(describeExpectedProduct(expected[0])).toBe('Possible SKU change: OLD -> P3 at position 3 (similarity 0.95)');
+  });
+
+  test('adds a row for expected positions nothing was returned at, in position order', () => {
+    const { rows } = compareQuery([expectedProduct('P2', 2), expectedProduct('GONE', 5)], returnedProducts(3, 10), { pageSize: 10 });
+
+    expect(rows.map(row => [row.position, row.actualSku, row.expectedIndex])).toEqual([
+      [1, 'P1', null],
+      [2, 'P2', 0],
+      [3, 'P3', null],
+      [5, null, 1]
+    ]);
+  });
+
+  test('tracks expected products found on the first page the API returned', () => {
+    const expected = [
+      expectedProduct('P2', 2, { relevance: 3 }),
+      expectedProduct('P12', 3, { relevance: 2 }),
+      expectedProduct('P11', 11, { onFirstPage: true })
+    ];
+    const { firstPage } = compareQuery(expected, returnedProducts(15, 10), { pageSize: 10 });
+
+    expect(firstPage).toMatchObject({ foundOnFirstPage: 1, totalExpected: 3, firstPageSize: 10, coverage: 10 });
+    expect(firstPage.foundProducts.map(product => product.expectedSku)).toEqual(['P2']);
+    expect(formatFirstPageCount(firstPage)).toBe('1 of 10');
+  });
+
+  test('has no first page tracking without returned products', () => {
+    const { firstPage, counts } = compareQuery([expectedProduct('P1', 1)], [], { pageSize: 10 });
+
+    expect(firstPage).toBeNull();
+    expect(counts).toMatchObject({ expected: 1, matches: 0, notFound: 1 });
+  });
+});
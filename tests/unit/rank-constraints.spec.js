@@ -0,0 +1,106 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadTestCases } = require('../../test-cases');
+const { ProductIdentity } = require('../../product-identity');
+const { CONSTRAINT_TYPES, evaluateRankConstraints, formatConstraint } = require('../../rank-constraints');
+
+// Returned products in order, 10 per page
+function returned(...skus) {
+  return skus.map((sku, index) => ({ sku, absolutePosition: index + 1, pageNumber: Math.floor(index / 10) + 1 }));
+}
+
+function constrained(sku, constraints) {
+  return { expectedSku: sku, expectedName: `Product ${sku}`, positionMin: null, positionMax: null, onFirstPage: false, ranksAbove: [], ...constraints };
+}
+
+const TWELVE = returned('P1', 'P2', 'P3', 'P4', 'P5', 'P6', 'P7', 'P8', 'P9', 'P10', 'P11', 'P12');
+
+test.describe('evaluateRankConstraints', () => {
+  test('includes both ends of a position range', () => {
+    const passed = sku => evaluateRankConstraints([constrained(sku, { positionMin: 3, positionMax: 5 })], TWELVE)[0].passed;
+
+    expect([passed('P2'), passed('P3'), passed('P4'), passed('P5'), passed('P6')]).toEqual([false, true, true, true, false]);
+  });
+
+  test('reads a missing bound as open', () => {
+    const [atMost] = evaluateRankConstraints([constrained('P1', { positionMax: 1 })], TWELVE);
+    const [atLeast] = evaluateRankConstraints([constrained('P12', { positionMin: 12 })], TWELVE);
+
+    expect(atMost).toMatchObject({ type: CONSTRAINT_TYPES.RANGE, description: 'P1 in positions 1-1', passed: true });
+    expect(atLeast).toMatchObject({ description: 'P12 in positions 12-*', actual: 'at position 12', passed: true });
+  });
+
+  test('checks page 1 by the page the product was returned on', () => {
+    const evaluations = evaluateRankConstraints([constrained('P10', { onFirstPage: true }), constrained('P11', { onFirstPage: true })], TWELVE);
+
+    expect(evaluations.map(item => [item.actual, item.passed])).toEqual([
+      ['on page 1, at position 10', true],
+      ['on page 2, at position 11', false]
+    ]);
+  });
+
+  test('fails every constraint of a product that was not returned', () => {
+    const evaluations = evaluateRankConstraints([constrained('GONE', { positionMin: 1, positionMax: 24, onFirstPage: true, ranksAbove: ['P1'] })], TWELVE);
+
+    expect(evaluations.map(item => [item.type, item.actual, item.passed])).toEqual([
+      [CONSTRAINT_TYPES.RANGE, 'not returned', false],
+      [CONSTRAINT_TYPES.FIRST_PAGE, 'not returned', false],
+      [CONSTRAINT_TYPES.ORDER, 'not returned vs P1 at position 1', false]
+    ]);
+    expect(formatConstraint(evaluations[0])).toBe('FAIL GONE in positions 1-24 (not returned)');
+  });
+
+  test('ranks a returned product above one that was not returned, and checks order strictly', () => {
+    const evaluations = evaluateRankConstraints([constrained('P5', { ranksAbove: ['GONE', 'P6', 'P4'] })], TWELVE);
+
+    expect(evaluations.map(item => item.passed)).toEqual([true, true, false]);
+  });
+
+  test('finds constrained products through the identity matcher', () => {
+    const identity = new ProductIdentity({}, { OLD: 'P2' });
+    const [range] = evaluateRankConstraints([constrained('OLD', { positionMax: 2 })], TWELVE, identity);
+
+    expect(range).toMatchObject({ actual: 'at position 2', passed: true });
+  });
+
+  test('evaluates no constraints for products without any, including ones saved before they existed', () => {
+    expect(evaluateRankConstraints([constrained('P1', {}), { expectedSku: 'P2', expectedName: 'P2' }], TWELVE)).toEqual([]);
+    expect(evaluateRankConstraints(undefined, TWELVE)).toEqual([]);
+  });
+});
+
+test.describe('rank constraint columns', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'constraints-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function load(row) {
+    const csvPath = path.join(dir, 'input.csv');
+    fs.writeFileSync(csvPath, `query,name,sku,position,position_min,position_max,on_page_1,ranks_above\n${row}\n`);
+    return loadTestCases(csvPath);
+  }
+
+  test('reads bounds, the page 1 flag and the SKUs to rank above', () => {
+    const [testCase] = load('gas spring,Spring,P1,, 2 ,5,yes,P3; P4');
+
+    expect(testCase.expectedProducts[0]).toMatchObject({ expectedPosition: null, positionMin: 2, positionMax: 5, onFirstPage: true, ranksAbove: ['P3', 'P4'] });
+  });
+
+  test('rejects a bound that is not a position', () => {
+    expect(() => load('gas spring,Spring,P1,,top 5,,,')).toThrow('Invalid position_min "top 5" for SKU P1 in query "gas spring"');
+    expect(() => load('gas spring,Spring,P1,,,5.5,,')).toThrow('Invalid position_max "5.5"');
+    expect(() => load('gas spring,Spring,P1,,0,,,')).toThrow('must be a position from 1');
+  });
+
+  test('rejects a range whose minimum is above its maximum', () => {
+    expect(() => load('gas spring,Spring,P1,,6,5,,')).toThrow('position_min 6 is above position_max 5 for SKU P1 in query "gas spring"');
+  });
+});
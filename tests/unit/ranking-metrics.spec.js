@@ -0,0 +1,119 @@
+const { test, expect } = require('@playwright/test');
+const { computeRankingMetrics, summarizeRankingMetrics, metricLabels } = require('../../ranking-metrics');
+
+function expected(sku, position, relevance) {
+  return { expectedSku: sku, expectedPosition: position, relevance };
+}
+
+// Returned products in order; a { sku, absolutePosition } object keeps its own rank
+function returned(...products) {
+  return products.map((product, index) => typeof product === 'string' ? { sku: product, absolutePosition: index + 1 } : product);
+}
+
+const IDEAL_DCG_2 = 2 + 1 / Math.log2(3);
+
+const CASES = [
+  {
+    name: 'an empty result list',
+    expected: [expected('A', 1), expected('B', 2)],
+    actual: [],
+    k: 10,
+    metrics: { ndcg: 0, mrr: 0, precision: 0, recall: 0, averagePrecision: 0, relevant: 2, retrieved: 0 }
+  },
+  {
+    name: 'every expected product in its expected place',
+    expected: [expected('A', 1), expected('B', 2)],
+    actual: returned('A', 'B'),
+    k: 2,
+    metrics: { ndcg: 1, mrr: 1, precision: 1, recall: 1, averagePrecision: 1, relevant: 2, retrieved: 2 }
+  },
+  {
+    name: 'an expected product absent',
+    expected: [expected('A', 1), expected('B', 2)],
+    actual: returned('A', 'X'),
+    k: 2,
+    metrics: { ndcg: 2 / IDEAL_DCG_2, mrr: 1, precision: 0.5, recall: 0.5, averagePrecision: 0.5, retrieved: 1 }
+  },
+  {
+    name: 'the expected order reversed',
+    expected: [expected('A', 1), expected('B', 2)],
+    actual: returned('B', 'A'),
+    k: 2,
+    metrics: { ndcg: (1 + 2 / Math.log2(3)) / IDEAL_DCG_2, mrr: 1, precision: 1, recall: 1, averagePrecision: 1 }
+  },
+  {
+    name: 'tied relevance grades, in either order',
+    expected: [expected('A', 1, 2), expected('B', 2, 2)],
+    actual: returned('B', 'A'),
+    k: 2,
+    metrics: { ndcg: 1, mrr: 1, precision: 1, recall: 1, averagePrecision: 1 }
+  },
+  {
+    name: 'tied expected positions, ranked in input order',
+    expected: [expected('A', 1), expected('B', 1)],
+    actual: returned('B', 'A'),
+    k: 2,
+    metrics: { ndcg: (1 + 2 / Math.log2(3)) / IDEAL_DCG_2, mrr: 1 }
+  },
+  {
+    name: 'a cutoff beyond the result length',
+    expected: [expected('A', 1), expected('B', 2)],
+    actual: returned('A', 'B'),
+    k: 10,
+    metrics: { ndcg: 1, precision: 0.2, recall: 1, averagePrecision: 1 }
+  },
+  {
+    name: 'a product only found beyond the cutoff',
+    expected: [expected('A', 1), expected('B', 2)],
+    actual: returned({ sku: 'A', absolutePosition: 25 }),
+    k: 10,
+    metrics: { ndcg: 0, mrr: 0.04, precision: 0, recall: 0, averagePrecision: 0.02, retrieved: 1 }
+  },
+  {
+    name: 'grade-0 products as not relevant',
+    expected: [expected('A', 1, 3), expected('B', 2, 0)],
+    actual: returned('B', 'A'),
+    k: 2,
+    metrics: { ndcg: (3 / Math.log2(3)) / 3, mrr: 0.5, precision: 0.5, recall: 1, averagePrecision: 0.5, relevant: 1 }
+  },
+  {
+    name: 'an expected SKU listed twice once',
+    expected: [expected('A', 1), expected('a', 2)],
+    actual: returned('A'),
+    k: 1,
+    metrics: { ndcg: 1, recall: 1, relevant: 1 }
+  }
+];
+
+test.describe('computeRankingMetrics', () => {
+  CASES.forEach(({ name, expected: expectedProducts, actual, k, metrics }) => {
+    test(`scores ${name}`, () => {
+      const computed = computeRankingMetrics(expectedProducts, actual, k);
+
+      expect(computed.k).toBe(k);
+      Object.entries(metrics).forEach(([metric, value]) => {
+        expect(computed[metric], metric).toBeCloseTo(value, 6);
+      });
+    });
+  });
+
+  test('has no metrics without relevant expected products', () => {
+    expect(computeRankingMetrics([], returned('A'), 10)).toBeNull();
+    expect(computeRankingMetrics(undefined, returned('A'), 10)).toBeNull();
+    expect(computeRankingMetrics([expected('A', 1, 0)], returned('A'), 10)).toBeNull();
+  });
+});
+
+test.describe('summarizeRankingMetrics', () => {
+  test('averages each metric over the queries that have metrics', () => {
+    const results = [
+      { rankingMetrics: computeRankingMetrics([expected('A', 1)], returned('A'), 2) },
+      { rankingMetrics: computeRankingMetrics([expected('A', 1)], [], 2) },
+      { rankingMetrics: null }
+    ];
+
+    expect(summarizeRankingMetrics(results)).toEqual({ k: 2, queries: 2, ndcg: 0.5, mrr: 0.5, precision: 0.25, recall: 0.5, averagePrecision: 0.5 });
+    expect(summarizeRankingMetrics([{ rankingMetrics: null }])).toBeNull();
+    expect(metricLabels(5).ndcg).toBe('NDCG@5');
+  });
+});
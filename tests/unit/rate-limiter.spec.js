@@ -0,0 +1,175 @@
+const { test, expect } = require('@playwright/test');
+const { RESPONSE_KINDS, RateLimiter, getRateLimiter, isThrottledResponse, classifySearchResponse, parseRetryAfter } = require('../../rate-limiter');
+
+// Limiter that records its waits instead of sleeping; like wait(), a zero wait is skipped
+function recordingLimiter(options = {}) {
+  const limiter = new RateLimiter({ requestsPerSecond: 2, backoffBaseMs: 1000, backoffMaxMs: 8000, backoffJitter: 0, log: () => {}, ...options });
+  limiter.waits = [];
+  limiter.wait = async (ms, reason) => {
+    if (ms > 0) {
+      limiter.waits.push({ ms, reason });
+    }
+  };
+  return limiter;
+}
+
+test.describe('parseRetryAfter', () => {
+  test('reads a delay in seconds', () => {
+    expect(parseRetryAfter('3')).toBe(3000);
+    expect(parseRetryAfter('0.5')).toBe(500);
+  });
+
+  test('reads an HTTP date relative to now', () => {
+    const now = Date.parse('Mon, 19 Oct 2026 12:00:00 GMT');
+    expect(parseRetryAfter('Mon, 19 Oct 2026 12:00:10 GMT', now)).toBe(10000);
+    expect(parseRetryAfter('Mon, 19 Oct 2026 11:59:00 GMT', now)).toBe(0);
+  });
+
+  test('ignores a missing or unreadable header', () => {
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('')).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+test.describe('isThrottledResponse', () => {
+  test('treats the throttle statuses as throttling', () => {
+    expect(isThrottledResponse(429)).toBe(true);
+    expect(isThrottledResponse(503)).toBe(true);
+    expect(isThrottledResponse(500)).toBe(false);
+    expect(isThrottledResponse(500, {}, [500])).toBe(true);
+  });
+
+  test('treats a 200 with Retry-After or an exhausted quota as throttling', () => {
+    expect(isThrottledResponse(200, { 'retry-after': '2' })).toBe(true);
+    expect(isThrottledResponse(200, { 'x-ratelimit-remaining': '0' })).toBe(true);
+    expect(isThrottledResponse(200, { 'ratelimit-remaining': '5' })).toBe(false);
+    expect(isThrottledResponse(200, {})).toBe(false);
+  });
+});
+
+test.describe('classifySearchResponse', () => {
+  const CASES = [
+    { title: 'a 200 with products', status: 200, headers: {}, data: { results: [{ sku: 'A' }] }, kind: RESPONSE_KINDS.RESULTS },
+    { title: 'a 200 with an empty body', status: 200, headers: {}, data: null, kind: RESPONSE_KINDS.EMPTY },
+    { title: 'a 200 with an empty result list', status: 200, headers: {}, data: { results: [] }, kind: RESPONSE_KINDS.EMPTY },
+    { title: 'a 200 without a result list', status: 200, headers: {}, data: { pagination: {} }, kind: RESPONSE_KINDS.EMPTY },
+    { title: 'a 200 with no products and Retry-After', status: 200, headers: { 'retry-after': '2' }, data: { results: [] }, kind: RESPONSE_KINDS.THROTTLED },
+    { title: 'a 200 with products and Retry-After', status: 200, headers: { 'retry-after': '2' }, data: { results: [{ sku: 'A' }] }, kind: RESPONSE_KINDS.RESULTS },
+    { title: 'a 429 with Retry-After', status: 429, headers: { 'retry-after': '5' }, data: null, kind: RESPONSE_KINDS.THROTTLED },
+    { title: 'a 429 without Retry-After', status: 429, headers: {}, data: null, kind: RESPONSE_KINDS.THROTTLED },
+    { title: 'a 503', status: 503, headers: {}, data: null, kind: RESPONSE_KINDS.THROTTLED },
+    { title: 'a 500', status: 500, headers: {}, data: null, kind: RESPONSE_KINDS.ERROR },
+    { title: 'a 404 with Retry-After', status: 404, headers: { 'retry-after': '5' }, data: null, kind: RESPONSE_KINDS.THROTTLED }
+  ];
+
+  CASES.forEach(({ title, status, headers, data, kind }) => {
+    test(`classifies ${title} as ${kind}`, () => {
+      expect(classifySearchResponse(status, headers, data)).toBe(kind);
+    });
+  });
+
+  test('follows the configured throttle statuses', () => {
+    expect(classifySearchResponse(503, {}, null, [429])).toBe(RESPONSE_KINDS.ERROR);
+    expect(classifySearchResponse(500, {}, null, [500])).toBe(RESPONSE_KINDS.THROTTLED);
+  });
+});
+
+test.describe('RateLimiter', () => {
+  test('spaces requests evenly at the configured rate', async () => {
+    const limiter = recordingLimiter();
+    await limiter.acquire('first');
+    await limiter.acquire('second');
+
+    expect(limiter.waits).toHaveLength(1);
+    expect(limiter.waits[0].ms).toBeGreaterThan(400);
+    expect(limiter.waits[0].ms).toBeLessThanOrEqual(500);
+    expect(limiter.waits[0].reason).toContain('before second');
+  });
+
+  test('backs off exponentially up to the cap', async () => {
+    const limiter = recordingLimiter();
+    const waits = [];
+    for (const attempt of [1, 2, 3, 4, 5]) {
+      waits.push(await limiter.backoff(attempt, { status: 500, reason: 'HTTP 500' }));
+    }
+
+    expect(waits).toEqual([1000, 2000, 4000, 8000, 8000]);
+    expect(limiter.currentRate).toBe(2);
+  });
+
+  test('keeps jitter within its share of the backoff', async () => {
+    const limiter = recordingLimiter({ backoffJitter: 0.2 });
+    for (let i = 0; i < 20; i++) {
+      const waitMs = await limiter.backoff(2, { status: 500 });
+      expect(waitMs).toBeGreaterThanOrEqual(1600);
+      expect(waitMs).toBeLessThanOrEqual(2400);
+    }
+  });
+
+  test('waits as long as Retry-After says, capped at retryAfterMaxMs', async () => {
+    const limiter = recordingLimiter({ retryAfterMaxMs: 5000 });
+
+    expect(await limiter.backoff(1, { status: 503, headers: { 'retry-after': '3' } })).toBe(3000);
+    expect(await limiter.backoff(1, { status: 503, headers: { 'retry-after': '60' } })).toBe(5000);
+    expect(limiter.waits[0].reason).toContain('Retry-After 3 on HTTP 503');
+  });
+
+  test('halves the rate on throttling and holds back the next request', async () => {
+    const limiter = recordingLimiter();
+    await limiter.backoff(1, { status: 429, headers: { 'retry-after': '2' } });
+
+    expect(limiter.currentRate).toBe(1);
+    expect(limiter.waits[0].reason).toContain('rate lowered to 1.00 req/s');
+
+    await limiter.acquire('next');
+    expect(limiter.waits[1].ms).toBeGreaterThan(1900);
+  });
+
+  test('halves the rate for a failure marked throttled whatever its status', async () => {
+    const limiter = recordingLimiter();
+    await limiter.backoff(1, { status: 200, reason: 'zero products with throttling headers', throttled: true });
+
+    expect(limiter.currentRate).toBe(1);
+  });
+
+  test('never drops below the minimum rate and recovers a tenth of the budget per success', async () => {
+    const limiter = recordingLimiter({ minRequestsPerSecond: 0.5 });
+    for (let i = 0; i < 5; i++) {
+      await limiter.backoff(1, { status: 429 });
+    }
+    expect(limiter.currentRate).toBe(0.5);
+
+    limiter.recordSuccess();
+    expect(limiter.currentRate).toBeCloseTo(0.7);
+    for (let i = 0; i < 20; i++) {
+      limiter.recordSuccess();
+    }
+    expect(limiter.currentRate).toBe(2);
+  });
+
+  test('splits the run-wide budget between workers', () => {
+    const limiter = recordingLimiter({ requestsPerSecond: 6 });
+    limiter.shareBudget(3);
+
+    expect(limiter.requestsPerSecond).toBe(2);
+    expect(limiter.currentRate).toBe(2);
+  });
+
+  test('does not pace or back off when disabled', async () => {
+    const limiter = recordingLimiter({ enabled: false });
+    await limiter.acquire('first');
+    await limiter.acquire('second');
+
+    expect(await limiter.backoff(1, { status: 429, headers: { 'retry-after': '5' } })).toBe(0);
+    expect(limiter.waits).toEqual([]);
+  });
+
+  test('is off when replaying a cassette and shared per profile and mode', () => {
+    const config = { profile: 'unit-test', cassette: { mode: 'replay' }, rateLimit: { requestsPerSecond: 1 } };
+
+    expect(RateLimiter.fromConfig(config).enabled).toBe(false);
+    expect(RateLimiter.fromConfig({ ...config, cassette: { mode: 'off' } }).enabled).toBe(true);
+    expect(getRateLimiter(config)).toBe(getRateLimiter({ ...config }));
+  });
+});
@@ -0,0 +1,92 @@
+const { test, expect } = require('@playwright/test');
+const { ProductIdentity } = require('../../product-identity');
+const { scoreTokenCoverage, detectRelevanceNoise, formatNoiseRate } = require('../../relevance-noise');
+
+const OPTIONS = { depth: 10, minTokenCoverage: 0.5 };
+
+// Returned products in order, pageSize per page
+function returned(products, pageSize = 24) {
+  return products.map((product, index) => ({ absolutePosition: index + 1, pageNumber: Math.floor(index / pageSize) + 1, ...product }));
+}
+
+test.describe('scoreTokenCoverage', () => {
+  test('finds query tokens in the name, brand, category and description', () => {
+    const product = { name: 'Clamp', brand: 'Kurt', category: ['Workholding', 'Vises'], description: 'Jaw for a vise' };
+
+    expect(scoreTokenCoverage(product, ['kurt', 'vise', 'jaw', 'plate'])).toEqual({
+      coverage: 0.75,
+      matchedTokens: ['kurt', 'vise', 'jaw'],
+      missingTokens: ['plate']
+    });
+  });
+
+  test('counts singular and plural forms and tokens written with punctuation', () => {
+    expect(scoreTokenCoverage({ name: 'Gas Springs' }, ['gas', 'spring']).coverage).toBe(1);
+    expect(scoreTokenCoverage({ name: 'Precision 1-2-3 Block Set' }, ['123', 'block']).coverage).toBe(1);
+  });
+
+  test('does not find short tokens inside other words', () => {
+    expect(scoreTokenCoverage({ name: 'Jaw Plate' }, ['v']).coverage).toBe(0);
+    expect(scoreTokenCoverage({ name: 'V-Block' }, ['v']).coverage).toBe(1);
+  });
+
+  test('scores a query without tokens as fully covered', () => {
+    expect(scoreTokenCoverage({ name: 'Jaw Plate' }, []).coverage).toBe(1);
+  });
+});
+
+test.describe('detectRelevanceNoise', () => {
+  test('flags non-expected top results below the minimum coverage', () => {
+    const products = returned([
+      { sku: 'E1', name: 'Precision V-Block' },
+      { sku: 'N1', name: 'Jaw Plate' },
+      { sku: 'R1', name: 'Block Set' }
+    ]);
+    const noise = detectRelevanceNoise('v block', [{ expectedSku: 'E1' }], products, OPTIONS);
+
+    expect(noise).toMatchObject({ scored: 2, pageOneProducts: 3, pageOneScored: 2, pageOneFlagged: 1, pageOneNoiseRate: 50 });
+    expect(noise.flagged).toEqual([{ position: 2, page: 1, sku: 'N1', name: 'Jaw Plate', coverage: 0, matchedTokens: [], missingTokens: ['v', 'block'] }]);
+    expect(formatNoiseRate(noise)).toBe('50.0%');
+  });
+
+  test('never flags expected products found through an alias or variant', () => {
+    const identity = new ProductIdentity({ parentIdFields: ['parentSku'], matchVariants: true }, { E1: 'E1-NEW' });
+    const products = returned([
+      { sku: 'E1-NEW', name: 'Jaw Plate' },
+      { sku: 'E2-RED', parentSku: 'E2', name: 'Jaw Plate' }
+    ]);
+
+    const noise = detectRelevanceNoise('v block', [{ expectedSku: 'E1' }, { expectedSku: 'E2' }], products, OPTIONS, identity);
+    expect(noise).toMatchObject({ scored: 0, flagged: [], pageOneNoiseRate: null });
+  });
+
+  test('rates all of page 1 whatever the depth, and lists flags within the depth only', () => {
+    const products = returned([
+      { sku: 'A', name: 'V-Block' },
+      { sku: 'B', name: 'Jaw Plate' },
+      { sku: 'C', name: 'Gas Spring' },
+      { sku: 'D', name: 'Taper Shank' },
+      { sku: 'E', name: 'Boring Bar' }
+    ], 4);
+    const noise = detectRelevanceNoise('v block', [], products, { ...OPTIONS, depth: 2 });
+
+    expect(noise).toMatchObject({ scored: 2, pageOneProducts: 4, pageOneScored: 4, pageOneFlagged: 3, pageOneNoiseRate: 75 });
+    expect(noise.flagged.map(item => item.sku)).toEqual(['B']);
+  });
+
+  test('scores top results beyond page 1 without counting them in the page 1 rate', () => {
+    const products = returned([{ sku: 'A', name: 'V-Block' }, { sku: 'B', name: 'Jaw Plate' }], 1);
+    const noise = detectRelevanceNoise('v block', [], products, OPTIONS);
+
+    expect(noise).toMatchObject({ scored: 2, pageOneProducts: 1, pageOneScored: 1, pageOneFlagged: 0, pageOneNoiseRate: 0 });
+    expect(noise.flagged.map(item => [item.sku, item.page])).toEqual([['B', 2]]);
+  });
+
+  test('has no rate without returned products', () => {
+    const noise = detectRelevanceNoise('v block', [], [], OPTIONS);
+
+    expect(noise).toMatchObject({ scored: 0, pageOneProducts: 0, pageOneNoiseRate: null });
+    expect(formatNoiseRate(noise)).toBe('N/A');
+    expect(formatNoiseRate(null)).toBe('N/A');
+  });
+});
@@ -0,0 +1,70 @@
+const { test, expect } = require('@playwright/test');
+const path = require('path');
+const { ResponseContract, getResponseContract, addPageViolations, formatViolation } = require('../../response-contract');
+
+const SCHEMA_DIR = path.join(__dirname, '..', '..', 'schemas');
+
+function contractV1() {
+  return ResponseContract.fromConfig({ paths: { schemaDir: SCHEMA_DIR }, contract: { schemaVersion: 'v1' } });
+}
+
+function validResponse() {
+  return {
+    results: [
+      { sku: '30400002', name: 'Noga DG61003 | Magnetic Base Holder', brand: 'Noga', category: ['Holders'] },
+      { sku: '30400003', name: 'Noga DG61004 | Magnetic Base Holder', uid: 17 }
+    ],
+    pagination: { currentPage: 1, perPage: 10, totalPages: 1, totalResults: 2 }
+  };
+}
+
+test.describe('ResponseContract', () => {
+  test('finds no violations in a response that matches the v1 schema', () => {
+    expect(contractV1().validate(validResponse())).toEqual([]);
+  });
+
+  test('names the path of a missing or mistyped field', () => {
+    const response = validResponse();
+    delete response.results[1].sku;
+    response.pagination.totalResults = '2';
+
+    expect(contractV1().validate(response)).toEqual([
+      { path: '/results/*/sku', message: "must have required property 'sku'", count: 1 },
+      { path: '/pagination/totalResults', message: 'must be integer', count: 1 }
+    ]);
+  });
+
+  test('folds array indexes so one broken field is reported once per page', () => {
+    const response = validResponse();
+    response.results.forEach(product => { product.sku = ''; });
+
+    expect(contractV1().validate(response)).toEqual([
+      { path: '/results/*/sku', message: 'must NOT have fewer than 1 characters', count: 2 }
+    ]);
+  });
+
+  test('reports a missing top-level block by its name', () => {
+    const { results } = validResponse();
+
+    expect(contractV1().validate({ results })).toEqual([
+      { path: '/pagination', message: "must have required property 'pagination'", count: 1 }
+    ]);
+  });
+
+  test('rejects an unknown schema version with the path it looked for', () => {
+    const config = { paths: { schemaDir: SCHEMA_DIR }, contract: { schemaVersion: 'v9' } };
+
+    expect(() => getResponseContract(config)).toThrow(`Response schema "v9" not found: ${path.join(SCHEMA_DIR, 'search-response.v9.json')}`);
+  });
+});
+
+test.describe('addPageViolations', () => {
+  test('merges the same violation across pages and keeps the pages it was seen on', () => {
+    const violations = [];
+    addPageViolations(violations, [{ path: '/results/*/sku', message: 'must be string', count: 2 }], 1);
+    addPageViolations(violations, [{ path: '/results/*/sku', message: 'must be string', count: 3 }], 2);
+
+    expect(violations).toEqual([{ path: '/results/*/sku', message: 'must be string', count: 5, pages: [1, 2] }]);
+    expect(formatViolation(violations[0])).toBe('/results/*/sku must be string (5x, page 1, 2)');
+  });
+});
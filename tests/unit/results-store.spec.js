@@ -0,0 +1,106 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QUERY_OUTCOMES } = require('../../test-cases');
+const { compareQuery } = require('../../query-comparison');
+const { openResultsStore, recordRunHistory, describeHistoryRun, loadTrends } = require('../../results-store');
+
+function runFile(runId, startedAt) {
+  const expectedProducts = [{ expectedSku: 'A', expectedName: 'A', expectedPosition: '1' }];
+  const actualProducts = [{ sku: 'A', name: 'A', absolutePosition: 1, pageNumber: 1 }];
+  return {
+    generatedAt: '2026-10-19T12:30:00.000Z',
+    run: { runId, startedAt, profile: 'unit-test', inputCsv: 'input.csv', queries: 1, failedQueries: 0 },
+    queries: [{
+      testNumber: 1,
+      query: 'gas spring',
+      outcome: QUERY_OUTCOMES.RESULTS,
+      testResult: '1/1 matches',
+      totalResults: 1,
+      expectedProducts,
+      actualProducts,
+      comparison: compareQuery(expectedProducts, actualProducts, { pageSize: 24 })
+    }]
+  };
+}
+
+test.describe('file history store', () => {
+  let dir;
+  let config;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+    config = { history: { driver: 'file' }, paths: { historyDb: path.join(dir, 'history.sqlite') } };
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function recordedRuns() {
+    const store = await openResultsStore(config);
+    try {
+      return (await loadTrends(store, 10)).runs.map(run => run.runKey);
+    } finally {
+      await store.close();
+    }
+  }
+
+  test('keeps both runs when two processes record at once', async () => {
+    await Promise.all([
+      recordRunHistory(runFile('run-a', '2026-10-19T10:00:00.000Z'), config),
+      recordRunHistory(runFile('run-b', '2026-10-19T11:00:00.000Z'), config)
+    ]);
+
+    expect(await recordedRuns()).toEqual(['run-a', 'run-b']);
+    expect(fs.readdirSync(dir)).toEqual(['history.sqlite']);
+  });
+
+  test('waits for the lock of an open store', async () => {
+    const store = await openResultsStore(config);
+    let recorded = false;
+    const recording = recordRunHistory(runFile('run-a', '2026-10-19T10:00:00.000Z'), config).then(() => {
+      recorded = true;
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 300));
+    expect(recorded).toBe(false);
+    await store.close();
+    await recording;
+    expect(await recordedRuns()).toEqual(['run-a']);
+  });
+
+  test('takes over a lock left by a process that died', async () => {
+    const lockPath = `${config.paths.historyDb}.lock`;
+    fs.writeFileSync(lockPath, '12345');
+    const longAgo = new Date(Date.now() - 60 * 60 * 1000);
+    fs.utimesSync(lockPath, longAgo, longAgo);
+
+    await recordRunHistory(runFile('run-a', '2026-10-19T10:00:00.000Z'), config);
+    expect(await recordedRuns()).toEqual(['run-a']);
+  });
+});
+
+test.describe('describeHistoryRun', () => {
+  test('keeps the start time of a run as a UTC ISO string', () => {
+    expect(describeHistoryRun(runFile('run-a', '2026-10-19T10:00:00.000Z'))).toEqual({ runKey: 'run-a', startedAt: '2026-10-19T10:00:00.000Z' });
+  });
+
+  test('reads the start of an imported run from its file name in local time, in the same format', () => {
+    const imported = runFile(null, null);
+    imported.run.reissuedFrom = '/reports/POSITION_COMPARISON_2026-10-19_14-48-43.csv';
+
+    expect(describeHistoryRun(imported)).toEqual({
+      runKey: 'POSITION_COMPARISON_2026-10-19_14-48-43',
+      startedAt: new Date(2026, 9, 19, 14, 48, 43).toISOString()
+    });
+  });
+
+  test('falls back to when the run file was generated', () => {
+    const imported = runFile(null, null);
+    imported.run.reissuedFrom = '/reports/baseline.json';
+
+    expect(describeHistoryRun(imported).startedAt).toBe('2026-10-19T12:30:00.000Z');
+  });
+});
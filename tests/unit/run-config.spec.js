@@ -0,0 +1,97 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadRunConfig } = require('../../run-config');
+const { ProductIdentity, IDENTITY_MATCHES } = require('../../product-identity');
+
+const CONFIG_PATH = path.join(__dirname, '..', '..', 'api-test.config.json');
+const CONFIG_DIR = path.dirname(CONFIG_PATH);
+
+// The shipped config copied into dir with its defaults changed, so file paths resolve against dir
+function writeConfig(dir, defaults) {
+  const fileConfig = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8'));
+  Object.entries(defaults).forEach(([section, values]) => {
+    fileConfig.defaults[section] = { ...fileConfig.defaults[section], ...values };
+  });
+  const configPath = path.join(dir, 'api-test.config.json');
+  fs.writeFileSync(configPath, JSON.stringify(fileConfig));
+  return configPath;
+}
+
+function configWithBaseline(baselineRun) {
+  return loadRunConfig({ configPath: CONFIG_PATH, env: { API_TEST_GATE_BASELINE: baselineRun } });
+}
+
+test.describe('paths', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-config-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('resolves relative paths in the config file against the config file directory', () => {
+    const config = loadRunConfig({ configPath: writeConfig(dir, { paths: { outputDir: './out', runsDir: 'history/runs' } }), env: {} });
+
+    expect(config.paths.outputDir).toBe(path.join(dir, 'out'));
+    expect(config.paths.runsDir).toBe(path.join(dir, 'history', 'runs'));
+  });
+
+  test('resolves relative paths from the environment against the working directory', () => {
+    const configPath = writeConfig(dir, { paths: { outputDir: './out' } });
+    const config = loadRunConfig({ configPath, env: { API_TEST_OUTPUT_DIR: './env-out', API_TEST_INPUT_CSV: 'inputs/queries.csv' } });
+
+    expect(config.paths.outputDir).toBe(path.resolve(process.cwd(), 'env-out'));
+    expect(config.paths.inputCsv).toBe(path.resolve(process.cwd(), 'inputs', 'queries.csv'));
+    expect(config.paths.runsDir).toBe(path.join(dir, 'runs'));
+  });
+});
+
+test.describe('gates.baselineRun', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-config-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('resolves a run file, CSV or run directory in the config file against its directory', () => {
+    ['baseline.json', 'Output Reports/BASELINE.CSV', 'runs/2026-10-01_baseline'].forEach(baselineRun => {
+      const config = loadRunConfig({ configPath: writeConfig(dir, { gates: { baselineRun } }), env: {} });
+
+      expect(config.gates.baselineRun).toBe(path.resolve(dir, baselineRun));
+    });
+  });
+
+  test('resolves a run file, CSV or run directory from the environment against the working directory', () => {
+    expect(configWithBaseline('baseline.json').gates.baselineRun).toBe(path.resolve(process.cwd(), 'baseline.json'));
+    expect(configWithBaseline('Output Reports/BASELINE.CSV').gates.baselineRun).toBe(path.resolve(process.cwd(), 'Output Reports', 'BASELINE.CSV'));
+    expect(configWithBaseline('runs/2026-10-01_baseline').gates.baselineRun).toBe(path.resolve(process.cwd(), 'runs', '2026-10-01_baseline'));
+  });
+
+  test('keeps an absolute path and a bare run ID as they are', () => {
+    const absolute = path.join(path.parse(CONFIG_DIR).root, 'baselines', 'run.json');
+
+    expect(configWithBaseline(absolute).gates.baselineRun).toBe(absolute);
+    expect(configWithBaseline('2026-10-01_baseline').gates.baselineRun).toBe('2026-10-01_baseline');
+  });
+});
+
+test.describe('identity', () => {
+  test('keeps dashes and inner spaces significant in the shipped profiles', () => {
+    ['production', 'mock'].forEach(profile => {
+      const identity = ProductIdentity.fromConfig({ ...loadRunConfig({ configPath: CONFIG_PATH, profile, env: {} }), paths: {} });
+
+      expect(identity.matchProduct('1234-5', { sku: '12345' })).toBeNull();
+      expect(identity.matchProduct('12 345', { sku: '12345' })).toBeNull();
+      expect(identity.matchProduct(' ab-12 ', { sku: 'AB-12' })).toBe(IDENTITY_MATCHES.SKU);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const { test, expect } = require('@playwright/test');
+const { QUERY_OUTCOMES } = require('../../test-cases');
+const { compareQuery } = require('../../query-comparison');
+const { SEVERITIES, CHANGE_TYPES, diffRuns, summarizeQuery, formatPercent } = require('../../run-diff');
+
+const PAGE_SIZE = 5;
+
+/**
+ * Compared result of a query that expects products at positions and got the given SKUs back
+ * @param {Object} expected - { sku: expectedPosition }
+ * @param {Array} returned - SKUs in returned order; other positions up to the length are filler products
+ */
+function queryResult(query, expected, returned, fields = {}) {
+  const actualProducts = returned.map((sku, index) => ({
+    sku: sku || `${query}-filler-${index + 1}`,
+    name: sku || 'Filler',
+    absolutePosition: index + 1,
+    pageNumber: Math.ceil((index + 1) / PAGE_SIZE)
+  }));
+  const expectedProducts = Object.entries(expected).map(([sku, position]) => ({ expectedSku: sku, expectedName: sku, expectedPosition: String(position) }));
+  return {
+    query,
+    outcome: QUERY_OUTCOMES.RESULTS,
+    testResult: 'PASS',
+    actualProducts,
+    expectedProducts,
+    comparison: compareQuery(expectedProducts, actualProducts, { pageSize: PAGE_SIZE, tolerance: 1 }),
+    ...fields
+  };
+}
+
+// Returned SKUs with the given ones at their positions, padded with filler up to length
+function at(positions, length = PAGE_SIZE * 2) {
+  return Array.from({ length }, (_, index) => positions[index + 1] || null);
+}
+
+function changesOf(diff, type) {
+  return diff.changes.filter(item => item.type === type);
+}
+
+test.describe('diffRuns', () => {
+  test('reports a new failure as critical and a fixed one as an improvement', () => {
+    const base = [
+      queryResult('gas spring', { A: 1 }, at({ 1: 'A' })),
+      queryResult('taper', { B: 1 }, at({ 1: 'B' }), { testResult: 'FAIL - 1 forbidden product(s) returned (1/1 matches)' })
+    ];
+    const current = [
+      queryResult('gas spring', { A: 1 }, at({ 1: 'A' }), { testResult: 'FAIL - 1 of 1 rank constraint(s) failed (1/1 matches)' }),
+      queryResult('taper', { B: 1 }, at({ 1: 'B' }))
+    ];
+    const diff = diffRuns(base, current);
+
+    expect(diff.changes.map(item => [item.severity, item.type, item.query])).toEqual([
+      [SEVERITIES.CRITICAL, CHANGE_TYPES.NEW_FAILURE, 'gas spring'],
+      [SEVERITIES.IMPROVEMENT, CHANGE_TYPES.FIXED_FAILURE, 'taper']
+    ]);
+    expect(diff.bySeverity).toEqual({ [SEVERITIES.CRITICAL]: 1, [SEVERITIES.IMPROVEMENT]: 1 });
+  });
+
+  test('grades an accuracy drop by its size and a rise as an improvement', () => {
+    const expected = { A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8, I: 9, J: 10, K: 11, L: 12 };
+    const all = at({ 1: 'A', 2: 'B', 3: 'C', 4: 'D', 5: 'E', 6: 'F', 7: 'G', 8: 'H', 9: 'I', 10: 'J', 11: 'K', 12: 'L' }, 12);
+    const oneMissing = [...all.slice(0, 11), null];
+    const base = [queryResult('minor', expected, all), queryResult('major', expected, all), queryResult('better', expected, oneMissing)];
+    const current = [queryResult('minor', expected, oneMissing), queryResult('major', expected, at({}, 12)), queryResult('better', expected, all)];
+    const accuracy = Object.fromEntries(changesOf(diffRuns(base, current), CHANGE_TYPES.ACCURACY).map(item => [item.query, item]));
+
+    expect(accuracy.minor).toMatchObject({ severity: SEVERITIES.MEDIUM, before: '100.0%', after: '91.7%', delta: -8.3 });
+    expect(accuracy.major).toMatchObject({ severity: SEVERITIES.HIGH, delta: -100 });
+    expect(accuracy.better).toMatchObject({ severity: SEVERITIES.IMPROVEMENT, detail: '+8.3 points' });
+  });
+
+  test('grades a lost product by the page it was on and a found one as an improvement', () => {
+    const base = [queryResult('q', { A: 1, B: 7, C: 2 }, at({ 1: 'A', 7: 'B' }))];
+    const current = [queryResult('q', { A: 1, B: 7, C: 2 }, at({ 2: 'C' }))];
+    const products = Object.fromEntries(diffRuns(base, current).changes
+      .filter(item => item.expectedSku)
+      .map(item => [item.expectedSku, item]));
+
+    expect(products.A).toMatchObject({ severity: SEVERITIES.HIGH, type: CHANGE_TYPES.LOST, before: '1 (page 1)', after: 'Not Match', detail: 'Was on page 1' });
+    expect(products.B).toMatchObject({ severity: SEVERITIES.MEDIUM, type: CHANGE_TYPES.LOST, detail: 'Was on page 2' });
+    expect(products.C).toMatchObject({ severity: SEVERITIES.IMPROVEMENT, type: CHANGE_TYPES.FOUND, detail: 'Now Match' });
+  });
+
+  test('grades a moved product by whether it left page 1 or its bucket', () => {
+    const base = [
+      queryResult('off page 1', { A: 1 }, at({ 1: 'A' })),
+      queryResult('bucket', { C: 2 }, at({ 2: 'C' })),
+      queryResult('same bucket', { B: 1 }, at({ 4: 'B' })),
+      queryResult('up', { D: 1 }, at({ 5: 'D' }))
+    ];
+    const current = [
+      queryResult('off page 1', { A: 1 }, at({ 7: 'A' })),
+      queryResult('bucket', { C: 2 }, at({ 3: 'C' })),
+      queryResult('same bucket', { B: 1 }, at({ 5: 'B' })),
+      queryResult('up', { D: 1 }, at({ 3: 'D' }))
+    ];
+    const moved = Object.fromEntries(changesOf(diffRuns(base, current), CHANGE_TYPES.MOVED).map(item => [item.expectedSku, item]));
+
+    expect(Object.keys(moved).sort()).toEqual(['A', 'B', 'C', 'D']);
+    expect(moved.A).toMatchObject({ severity: SEVERITIES.HIGH, delta: 6, after: '7 (page 2)', detail: 'Down 6, Match -> Later Page' });
+    expect(moved.C).toMatchObject({ severity: SEVERITIES.MEDIUM, detail: 'Down 1, Match -> Near Match' });
+    expect(moved.B).toMatchObject({ severity: SEVERITIES.LOW, detail: 'Down 1' });
+    expect(moved.D).toMatchObject({ severity: SEVERITIES.IMPROVEMENT, delta: -2, detail: 'Up 2' });
+  });
+
+  test('lists changes most severe first, then the larger change first', () => {
+    const base = [
+      queryResult('small', { A: 1 }, at({ 3: 'A' })),
+      queryResult('large', { A: 1 }, at({ 3: 'A' }))
+    ];
+    const current = [
+      queryResult('small', { A: 1 }, at({ 4: 'A' })),
+      queryResult('large', { A: 1 }, at({ 5: 'A' })),
+      queryResult('new', {}, at({}), { testResult: 'FAIL - Zero results returned (0 expected products)' })
+    ];
+    const { changes } = diffRuns(base, current);
+
+    expect(changes.map(item => [item.severity, item.type, item.query])).toEqual([
+      [SEVERITIES.LOW, CHANGE_TYPES.MOVED, 'large'],
+      [SEVERITIES.LOW, CHANGE_TYPES.MOVED, 'small'],
+      [SEVERITIES.LOW, CHANGE_TYPES.QUERY_ADDED, 'new']
+    ]);
+  });
+
+  test('reports added and removed queries and pairs queries case-insensitively', () => {
+    const base = [queryResult('Gas Spring', { A: 1 }, at({ 1: 'A' })), queryResult('taper', {}, at({}))];
+    const current = [queryResult('gas spring ', { A: 1 }, at({ 1: 'A' })), queryResult('v-block', {}, at({}))];
+    const diff = diffRuns(base, current);
+
+    expect(diff.byType).toEqual({ [CHANGE_TYPES.QUERY_ADDED]: 1, [CHANGE_TYPES.QUERY_REMOVED]: 1 });
+    expect(diff.queries.map(row => [row.query, !!row.before, !!row.after])).toEqual([
+      ['gas spring ', true, true],
+      ['v-block', false, true],
+      ['taper', true, false]
+    ]);
+  });
+
+  test('notes edited input expectations and skips products only one run expects', () => {
+    const base = [queryResult('q', { A: 1 }, at({ 1: 'A' }))];
+    const current = [queryResult('q', { A: 1, B: 2 }, at({ 1: 'A' }))];
+    const { changes } = diffRuns(base, current);
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ type: CHANGE_TYPES.ACCURACY, detail: '-50.0 points; input expectations changed (1 added, 0 removed)' });
+  });
+
+  test('compares no products of a query that got no answer', () => {
+    const base = [queryResult('q', { A: 1 }, at({ 1: 'A' }))];
+    const current = [{
+      ...queryResult('q', { A: 1 }, []),
+      outcome: QUERY_OUTCOMES.ERROR,
+      apiStatus: 'ERROR',
+      testResult: 'FAIL - API error',
+      error: 'HTTP 502'
+    }];
+    const { changes } = diffRuns(base, current);
+
+    expect(changes.map(item => item.type)).toEqual([CHANGE_TYPES.NEW_FAILURE]);
+    expect(changes[0].detail).toBe('HTTP 502');
+  });
+});
+
+test.describe('summarizeQuery', () => {
+  test('counts an expected zero result query as fully accurate', () => {
+    const result = { ...queryResult('q', {}, []), outcome: QUERY_OUTCOMES.ZERO_RESULTS_EXPECTED };
+
+    expect(summarizeQuery(result)).toEqual({ accuracy: 100, coverage: null });
+    expect(formatPercent(null)).toBe('N/A');
+  });
+});
@@ -0,0 +1,51 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startRun, saveQueryResult, readRunManifest } = require('../../run-results');
+
+const CONFIG = { profile: 'unit-test', paths: { inputCsv: 'input.csv' } };
+
+test.describe('startRun', () => {
+  let runDir;
+
+  test.beforeEach(() => {
+    runDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'runs-')), '2026-10-19_12-00-00');
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(path.dirname(runDir), { recursive: true, force: true });
+  });
+
+  test('creates the manifest of a new run in an empty directory', () => {
+    fs.mkdirSync(runDir, { recursive: true });
+    const manifest = startRun(runDir, '2026-10-19_12-00-00', CONFIG);
+
+    expect(manifest).toMatchObject({ runId: '2026-10-19_12-00-00', profile: 'unit-test', resumes: [] });
+    expect(readRunManifest(runDir)).toEqual(manifest);
+  });
+
+  test('refuses to start a new run over an existing one', () => {
+    startRun(runDir, '2026-10-19_12-00-00', CONFIG);
+
+    expect(() => startRun(runDir, '2026-10-19_12-00-00', CONFIG)).toThrow('Run "2026-10-19_12-00-00" already exists');
+  });
+
+  test('refuses a directory with saved results but no manifest', () => {
+    saveQueryResult(runDir, { testNumber: 1, query: 'gas spring', testResult: '1/1 matches' });
+
+    expect(() => startRun(runDir, '2026-10-19_12-00-00', CONFIG)).toThrow('set API_TEST_RESUME to continue it');
+  });
+
+  test('records a resume of an existing run and keeps its start', () => {
+    const started = startRun(runDir, '2026-10-19_12-00-00', CONFIG);
+    const resumed = startRun(runDir, '2026-10-19_12-00-00', { ...CONFIG, profile: 'other' }, true);
+
+    expect(resumed).toMatchObject({ startedAt: started.startedAt, profile: 'unit-test' });
+    expect(resumed.resumes).toHaveLength(1);
+  });
+
+  test('cannot resume a run that was never started', () => {
+    expect(() => startRun(runDir, 'missing', CONFIG, true)).toThrow('Cannot resume run "missing"');
+  });
+});
@@ -0,0 +1,87 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SearchCassette, getCassette } = require('../../search-cassette');
+
+// Live responses are Playwright APIResponses; recording only reads status, headers and text
+function liveResponse(status, body, headers = { 'content-type': 'application/json' }) {
+  return {
+    status: () => status,
+    headers: () => headers,
+    text: async () => JSON.stringify(body)
+  };
+}
+
+function searchParams(query, page, extra = {}) {
+  return { siteId: 'site', q: query, page: String(page), resultsPerPage: '24', use_cache: 'false', ...extra };
+}
+
+test.describe('search cassette', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('replays a recorded response whatever the cache busters', async () => {
+    const body = { results: [{ sku: '30100001', name: 'Block' }], pagination: { totalResults: 1 } };
+    await new SearchCassette(dir, 'record').record('http://api/search.json', searchParams('123 block', 1, { timestamp: 1, r: 'abc' }), liveResponse(200, body));
+
+    const replay = new SearchCassette(dir, 'replay');
+    const params = searchParams('123 block', 1, { timestamp: 2, r: 'xyz' });
+    expect(replay.has(params)).toBe(true);
+
+    const response = replay.replay(params);
+    expect(response.status()).toBe(200);
+    expect(response.ok()).toBe(true);
+    expect(response.headers()['content-type']).toBe('application/json');
+    expect(await response.json()).toEqual(body);
+  });
+
+  test('keeps the last attempt recorded for the same query and page', async () => {
+    const cassette = new SearchCassette(dir, 'record');
+    await cassette.record('http://api/search.json', searchParams('gas', 1), liveResponse(429, {}, { 'retry-after': '1' }));
+    await cassette.record('http://api/search.json', searchParams('gas', 1), liveResponse(200, { results: [] }));
+
+    expect(cassette.entries()).toHaveLength(1);
+    expect(new SearchCassette(dir, 'replay').replay(searchParams('gas', 1)).status()).toBe(200);
+  });
+
+  test('tells pages and page sizes apart', async () => {
+    const cassette = new SearchCassette(dir, 'record');
+    await cassette.record('http://api/search.json', searchParams('gas', 1), liveResponse(200, { page: 1 }));
+
+    expect(cassette.has(searchParams('gas', 2))).toBe(false);
+    expect(cassette.has({ ...searchParams('gas', 1), resultsPerPage: '48' })).toBe(false);
+  });
+
+  test('fails a replay with no recording instead of calling the API', () => {
+    const replay = new SearchCassette(dir, 'replay');
+
+    expect(replay.has(searchParams('taper', 3))).toBe(false);
+    expect(() => replay.replay(searchParams('taper', 3))).toThrow(`No recording for query "taper" page 3 in ${dir}`);
+  });
+
+  test('lists no entries for a cassette directory that does not exist yet', () => {
+    expect(new SearchCassette(path.join(dir, 'missing'), 'replay').entries()).toEqual([]);
+  });
+
+  test('rejects an unknown mode', () => {
+    expect(() => new SearchCassette(dir, 'rewind')).toThrow('Unknown cassette mode "rewind"');
+  });
+
+  test('shares one cassette per mode and directory', () => {
+    const config = { cassette: { mode: 'replay' }, paths: { cassetteDir: dir } };
+    const cassette = getCassette(config);
+
+    expect(getCassette({ ...config })).toBe(cassette);
+    expect(cassette.isReplaying).toBe(true);
+    expect(cassette.isRecording).toBe(false);
+    expect(getCassette({ ...config, cassette: { mode: 'record' } })).not.toBe(cassette);
+  });
+});
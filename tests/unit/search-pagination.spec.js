@@ -0,0 +1,106 @@
+const { test, expect } = require('@playwright/test');
+const { PageAccounting, readPagination } = require('../../search-pagination');
+
+// Response of a page holding count products, SKUs numbered from the first position
+function pageResponse(count, pagination, firstPosition = 1) {
+  const results = Array.from({ length: count }, (_, index) => ({ sku: `P${firstPosition + index}` }));
+  return pagination === undefined ? { results } : { results, pagination };
+}
+
+test.describe('readPagination', () => {
+  test('coerces numbers sent as strings', () => {
+    expect(readPagination({ currentPage: '2', perPage: '10', totalPages: '5', totalResults: '48' }, 2, 20))
+      .toEqual({ currentPage: 2, perPage: 10, totalPages: 5, totalResults: 48 });
+  });
+
+  test('falls back to the requested page and configured size without a pagination block', () => {
+    expect(readPagination(undefined, 3, 20)).toEqual({ currentPage: 3, perPage: 20, totalPages: null, totalResults: null });
+    expect(readPagination({ perPage: 'ten', totalPages: '' }, 1, 20)).toMatchObject({ perPage: 20, totalPages: null });
+  });
+});
+
+test.describe('PageAccounting', () => {
+  test('places products at absolute positions from the pagination block', () => {
+    const pages = new PageAccounting(10);
+    pages.addPage(1, pageResponse(5, { currentPage: 1, perPage: 5, totalPages: 3, totalResults: 15 }));
+    const { products } = pages.addPage(2, pageResponse(5, { currentPage: 2, perPage: 5, totalPages: 3, totalResults: 15 }, 6));
+
+    expect(products[0]).toEqual({ sku: 'P6', absolutePosition: 6, pageNumber: 2 });
+    expect(pages.pageSize).toBe(5);
+    expect(pages.fetchedUpTo).toBe(10);
+  });
+
+  test('records the gap a short page leaves and keeps the next page at its positions', () => {
+    const pages = new PageAccounting(10);
+    const first = pages.addPage(1, pageResponse(7, { currentPage: 1, perPage: 10, totalPages: 3, totalResults: 30 }));
+    const second = pages.addPage(2, pageResponse(10, { currentPage: 2, perPage: 10, totalPages: 3, totalResults: 30 }, 11));
+
+    expect(first.shortRange).toEqual({ from: 8, to: 10, reason: 'page 1 returned 7 of 10 products' });
+    expect(second.products[0].absolutePosition).toBe(11);
+    expect(pages.finish('page limit (2)')).toEqual([
+      { from: 8, to: 10, reason: 'page 1 returned 7 of 10 products' },
+      { from: 21, to: 30, reason: 'page limit (2)' }
+    ]);
+  });
+
+  test('takes a short last page as the end of the results', () => {
+    const pages = new PageAccounting(10);
+    pages.addPage(1, pageResponse(10, { currentPage: 1, perPage: 10, totalPages: 2, totalResults: 14 }));
+    const last = pages.addPage(2, pageResponse(4, { currentPage: 2, perPage: 10, totalPages: 2, totalResults: 14 }, 11));
+
+    expect(last).toMatchObject({ isLastPage: true, shortRange: null, oversized: false });
+    expect(pages.finish('last page')).toEqual([]);
+  });
+
+  test('reports a last page shorter than the total result count as a gap', () => {
+    const pages = new PageAccounting(10);
+    pages.addPage(1, pageResponse(10, { currentPage: 1, perPage: 10, totalPages: 2, totalResults: 18 }));
+    const last = pages.addPage(2, pageResponse(4, { currentPage: 2, perPage: 10, totalPages: 2, totalResults: 18 }, 11));
+
+    expect(last.shortRange).toEqual({ from: 15, to: 18, reason: 'page 2 returned 4 of 8 products' });
+  });
+
+  test('never reaches a last page without totalPages and counts page 1 when no total is given', () => {
+    const pages = new PageAccounting(10);
+    const first = pages.addPage(1, pageResponse(10, { currentPage: 1, perPage: 10 }));
+    const second = pages.addPage(2, pageResponse(3, {}, 11));
+
+    expect(first.isLastPage).toBe(false);
+    expect(second.isLastPage).toBe(false);
+    expect(second.shortRange).toEqual({ from: 14, to: 20, reason: 'page 2 returned 3 of 10 products' });
+    expect(pages.totalPages).toBeNull();
+    expect(pages.totalResults).toBe(10);
+    expect(pages.finish('page 3 came back empty')).toHaveLength(1);
+  });
+
+  test('records the positions past the page cap as one unfetched range', () => {
+    const pages = new PageAccounting(10);
+    pages.addPage(1, pageResponse(10, { currentPage: 1, perPage: 10, totalPages: 10, totalResults: 95 }));
+    pages.addPage(2, pageResponse(10, { currentPage: 2, perPage: 10, totalPages: 10, totalResults: 95 }, 11));
+
+    expect(pages.finish('page limit (2)')).toEqual([{ from: 21, to: 95, reason: 'page limit (2)' }]);
+  });
+
+  test('marks the positions past the stop as not requested without a stop reason', () => {
+    const pages = new PageAccounting(10);
+    pages.addPage(1, pageResponse(10, { currentPage: 1, perPage: 10, totalResults: 25 }));
+
+    expect(pages.finish(null)).toEqual([{ from: 11, to: 25, reason: 'not requested' }]);
+  });
+
+  test('flags a page holding more products than its page size', () => {
+    const pages = new PageAccounting(10);
+    const page = pages.addPage(1, pageResponse(12, { currentPage: 1, perPage: 10, totalResults: 40 }));
+
+    expect(page.oversized).toBe(true);
+    expect(pages.fetchedUpTo).toBe(12);
+  });
+
+  test('adds no range for an empty page', () => {
+    const pages = new PageAccounting(10);
+    const page = pages.addPage(1, pageResponse(0, { currentPage: 1, perPage: 10, totalResults: 0 }));
+
+    expect(page).toMatchObject({ products: [], isLastPage: false, shortRange: null });
+    expect(pages.finish('page 1 came back empty')).toEqual([]);
+  });
+});
@@ -0,0 +1,119 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { nameSimilarity, findSkuChanges, formatSkuChange, buildInputPatch } = require('../../sku-changes');
+
+test.describe('nameSimilarity', () => {
+  test('scores identical names 1 and unrelated or empty names 0', () => {
+    expect(nameSimilarity('STM 231071 | 2" OAL V-Block', 'stm 231071 2 oal v block')).toBe(1);
+    expect(nameSimilarity('Magnetic Base Holder', 'Carbide Boring Bar')).toBeLessThan(0.3);
+    expect(nameSimilarity('', 'Magnetic Base Holder')).toBe(0);
+  });
+
+  test('forgives small wording changes', () => {
+    expect(nameSimilarity('Noga DG61003 | Magnetic Base Holder', 'Noga DG61003 Magnetic Base Holders')).toBeGreaterThan(0.85);
+  });
+
+  test('tells apart names that differ only in a model number or size', () => {
+    const sameModel = nameSimilarity('Accupro 7701 | Carbide Boring Bar', 'Accupro 7701 | Carbide Boring Bar (New)');
+    const otherModel = nameSimilarity('Accupro 7701 | Carbide Boring Bar', 'Accupro 7705 | Carbide Boring Bar');
+
+    expect(sameModel).toBeGreaterThan(0.8);
+    expect(otherModel).toBeLessThan(0.5);
+  });
+});
+
+test.describe('findSkuChanges', () => {
+  const expected = [
+    { expectedSku: '30400002', expectedName: 'Noga DG61003 | Magnetic Base Holder', expectedPosition: 1 },
+    { expectedSku: '30400003', expectedName: 'Noga DG61004 | Magnetic Base Holder', expectedPosition: 2 }
+  ];
+
+  test('reports the most similar returned product of a missing expected product', () => {
+    const actual = [
+      { sku: '30400102', name: 'Noga DG61003 Magnetic Base Holder', absolutePosition: 1, pageNumber: 1 },
+      { sku: '30400003', name: 'Noga DG61004 | Magnetic Base Holder', absolutePosition: 2, pageNumber: 1 }
+    ];
+    const changes = findSkuChanges(expected, actual, 0.8);
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ expectedSku: '30400002', candidateSku: '30400102', position: 1, page: 1 });
+    expect(formatSkuChange(changes[0])).toBe('30400002 -> 30400102 at position 1 (similarity 1.00)');
+  });
+
+  test('gives each returned product to at most one expected product', () => {
+    const actual = [{ sku: 'NEW', name: 'Noga DG61003 | Magnetic Base Holder', absolutePosition: 5 }];
+    const changes = findSkuChanges(expected, actual, 0.5);
+
+    expect(changes.map(change => change.expectedSku)).toEqual(['30400002']);
+  });
+
+  test('reports nothing below the minimum similarity', () => {
+    const actual = [{ sku: 'NEW', name: 'Kurt DX6 | Replacement Jaw Plate', absolutePosition: 1 }];
+
+    expect(findSkuChanges(expected, actual, 0.8)).toEqual([]);
+  });
+});
+
+test.describe('buildInputPatch', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sku-patch-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Write the input, apply the patch with git from the input's directory and return the patched text
+  function applyPatch(label, csvText, patch) {
+    fs.writeFileSync(path.join(dir, label), csvText);
+    fs.writeFileSync(path.join(dir, 'changes.patch'), patch);
+    execFileSync('git', ['apply', 'changes.patch'], { cwd: dir, stdio: 'pipe' });
+    return fs.readFileSync(path.join(dir, label), 'utf-8');
+  }
+
+  test('rewrites only the SKU field of a CRLF file with quoted fields, and git apply accepts it', () => {
+    const csvText = [
+      'query,name,sku,position',
+      'boring bar,"Accupro 7701 | Carbide Boring Bar 0.25"" Min Bore",30200001,1',
+      ',"Accupro 7702 | Carbide Boring Bar, 0.375"" Min Bore",30200002,2',
+      'magnetic base,"Noga DG61003 | Magnetic Base Holder",30400002,1',
+      ''
+    ].join('\r\n');
+    const changes = [
+      { query: 'Boring Bar', expectedSku: '30200002', expectedName: 'Accupro 7702 | Carbide Boring Bar, 0.375" Min Bore', candidateSku: '30200102' },
+      { query: 'magnetic base', expectedSku: '30400002', expectedName: 'Noga DG61003 | Magnetic Base Holder', candidateSku: '30400102' }
+    ];
+    const { patch, applied } = buildInputPatch(csvText, changes, 'API TEST INPUT.csv');
+
+    expect(applied).toEqual(changes);
+    expect(patch).toContain('--- a/API TEST INPUT.csv\t');
+    expect(applyPatch('API TEST INPUT.csv', csvText, patch)).toBe(csvText
+      .replace(',30200002,2', ',30200102,2')
+      .replace(',30400002,1', ',30400102,1'));
+  });
+
+  test('patches a file without a final newline and a name that spans lines', () => {
+    const csvText = 'query,name,sku,position\n123 block,"Block Set\n23 Holes",30100001,1';
+    const changes = [{ query: '123 block', expectedSku: '30100001', expectedName: 'Block Set\n23 Holes', candidateSku: '30100101' }];
+    const { patch } = buildInputPatch(csvText, changes, 'input.csv');
+
+    expect(patch).toContain('\\ No newline at end of file');
+    expect(applyPatch('input.csv', csvText, patch)).toBe(csvText.replace('30100001', '30100101'));
+  });
+
+  test('leaves rows of another query alone and returns no patch when nothing matched', () => {
+    const csvText = 'query,name,sku,position\ngas,"Gas Spring",1,1\n';
+    const changes = [{ query: 'taper', expectedSku: '1', expectedName: 'Gas Spring', candidateSku: '2' }];
+
+    expect(buildInputPatch(csvText, changes, 'input.csv')).toEqual({ patch: '', applied: [] });
+  });
+
+  test('rejects an input without query, name and sku columns', () => {
+    expect(() => buildInputPatch('q,title,id\n', [], 'input.csv')).toThrow('no query, name and sku columns');
+  });
+});
@@ -0,0 +1,63 @@
+const { test, expect } = require('@playwright/test');
+const { getWordPosition, analyzeWordPositions, placementLabel, formatDistribution } = require('../../term-positions');
+
+test.describe('getWordPosition', () => {
+  const CASES = [
+    ['Magnetic Base Holder', 'magnetic', 'beginning'],
+    ['Magnetic Base Holder', 'BASE', 'middle'],
+    ['Magnetic Base Holder', 'holder', 'end'],
+    // 2 of 10 characters in is no longer the first 20%
+    ['abcdefghij', 'c', 'middle'],
+    ['abcdefghij', 'b', 'beginning'],
+    // Starting past 80% of the text is the end even when the word does not finish it
+    ['abcdefghijk', 'jk', 'end'],
+    ['Magnetic Base Holder', 'clamp', null],
+    ['', 'base', null],
+    ['Magnetic Base Holder', '', null]
+  ];
+
+  CASES.forEach(([text, word, placement]) => {
+    test(`places "${word}" in "${text}" at ${placement}`, () => {
+      expect(getWordPosition(text, word)).toBe(placement);
+    });
+  });
+});
+
+test.describe('analyzeWordPositions', () => {
+  const PRODUCTS = [
+    { sku: 'A', absolutePosition: 1, name: 'Boring Bar Set', description: 'Carbide tools for a boring bar holder' },
+    { sku: 'B', absolutePosition: 2, name: 'Carbide Boring Bar', description: '' },
+    { sku: 'C', absolutePosition: 3, name: 'Jaw Plate' },
+    { sku: 'D', absolutePosition: 4, name: 'Boring Head' }
+  ];
+
+  test('classifies the first query term found in each title and description of the top results', () => {
+    const analysis = analyzeWordPositions(PRODUCTS, 'Boring  bar', 3);
+
+    expect(analysis).toMatchObject({ depth: 3, terms: ['boring', 'bar'], analyzed: 3 });
+    expect(analysis.details.map(detail => [detail.position, detail.title, detail.description])).toEqual([
+      [1, { term: 'boring', placement: 'beginning' }, { term: 'boring', placement: 'middle' }],
+      [2, { term: 'boring', placement: 'middle' }, null],
+      [3, null, null]
+    ]);
+    expect(analysis.distribution).toEqual({
+      title: { beginning: 1, middle: 1, end: 0, notFound: 1 },
+      description: { beginning: 0, middle: 1, end: 0, notFound: 2 }
+    });
+  });
+
+  test('numbers products saved without positions by their order', () => {
+    const analysis = analyzeWordPositions(PRODUCTS.map(({ absolutePosition, ...product }) => product), 'jaw', 10);
+
+    expect(analysis.analyzed).toBe(4);
+    expect(analysis.details.map(detail => detail.position)).toEqual([1, 2, 3, 4]);
+  });
+
+  test('analyzes nothing without products', () => {
+    const analysis = analyzeWordPositions(undefined, 'boring bar', 10);
+
+    expect(analysis.analyzed).toBe(0);
+    expect(formatDistribution(analysis.distribution.title)).toBe('beginning 0, middle 0, end 0, not found 0');
+    expect(placementLabel('notFound')).toBe('Not Found');
+  });
+});
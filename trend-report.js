@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const { openResultsStore, loadTrends } = require('./results-store');
+const { formatPercent } = require('./run-diff');
+const { escapeHtml } = require('./html-utils');
+
+/**
+ * HTML dashboard of the run history: accuracy, first page coverage and failure rate over time,
+ * for the whole run and for every query
+ *
+ * A query's failure rate at a run is the share of its last history.failureRateWindow recorded
+ * results (up to that run) that failed, so one bad run shows as a bump rather than a 0/100 spike.
+ */
+
+function average(values) {
+    const present = values.filter(value => value !== null);
+    return present.length > 0 ? present.reduce((total, value) => total + value, 0) / present.length : null;
+}
+
+function round(value) {
+    return value === null ? null : Number(value.toFixed(1));
+}
+
+/**
+ * Per-run and per-query series, aligned to the runs; a run that didn't include a query has null there
+ * @param {Object} history - { runs, results } from loadTrends
+ * @param {number} windowSize - Results per query the rolling failure rate covers
+ * @returns {Object} - { labels, overall: { accuracy, coverage, failureRate }, queries: [{ query, accuracy, coverage, failureRate, latest }] }
+ */
+function buildTrends(history, windowSize) {
+    const runIndex = new Map(history.runs.map((run, index) => [run.id, index]));
+    const labels = history.runs.map(run => `${run.startedAt.slice(0, 16).replace('T', ' ')} (${run.runKey})`);
+    const byQuery = new Map();
+
+    history.results.forEach(result => {
+        if (!byQuery.has(result.query)) {
+            byQuery.set(result.query, history.runs.map(() => null));
+        }
+        byQuery.get(result.query)[runIndex.get(result.runId)] = result;
+    });
+
+    const queries = Array.from(byQuery.entries()).map(([query, points]) => {
+        const seen = [];
+        const failureRate = points.map(point => {
+            if (!point) {
+                return null;
+            }
+            seen.push(point.failed);
+            const recent = seen.slice(-windowSize);
+            return round((recent.filter(Boolean).length / recent.length) * 100);
+        });
+        const latest = [...points].reverse().find(Boolean);
+        return {
+            query,
+            accuracy: points.map(point => (point ? round(point.accuracy) : null)),
+            coverage: points.map(point => (point ? round(point.coverage) : null)),
+            failureRate,
+            latest: { accuracy: latest.accuracy, coverage: latest.coverage, failureRate: failureRate[points.lastIndexOf(latest)] }
+        };
+    });
+    // Weakest first: highest current failure rate, then lowest accuracy
+    const accuracyOf = query => (query.latest.accuracy === null ? -1 : query.latest.accuracy);
+    queries.sort((a, b) => b.latest.failureRate - a.latest.failureRate || accuracyOf(a) - accuracyOf(b));
+
+    return {
+        labels,
+        overall: {
+            accuracy: history.runs.map((run, index) => round(average(queries.map(query => query.accuracy[index])))),
+            coverage: history.runs.map((run, index) => round(average(queries.map(query => query.coverage[index])))),
+            failureRate: history.runs.map(run => round(run.queries > 0 ? (run.failedQueries / run.queries) * 100 : null))
+        },
+        queries
+    };
+}
+
+/**
+ * Self-contained HTML page of the trends; charts load Chart.js from its CDN like the run report
+ */
+function generateTrendHTML(trends, source, windowSize) {
+    const queryCards = trends.queries.map((query, index) => `
+        <div class="query-card">
+            <h3>${escapeHtml(query.query)}</h3>
+            <div class="latest">Latest: accuracy ${formatPercent(query.latest.accuracy)} · coverage ${formatPercent(query.latest.coverage)} · failure rate ${formatPercent(query.latest.failureRate)}</div>
+            <canvas id="query-${index}" height="140"></canvas>
+        </div>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>API Test Trends</title>
+    <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); min-height: 100vh; padding: 20px; }
+        .container { max-width: 1400px; margin: 0 auto; background: white; border-radius: 20px; box-shadow: 0 20px 60px rgba(0,0,0,0.3); overflow: hidden; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 40px; text-align: center; }
+        h1 { font-size: 2.5em; margin-bottom: 10px; }
+        .timestamp { opacity: 0.9; font-size: 1.1em; line-height: 1.6; }
+        .section { padding: 30px; border-bottom: 1px solid #e0e0e0; }
+        h2 { margin-bottom: 15px; color: #333; }
+        .query-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(420px, 1fr)); gap: 20px; }
+        .query-card { background: #f8f9fa; border-radius: 10px; padding: 15px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+        .query-card h3 { color: #333; margin-bottom: 4px; }
+        .latest { color: #666; font-size: 0.85em; margin-bottom: 10px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>API Test Trends</h1>
+            <div class="timestamp">
+                ${trends.labels.length} run(s) from ${escapeHtml(source)}<br>
+                Failure rate per query over its last ${windowSize} recorded run(s) · Generated: ${new Date().toLocaleString()}
+            </div>
+        </div>
+        <div class="section">
+            <h2>All Queries</h2>
+            <canvas id="overall" height="90"></canvas>
+        </div>
+        <div class="section">
+            <h2>Per Query (weakest first)</h2>
+            <div class="query-grid">${queryCards}
+            </div>
+        </div>
+    </div>
+    <script>
+        const trends = ${JSON.stringify(trends).replace(/</g, '\\u003c')};
+        const percentAxis = { min: 0, max: 100, ticks: { callback: value => value + '%' } };
+
+        function drawTrend(canvasId, series) {
+            new Chart(document.getElementById(canvasId), {
+                type: 'line',
+                data: {
+                    labels: trends.labels,
+                    datasets: [
+                        { label: 'Accuracy %', data: series.accuracy, borderColor: '#667eea', backgroundColor: '#667eea', spanGaps: true },
+                        { label: 'First Page Coverage %', data: series.coverage, borderColor: '#28a745', backgroundColor: '#28a745', spanGaps: true },
+                        { label: 'Failure Rate %', data: series.failureRate, borderColor: '#dc3545', backgroundColor: '#dc3545', borderDash: [6, 4], spanGaps: true }
+                    ]
+                },
+                options: { responsive: true, scales: { y: percentAxis, x: { ticks: { display: false } } } }
+            });
+        }
+
+        drawTrend('overall', trends.overall);
+        trends.queries.forEach((query, index) => drawTrend('query-' + index, query));
+    </script>
+</body>
+</html>`;
+}
+
+/**
+ * Write the trend dashboard of the latest history.trendRuns runs in the configured store
+ * @param {Object} config - Resolved run config
+ * @param {Object} [options] - { runs }: how many recent runs to chart, instead of history.trendRuns
+ * @returns {Promise<string>} - Path of the HTML report
+ */
+async function writeTrendReport(config, options = {}) {
+    const store = await openResultsStore(config);
+    if (!store) {
+        throw new Error('Run history is off (history.driver "off"); nothing to chart');
+    }
+
+    let history;
+    try {
+        history = await loadTrends(store, options.runs || config.history.trendRuns);
+    } finally {
+        await store.close();
+    }
+    if (history.runs.length === 0) {
+        throw new Error(`No runs recorded in ${store.describe()} (record past runs with "node api-test-cli.js record")`);
+    }
+
+    const windowSize = config.history.failureRateWindow;
+    const trends = buildTrends(history, windowSize);
+    const outputDir = config.paths.outputDir;
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+    const timeString = new Date().toTimeString().split(' ')[0].replace(/:/g, '-');
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const htmlPath = path.join(outputDir, `API_TEST_TRENDS_${timestamp}_${timeString}.html`);
+    fs.writeFileSync(htmlPath, generateTrendHTML(trends, store.describe(), windowSize));
+    console.log(`📈 Trend Report (${history.runs.length} runs, ${trends.queries.length} queries): ${htmlPath}`);
+    return htmlPath;
+}
+
+module.exports = {
+    buildTrends,
+    generateTrendHTML,
+    writeTrendReport
+};